@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Adoption Tracking
+ * Classifies each Node.js repository's copy of the standardized workflow
+ * and keeps every scan as a timestamped snapshot, so adoption can be
+ * charted over time and regressions spotted between scans.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { mapWithConcurrency } = require('./concurrency');
+const { GitHubRateLimitError, assertRateLimitBudget } = require('./github-client');
+const { fetchFile, renderTemplate, loadTemplates } = require('./preview');
+
+// Configuration
+const ADOPTION_CONCURRENCY = parseInt(process.env.ADOPTION_CONCURRENCY, 10) || 8;
+const ADOPTION_SNAPSHOT_RETENTION = parseInt(process.env.ADOPTION_SNAPSHOT_RETENTION, 10) || 365;
+// repos.get, the workflow file and its latest run
+const ADOPTION_REQUESTS_PER_REPO = 3;
+
+const ADOPTION_WORKFLOW = '.github/workflows/deps-install.yml';
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+// Best to worst; moving down this list between snapshots is a regression
+const ADOPTION_STATES = ['present', 'outdated', 'failing', 'absent'];
+
+const store = createJsonStore('adoption', { snapshots: {} });
+
+/**
+ * Latest completed run of the workflow on the default branch, or null
+ */
+async function latestWorkflowRun(octokit, org, repo, branch) {
+    try {
+        const { data } = await octokit.rest.actions.listWorkflowRuns({
+            owner: org,
+            repo,
+            workflow_id: ADOPTION_WORKFLOW.split('/').pop(),
+            branch,
+            status: 'completed',
+            per_page: 1
+        });
+        const run = data.workflow_runs[0];
+        return run ? { id: run.id, conclusion: run.conclusion, html_url: run.html_url, created_at: run.created_at } : null;
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function checkRepo(octokit, org, repo, template) {
+    try {
+        const { data: repoData } = await octokit.rest.repos.get({ owner: org, repo });
+        const branch = repoData.default_branch;
+
+        const current = await fetchFile(octokit, org, repo, ADOPTION_WORKFLOW, branch);
+        if (!current) {
+            return { repo, state: 'absent', defaultBranch: branch, sha: null, run: null };
+        }
+
+        const run = await latestWorkflowRun(octokit, org, repo, branch);
+        const rendered = renderTemplate(template.text, { org, repo, default_branch: branch });
+
+        let state = current.text === rendered ? 'present' : 'outdated';
+        if (run && FAILED_CONCLUSIONS.includes(run.conclusion)) {
+            state = 'failing';
+        }
+
+        return { repo, state, defaultBranch: branch, sha: current.sha, run };
+    } catch (error) {
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        return { repo, error: error.status === 404 ? 'Repository not found or no access' : `API error: ${error.message}` };
+    }
+}
+
+function summarize(repos) {
+    const summary = Object.fromEntries(ADOPTION_STATES.map(state => [state, 0]));
+    repos.forEach(repo => summary[repo.state]++);
+
+    const total = repos.length;
+    const adopted = total - summary.absent;
+    return { total, adopted, ...summary, adoptionRate: total ? Math.round(adopted / total * 1000) / 1000 : 0 };
+}
+
+/**
+ * Scan `repos` in `org` against the toolkit's current template and store the
+ * result as a new snapshot. States, best first:
+ *   present  - the workflow matches the current template
+ *   outdated - the workflow differs from the current template
+ *   failing  - the workflow's latest run on the default branch failed
+ *   absent   - no workflow
+ */
+async function takeAdoptionSnapshot({ octokit, toolkitOctokit, org, repos, target }) {
+    const templates = await loadTemplates(toolkitOctokit, target);
+    const template = templates.find(candidate => candidate.path === ADOPTION_WORKFLOW);
+
+    assertRateLimitBudget(octokit, repos.length * ADOPTION_REQUESTS_PER_REPO, `Checking adoption in ${repos.length} repositories`);
+
+    const results = await mapWithConcurrency([...repos].sort(), ADOPTION_CONCURRENCY,
+        repo => checkRepo(octokit, org, repo, template));
+
+    const snapshot = {
+        id: crypto.randomUUID(),
+        org,
+        takenAt: new Date().toISOString(),
+        template: { path: template.template, sha: template.sha },
+        // Repositories that could not be read are left out of the numbers
+        summary: summarize(results.filter(result => !result.error)),
+        repos: results.filter(result => !result.error),
+        errors: results.filter(result => result.error)
+    };
+
+    store.update(data => {
+        const history = [...(data.snapshots[org] || []), snapshot];
+        data.snapshots[org] = history.slice(-ADOPTION_SNAPSHOT_RETENTION);
+    });
+
+    return snapshot;
+}
+
+/**
+ * Repositories whose state got worse from `previous` to `latest`
+ */
+function findRegressions(previous, latest) {
+    if (!previous) {
+        return [];
+    }
+
+    const before = new Map(previous.repos.map(repo => [repo.repo, repo.state]));
+    return latest.repos
+        .filter(repo => before.has(repo.repo) &&
+            ADOPTION_STATES.indexOf(repo.state) > ADOPTION_STATES.indexOf(before.get(repo.repo)))
+        .map(repo => ({ repo: repo.repo, from: before.get(repo.repo), to: repo.state }));
+}
+
+/**
+ * Adoption over the last `limit` snapshots, oldest first, plus the repos that
+ * regressed between the two most recent
+ */
+function getAdoptionTrend(org, { limit = 30 } = {}) {
+    const history = store.read().snapshots[org] || [];
+    const latest = history[history.length - 1] || null;
+    const previous = history[history.length - 2] || null;
+
+    return {
+        org,
+        snapshots: history.length,
+        points: history.slice(-limit).map(snapshot => ({ takenAt: snapshot.takenAt, ...snapshot.summary })),
+        latest: latest ? { takenAt: latest.takenAt, ...latest.summary } : null,
+        previousTakenAt: previous ? previous.takenAt : null,
+        regressions: latest ? findRegressions(previous, latest) : []
+    };
+}
+
+module.exports = {
+    ADOPTION_STATES,
+    takeAdoptionSnapshot,
+    getAdoptionTrend
+};
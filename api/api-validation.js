@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * API Contract Validation
+ * Validates requests against the OpenAPI document (openapi/) and, outside
+ * production, checks that responses match it too. Every request problem is
+ * reported in one 400 VALIDATION_ERROR whose details read
+ * "<location>.<field> <problem>", e.g. "body.repos must contain at least 1 item".
+ */
+
+const { OPENAPI_DOCUMENT, findOperation } = require('./openapi');
+const { validateValue, coerceParameter, formatErrors } = require('./schema-validator');
+
+// Configuration
+const VALIDATE_RESPONSES = process.env.NODE_ENV !== 'production';
+const OPENAPI_STRICT_RESPONSES = process.env.OPENAPI_STRICT_RESPONSES === 'true';
+
+const PARAMETER_LOCATIONS = { path: 'params', query: 'query', header: 'header' };
+
+function resolve(node) {
+    if (!node || !node.$ref) {
+        return node;
+    }
+    return node.$ref.slice(2).split('/').reduce((parent, key) => parent[key], OPENAPI_DOCUMENT);
+}
+
+function parameterValue(req, parameter) {
+    switch (parameter.in) {
+        case 'path':
+            return req.params[parameter.name];
+        case 'header':
+            return req.get(parameter.name);
+        default:
+            return req.query[parameter.name];
+    }
+}
+
+/**
+ * Problems with the request's parameters and body, as { path, message }
+ */
+function checkRequest(operation, req) {
+    const errors = [];
+
+    for (const parameter of (operation.parameters || []).map(resolve)) {
+        const path = `${PARAMETER_LOCATIONS[parameter.in]}.${parameter.name}`;
+        const raw = parameterValue(req, parameter);
+
+        if (raw === undefined || raw === '') {
+            if (parameter.required) {
+                errors.push({ path, message: 'is required' });
+            }
+            continue;
+        }
+        if (typeof raw !== 'string') {
+            errors.push({ path, message: 'must be given once' });
+            continue;
+        }
+
+        // Parameters arrive as strings; check them as the type they declare
+        const value = coerceParameter(parameter.schema, raw, OPENAPI_DOCUMENT);
+        errors.push(...validateValue(parameter.schema, value, { path, root: OPENAPI_DOCUMENT }));
+    }
+
+    if (operation.requestBody) {
+        const { content } = operation.requestBody;
+        const mediaType = typeof req.body === 'string' && content['text/plain'] ? 'text/plain' : 'application/json';
+        errors.push(...validateValue(content[mediaType].schema, req.body === undefined ? {} : req.body, {
+            path: 'body',
+            root: OPENAPI_DOCUMENT
+        }));
+    }
+
+    return errors;
+}
+
+/**
+ * Response problems, or [] when the status and content type are not documented as JSON
+ */
+function checkResponse(operation, status, body) {
+    const response = resolve(operation.responses[status] || operation.responses.default);
+    const media = response && response.content && response.content['application/json'];
+
+    if (!media) {
+        return [];
+    }
+
+    // JSON round trip: undefined properties are dropped and dates become strings, as on the wire
+    const sent = body === undefined ? body : JSON.parse(JSON.stringify(body));
+    return validateValue(media.schema, sent, { path: 'response', root: OPENAPI_DOCUMENT });
+}
+
+/**
+ * Outside production, check every JSON response of `operation` against the
+ * document. Mismatches are logged; with OPENAPI_STRICT_RESPONSES=true the
+ * response is replaced with a 500 so tests fail loudly.
+ */
+function watchResponses(operationId, operation, req, res) {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+        const errors = checkResponse(operation, res.statusCode, body);
+        if (errors.length === 0) {
+            return json(body);
+        }
+
+        const details = formatErrors(errors);
+        console.warn(`⚠️  ${req.method} ${req.originalUrl} (${operationId}) returned ${res.statusCode} not matching the API document:`, details);
+
+        if (!OPENAPI_STRICT_RESPONSES) {
+            return json(body);
+        }
+
+        res.status(500);
+        return json({
+            success: false,
+            error: `Response does not match the API document for ${operationId}`,
+            details,
+            code: 'RESPONSE_VALIDATION_ERROR',
+            timestamp: new Date().toISOString()
+        });
+    };
+}
+
+/**
+ * Middleware validating the request against operation `operationId`. Place
+ * it after authentication and role checks, just before the handler.
+ */
+function validateRequest(operationId) {
+    const found = findOperation(operationId);
+    if (!found) {
+        throw new Error(`No operation ${operationId} in the API document`);
+    }
+
+    const { operation } = found;
+
+    return (req, res, next) => {
+        if (VALIDATE_RESPONSES) {
+            watchResponses(operationId, operation, req, res);
+        }
+
+        const errors = checkRequest(operation, req);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: formatErrors(errors),
+                code: 'VALIDATION_ERROR',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Routes registered on `app` that the document does not describe, and
+ * documented operations with no route, as "METHOD /path" strings
+ */
+function checkRouteCoverage(app) {
+    const routed = new Set();
+
+    for (const layer of app._router.stack) {
+        if (!layer.route || !layer.route.path.startsWith('/api/')) {
+            continue;
+        }
+
+        // Express "/api/roles/:org/:kind(users|teams)" is OpenAPI "/api/roles/{org}/{kind}"
+        const path = layer.route.path.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+        Object.keys(layer.route.methods).forEach(method => routed.add(`${method.toUpperCase()} ${path}`));
+    }
+
+    const documented = new Set(Object.entries(OPENAPI_DOCUMENT.paths)
+        .flatMap(([path, methods]) => Object.keys(methods).map(method => `${method.toUpperCase()} ${path}`)));
+
+    return {
+        undocumented: [...routed].filter(route => !documented.has(route)),
+        unrouted: [...documented].filter(route => !routed.has(route))
+    };
+}
+
+module.exports = {
+    validateRequest,
+    checkRouteCoverage
+};
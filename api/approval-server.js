@@ -6,25 +6,159 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
-const { Octokit } = require('@octokit/rest');
 const rateLimit = require('express-rate-limit');
 const {
+    JWT_EXPIRES_IN_SECONDS,
+    JWT_REFRESH_EXPIRES_IN_SECONDS,
+    RATE_LIMITS,
     verifyGitHubToken,
     generateJWT,
+    getOrgRole,
+    hasOrgPermission,
     authenticateToken,
     requireOrgAccess,
+    requireRole,
     requireAdmin,
+    deny,
     validateApprovalRequest,
+    validateRollbackRequest,
     createUserRateLimit,
     auditLog,
-    securityHeaders,
-    errorHandler
+    auditStream,
+    securityHeaders
 } = require('./security');
+const { recordAudit, queryAudit, verifyAuditChain } = require('./audit-store');
+const { createExpressRateLimitStore } = require('./rate-limit-store');
+const { KeysetError, rotateSigningKey, describeKeyset } = require('./keyset');
+const {
+    SessionError,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeToken,
+    revokeUser
+} = require('./sessions');
+const {
+    ApprovalError,
+    getApprovalPolicy,
+    createApprovalRequest,
+    getApprovalRequest,
+    listApprovalRequests,
+    approveRequest,
+    rejectRequest,
+    cancelRequest,
+    scheduleRequest,
+    deferRequest,
+    listDueRequests,
+    recordDispatch
+} = require('./approvals');
+const { getFreezePolicy, findActiveFreeze } = require('./freezes');
+const { ROLES, RoleError, getRoleAssignments, setRoleAssignment } = require('./roles');
+const { validatePrerequisites } = require('./readiness');
+const {
+    SelectionError,
+    listSelections,
+    getSelection,
+    saveSelection,
+    deleteSelection,
+    resolveSelection,
+    criteriaFromQuery,
+    selectRepos
+} = require('./repo-selection');
+const { REPORT_FORMATS, formatForContentType, renderReadinessReport } = require('./readiness-report');
+const { PreviewError, buildPreview } = require('./preview');
+const { takeAdoptionSnapshot, getAdoptionTrend } = require('./adoption');
+const { ingestCopilotLogs, getCopilotMetrics } = require('./copilot-logs');
+const {
+    NOTIFICATION_EVENTS,
+    NotificationError,
+    sendTestNotification,
+    resumePendingDeliveries,
+    listDeliveries
+} = require('./notifications');
+const {
+    RolloutError,
+    createRollout,
+    startRollout,
+    getRollout,
+    listRollouts,
+    listActiveRollouts,
+    refreshRollout,
+    pauseRollout,
+    resumeRollout,
+    abortRollout,
+    planRollback,
+    linkRollback,
+    getLockScope,
+    listRolloutLocks,
+    requireNoLockConflict,
+    breakRolloutLock,
+    DISPATCH_EVENTS
+} = require('./rollouts');
+const { idempotent } = require('./idempotency');
+const { getChannel, findChannel, parseLastEventId, streamChannel } = require('./event-stream');
+const { publishRolloutState, watchRollout } = require('./rollout-events');
+const { verifyGitHubWebhook, releaseDelivery, handleWebhookEvent } = require('./webhooks');
+const { API_VERSION, OPENAPI_DOCUMENT } = require('./openapi');
+const { validateRequest, checkRouteCoverage } = require('./api-validation');
+const { DOCS_CONTENT_SECURITY_POLICY, renderDocsPage } = require('./openapi-docs');
+const { GitHubAuthError, GitHubRateLimitError, getOctokit, describeGitHubAuth } = require('./github-client');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Rollout dispatches and runs live in the target repository's account
+const rolloutOctokit = rollout => getOctokit(rollout.target.owner);
+
+// The ci-toolkit repository (or specified target repo) that runs rollouts
+const rolloutTarget = () => ({
+    owner: process.env.TARGET_OWNER || 'Butterdime',
+    repo: process.env.TARGET_REPO || 'ci-toolkit'
+});
+
+// GitHub App and GitHub rate-limit failures carry their own status and code;
+// returns false for anything else
+const sendGitHubFailure = (res, error) => {
+    if (!(error instanceof GitHubAuthError || error instanceof GitHubRateLimitError)) {
+        return false;
+    }
+
+    if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+    }
+    res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...error.details,
+        timestamp: new Date().toISOString()
+    });
+    return true;
+};
+
+const sendSelectionFailure = (res, error) => {
+    if (!(error instanceof SelectionError)) {
+        return false;
+    }
+
+    res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+    });
+    return true;
+};
+
+// Repositories picked by ?selection= and criteria query parameters (or the org's default selection)
+const selectFromQuery = (octokit, org, query) =>
+    selectRepos(octokit, org, resolveSelection(org, { name: query.selection, criteria: criteriaFromQuery(query) }));
+
+// What a selection decided, without the plain list of picked names
+const describeSelection = ({ name, criteria, included, excluded, decisions }) => ({ name, criteria, included, excluded, decisions });
+
 // Security headers
 app.use(securityHeaders);
 
@@ -32,155 +166,109 @@ app.use(securityHeaders);
 app.use(cors({
     origin: process.env.DASHBOARD_ORIGIN || 'https://butterdime.github.io',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'Idempotency-Key'],
+    exposedHeaders: ['Content-Disposition', 'Idempotent-Replayed'],
     credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
-
-// Rate limiting (global)
-const globalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 200, // limit each IP to 200 requests per windowMs
-    message: { success: false, error: 'Too many requests from this IP', code: 'RATE_LIMIT_GLOBAL' }
-});
-app.use('/api/', globalLimiter);
-
-// User-specific rate limiting
-const userRateLimit = createUserRateLimit();
-app.use('/api/', userRateLimit);
-
-// GitHub API setup
-const octokit = new Octokit({
-    auth: process.env.GITHUB_TOKEN || process.env.GH_TOKEN
-});
+// GitHub webhooks: signed over the raw body, so registered before the JSON
+// parser, and exempt from the per-user limits below
+app.post('/api/webhooks/github', express.raw({ type: '*/*', limit: '25mb' }), verifyGitHubWebhook, async (req, res) => {
+    const { event, deliveryId, payload } = req.webhook;
 
-// Validation functions
-const validatePrerequisites = async (org, repos) => {
-    const results = {
-        org,
-        total: repos.length,
-        ready: 0,
-        issues: [],
-        readyRepos: []
-    };
+    try {
+        let rollout = handleWebhookEvent(event, payload);
 
-    for (const repo of repos) {
-        const repoStatus = await checkRepoReadiness(org, repo);
-        if (repoStatus.ready) {
-            results.ready++;
-            results.readyRepos.push(repo);
-        } else {
-            results.issues.push({
-                repo,
-                issues: repoStatus.issues
-            });
+        // A finished run: fetch its final jobs, conclude or advance the rollout
+        if (rollout && event === 'workflow_run' && payload.workflow_run.status === 'completed') {
+            rollout = await refreshRollout(await rolloutOctokit(rollout), rollout);
         }
-    }
 
-    results.allReady = results.ready === results.total;
-    return results;
-};
+        if (rollout) {
+            publishRolloutState(rollout);
+        }
 
-const checkRepoReadiness = async (org, repo) => {
-    const issues = [];
-    let ready = true;
+        res.json({
+            success: true,
+            data: { event, deliveryId, handled: Boolean(rollout), rolloutId: rollout ? rollout.id : null },
+            timestamp: new Date().toISOString()
+        });
 
-    try {
-        // Check 1: Repository exists and is accessible
-        const { data: repoData } = await octokit.rest.repos.get({
-            owner: org,
-            repo: repo
+    } catch (error) {
+        console.error(`Error handling ${event} webhook ${deliveryId}:`, error);
+        releaseDelivery(deliveryId);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
         });
+    }
+});
 
-        // Check 2: Has package.json (Node.js project)
-        try {
-            await octokit.rest.repos.getContent({
-                owner: org,
-                repo: repo,
-                path: 'package.json'
-            });
-        } catch (error) {
-            if (error.status === 404) {
-                issues.push('Missing package.json - not a Node.js project');
-                ready = false;
-            }
-        }
+// Copilot log uploads are parsed by their route, after authentication, so
+// an anonymous client cannot make the server buffer a large body
+const COPILOT_UPLOAD_PATH = /^\/api\/copilot\/[^/]+\/logs\/?$/;
+const parseJson = express.json({ limit: '10mb' });
+app.use((req, res, next) => (COPILOT_UPLOAD_PATH.test(req.path) ? next() : parseJson(req, res, next)));
 
-        // Check 3: No recent workflow failures
-        try {
-            const { data: workflows } = await octokit.rest.actions.listWorkflowRuns({
-                owner: org,
-                repo: repo,
-                per_page: 5,
-                status: 'completed'
-            });
+// Rate limiting (global, per IP)
+const globalLimiter = rateLimit({
+    windowMs: RATE_LIMITS.windowSeconds * 1000,
+    max: RATE_LIMITS.global,
+    store: createExpressRateLimitStore('global:'),
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    passOnStoreError: true,
+    message: { success: false, error: 'Too many requests from this IP', code: 'RATE_LIMIT_GLOBAL' }
+});
+app.use('/api/', globalLimiter);
 
-            const recentFailures = workflows.workflow_runs.filter(
-                run => run.conclusion === 'failure' && 
-                Date.now() - new Date(run.created_at).getTime() < 24 * 60 * 60 * 1000 // 24 hours
-            );
+// Per-user rate limiting by route and role. The role is the one in the
+// route's :org, so the limiter finds the route the request will reach.
+const routeParams = req => {
+    const urlPath = req.originalUrl.split('?')[0];
+    const layer = app._router.stack.find(candidate => candidate.route &&
+        (candidate.route.methods[req.method.toLowerCase()] || candidate.route.methods._all) &&
+        candidate.match(urlPath));
+    return layer ? layer.params : {};
+};
+const userRateLimit = createUserRateLimit(RATE_LIMITS, { routeParams });
+app.use('/api/', userRateLimit);
 
-            if (recentFailures.length > 0) {
-                issues.push(`${recentFailures.length} workflow failure(s) in last 24h`);
-                ready = false;
-            }
-        } catch (error) {
-            // Workflows might not exist yet, which is fine
-        }
+// Middleware chain shared by every org-scoped route
+const orgAccess = [authenticateToken, requireOrgAccess];
 
-        // Check 4: Default branch protection (optional warning)
-        try {
-            await octokit.rest.repos.getBranchProtection({
-                owner: org,
-                repo: repo,
-                branch: repoData.default_branch
-            });
-        } catch (error) {
-            if (error.status === 404) {
-                issues.push('No branch protection rules (warning only)');
-                // Don't mark as not ready for this
-            }
-        }
+// How often a standalone server advances staged rollouts between waves
+const STAGED_ROLLOUT_POLL_MS = parseInt(process.env.ROLLOUT_POLL_SECONDS, 10) * 1000 || 10000;
 
-    } catch (error) {
-        if (error.status === 404) {
-            issues.push('Repository not found or no access');
-            ready = false;
-        } else {
-            issues.push(`API error: ${error.message}`);
-            ready = false;
-        }
-    }
+// How often a standalone server checks for scheduled rollouts that are due
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) * 1000 || 60000;
 
-    return { ready, issues };
-};
+// Rollout statuses that mean a workflow run is pending, executing or between waves
+const ACTIVE_ROLLOUT_STATUSES = ['dispatched', 'queued', 'in_progress', 'paused'];
 
 // API Routes
 
 // Authentication endpoint
-app.post('/api/auth/github', async (req, res) => {
+app.post('/api/auth/github', auditLog('authentication'), validateRequest('signIn'), async (req, res) => {
     try {
         const { github_token } = req.body;
         
-        if (!github_token) {
-            return res.status(400).json({
-                success: false,
-                error: 'GitHub token required',
-                code: 'TOKEN_REQUIRED'
-            });
-        }
-        
         // Verify GitHub token and get user info
         const user = await verifyGitHubToken(github_token);
+        req.user = user;
         
-        // Generate JWT token
-        const jwt_token = generateJWT(user);
+        // Short-lived access token plus a refresh token for the new session
+        const { session, refreshToken } = await createSession(user, JWT_REFRESH_EXPIRES_IN_SECONDS);
+        const jwt_token = await generateJWT(user, session.id);
         
         res.json({
             success: true,
             data: {
                 token: jwt_token,
+                expires_in: JWT_EXPIRES_IN_SECONDS,
+                refresh_token: refreshToken,
+                refresh_expires_at: session.expiresAt,
                 user: {
                     id: user.id,
                     login: user.login,
@@ -204,50 +292,169 @@ app.post('/api/auth/github', async (req, res) => {
     }
 });
 
+const sendAuthFailure = (res, error, context) => {
+    if (error instanceof SessionError || error instanceof KeysetError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Exchange a refresh token for a new access token (and a replacement refresh token)
+app.post('/api/auth/refresh', auditLog('token_refresh'), validateRequest('refreshToken'), async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        const result = await rotateRefreshToken(refresh_token);
+        req.user = result.session.user;
+
+        if (result.reused) {
+            // A replaced token came back: someone else may hold this session
+            throw new SessionError('Refresh token reuse detected - session revoked', 'REFRESH_REUSED');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                token: await generateJWT(result.session.user, result.session.id),
+                expires_in: JWT_EXPIRES_IN_SECONDS,
+                refresh_token: result.refreshToken,
+                refresh_expires_at: result.session.expiresAt
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthFailure(res, error, 'refreshing token');
+    }
+});
+
+// End the caller's session and revoke the access token used for this call
+app.post('/api/auth/logout', authenticateToken, auditLog('logout'), validateRequest('signOut'), async (req, res) => {
+    try {
+        await revokeToken(req.user.jti, req.user.exp);
+        if (req.user.sid) {
+            await revokeSession(req.user.sid, 'logout');
+        }
+
+        res.json({
+            success: true,
+            message: 'Signed out',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthFailure(res, error, 'signing out');
+    }
+});
+
+// Revoke every session and token of a user (e.g. after a token leak)
+app.post('/api/auth/revoke', authenticateToken, requireAdmin, auditLog('token_revoke'), validateRequest('revokeUserTokens'), async (req, res) => {
+    try {
+        const { login } = req.body;
+
+        res.json({
+            success: true,
+            data: await revokeUser(login, `revoked by ${req.user.login}`),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthFailure(res, error, 'revoking tokens');
+    }
+});
+
+// Signing keyset (key IDs and dates only)
+app.get('/api/auth/keys', authenticateToken, requireAdmin, validateRequest('getSigningKeys'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await describeKeyset(),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthFailure(res, error, 'reading keyset');
+    }
+});
+
+// Rotate the signing key; the old key verifies until its tokens expire
+app.post('/api/auth/keys/rotate', authenticateToken, requireAdmin, auditLog('key_rotation'), validateRequest('rotateSigningKey'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await rotateSigningKey(JWT_EXPIRES_IN_SECONDS),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAuthFailure(res, error, 'rotating signing key');
+    }
+});
+
 // Health check (public)
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validateRequest('getHealth'), (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        version: '2.0.0',
+        version: API_VERSION,
         features: {
             authentication: true,
             authorization: true,
             rate_limiting: true,
-            audit_logging: true
-        }
+            audit_logging: true,
+            webhooks: Boolean(process.env.GITHUB_WEBHOOK_SECRET),
+            sandbox: process.env.GITHUB_SANDBOX === 'true'
+        },
+        github_auth: describeGitHubAuth()
     });
 });
 
-// Get readiness status for organization
-app.get('/api/readiness/:org', async (req, res) => {
+// OpenAPI document (public)
+app.get('/api/openapi.json', validateRequest('getOpenApiDocument'), (req, res) => {
+    res.json(OPENAPI_DOCUMENT);
+});
+
+// Browsable API reference rendered from the OpenAPI document (public)
+const docsPage = renderDocsPage(OPENAPI_DOCUMENT);
+app.get('/api/docs', validateRequest('getApiDocs'), (req, res) => {
+    res.set('Content-Security-Policy', DOCS_CONTENT_SECURITY_POLICY);
+    res.type('html').send(docsPage);
+});
+
+// Get readiness status for organization, or export it with ?format= or an Accept header
+app.get('/api/readiness/:org', orgAccess, auditLog('readiness_check'), validateRequest('getReadiness'), async (req, res) => {
     try {
         const { org } = req.params;
-        
-        // Get list of repositories for the org
-        const { data: repos } = await octokit.rest.repos.listForOrg({
-            org,
-            type: 'all',
-            per_page: 100,
-            sort: 'updated'
-        });
+        const refresh = req.query.refresh === 'true';
 
-        // Filter to Node.js repositories (those with package.json)
-        const nodeRepos = [];
-        for (const repo of repos) {
-            try {
-                await octokit.rest.repos.getContent({
-                    owner: org,
-                    repo: repo.name,
-                    path: 'package.json'
-                });
-                nodeRepos.push(repo.name);
-            } catch (error) {
-                // Skip non-Node.js repositories
-            }
-        }
+        // A plain JSON Accept keeps the usual response envelope
+        const negotiated = req.accepts(['application/json', ...Object.values(REPORT_FORMATS).map(format => format.contentType)]);
+        const format = req.query.format || (negotiated && negotiated !== 'application/json' ? formatForContentType(negotiated) : null);
 
-        const validation = await validatePrerequisites(org, nodeRepos);
+        // The repositories the selection picks, from every page of the org's listing
+        const octokit = await getOctokit(org);
+        const selection = await selectFromQuery(octokit, org, req.query);
+
+        const validation = await validatePrerequisites(octokit, org, selection.repos, { refresh });
+        validation.scanned = selection.scanned;
+        validation.selection = describeSelection(selection);
+
+        if (format) {
+            const report = renderReadinessReport(validation, format);
+            res.set('Content-Disposition', `attachment; filename="${report.filename}"`);
+            return res.type(report.contentType).send(report.body);
+        }
         
         res.json({
             success: true,
@@ -256,6 +463,10 @@ app.get('/api/readiness/:org', async (req, res) => {
         });
 
     } catch (error) {
+        if (sendGitHubFailure(res, error) || sendSelectionFailure(res, error)) {
+            return;
+        }
+
         console.error('Error checking readiness:', error);
         res.status(500).json({
             success: false,
@@ -265,83 +476,80 @@ app.get('/api/readiness/:org', async (req, res) => {
     }
 });
 
-// Approve and execute rollout
-app.post('/api/approve/:org', async (req, res) => {
-    try {
-        const { org } = req.params;
-        const { repos, rolloutType = 'full', approvedBy } = req.body;
-
-        // Validate input
-        if (!repos || !Array.isArray(repos) || repos.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'repos array is required and must not be empty'
-            });
-        }
+// Stream a readiness scan repo by repo (Server-Sent Events)
+app.get('/api/readiness/:org/stream', orgAccess, auditStream('readiness_stream'), validateRequest('streamReadiness'), (req, res) => {
+    const { org } = req.params;
+    const refresh = req.query.refresh === 'true';
 
-        if (!approvedBy) {
-            return res.status(400).json({
-                success: false,
-                error: 'approvedBy field is required for audit trail'
-            });
-        }
+    // Reconnecting clients resume the scan they were following
+    const resume = parseLastEventId(req);
+    const existing = resume && findChannel(resume.channelId);
+    if (existing && existing.kind === 'readiness' && existing.org === org) {
+        return streamChannel(req, res, existing, resume.seq);
+    }
 
-        // Re-validate prerequisites before approval
-        const validation = await validatePrerequisites(org, repos);
-        
-        if (!validation.allReady) {
-            return res.status(400).json({
-                success: false,
-                error: 'Prerequisites not met',
-                validation,
-                timestamp: new Date().toISOString()
-            });
-        }
+    const channel = getChannel(crypto.randomUUID());
+    channel.kind = 'readiness';
+    channel.org = org;
+    streamChannel(req, res, channel);
 
-        // Send repository dispatch event
-        const dispatchPayload = {
-            event_type: 'start-rollout',
-            client_payload: {
-                org,
-                repos: validation.readyRepos,
-                rollout_type: rolloutType,
-                approved_by: approvedBy,
-                approved_at: new Date().toISOString(),
-                prerequisites_validated: true
-            }
-        };
+    (async () => {
+        channel.publish('started', { scanId: channel.id, org, refresh });
 
-        // Dispatch to the ci-toolkit repository (or specified target repo)
-        const targetOwner = process.env.TARGET_OWNER || 'Butterdime';
-        const targetRepo = process.env.TARGET_REPO || 'ci-toolkit';
+        const octokit = await getOctokit(org);
+        const selection = await selectFromQuery(octokit, org, req.query);
+        channel.publish('discovery', { scanned: selection.scanned, total: selection.repos.length, selection: describeSelection(selection) });
 
-        await octokit.rest.repos.createDispatchEvent({
-            owner: targetOwner,
-            repo: targetRepo,
-            ...dispatchPayload
+        const validation = await validatePrerequisites(octokit, org, selection.repos, {
+            refresh,
+            onRepoChecked: result => channel.publish('repo', result)
         });
+        validation.scanned = selection.scanned;
+        validation.selection = describeSelection(selection);
 
-        console.log(`✅ Rollout approved and dispatched for ${org}:`, {
-            repos: validation.readyRepos,
-            approvedBy,
-            timestamp: new Date().toISOString()
+        channel.publish('complete', validation);
+    })().catch(error => {
+        console.error('Error streaming readiness:', error);
+        channel.publish('error', { error: error.message, code: error.code, ...error.details });
+    }).finally(() => channel.close());
+});
+
+// Dry-run preview: the exact managed-file changes a rollout would make per repository
+app.get('/api/preview/:org', orgAccess, auditLog('rollout_preview'), validateRequest('getRolloutPreview'), async (req, res) => {
+    try {
+        const { org } = req.params;
+        const repos = req.query.repos.split(',').map(repo => repo.trim());
+
+        const target = rolloutTarget();
+        const preview = await buildPreview({
+            octokit: await getOctokit(org),
+            toolkitOctokit: await getOctokit(target.owner),
+            org,
+            repos,
+            target
         });
 
         res.json({
             success: true,
-            message: 'Rollout approved and dispatched successfully',
-            data: {
-                org,
-                repos: validation.readyRepos,
-                rolloutType,
-                approvedBy,
-                dispatchTarget: `${targetOwner}/${targetRepo}`,
-                timestamp: new Date().toISOString()
-            }
+            data: preview,
+            timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Error processing approval:', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error instanceof PreviewError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.error('Error building preview:', error);
         res.status(500).json({
             success: false,
             error: error.message,
@@ -350,49 +558,44 @@ app.post('/api/approve/:org', async (req, res) => {
     }
 });
 
-// Get rollout status (for feedback loop)
-app.get('/api/status/:org', async (req, res) => {
+// Scan workflow adoption across the org's Node.js repositories and store it as a snapshot
+app.get('/api/adoption/:org', orgAccess, auditLog('adoption_check'), validateRequest('scanAdoption'), async (req, res) => {
     try {
         const { org } = req.params;
-        
-        // Check for recent rollout workflow runs
-        const targetOwner = process.env.TARGET_OWNER || 'Butterdime';
-        const targetRepo = process.env.TARGET_REPO || 'ci-toolkit';
-        
-        const { data: workflows } = await octokit.rest.actions.listWorkflowRuns({
-            owner: targetOwner,
-            repo: targetRepo,
-            per_page: 10,
-            event: 'repository_dispatch'
-        });
+        const octokit = await getOctokit(org);
+        // Same scope as readiness scans: the org's default selection
+        const selection = await selectRepos(octokit, org, resolveSelection(org));
 
-        // Filter for rollout workflows for this org
-        const orgRollouts = workflows.workflow_runs.filter(run => {
-            // This would need to be enhanced based on how we store org info in workflow runs
-            return run.display_title && run.display_title.includes(org);
+        const target = rolloutTarget();
+        const snapshot = await takeAdoptionSnapshot({
+            octokit,
+            toolkitOctokit: await getOctokit(target.owner),
+            org,
+            repos: selection.repos,
+            target
         });
 
-        const latestRollout = orgRollouts[0];
-        
         res.json({
             success: true,
-            data: {
-                org,
-                hasActiveRollout: latestRollout && ['in_progress', 'queued'].includes(latestRollout.status),
-                latestRollout: latestRollout ? {
-                    id: latestRollout.id,
-                    status: latestRollout.status,
-                    conclusion: latestRollout.conclusion,
-                    created_at: latestRollout.created_at,
-                    updated_at: latestRollout.updated_at,
-                    html_url: latestRollout.html_url
-                } : null,
-                timestamp: new Date().toISOString()
-            }
+            data: { ...snapshot, scanned: selection.scanned },
+            timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Error getting rollout status:', error);
+        if (sendGitHubFailure(res, error) || sendSelectionFailure(res, error)) {
+            return;
+        }
+
+        if (error instanceof PreviewError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.error('Error checking adoption:', error);
         res.status(500).json({
             success: false,
             error: error.message,
@@ -401,27 +604,1209 @@ app.get('/api/status/:org', async (req, res) => {
     }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-    console.error('Unhandled error:', error);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
+// Adoption over stored snapshots, and the repos that regressed since the previous one
+app.get('/api/adoption/:org/trend', orgAccess, validateRequest('getAdoptionTrend'), (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 30;
+
+    res.json({
+        success: true,
+        data: getAdoptionTrend(req.params.org, { limit }),
         timestamp: new Date().toISOString()
     });
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Endpoint not found',
-        timestamp: new Date().toISOString()
+// Files each repository's dispatch will write, from a fresh preview.
+// Rollbacks use them to revert; null when the preview cannot be built.
+const recordRolloutChanges = async (org, repos) => {
+    try {
+        const target = rolloutTarget();
+        const preview = await buildPreview({
+            octokit: await getOctokit(org),
+            toolkitOctokit: await getOctokit(target.owner),
+            org,
+            repos,
+            target
+        });
+
+        return Object.fromEntries(preview.repos.map(repo => [
+            repo.repo,
+            repo.files
+                .filter(file => file.action !== 'noop')
+                .map(file => ({ path: file.path, action: file.action, previousSha: file.currentSha }))
+        ]));
+    } catch (error) {
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        console.error(`Could not record file changes for ${org} rollout:`, error);
+        return null;
+    }
+};
+
+// Refuse an approval given for a preview the templates or repositories have
+// since moved on from; the approver has to review the current one first
+const requireCurrentPreview = async (org, repos, previewHash) => {
+    const target = rolloutTarget();
+    const preview = await buildPreview({
+        octokit: await getOctokit(org),
+        toolkitOctokit: await getOctokit(target.owner),
+        org,
+        repos,
+        target
+    });
+
+    if (preview.previewHash !== previewHash) {
+        throw new ApprovalError('The preview is out of date - the templates or repositories have changed since it was taken. ' +
+            'Review the current preview before approving.', 'PREVIEW_STALE', 409);
+    }
+};
+
+// Dispatch an approved request to the rollout workflow.
+// `user` is null when the scheduler runs a request whose time has come.
+const dispatchApprovedRequest = async (request, user, validation) => {
+    const rolloutTargetRepo = rolloutTarget();
+    const target = `${rolloutTargetRepo.owner}/${rolloutTargetRepo.repo}`;
+
+    // A freeze may have started since the request was approved.
+    // A scheduled request waits for it to end instead of failing.
+    const freeze = findActiveFreeze(request.org);
+    if (freeze && !request.freezeOverride) {
+        if (request.status === 'scheduled' && freeze.endsAt) {
+            return { dispatched: false, freeze, deferred: true, approval: deferRequest(request.id, freeze.endsAt, freeze) };
+        }
+        recordDispatch(request.id, { dispatched: false, error: `Change freeze active: ${freeze.name}`, target });
+        return { dispatched: false, freeze };
+    }
+
+    let repos;
+    let changes;
+
+    if (request.rollbackOf) {
+        // Reverts need no prerequisites, but the rollout must still be revertible
+        try {
+            ({ repos, changes } = planRollback(getRollout(request.rollbackOf), request.repos));
+        } catch (error) {
+            recordDispatch(request.id, { dispatched: false, error: error.message, target });
+            throw error;
+        }
+    } else {
+        // Re-validate prerequisites unless the caller just did
+        if (!validation) {
+            validation = await validatePrerequisites(await getOctokit(request.org), request.org, request.repos, { refresh: true });
+        }
+
+        if (!validation.allReady) {
+            recordDispatch(request.id, { dispatched: false, error: 'Prerequisites not met', target });
+            return { dispatched: false, validation };
+        }
+
+        repos = validation.readyRepos;
+        changes = await recordRolloutChanges(request.org, repos);
+    }
+
+    const approvers = request.approvals.map(approval => approval.login);
+
+    let rollout;
+    try {
+        // Refused while an overlapping rollout still holds its lock
+        rollout = createRollout({
+            org: request.org,
+            repos,
+            rolloutType: request.rolloutType,
+            approvalId: request.id,
+            approvers,
+            target: rolloutTargetRepo,
+            mode: request.rolloutMode,
+            strategy: request.strategy,
+            changes,
+            rollbackOf: request.rollbackOf
+        });
+    } catch (error) {
+        recordDispatch(request.id, { dispatched: false, error: error.message, target });
+        throw error;
+    }
+
+    try {
+        // Dispatch to the ci-toolkit repository (or specified target repo)
+        await startRollout(await rolloutOctokit(rollout), rollout);
+    } catch (error) {
+        recordDispatch(request.id, { dispatched: false, error: error.message, target });
+        throw error;
+    }
+
+    if (rollout.rollbackOf) {
+        linkRollback(rollout);
+    }
+
+    const approval = recordDispatch(request.id, { dispatched: true, target, rolloutId: rollout.id });
+
+    // The rollout is already running: a failed audit write must not turn this into an error a client retries
+    await recordAudit({
+        action: 'dispatch',
+        user: user ? { id: user.id, login: user.login, name: user.name } : null,
+        organization: request.org,
+        details: {
+            eventType: DISPATCH_EVENTS[rollout.kind],
+            target,
+            approvalId: request.id,
+            rolloutId: rollout.id,
+            rollbackOf: rollout.rollbackOf,
+            approvers,
+            repos: rollout.waves ? rollout.waves[0].repos : rollout.repos,
+            rolloutType: request.rolloutType,
+            mode: rollout.mode,
+            previewHash: request.previewHash,
+            wave: rollout.waves ? rollout.waves[0].name : undefined
+        }
+    }).catch(error => {
+        console.error(`Failed to audit dispatch of rollout ${rollout.id}:`, error);
+    });
+
+    console.log(`✅ ${rollout.rollbackOf ? 'Rollback' : 'Rollout'} ${rollout.id} approved and dispatched for ${request.org}:`, {
+        repos,
+        approvers,
+        timestamp: new Date().toISOString()
+    });
+
+    return {
+        dispatched: true,
+        data: {
+            org: request.org,
+            repos,
+            rolloutType: request.rolloutType,
+            approvedBy: user ? user.login : null,
+            approvers,
+            rolloutId: rollout.id,
+            rollbackOf: rollout.rollbackOf,
+            rolloutMode: rollout.mode,
+            waves: rollout.waves ? rollout.waves.map(wave => ({ name: wave.name, repos: wave.repos })) : undefined,
+            approvalId: request.id,
+            approval,
+            dispatchTarget: target,
+            timestamp: new Date().toISOString()
+        }
+    };
+};
+
+// Dispatch now, or hold the request until its scheduledFor time
+const executeApprovedRequest = async (request, user, validation) => {
+    if (request.scheduledFor && new Date(request.scheduledFor) > new Date()) {
+        return { scheduled: true, approval: scheduleRequest(request.id) };
+    }
+
+    return dispatchApprovedRequest(request, user, validation);
+};
+
+// `extra` is merged into the response data
+const sendDispatchResult = (res, result, extra = {}) => {
+    if (result.scheduled) {
+        return res.status(202).json({
+            success: true,
+            message: `Rollout approved and scheduled for ${result.approval.scheduledFor}`,
+            data: { approval: result.approval, ...extra },
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (result.freeze) {
+        return res.status(423).json({
+            success: false,
+            error: `Change freeze active: ${result.freeze.name}`,
+            code: 'FREEZE_ACTIVE',
+            freeze: result.freeze,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (!result.dispatched) {
+        return res.status(400).json({
+            success: false,
+            error: 'Prerequisites not met',
+            code: 'PREREQUISITES_NOT_MET',
+            validation: result.validation,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Rollout approved and dispatched successfully',
+        data: { ...result.data, ...extra }
+    });
+};
+
+/**
+ * Why a selection cannot become a rollout request, as { error, code, details },
+ * or null. Selected repositories are held to the same limit as a listed set.
+ */
+const selectionProblem = (selection, strategy) => {
+    const limit = OPENAPI_DOCUMENT.components.schemas.RepoList.maxItems;
+
+    if (selection.repos.length === 0) {
+        return { error: 'The selection matches no repositories', code: 'SELECTION_EMPTY' };
+    }
+    if (selection.repos.length > limit) {
+        return {
+            error: `The selection matches ${selection.repos.length} repositories; a rollout takes at most ${limit}`,
+            code: 'SELECTION_TOO_LARGE'
+        };
+    }
+    if (strategy && strategy.canary && strategy.canary.some(repo => !selection.repos.includes(repo))) {
+        return {
+            error: 'Validation failed',
+            code: 'VALIDATION_ERROR',
+            details: ['body.strategy.canary must only list repositories the selection picks']
+        };
+    }
+    return null;
+};
+
+const sendApprovalFailure = (res, error, context) => {
+    if (sendGitHubFailure(res, error) || sendSelectionFailure(res, error)) {
+        return;
+    }
+
+    if (error instanceof ApprovalError || error instanceof RolloutError || error instanceof PreviewError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...error.details,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Block approvals that would run during a change freeze unless an admin
+// overrides it; returns the override to record on the request, if any
+const resolveFreezeOverride = (req, org, executeAt) => {
+    const freeze = findActiveFreeze(org, executeAt);
+    if (!freeze) {
+        return null;
+    }
+
+    const { freezeOverride } = req.body;
+    if (!freezeOverride) {
+        throw new ApprovalError(`Change freeze active: ${freeze.name}`, 'FREEZE_ACTIVE', 423, { freeze });
+    }
+    if (typeof freezeOverride.reason !== 'string' || !freezeOverride.reason.trim()) {
+        throw new ApprovalError('freezeOverride.reason must be a non-empty string', 'VALIDATION_ERROR', 400);
+    }
+    if (getOrgRole(req.user, org) !== 'admin') {
+        throw new ApprovalError('Only admins can override a change freeze', 'FREEZE_OVERRIDE_NOT_ALLOWED', 403, { freeze });
+    }
+
+    return {
+        by: req.user.login,
+        reason: freezeOverride.reason.trim(),
+        freezeId: freeze.id,
+        freezeName: freeze.name,
+        executeAt: executeAt.toISOString(),
+        at: new Date().toISOString()
+    };
+};
+
+const auditFreezeOverride = (user, org, approvalId, override) => recordAudit({
+    action: 'freeze_override',
+    user: { id: user.id, login: user.login, name: user.name },
+    organization: org,
+    details: { approvalId, ...override }
+});
+
+// Request (and, once quorum is met, execute) a rollout.
+// Retries carrying the same Idempotency-Key get the first response back.
+app.post('/api/approve/:org', orgAccess, auditLog('approval'), requireRole('approver'), validateRequest('requestRollout'), validateApprovalRequest, idempotent('approve'), async (req, res) => {
+    try {
+        const { org } = req.params;
+        const { rolloutType = 'full', rolloutMode = 'all-at-once', strategy, scheduledFor, previewHash } = req.body;
+
+        // Freezes apply to when the rollout would run, not when it is approved
+        const freezeOverride = resolveFreezeOverride(req, org, scheduledFor ? new Date(scheduledFor) : new Date());
+
+        const octokit = await getOctokit(org);
+        let { repos } = req.body;
+        let selection = null;
+
+        // Without a repository list, a saved selection and/or criteria pick the repositories
+        if (!repos) {
+            selection = await selectRepos(octokit, org,
+                resolveSelection(org, { name: req.body.selection, criteria: req.body.criteria }));
+            repos = selection.repos;
+
+            const problem = selectionProblem(selection, strategy);
+            if (problem) {
+                return res.status(400).json({
+                    success: false,
+                    ...problem,
+                    selection: describeSelection(selection),
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        const selectionDetails = selection ? { selection: describeSelection(selection) } : {};
+
+        // A rollout that would run now cannot start while an overlapping one holds its lock
+        if (!scheduledFor) {
+            requireNoLockConflict(org, repos);
+        }
+
+        // Re-validate prerequisites before approval
+        const validation = await validatePrerequisites(octokit, org, repos, { refresh: true });
+        
+        if (!validation.allReady) {
+            return res.status(400).json({
+                success: false,
+                error: 'Prerequisites not met',
+                code: 'PREREQUISITES_NOT_MET',
+                validation,
+                ...selectionDetails,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (previewHash) {
+            await requireCurrentPreview(org, validation.readyRepos, previewHash);
+        }
+
+        // Requester identity comes from the verified JWT, never from the request body
+        const { request, quorumMet } = createApprovalRequest({
+            org,
+            repos: validation.readyRepos,
+            rolloutType,
+            rolloutMode,
+            strategy,
+            scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null,
+            freezeOverride,
+            previewHash,
+            selection: selection && { name: selection.name, criteria: selection.criteria },
+            requestedBy: req.user.login
+        });
+
+        if (freezeOverride) {
+            await auditFreezeOverride(req.user, org, request.id, freezeOverride);
+        }
+
+        if (!quorumMet) {
+            return res.status(202).json({
+                success: true,
+                message: `Rollout request created - ${request.approvalsRemaining} more approval(s) required`,
+                data: { approval: request, ...selectionDetails },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        sendDispatchResult(res, await executeApprovedRequest(request, req.user, validation), selectionDetails);
+
+    } catch (error) {
+        sendApprovalFailure(res, error, 'processing approval');
+    }
+});
+
+// List rollout requests for organization
+app.get('/api/approvals/:org', orgAccess, validateRequest('listApprovals'), (req, res) => {
+    try {
+        const { org } = req.params;
+        const approvals = listApprovalRequests(org, { status: req.query.status });
+
+        res.json({
+            success: true,
+            data: { org, policy: getApprovalPolicy(org), approvals },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendApprovalFailure(res, error, 'listing approvals');
+    }
+});
+
+// View a single rollout request
+app.get('/api/approvals/:org/:id', orgAccess, validateRequest('getApproval'), (req, res) => {
+    const approval = getApprovalRequest(req.params.org, req.params.id);
+
+    if (!approval) {
+        return res.status(404).json({
+            success: false,
+            error: `Approval request not found: ${req.params.id}`,
+            code: 'APPROVAL_NOT_FOUND',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.json({
+        success: true,
+        data: approval,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Approve a pending request; dispatches when this approval meets quorum
+app.post('/api/approvals/:org/:id/approve', orgAccess, auditLog('approval_vote'), requireRole('approver'), validateRequest('approveRequest'), async (req, res) => {
+    try {
+        const { org, id } = req.params;
+        const { comment, previewHash } = req.body;
+
+        const pending = getApprovalRequest(org, id);
+        if (previewHash && pending && pending.status === 'pending') {
+            await requireCurrentPreview(org, pending.repos, previewHash);
+        }
+
+        const freezeOverride = pending && pending.status === 'pending' && !pending.freezeOverride
+            ? resolveFreezeOverride(req, org, pending.scheduledFor ? new Date(pending.scheduledFor) : new Date())
+            : null;
+
+        const { request, quorumMet } = approveRequest(org, id, req.user.login, comment, freezeOverride, previewHash);
+
+        if (freezeOverride) {
+            await auditFreezeOverride(req.user, org, id, freezeOverride);
+        }
+
+        if (!quorumMet) {
+            return res.json({
+                success: true,
+                message: `Approval recorded - ${request.approvalsRemaining} more approval(s) required`,
+                data: { approval: request },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        sendDispatchResult(res, await executeApprovedRequest(request, req.user));
+
+    } catch (error) {
+        sendApprovalFailure(res, error, 'recording approval');
+    }
+});
+
+// Reject a pending request
+app.post('/api/approvals/:org/:id/reject', orgAccess, auditLog('approval_reject'), requireRole('approver'), validateRequest('rejectRequest'), (req, res) => {
+    try {
+        const { org, id } = req.params;
+        const approval = rejectRequest(org, id, req.user.login, req.body.reason);
+
+        res.json({
+            success: true,
+            message: 'Rollout request rejected',
+            data: { approval },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendApprovalFailure(res, error, 'rejecting approval');
+    }
+});
+
+// Cancel a pending request
+app.post('/api/approvals/:org/:id/cancel', orgAccess, auditLog('approval_cancel'), requireRole('approver'), validateRequest('cancelRequest'), (req, res) => {
+    try {
+        const { org, id } = req.params;
+        const approval = cancelRequest(org, id, { login: req.user.login, isAdmin: req.orgRole === 'admin' });
+
+        res.json({
+            success: true,
+            message: 'Rollout request cancelled',
+            data: { approval },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendApprovalFailure(res, error, 'cancelling approval');
+    }
+});
+
+// Freeze windows for organization, and the one in force right now
+app.get('/api/freezes/:org', orgAccess, validateRequest('getFreezes'), (req, res) => {
+    try {
+        const { org } = req.params;
+
+        res.json({
+            success: true,
+            data: { org, ...getFreezePolicy(org), active: findActiveFreeze(org) },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error reading freeze windows:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Dispatch scheduled requests whose time has come
+let schedulerRunning = false;
+const runScheduledRollouts = async () => {
+    if (schedulerRunning) {
+        return [];
+    }
+
+    schedulerRunning = true;
+    const results = [];
+
+    try {
+        for (const request of listDueRequests()) {
+            try {
+                // Prerequisites are re-validated as part of the dispatch
+                const result = await dispatchApprovedRequest(request, null);
+                results.push({
+                    approvalId: request.id,
+                    org: request.org,
+                    dispatched: result.dispatched,
+                    rolloutId: result.dispatched ? result.data.rolloutId : null,
+                    deferredUntil: result.deferred ? result.approval.scheduledFor : undefined,
+                    code: result.dispatched ? null : (result.freeze ? 'FREEZE_ACTIVE' : 'PREREQUISITES_NOT_MET')
+                });
+                if (result.deferred) {
+                    console.log(`⏸️ Scheduled rollout ${request.id} held by ${result.freeze.name} until ${result.approval.scheduledFor}`);
+                }
+            } catch (error) {
+                // Left scheduled unless the dispatch itself failed, so transient errors are retried
+                console.error(`Error running scheduled rollout ${request.id}:`, error);
+                results.push({ approvalId: request.id, org: request.org, dispatched: false, code: error.code, error: error.message });
+            }
+        }
+    } finally {
+        schedulerRunning = false;
+    }
+
+    return results;
+};
+
+// Run due scheduled rollouts now (for serverless cron triggers)
+app.post('/api/schedules/run', authenticateToken, requireAdmin, auditLog('scheduled_run'), validateRequest('runScheduledRollouts'), async (req, res) => {
+    try {
+        const results = await runScheduledRollouts();
+
+        res.json({
+            success: true,
+            data: { processed: results.length, results },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error running scheduled rollouts:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Get rollout status (for feedback loop)
+app.get('/api/status/:org', orgAccess, auditLog('status_check'), validateRequest('getRolloutStatus'), async (req, res) => {
+    try {
+        const { org } = req.params;
+        
+        // Latest rollout this server dispatched for the org, matched to its exact run
+        const [latest] = listRollouts(org, { limit: 1 });
+        const latestRollout = latest ? await refreshRollout(await rolloutOctokit(latest), latest) : null;
+        
+        res.json({
+            success: true,
+            data: {
+                org,
+                hasActiveRollout: Boolean(latestRollout && ACTIVE_ROLLOUT_STATUSES.includes(latestRollout.status)),
+                latestRollout: latestRollout ? {
+                    id: latestRollout.id,
+                    status: latestRollout.status,
+                    conclusion: latestRollout.conclusion,
+                    mode: latestRollout.mode,
+                    current_wave: latestRollout.waves ? latestRollout.waves[latestRollout.currentWave].name : null,
+                    halt_reason: latestRollout.haltReason || null,
+                    created_at: latestRollout.createdAt,
+                    updated_at: latestRollout.updatedAt,
+                    run_id: latestRollout.run ? latestRollout.run.id : null,
+                    html_url: latestRollout.run ? latestRollout.run.html_url : null
+                } : null,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        console.error('Error getting rollout status:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Load a rollout by ID and check access to its organization
+const loadRollout = (req, res, next) => {
+    const rollout = getRollout(req.params.id);
+
+    if (!rollout) {
+        return res.status(404).json({
+            success: false,
+            error: `Rollout not found: ${req.params.id}`,
+            code: 'ROLLOUT_NOT_FOUND'
+        });
+    }
+
+    if (!hasOrgPermission(req.user, rollout.org)) {
+        return deny(req, res, 403, {
+            success: false,
+            error: `Access denied to organization: ${rollout.org}`,
+            code: 'ORG_ACCESS_DENIED'
+        });
+    }
+
+    req.rollout = rollout;
+    req.organization = rollout.org;
+    next();
+};
+
+// Rollout history for organization
+app.get('/api/rollouts', orgAccess, validateRequest('listRollouts'), (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    res.json({
+        success: true,
+        data: {
+            org: req.organization,
+            rollouts: listRollouts(req.organization, { limit })
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Stream rollout state transitions (Server-Sent Events)
+app.get('/api/rollouts/:id/stream', authenticateToken, loadRollout, auditStream('rollout_stream'), validateRequest('streamRollout'), async (req, res) => {
+    let rollout = req.rollout;
+
+    try {
+        rollout = await refreshRollout(await rolloutOctokit(rollout), rollout);
+    } catch (error) {
+        // Stream the stored state; the poller retries GitHub
+        console.error('Error refreshing rollout for stream:', error);
+    }
+
+    const resume = parseLastEventId(req);
+    const afterSeq = resume && resume.channelId === rollout.id ? resume.seq : 0;
+
+    streamChannel(req, res, watchRollout(() => rolloutOctokit(rollout), rollout), afterSeq);
+});
+
+// Current status of each rollback linked to a rollout
+const withRollbackStatus = rollout => {
+    if (!rollout.rollbacks) {
+        return rollout;
+    }
+
+    return {
+        ...rollout,
+        rollbacks: rollout.rollbacks.map(link => {
+            const rollback = getRollout(link.rolloutId);
+            return { ...link, status: rollback ? rollback.status : null, conclusion: rollback ? rollback.conclusion : null };
+        })
+    };
+};
+
+// Status of a single rollout, with job-level and per-repository progress
+app.get('/api/rollouts/:id', authenticateToken, loadRollout, auditLog('rollout_status'), validateRequest('getRollout'), async (req, res) => {
+    try {
+        const rollout = await refreshRollout(await rolloutOctokit(req.rollout), req.rollout);
+
+        res.json({
+            success: true,
+            data: withRollbackStatus(rollout),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        console.error('Error getting rollout:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Pause, resume or abort an in-flight rollout
+const rolloutControl = (action, control) => async (req, res) => {
+    try {
+        const rollout = await control(req.rollout, req.user.login);
+        publishRolloutState(rollout);
+
+        res.json({
+            success: true,
+            message: `Rollout ${action}`,
+            data: rollout,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error instanceof RolloutError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                ...error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.error(`Error updating rollout ${req.rollout.id}:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+app.post('/api/rollouts/:id/pause', authenticateToken, loadRollout, auditLog('rollout_pause'), requireRole('approver'), validateRequest('pauseRollout'),
+    rolloutControl('paused', (rollout, login) => pauseRollout(rollout.id, login)));
+
+app.post('/api/rollouts/:id/resume', authenticateToken, loadRollout, auditLog('rollout_resume'), requireRole('approver'), validateRequest('resumeRollout'),
+    rolloutControl('resumed', async (rollout, login) => resumeRollout(await rolloutOctokit(rollout), rollout.id, login)));
+
+app.post('/api/rollouts/:id/abort', authenticateToken, loadRollout, auditLog('rollout_abort'), requireRole('approver'), validateRequest('abortRollout'),
+    rolloutControl('aborted', async (rollout, login) => abortRollout(await rolloutOctokit(rollout), rollout.id, login)));
+
+// Request a rollback of a finished rollout's changes (all applied repos, or a subset).
+// Goes through the org's approval quorum like any rollout request.
+app.post('/api/rollouts/:id/rollback', authenticateToken, loadRollout, auditLog('rollback'), requireRole('approver'),
+    validateRequest('requestRollback'), validateRollbackRequest,
+    async (req, res) => {
+        try {
+            const { repos: subset, reason, scheduledFor } = req.body;
+            const { repos } = planRollback(req.rollout, subset);
+
+            const freezeOverride = resolveFreezeOverride(req, req.organization, scheduledFor ? new Date(scheduledFor) : new Date());
+
+            if (!scheduledFor) {
+                requireNoLockConflict(req.organization, repos);
+            }
+
+            const { request, quorumMet } = createApprovalRequest({
+                org: req.organization,
+                repos,
+                rolloutType: 'rollback',
+                scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null,
+                freezeOverride,
+                rollbackOf: req.rollout.id,
+                reason,
+                requestedBy: req.user.login
+            });
+
+            if (freezeOverride) {
+                await auditFreezeOverride(req.user, req.organization, request.id, freezeOverride);
+            }
+
+            if (!quorumMet) {
+                return res.status(202).json({
+                    success: true,
+                    message: `Rollback request created - ${request.approvalsRemaining} more approval(s) required`,
+                    data: { approval: request },
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            sendDispatchResult(res, await executeApprovedRequest(request, req.user));
+
+        } catch (error) {
+            sendApprovalFailure(res, error, 'requesting rollback');
+        }
+    });
+
+// Rollout locks held in organization
+app.get('/api/locks/:org', orgAccess, validateRequest('listRolloutLocks'), (req, res) => {
+    try {
+        const { org } = req.params;
+
+        res.json({
+            success: true,
+            data: { org, scope: getLockScope(org), locks: listRolloutLocks(org) },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error listing rollout locks:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Break a stale lock so other rollouts can start; the rollout itself is still tracked
+app.post('/api/locks/:org/:id/break', orgAccess, auditLog('lock_break'), requireRole('admin'), validateRequest('breakRolloutLock'), (req, res) => {
+    try {
+        const { org, id } = req.params;
+        const lock = breakRolloutLock(org, id, req.user.login, req.body.reason.trim());
+
+        console.log(`🔓 Rollout lock of ${id} in ${org} broken by ${req.user.login}: ${lock.broken.reason}`);
+
+        res.json({
+            success: true,
+            message: 'Rollout lock broken',
+            data: lock,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendApprovalFailure(res, error, 'breaking rollout lock');
+    }
+});
+
+// Role assignments for organization
+app.get('/api/roles/:org', orgAccess, requireRole('admin'), validateRequest('getRoles'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { org: req.organization, roles: ROLES, ...getRoleAssignments(req.organization) },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error reading role assignments:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Assign or clear a user/team role; takes effect at the holder's next token refresh
+const updateRoleAssignment = role => (req, res) => {
+    try {
+        const { kind, name } = req.params;
+        const assignments = setRoleAssignment(req.organization, kind, name, role(req));
+
+        res.json({
+            success: true,
+            data: { org: req.organization, roles: ROLES, ...assignments },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.error('Error updating role assignment:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+app.put('/api/roles/:org/:kind(users|teams)/:name', orgAccess, auditLog('role_assignment'), requireRole('admin'), validateRequest('setRole'),
+    updateRoleAssignment(req => req.body.role));
+
+app.delete('/api/roles/:org/:kind(users|teams)/:name', orgAccess, auditLog('role_assignment'), requireRole('admin'), validateRequest('clearRole'),
+    updateRoleAssignment(() => null));
+
+// Saved repository selections for organization
+app.get('/api/selections/:org', orgAccess, validateRequest('listSelections'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { org: req.organization, selections: listSelections(req.organization) },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error reading selections:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/selections/:org/:name', orgAccess, validateRequest('getSelection'), (req, res) => {
+    const selection = getSelection(req.organization, req.params.name);
+
+    if (!selection) {
+        return res.status(404).json({
+            success: false,
+            error: `Selection not found: ${req.params.name}`,
+            code: 'SELECTION_NOT_FOUND',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.json({
+        success: true,
+        data: selection,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Save or delete a named selection; config-file selections can be overridden but not deleted
+const updateSelection = change => (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: change(req),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (sendSelectionFailure(res, error)) {
+            return;
+        }
+
+        console.error('Error updating selection:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+app.put('/api/selections/:org/:name', orgAccess, auditLog('selection_update'), requireRole('admin'), validateRequest('saveSelection'),
+    updateSelection(req => saveSelection(req.organization, req.params.name, req.body, req.user.login)));
+
+app.delete('/api/selections/:org/:name', orgAccess, auditLog('selection_update'), requireRole('admin'), validateRequest('deleteSelection'),
+    updateSelection(req => ({ deleted: req.params.name, selection: deleteSelection(req.organization, req.params.name) })));
+
+// Notification delivery log for organization, with every attempt
+app.get('/api/notifications/:org/deliveries', orgAccess, requireRole('admin'), validateRequest('listNotificationDeliveries'), (req, res) => {
+    const { event, status, channel } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 100;
+
+    res.json({
+        success: true,
+        data: {
+            org: req.organization,
+            events: NOTIFICATION_EVENTS,
+            deliveries: listDeliveries(req.organization, { event, status, channel, limit })
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Send a test notification through one channel and report the first attempt
+app.post('/api/notifications/:org/test', orgAccess, auditLog('notification_test'), requireRole('admin'), validateRequest('sendTestNotification'), async (req, res) => {
+    try {
+        const delivery = await sendTestNotification(req.organization, req.body.channel, req.user.login);
+
+        res.json({
+            success: true,
+            data: delivery,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error instanceof NotificationError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.error('Error sending test notification:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Upload Copilot logs: JSON { files: [{ name, content }] }, or one text/plain log with ?name=
+app.post('/api/copilot/:org/logs', orgAccess, auditLog('copilot_log_upload'), requireRole('approver'),
+    parseJson, express.text({ type: 'text/plain', limit: '10mb' }), validateRequest('uploadCopilotLogs'), (req, res) => {
+    const files = typeof req.body === 'string'
+        ? [{ name: req.query.name || 'upload.log', content: req.body }]
+        : req.body.files;
+
+    try {
+        const results = ingestCopilotLogs(req.params.org, files, req.user.login);
+
+        res.status(results.some(result => !result.duplicate) ? 201 : 200).json({
+            success: true,
+            data: {
+                files: results,
+                stored: results.filter(result => !result.duplicate).length,
+                duplicates: results.filter(result => result.duplicate).length,
+                malformed: results.reduce((total, result) => total + result.malformed.length, 0)
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error ingesting Copilot logs:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Copilot usage aggregates over uploaded logs
+app.get('/api/copilot/:org/metrics', orgAccess, validateRequest('getCopilotMetrics'), (req, res) => {
+    const { from, to, source } = req.query;
+
+    try {
+        res.json({
+            success: true,
+            data: getCopilotMetrics(req.params.org, {
+                from: from ? new Date(from).toISOString() : undefined,
+                to: to ? new Date(to).toISOString() : undefined,
+                source
+            }),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error computing Copilot metrics:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Verify the integrity of the whole audit chain
+app.get('/api/audit/verify', authenticateToken, requireAdmin, validateRequest('verifyAuditChain'), async (req, res) => {
+    try {
+        const verification = await verifyAuditChain();
+
+        res.json({
+            success: true,
+            data: verification,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error verifying audit chain:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Query audit trail for organization
+app.get('/api/audit/:org', orgAccess, requireRole('admin'), validateRequest('queryAudit'), async (req, res) => {
+    try {
+        const { org } = req.params;
+        const { from, to, actor, action, limit } = req.query;
+
+        const result = await queryAudit({ org, from, to, actor, action, limit });
+
+        res.json({
+            success: true,
+            data: {
+                org,
+                filters: { from, to, actor, action },
+                ...result
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error querying audit trail:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Error handling middleware (Express recognizes it by its four parameters)
+app.use((error, req, res, next) => {
+    console.error('Unhandled error:', error);
+
+    // Too late for a JSON error; let Express close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'Endpoint not found',
+        timestamp: new Date().toISOString()
     });
 });
 
 // Start server (for local development)
 if (require.main === module) {
+    // Advance staged rollouts between waves even when nobody is watching.
+    // Serverless deployments advance them on status reads and streams instead.
+    setInterval(() => {
+        listActiveRollouts()
+            .filter(rollout => rollout.mode === 'staged')
+            .forEach(rollout => {
+                rolloutOctokit(rollout)
+                    .then(octokit => refreshRollout(octokit, rollout))
+                    .then(publishRolloutState)
+                    .catch(error => console.error(`Error advancing rollout ${rollout.id}:`, error));
+            });
+    }, STAGED_ROLLOUT_POLL_MS).unref();
+
+    // Retry notifications a previous run left pending
+    resumePendingDeliveries();
+
+    // Every route should be in the API document, and every documented operation routed
+    if (process.env.NODE_ENV !== 'production') {
+        const { undocumented, unrouted } = checkRouteCoverage(app);
+        undocumented.forEach(route => console.warn(`⚠️  ${route} is not in the OpenAPI document`));
+        unrouted.forEach(route => console.warn(`⚠️  ${route} is documented but has no route`));
+    }
+
+    // Start the sandbox GitHub now so its address is logged with the rest
+    if (process.env.GITHUB_SANDBOX === 'true') {
+        getOctokit().catch(error => console.error(`❌ ${error.message}`));
+    }
+
+    // Dispatch scheduled rollouts once their time comes
+    setInterval(() => {
+        runScheduledRollouts().catch(error => console.error('Error running scheduled rollouts:', error));
+    }, SCHEDULER_INTERVAL_MS).unref();
+
     app.listen(PORT, () => {
         console.log(`🚀 Approval Dashboard Backend running on port ${PORT}`);
         console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Pending Approval Subsystem
+ * Tracks rollout requests until the org's approval quorum (N-of-M) is met
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { getOrgConfig } = require('./org-config');
+const { notify, approvalEventData } = require('./notifications');
+
+const store = createJsonStore('approvals', { requests: {} });
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class ApprovalError extends Error {
+    constructor(message, code, status = 400, details) {
+        super(message);
+        this.name = 'ApprovalError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Approval policy for an organization
+ */
+function getApprovalPolicy(org) {
+    const { approvals } = getOrgConfig(org);
+
+    return {
+        required: Math.max(1, parseInt(approvals.required, 10) || 1),
+        approvers: Array.isArray(approvals.approvers) ? approvals.approvers : [],
+        ttlHours: Number(approvals.ttlHours) > 0 ? Number(approvals.ttlHours) : 24
+    };
+}
+
+function isEligibleApprover(policy, login) {
+    return policy.approvers.length === 0 || policy.approvers.includes(login);
+}
+
+/**
+ * Lazily move overdue pending requests to 'expired'
+ */
+function applyExpiry(request, now = Date.now()) {
+    if (request.status === 'pending' && now > new Date(request.expiresAt).getTime()) {
+        request.status = 'expired';
+        request.closedAt = request.expiresAt;
+    }
+    return request;
+}
+
+function summarize(request) {
+    return {
+        ...request,
+        approvalsReceived: request.approvals.length,
+        approvalsRemaining: Math.max(0, request.required - request.approvals.length)
+    };
+}
+
+function requirePending(request, id) {
+    if (!request) {
+        throw new ApprovalError(`Approval request not found: ${id}`, 'APPROVAL_NOT_FOUND', 404);
+    }
+    applyExpiry(request);
+    if (request.status !== 'pending') {
+        throw new ApprovalError(`Approval request is ${request.status}`, 'APPROVAL_NOT_PENDING', 409);
+    }
+    return request;
+}
+
+/**
+ * Create a pending rollout request
+ * The requester's own approval counts when they are an eligible approver.
+ * previewHash identifies the dry-run preview the requester reviewed, if any.
+ * A request with rollbackOf reverts that rollout instead of starting one.
+ */
+function createApprovalRequest({ org, repos, rolloutType, rolloutMode = 'all-at-once', strategy, scheduledFor, freezeOverride, previewHash, selection, rollbackOf, reason, requestedBy }) {
+    const policy = getApprovalPolicy(org);
+    const now = new Date();
+
+    const request = {
+        id: crypto.randomUUID(),
+        kind: rollbackOf ? 'rollback' : 'rollout',
+        org,
+        repos,
+        rolloutType,
+        rolloutMode,
+        strategy,
+        scheduledFor: scheduledFor || null,
+        freezeOverride: freezeOverride || null,
+        previewHash: previewHash || null,
+        status: 'pending',
+        requestedBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + policy.ttlHours * 60 * 60 * 1000).toISOString(),
+        required: policy.required,
+        eligibleApprovers: policy.approvers,
+        approvals: [],
+        rejections: []
+    };
+
+    // The saved selection and/or criteria that picked the repositories
+    if (selection) {
+        request.selection = selection;
+    }
+
+    if (rollbackOf) {
+        request.rollbackOf = rollbackOf;
+        request.reason = reason || null;
+    }
+
+    if (isEligibleApprover(policy, requestedBy)) {
+        request.approvals.push({ login: requestedBy, at: now.toISOString(), previewHash: previewHash || null });
+    }
+
+    if (request.approvals.length >= request.required) {
+        request.status = 'approved';
+        request.closedAt = now.toISOString();
+    }
+
+    store.update(data => {
+        data.requests[request.id] = request;
+    });
+
+    // Only a request still waiting for approvers needs to call for them
+    notify(request.status === 'approved' ? 'approval.approved' : 'approval.requested', org, approvalEventData(request));
+
+    return { request: summarize(request), quorumMet: request.status === 'approved' };
+}
+
+/**
+ * Get a single request scoped to an organization
+ */
+function getApprovalRequest(org, id) {
+    const request = store.read().requests[id];
+    if (!request || request.org !== org) {
+        return null;
+    }
+    return summarize(applyExpiry(request));
+}
+
+/**
+ * List requests for an organization, newest first
+ */
+function listApprovalRequests(org, { status } = {}) {
+    return Object.values(store.read().requests)
+        .filter(request => request.org === org)
+        .map(request => applyExpiry(request))
+        .filter(request => !status || request.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarize);
+}
+
+/**
+ * Record an approval; quorumMet is true only for the call that reached it
+ */
+function approveRequest(org, id, login, comment, freezeOverride, previewHash) {
+    const result = store.update(data => {
+        const request = data.requests[id] && data.requests[id].org === org ? data.requests[id] : null;
+        requirePending(request, id);
+
+        if (!isEligibleApprover({ approvers: request.eligibleApprovers }, login)) {
+            throw new ApprovalError(`${login} is not an approver for ${org}`, 'NOT_AN_APPROVER', 403);
+        }
+        if (request.approvals.some(approval => approval.login === login)) {
+            throw new ApprovalError(`${login} has already approved this request`, 'ALREADY_APPROVED', 409);
+        }
+
+        request.approvals.push({ login, at: new Date().toISOString(), comment, previewHash: previewHash || null });
+        if (freezeOverride) {
+            request.freezeOverride = freezeOverride;
+        }
+
+        const quorumMet = request.approvals.length >= request.required;
+        if (quorumMet) {
+            request.status = 'approved';
+            request.closedAt = new Date().toISOString();
+        }
+
+        return { request: summarize(request), quorumMet };
+    });
+
+    if (result.quorumMet) {
+        notify('approval.approved', org, approvalEventData(result.request));
+    }
+
+    return result;
+}
+
+/**
+ * Reject a request - any single eligible approver can veto
+ */
+function rejectRequest(org, id, login, reason) {
+    return store.update(data => {
+        const request = data.requests[id] && data.requests[id].org === org ? data.requests[id] : null;
+        requirePending(request, id);
+
+        if (!isEligibleApprover({ approvers: request.eligibleApprovers }, login)) {
+            throw new ApprovalError(`${login} is not an approver for ${org}`, 'NOT_AN_APPROVER', 403);
+        }
+
+        request.rejections.push({ login, at: new Date().toISOString(), reason });
+        request.status = 'rejected';
+        request.closedAt = new Date().toISOString();
+
+        return summarize(request);
+    });
+}
+
+/**
+ * Cancel a pending or scheduled request - only the requester or an admin
+ */
+function cancelRequest(org, id, user) {
+    return store.update(data => {
+        const request = data.requests[id] && data.requests[id].org === org ? data.requests[id] : null;
+        if (!request || request.status !== 'scheduled') {
+            requirePending(request, id);
+        }
+
+        if (request.requestedBy !== user.login && !user.isAdmin) {
+            throw new ApprovalError('Only the requester or an admin can cancel', 'CANCEL_NOT_ALLOWED', 403);
+        }
+
+        request.status = 'cancelled';
+        request.cancelledBy = user.login;
+        request.closedAt = new Date().toISOString();
+
+        return summarize(request);
+    });
+}
+
+/**
+ * Hold an approved request until its scheduledFor time
+ */
+function scheduleRequest(id) {
+    return store.update(data => {
+        const request = data.requests[id];
+        request.status = 'scheduled';
+        return summarize(request);
+    });
+}
+
+/**
+ * Move a scheduled request to `until`, when the freeze holding it ends.
+ * Each move is kept in `deferrals`.
+ */
+function deferRequest(id, until, freeze) {
+    return store.update(data => {
+        const request = data.requests[id];
+        request.deferrals = [...(request.deferrals || []), {
+            from: request.scheduledFor,
+            to: until,
+            freezeId: freeze.id,
+            freezeName: freeze.name,
+            at: new Date().toISOString()
+        }];
+        request.scheduledFor = until;
+        return summarize(request);
+    });
+}
+
+/**
+ * Scheduled requests whose time has come, oldest first
+ */
+function listDueRequests(now = new Date()) {
+    return Object.values(store.read().requests)
+        .filter(request => request.status === 'scheduled' && new Date(request.scheduledFor) <= now)
+        .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor))
+        .map(summarize);
+}
+
+/**
+ * Record the outcome of dispatching an approved request
+ */
+function recordDispatch(id, { dispatched, error, target, rolloutId }) {
+    return store.update(data => {
+        const request = data.requests[id];
+        request.status = dispatched ? 'dispatched' : 'dispatch_failed';
+        request.dispatch = {
+            target,
+            rolloutId,
+            at: new Date().toISOString(),
+            error: error || undefined
+        };
+        return summarize(request);
+    });
+}
+
+module.exports = {
+    ApprovalError,
+    getApprovalPolicy,
+    createApprovalRequest,
+    getApprovalRequest,
+    listApprovalRequests,
+    approveRequest,
+    rejectRequest,
+    cancelRequest,
+    scheduleRequest,
+    deferRequest,
+    listDueRequests,
+    recordDispatch
+};
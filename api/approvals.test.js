@@ -0,0 +1,370 @@
+/**
+ * Pending Approval Subsystem tests
+ * Drives rollout requests through the approval routes of approval-server.js,
+ * signed in as the sandbox users, and checks the N-of-M quorum, vetoes,
+ * cancellation, expiry, scheduled requests held by a freeze, approvals
+ * given for a stale preview and the recorded dispatch outcome.
+ */
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ADMIN_GITHUB_USERS = 'sandbox-admin';
+process.env.GITHUB_SANDBOX = 'true';
+// Runs stay queued, so dispatched rollouts never change the sandbox repositories
+process.env.SANDBOX_RUN_MODE = 'manual';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.OPENAPI_STRICT_RESPONSES = 'true';
+
+const request = require('supertest');
+const app = require('./approval-server');
+const { getRollout, listRolloutLocks, breakRolloutLock } = require('./rollouts');
+const { writeOrgConfig } = require('./test-utils');
+const SANDBOX_CONFIG = require('./fixtures/sandbox/config/sandbox-org.json');
+
+const ORG = 'sandbox-org';
+const TARGET = 'Butterdime/ci-toolkit';
+const LATER = () => new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+
+// sandbox-admin (admin) and sandbox-approver (approver) are the eligible
+// approvers; sandbox-viewer has the approver role but is not one of them
+const DEFAULT_APPROVALS = { required: 2, approvers: ['sandbox-admin', 'sandbox-approver'], ttlHours: 24 };
+
+const auth = {};
+
+function configure(approvals = {}, freezes = { windows: [] }) {
+    writeOrgConfig(ORG, {
+        ...SANDBOX_CONFIG,
+        roles: { ...SANDBOX_CONFIG.roles, users: { 'sandbox-viewer': 'approver' } },
+        approvals: { ...DEFAULT_APPROVALS, ...approvals },
+        freezes
+    });
+}
+
+function sleepUntil(time) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, new Date(time) - Date.now()) + 20));
+}
+
+async function runSchedules() {
+    const response = await request(app).post('/api/schedules/run').set('Authorization', auth.admin);
+    expect(response.status).toBe(200);
+    return response.body.data.results;
+}
+
+async function signIn(user) {
+    const response = await request(app).post('/api/auth/github').send({ github_token: `sandbox-${user}-token` });
+    expect(response.status).toBe(200);
+    return `Bearer ${response.body.data.token}`;
+}
+
+function requestRollout(user, body = {}) {
+    return request(app).post(`/api/approve/${ORG}`).set('Authorization', auth[user]).send({ repos: ['web-app'], ...body });
+}
+
+function vote(user, id, action, body = {}) {
+    return request(app).post(`/api/approvals/${ORG}/${id}/${action}`).set('Authorization', auth[user]).send(body);
+}
+
+async function getApproval(id) {
+    const response = await request(app).get(`/api/approvals/${ORG}/${id}`).set('Authorization', auth.admin);
+    expect(response.status).toBe(200);
+    return response.body.data;
+}
+
+beforeAll(async () => {
+    configure();
+    auth.admin = await signIn('admin');
+    auth.approver = await signIn('approver');
+    auth.viewer = await signIn('viewer');
+});
+
+beforeEach(() => {
+    configure();
+});
+
+// A dispatched rollout holds the org lock; release it for the next test
+afterEach(() => {
+    for (const lock of listRolloutLocks(ORG)) {
+        breakRolloutLock(ORG, lock.rolloutId, 'sandbox-admin', 'next test');
+    }
+});
+
+describe('quorum', () => {
+    test('holds a request until the quorum is met, then dispatches it', async () => {
+        const created = await requestRollout('admin');
+
+        expect(created.status).toBe(202);
+        expect(created.body.data.approval).toMatchObject({
+            status: 'pending',
+            required: 2,
+            approvalsReceived: 1,
+            approvalsRemaining: 1
+        });
+
+        const { id } = created.body.data.approval;
+        const approved = await vote('approver', id, 'approve', { comment: 'LGTM' });
+
+        expect(approved.status).toBe(200);
+        expect(approved.body.data).toMatchObject({
+            approvers: ['sandbox-admin', 'sandbox-approver'],
+            approvalId: id,
+            approval: { status: 'dispatched', approvalsReceived: 2, approvalsRemaining: 0 }
+        });
+        expect(getRollout(approved.body.data.rolloutId)).toMatchObject({ approvalId: id, repos: ['web-app'] });
+    });
+
+    test('counts each approver once', async () => {
+        configure({ required: 3, approvers: [] });
+        const { id } = (await requestRollout('admin', { scheduledFor: LATER() })).body.data.approval;
+
+        const again = await vote('admin', id, 'approve');
+        expect(again.status).toBe(409);
+        expect(again.body.code).toBe('ALREADY_APPROVED');
+
+        const second = await vote('approver', id, 'approve');
+        expect(second.status).toBe(200);
+        expect(second.body.data.approval).toMatchObject({ status: 'pending', approvalsReceived: 2, approvalsRemaining: 1 });
+
+        // Quorum reached for a later time holds the request until then
+        const third = await vote('viewer', id, 'approve');
+        expect(third.status).toBe(202);
+        expect(third.body.data.approval).toMatchObject({ status: 'scheduled', approvalsReceived: 3 });
+    });
+
+    test('dispatches at once when the request alone meets the quorum', async () => {
+        configure({ required: 1 });
+        const response = await requestRollout('admin');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.approval).toMatchObject({ status: 'dispatched', approvals: [expect.objectContaining({ login: 'sandbox-admin' })] });
+    });
+
+    test('refuses an approval from outside the approver list', async () => {
+        const { id } = (await requestRollout('admin')).body.data.approval;
+        const response = await vote('viewer', id, 'approve');
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('NOT_AN_APPROVER');
+        expect(await getApproval(id)).toMatchObject({ status: 'pending', approvalsReceived: 1 });
+    });
+});
+
+describe("the requester's own approval", () => {
+    test('counts when the requester is an eligible approver', async () => {
+        const { approval } = (await requestRollout('approver')).body.data;
+
+        expect(approval.approvals).toEqual([expect.objectContaining({ login: 'sandbox-approver' })]);
+        expect(approval.approvalsRemaining).toBe(1);
+    });
+
+    test('does not count when the requester is not one', async () => {
+        const created = await requestRollout('viewer');
+
+        expect(created.status).toBe(202);
+        expect(created.body.data.approval).toMatchObject({ requestedBy: 'sandbox-viewer', approvals: [], approvalsRemaining: 2 });
+
+        const { id } = created.body.data.approval;
+        expect((await vote('admin', id, 'approve')).body.data.approval.approvalsRemaining).toBe(1);
+        expect((await vote('approver', id, 'approve')).body.data.approval.status).toBe('dispatched');
+    });
+
+    test('leaves a one-approval request pending when the requester is not eligible', async () => {
+        configure({ required: 1 });
+        const response = await requestRollout('viewer');
+
+        expect(response.status).toBe(202);
+        expect(response.body.data.approval).toMatchObject({ status: 'pending', approvalsRemaining: 1 });
+    });
+});
+
+describe('reject and cancel', () => {
+    test('lets any eligible approver veto a request', async () => {
+        const { id } = (await requestRollout('admin')).body.data.approval;
+
+        const rejected = await vote('approver', id, 'reject', { reason: 'Not during the release' });
+        expect(rejected.status).toBe(200);
+        expect(rejected.body.data.approval).toMatchObject({
+            status: 'rejected',
+            rejections: [expect.objectContaining({ login: 'sandbox-approver', reason: 'Not during the release' })],
+            closedAt: expect.any(String)
+        });
+
+        const late = await vote('admin', id, 'approve');
+        expect(late.status).toBe(409);
+        expect(late.body.code).toBe('APPROVAL_NOT_PENDING');
+    });
+
+    test('refuses a veto from outside the approver list', async () => {
+        const { id } = (await requestRollout('admin')).body.data.approval;
+        const response = await vote('viewer', id, 'reject', { reason: 'No' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('NOT_AN_APPROVER');
+        expect((await getApproval(id)).status).toBe('pending');
+    });
+
+    test('lets the requester cancel, but not other approvers', async () => {
+        const { id } = (await requestRollout('admin')).body.data.approval;
+
+        const refused = await vote('approver', id, 'cancel');
+        expect(refused.status).toBe(403);
+        expect(refused.body.code).toBe('CANCEL_NOT_ALLOWED');
+
+        const cancelled = await vote('admin', id, 'cancel');
+        expect(cancelled.status).toBe(200);
+        expect(cancelled.body.data.approval).toMatchObject({ status: 'cancelled', cancelledBy: 'sandbox-admin' });
+    });
+
+    test('lets an admin cancel anyone\'s request, scheduled ones included', async () => {
+        const { id } = (await requestRollout('approver', { scheduledFor: LATER() })).body.data.approval;
+        expect((await vote('admin', id, 'approve')).body.data.approval.status).toBe('scheduled');
+
+        const cancelled = await vote('admin', id, 'cancel');
+        expect(cancelled.status).toBe(200);
+        expect(cancelled.body.data.approval).toMatchObject({ status: 'cancelled', cancelledBy: 'sandbox-admin' });
+    });
+});
+
+describe('expiry', () => {
+    test('expires a request left pending past its TTL', async () => {
+        configure({ ttlHours: 0.00001 }); // 36 ms
+        const { id } = (await requestRollout('admin')).body.data.approval;
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const expired = await getApproval(id);
+        expect(expired).toMatchObject({ status: 'expired', closedAt: expired.expiresAt });
+
+        const late = await vote('approver', id, 'approve');
+        expect(late.status).toBe(409);
+        expect(late.body.code).toBe('APPROVAL_NOT_PENDING');
+
+        const listed = await request(app).get(`/api/approvals/${ORG}?status=expired`).set('Authorization', auth.admin);
+        expect(listed.body.data.approvals.map(approval => approval.id)).toContain(id);
+    });
+});
+
+describe('scheduled requests during a freeze', () => {
+    // Quorum met for a time the freeze, added afterwards, then covers
+    async function scheduleInto(freezeWindow) {
+        const scheduledFor = new Date(Date.now() + 500).toISOString();
+        const { id } = (await requestRollout('admin', { scheduledFor })).body.data.approval;
+        expect((await vote('approver', id, 'approve')).body.data.approval.status).toBe('scheduled');
+
+        configure({}, { windows: [{ id: 'incident', name: 'Incident freeze', ...freezeWindow }] });
+        await sleepUntil(scheduledFor);
+        return { id, scheduledFor };
+    }
+
+    test('holds a due request until the freeze ends, then dispatches it', async () => {
+        const end = new Date(Date.now() + 1500).toISOString();
+        const { id, scheduledFor } = await scheduleInto({ start: new Date(Date.now() - 60000).toISOString(), end });
+
+        expect(await runSchedules()).toEqual([
+            { approvalId: id, org: ORG, dispatched: false, rolloutId: null, deferredUntil: end, code: 'FREEZE_ACTIVE' }
+        ]);
+        expect(await getApproval(id)).toMatchObject({
+            status: 'scheduled',
+            scheduledFor: end,
+            deferrals: [{ from: scheduledFor, to: end, freezeId: 'incident', freezeName: 'Incident freeze', at: expect.any(String) }]
+        });
+
+        // Not due again until the freeze is over
+        expect(await runSchedules()).toEqual([]);
+
+        await sleepUntil(end);
+        const [result] = await runSchedules();
+        expect(result).toMatchObject({ approvalId: id, dispatched: true, rolloutId: expect.any(String) });
+        expect((await getApproval(id)).status).toBe('dispatched');
+    });
+
+    test('fails a due request when the freeze has no end in sight', async () => {
+        const { id } = await scheduleInto({ cron: '* * * * *' });
+
+        expect(await runSchedules()).toEqual([
+            expect.objectContaining({ approvalId: id, dispatched: false, code: 'FREEZE_ACTIVE' })
+        ]);
+        expect(await getApproval(id)).toMatchObject({ status: 'dispatch_failed', dispatch: { error: 'Change freeze active: Incident freeze' } });
+    });
+});
+
+describe('preview hashes', () => {
+    const STALE_HASH = '0'.repeat(64);
+
+    async function previewHash() {
+        const response = await request(app).get(`/api/preview/${ORG}?repos=web-app`).set('Authorization', auth.admin);
+        expect(response.status).toBe(200);
+        return response.body.data.previewHash;
+    }
+
+    async function pendingCount() {
+        const response = await request(app).get(`/api/approvals/${ORG}?status=pending`).set('Authorization', auth.admin);
+        return response.body.data.approvals.length;
+    }
+
+    test('records the hash of the current preview with each approval', async () => {
+        const hash = await previewHash();
+        const { id } = (await requestRollout('admin', { previewHash: hash })).body.data.approval;
+
+        const approved = await vote('approver', id, 'approve', { previewHash: hash });
+
+        expect(approved.status).toBe(200);
+        expect(approved.body.data.approval).toMatchObject({
+            status: 'dispatched',
+            previewHash: hash,
+            approvals: [
+                expect.objectContaining({ login: 'sandbox-admin', previewHash: hash }),
+                expect.objectContaining({ login: 'sandbox-approver', previewHash: hash })
+            ]
+        });
+    });
+
+    test('refuses a vote given for a stale preview, and leaves the request pending', async () => {
+        const { id } = (await requestRollout('admin')).body.data.approval;
+
+        const stale = await vote('approver', id, 'approve', { previewHash: STALE_HASH });
+        expect(stale.status).toBe(409);
+        expect(stale.body.code).toBe('PREVIEW_STALE');
+        expect(await getApproval(id)).toMatchObject({ status: 'pending', approvalsReceived: 1 });
+
+        // Reviewing the current preview lets the vote through
+        const approved = await vote('approver', id, 'approve', { previewHash: await previewHash() });
+        expect(approved.status).toBe(200);
+        expect(approved.body.data.approval.status).toBe('dispatched');
+    });
+
+    test('refuses a request made for a stale preview', async () => {
+        const before = await pendingCount();
+
+        const stale = await requestRollout('admin', { previewHash: STALE_HASH });
+
+        expect(stale.status).toBe(409);
+        expect(stale.body.code).toBe('PREVIEW_STALE');
+        expect(await pendingCount()).toBe(before);
+    });
+});
+
+describe('recordDispatch', () => {
+    test('records the rollout a dispatched request started', async () => {
+        const { id } = (await requestRollout('admin')).body.data.approval;
+        const { rolloutId } = (await vote('approver', id, 'approve')).body.data;
+
+        expect(await getApproval(id)).toMatchObject({
+            status: 'dispatched',
+            dispatch: { target: TARGET, rolloutId, at: expect.any(String) }
+        });
+    });
+
+    test('records a dispatch that could not start', async () => {
+        const waiting = (await requestRollout('admin')).body.data.approval;
+
+        // Another request dispatched meanwhile holds the org lock
+        const other = (await requestRollout('admin')).body.data.approval;
+        const { rolloutId } = (await vote('approver', other.id, 'approve')).body.data;
+
+        const response = await vote('approver', waiting.id, 'approve');
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('ROLLOUT_IN_PROGRESS');
+
+        const failed = await getApproval(waiting.id);
+        expect(failed).toMatchObject({ status: 'dispatch_failed', dispatch: { target: TARGET, error: expect.stringContaining(rolloutId) } });
+        expect(failed.dispatch.rolloutId).toBeUndefined();
+    });
+});
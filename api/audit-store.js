@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Audit Trail Store
+ * Append-only, hash-chained audit log behind a pluggable backend
+ *
+ * A backend is any object exposing two async methods:
+ *   append(next) - atomically read the last record (null for an empty log),
+ *                  durably persist next(last) after it and resolve to that
+ *                  record; no other append may land in between
+ *   readAll()    - return every record in insertion order
+ *
+ * Every record carries the hash of its predecessor, so editing or deleting
+ * an entry breaks the chain and is reported by verifyAuditChain(). The tail
+ * is read for every append, so instances sharing the log extend one chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./json-store');
+const { withFileLock } = require('./file-lock');
+
+// Configuration
+const AUDIT_STORE = process.env.AUDIT_STORE || 'file';
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.jsonl');
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+const TAIL_CHUNK_BYTES = 16 * 1024;
+
+function parseRecord(line, where) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        throw new Error(`Malformed audit record at ${where}`);
+    }
+}
+
+/**
+ * Last record of a JSONL file, read backwards from its end
+ */
+async function readLastRecord(filePath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+
+    try {
+        const { size } = await handle.stat();
+        let position = size;
+        let tail = Buffer.alloc(0);
+
+        while (position > 0) {
+            const length = Math.min(TAIL_CHUNK_BYTES, position);
+            position -= length;
+
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+            tail = Buffer.concat([chunk, tail]);
+
+            // The last line is whole once another line (or the file start) precedes it
+            const lines = tail.toString('utf8').split('\n').filter(Boolean);
+            if (lines.length > 1 || (position === 0 && lines.length === 1)) {
+                return parseRecord(lines[lines.length - 1], 'the end of the log');
+            }
+        }
+
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Local JSONL backend - one record per line. Appends hold an exclusive lock
+ * file, so processes sharing the file (on one host, or a shared volume)
+ * never fork the chain.
+ */
+function createFileBackend(filePath = AUDIT_LOG_FILE) {
+    return {
+        name: 'file',
+
+        append(next) {
+            return withFileLock(filePath, async () => {
+                const record = next(await readLastRecord(filePath));
+                await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n', 'utf8');
+                return record;
+            });
+        },
+
+        async readAll() {
+            let content;
+            try {
+                content = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+
+            return content.split('\n').filter(Boolean).map((line, index) => parseRecord(line, `line ${index + 1}`));
+        }
+    };
+}
+
+/**
+ * In-process backend (ephemeral, for local experiments)
+ */
+function createMemoryBackend() {
+    const records = [];
+
+    return {
+        name: 'memory',
+
+        async append(next) {
+            const record = next(records.length > 0 ? { ...records[records.length - 1] } : null);
+            records.push(JSON.parse(JSON.stringify(record)));
+            return record;
+        },
+
+        async readAll() {
+            return records.map(record => ({ ...record }));
+        }
+    };
+}
+
+function createBackendFromEnv() {
+    switch (AUDIT_STORE) {
+        case 'memory':
+            return createMemoryBackend();
+        case 'file':
+            return createFileBackend();
+        default:
+            throw new Error(`Unknown AUDIT_STORE backend: ${AUDIT_STORE}`);
+    }
+}
+
+let backend = createBackendFromEnv();
+let writeQueue = Promise.resolve();
+
+/**
+ * Replace the active backend (e.g. with a database-backed implementation)
+ */
+function setAuditBackend(newBackend) {
+    backend = newBackend;
+}
+
+function getAuditBackend() {
+    return backend;
+}
+
+/**
+ * Hash a record's content, excluding its own hash field
+ */
+function hashRecord(record) {
+    const content = { ...record };
+    delete content.hash;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Append an entry to the audit trail, chained to whatever record is last
+ * when it is written. Writes from this process queue up behind each other
+ * instead of contending for the backend's lock.
+ */
+function recordAudit(entry) {
+    const write = writeQueue.then(() => backend.append(last => {
+        const record = {
+            seq: last ? last.seq + 1 : 1,
+            ...entry,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            prevHash: last ? last.hash : GENESIS_HASH
+        };
+        record.hash = hashRecord(record);
+        return record;
+    }));
+
+    // A failed write must not wedge every later write
+    writeQueue = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Query audit entries, newest first
+ */
+async function queryAudit({ org, from, to, actor, action, limit } = {}) {
+    const records = await backend.readAll();
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const max = Math.min(parseInt(limit, 10) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+
+    const matches = records.filter(record => {
+        const time = new Date(record.timestamp).getTime();
+
+        if (org && record.organization !== org) return false;
+        if (action && record.action !== action) return false;
+        if (actor && !(record.user && record.user.login === actor)) return false;
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+
+        return true;
+    });
+
+    return {
+        total: matches.length,
+        entries: matches.reverse().slice(0, max)
+    };
+}
+
+/**
+ * Walk the whole chain and report the first break, if any
+ */
+async function verifyAuditChain() {
+    let records;
+    try {
+        records = await backend.readAll();
+    } catch (error) {
+        return { intact: false, entries: 0, brokenAt: null, reason: error.message, headHash: null };
+    }
+
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        const expectedSeq = i + 1;
+        let reason = null;
+
+        if (record.seq !== expectedSeq) {
+            reason = `expected seq ${expectedSeq} but found ${record.seq} (entry missing or reordered)`;
+        } else if (record.prevHash !== prevHash) {
+            reason = 'prevHash does not match the preceding entry';
+        } else if (record.hash !== hashRecord(record)) {
+            reason = 'entry content does not match its hash';
+        }
+
+        if (reason) {
+            return { intact: false, entries: records.length, brokenAt: expectedSeq, reason, headHash: null };
+        }
+
+        prevHash = record.hash;
+    }
+
+    return { intact: true, entries: records.length, brokenAt: null, reason: null, headHash: prevHash };
+}
+
+module.exports = {
+    createFileBackend,
+    createMemoryBackend,
+    setAuditBackend,
+    getAuditBackend,
+    recordAudit,
+    queryAudit,
+    verifyAuditChain
+};
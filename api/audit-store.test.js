@@ -0,0 +1,188 @@
+/**
+ * Audit Trail Store tests
+ * Appends entries, then edits the log behind the store's back and checks
+ * that verifyAuditChain() finds each kind of break.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    createFileBackend,
+    createMemoryBackend,
+    setAuditBackend,
+    recordAudit,
+    queryAudit,
+    verifyAuditChain
+} = require('./audit-store');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+let logFile;
+let logCount = 0;
+
+// Same content hash as the store, for forging a record that hashes correctly
+function hashRecord(record) {
+    const content = { ...record };
+    delete content.hash;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+function readLines() {
+    return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function writeLines(records) {
+    fs.writeFileSync(logFile, records.map(record => JSON.stringify(record) + '\n').join(''));
+}
+
+async function recordEntries(count, entry = {}) {
+    for (let i = 1; i <= count; i++) {
+        await recordAudit({ action: 'approve', organization: 'acme', user: { login: 'alice' }, request: `#${i}`, ...entry });
+    }
+}
+
+beforeEach(() => {
+    fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+    logFile = path.join(process.env.DATA_DIR, `audit-${++logCount}.jsonl`);
+    setAuditBackend(createFileBackend(logFile));
+});
+
+describe('recordAudit', () => {
+    test('chains each record to the one before it', async () => {
+        await recordEntries(3);
+
+        const records = readLines();
+        expect(records.map(record => record.seq)).toEqual([1, 2, 3]);
+        expect(records[0].prevHash).toBe(GENESIS_HASH);
+        expect(records[1].prevHash).toBe(records[0].hash);
+        expect(records[2].prevHash).toBe(records[1].hash);
+        records.forEach(record => expect(record.hash).toBe(hashRecord(record)));
+    });
+
+    test('keeps one chain when appends overlap', async () => {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => recordAudit({ action: 'approve', request: `#${i}` })));
+
+        expect(await verifyAuditChain()).toMatchObject({ intact: true, entries: 20 });
+    });
+
+    test('resolves to the stored record', async () => {
+        const record = await recordAudit({ action: 'approve', timestamp: '2026-10-19T09:00:00.000Z' });
+
+        expect(record).toMatchObject({ seq: 1, action: 'approve', timestamp: '2026-10-19T09:00:00.000Z', prevHash: GENESIS_HASH });
+        expect(readLines()).toEqual([record]);
+    });
+});
+
+describe('verifyAuditChain', () => {
+    test('reports an intact chain and its head', async () => {
+        await recordEntries(4);
+
+        expect(await verifyAuditChain()).toEqual({
+            intact: true,
+            entries: 4,
+            brokenAt: null,
+            reason: null,
+            headHash: readLines()[3].hash
+        });
+    });
+
+    test('reports an empty log as intact', async () => {
+        expect(await verifyAuditChain()).toMatchObject({ intact: true, entries: 0, headHash: GENESIS_HASH });
+    });
+
+    test('finds an edited record', async () => {
+        await recordEntries(3);
+        const records = readLines();
+        records[1].user.login = 'mallory';
+        writeLines(records);
+
+        expect(await verifyAuditChain()).toMatchObject({
+            intact: false,
+            brokenAt: 2,
+            reason: 'entry content does not match its hash',
+            headHash: null
+        });
+    });
+
+    test('finds a deleted record by the gap in seq', async () => {
+        await recordEntries(4);
+        writeLines(readLines().filter(record => record.seq !== 2));
+
+        expect(await verifyAuditChain()).toMatchObject({
+            intact: false,
+            entries: 3,
+            brokenAt: 2,
+            reason: 'expected seq 2 but found 3 (entry missing or reordered)'
+        });
+    });
+
+    test('finds a re-hashed record that no longer links to its predecessor', async () => {
+        await recordEntries(3);
+        const records = readLines();
+        records[2] = { ...records[2], prevHash: 'f'.repeat(64), request: 'forged' };
+        records[2].hash = hashRecord(records[2]);
+        writeLines(records);
+
+        expect(await verifyAuditChain()).toMatchObject({
+            intact: false,
+            brokenAt: 3,
+            reason: 'prevHash does not match the preceding entry'
+        });
+    });
+
+    test('reports a line that is not JSON', async () => {
+        await recordEntries(2);
+        fs.appendFileSync(logFile, '{"seq": 3, "truncat\n');
+
+        expect(await verifyAuditChain()).toMatchObject({ intact: false, reason: 'Malformed audit record at line 3' });
+    });
+
+    test('works the same on the memory backend', async () => {
+        setAuditBackend(createMemoryBackend());
+        await recordEntries(3);
+
+        expect(await verifyAuditChain()).toMatchObject({ intact: true, entries: 3 });
+    });
+});
+
+describe('queryAudit', () => {
+    beforeEach(async () => {
+        await recordAudit({ action: 'approve', organization: 'acme', user: { login: 'alice' }, timestamp: '2026-10-01T10:00:00.000Z' });
+        await recordAudit({ action: 'reject', organization: 'acme', user: { login: 'bob' }, timestamp: '2026-10-02T10:00:00.000Z' });
+        await recordAudit({ action: 'approve', organization: 'globex', user: { login: 'alice' }, timestamp: '2026-10-03T10:00:00.000Z' });
+        await recordAudit({ action: 'approve', organization: 'acme', user: { login: 'bob' }, timestamp: '2026-10-04T10:00:00.000Z' });
+        await recordAudit({ action: 'access_denied', organization: 'acme', timestamp: '2026-10-05T10:00:00.000Z' });
+    });
+
+    const seqs = result => result.entries.map(entry => entry.seq);
+
+    test('returns every entry, newest first', async () => {
+        const result = await queryAudit();
+
+        expect(result.total).toBe(5);
+        expect(seqs(result)).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    test.each([
+        ['org', { org: 'acme' }, [5, 4, 2, 1]],
+        ['action', { action: 'approve' }, [4, 3, 1]],
+        ['actor', { actor: 'alice' }, [3, 1]],
+        ['from', { from: '2026-10-03T10:00:00Z' }, [5, 4, 3]],
+        ['to', { to: '2026-10-02T10:00:00Z' }, [2, 1]],
+        ['from and to', { from: '2026-10-02T00:00:00Z', to: '2026-10-04T00:00:00Z' }, [3, 2]],
+        ['several filters', { org: 'acme', action: 'approve', actor: 'bob' }, [4]]
+    ])('filters by %s', async (_, filters, expected) => {
+        const result = await queryAudit(filters);
+
+        expect(seqs(result)).toEqual(expected);
+        expect(result.total).toBe(expected.length);
+    });
+
+    test('limits the entries but counts every match', async () => {
+        const result = await queryAudit({ org: 'acme', limit: '2' });
+
+        expect(result.total).toBe(4);
+        expect(seqs(result)).toEqual([5, 4]);
+    });
+});
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Concurrency Helpers
+ * Bounded worker pool for fanning out GitHub API calls
+ */
+
+/**
+ * Map items through an async worker with at most `limit` in flight.
+ * Results keep the input order; a worker rejection rejects the whole map.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const poolSize = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: poolSize }, runWorker));
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
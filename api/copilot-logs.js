@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * Copilot Log Analytics
+ * Parses Copilot logs in the `[YYYY-MM-DD HH:MM:SS] LEVEL: message` format
+ * into events, stores each upload, and aggregates completions, acceptances,
+ * rejections, errors and retries per session, day and file extension.
+ * Uploads belong to an organization, and metrics only ever cover one.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+
+// Configuration
+const COPILOT_LOG_MAX_UPLOADS = parseInt(process.env.COPILOT_LOG_MAX_UPLOADS, 10) || 1000;
+
+const LINE_PATTERN = /^\[(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})\] (DEBUG|INFO|WARN|WARNING|ERROR|FATAL): (.*)$/;
+// A line that starts a new entry in the middle of another (a missing newline)
+const EMBEDDED_ENTRY = /\[\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\] [A-Z]+: /g;
+
+// Messages Copilot writes, in the order they are tried
+const MESSAGE_PATTERNS = [
+    { type: 'completion', pattern: /^Completion generated for file: (.+)$/i, fields: ['file'] },
+    { type: 'accepted', pattern: /^Suggestion (?:accepted|applied)\b/i },
+    { type: 'rejected', pattern: /^Suggestion rejected(?: - (.+))?$/i, fields: ['reason'] },
+    { type: 'retry', pattern: /^Retry (successful|failed)\b/i, fields: ['outcome'] },
+    { type: 'error', pattern: /^Failed to generate completion(?: - (.+))?$/i, fields: ['reason'] },
+    { type: 'session_start', pattern: /^Copilot (?:session started|extension loaded)\b/i },
+    { type: 'session_end', pattern: /^Copilot session ended\b/i }
+];
+
+const store = createJsonStore('copilot-logs', { uploads: [] });
+
+function classify(level, message) {
+    for (const { type, pattern, fields = [] } of MESSAGE_PATTERNS) {
+        const match = pattern.exec(message);
+        if (match) {
+            const event = { type };
+            fields.forEach((field, index) => {
+                if (match[index + 1] !== undefined) {
+                    event[field] = match[index + 1].trim();
+                }
+            });
+            return event;
+        }
+    }
+
+    // Unrecognized errors still count, with the message as the reason
+    return level === 'ERROR' || level === 'FATAL' ? { type: 'error', reason: message } : { type: 'other' };
+}
+
+function extensionOf(file) {
+    return path.extname(file).toLowerCase() || '(none)';
+}
+
+/**
+ * Parse one log file into events and malformed lines. Every event belongs to
+ * a session: a new one starts at each session-start message, and entries
+ * before the first start form an implicit session. An acceptance or
+ * rejection is tied to the completion it follows, for its file extension.
+ */
+function parseCopilotLog(content, source = 'upload') {
+    const events = [];
+    const malformed = [];
+    let sessionIndex = 0;
+    let sessionOpen = false;
+    let lastCompletion = null;
+
+    content.split(/\r?\n/).forEach((text, index) => {
+        const line = index + 1;
+        if (text.trim() === '') {
+            return;
+        }
+
+        const match = LINE_PATTERN.exec(text);
+        if (!match) {
+            malformed.push({ source, line, text: text.slice(0, 500), reason: 'Does not match [YYYY-MM-DD HH:MM:SS] LEVEL: message' });
+            return;
+        }
+
+        const [, date, time, rawLevel] = match;
+        let message = match[4];
+        const timestamp = new Date(`${date}T${time}Z`);
+        if (isNaN(timestamp.getTime())) {
+            malformed.push({ source, line, text: text.slice(0, 500), reason: `Invalid timestamp ${date} ${time}` });
+            return;
+        }
+
+        // Keep the first entry of a run-together line and report the rest
+        EMBEDDED_ENTRY.lastIndex = 0;
+        const embedded = EMBEDDED_ENTRY.exec(message);
+        if (embedded) {
+            malformed.push({ source, line, text: message.slice(embedded.index, embedded.index + 500), reason: 'Entry is missing its preceding newline' });
+            message = message.slice(0, embedded.index);
+        }
+
+        const level = rawLevel === 'WARNING' ? 'WARN' : rawLevel;
+        const event = classify(level, message.trim());
+
+        if (event.type === 'session_start' && sessionOpen) {
+            sessionIndex++;
+        }
+        if (event.type === 'session_start' || !sessionOpen) {
+            sessionOpen = true;
+        }
+
+        Object.assign(event, {
+            at: timestamp.toISOString(),
+            level,
+            session: `${source}#${sessionIndex + 1}`,
+            line
+        });
+
+        if (event.type === 'completion') {
+            event.extension = extensionOf(event.file);
+            lastCompletion = event;
+        } else if (event.type === 'accepted' || event.type === 'rejected') {
+            if (lastCompletion) {
+                event.file = lastCompletion.file;
+                event.extension = lastCompletion.extension;
+            }
+            lastCompletion = null;
+        } else if (event.type === 'error') {
+            event.timeout = /timed? ?out/i.test(event.reason || '');
+            lastCompletion = null;
+        }
+
+        // A successful retry produced the completion the failed attempt did
+        // not; the log does not say for which file
+        if (event.type === 'retry' && event.outcome.toLowerCase() === 'successful') {
+            events.push(event);
+            lastCompletion = { ...event, type: 'completion', retried: true };
+            delete lastCompletion.outcome;
+            events.push(lastCompletion);
+            return;
+        }
+
+        if (event.type === 'session_end') {
+            sessionOpen = false;
+            sessionIndex++;
+            lastCompletion = null;
+        }
+
+        events.push(event);
+    });
+
+    return { source, events, malformed };
+}
+
+/**
+ * Parse and store logs uploaded for `org`; a file whose exact content was
+ * already uploaded there is reported as a duplicate and not counted twice
+ */
+function ingestCopilotLogs(org, files, uploadedBy) {
+    return store.update(data => {
+        const known = new Set(data.uploads.filter(upload => upload.org === org).map(upload => upload.sha256));
+
+        const results = files.map(({ name, content }) => {
+            const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+            const parsed = parseCopilotLog(content, name);
+            const summary = { name, sha256, events: parsed.events.length, malformed: parsed.malformed };
+
+            if (known.has(sha256)) {
+                return { ...summary, duplicate: true };
+            }
+            known.add(sha256);
+
+            data.uploads.push({
+                id: crypto.randomUUID(),
+                org,
+                name,
+                sha256,
+                uploadedAt: new Date().toISOString(),
+                uploadedBy,
+                events: parsed.events,
+                malformed: parsed.malformed.length
+            });
+            return { ...summary, duplicate: false };
+        });
+
+        data.uploads = data.uploads.slice(-COPILOT_LOG_MAX_UPLOADS);
+        return results;
+    });
+}
+
+function rate(accepted, completions) {
+    return completions ? Math.round(accepted / completions * 1000) / 1000 : null;
+}
+
+function emptyCounts() {
+    return { completions: 0, accepted: 0, rejected: 0, errors: 0, timeouts: 0, retries: 0 };
+}
+
+function count(counts, event) {
+    switch (event.type) {
+        case 'completion':
+            counts.completions++;
+            break;
+        case 'accepted':
+            counts.accepted++;
+            break;
+        case 'rejected':
+            counts.rejected++;
+            break;
+        case 'error':
+            counts.errors++;
+            if (event.timeout) {
+                counts.timeouts++;
+            }
+            break;
+        case 'retry':
+            counts.retries++;
+            break;
+        default:
+            break;
+    }
+}
+
+function withRate(counts) {
+    return { ...counts, acceptanceRate: rate(counts.accepted, counts.completions) };
+}
+
+function tally(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+function sortedTally(map, keyName) {
+    return [...map.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([key, total]) => ({ [keyName]: key, count: total }));
+}
+
+/**
+ * Aggregate the events uploaded for `org`, optionally limited to [from, to]
+ * and one source. Acceptance rate is accepted / completions.
+ */
+function getCopilotMetrics(org, { from, to, source } = {}) {
+    const uploads = store.read().uploads.filter(upload => upload.org === org && (!source || upload.name === source));
+    const events = uploads.flatMap(upload => upload.events)
+        .filter(event => (!from || event.at >= from) && (!to || event.at <= to));
+
+    const totals = emptyCounts();
+    const sessions = new Map();
+    const days = new Map();
+    const extensions = new Map();
+    const rejectionReasons = new Map();
+    const errorReasons = new Map();
+
+    events.forEach(event => {
+        count(totals, event);
+
+        if (!sessions.has(event.session)) {
+            sessions.set(event.session, { session: event.session, startedAt: event.at, endedAt: event.at, ...emptyCounts() });
+        }
+        const session = sessions.get(event.session);
+        session.startedAt = event.at < session.startedAt ? event.at : session.startedAt;
+        session.endedAt = event.at > session.endedAt ? event.at : session.endedAt;
+        count(session, event);
+
+        const day = event.at.slice(0, 10);
+        if (!days.has(day)) {
+            days.set(day, { day, ...emptyCounts() });
+        }
+        count(days.get(day), event);
+
+        if (event.extension) {
+            if (!extensions.has(event.extension)) {
+                extensions.set(event.extension, { extension: event.extension, ...emptyCounts() });
+            }
+            count(extensions.get(event.extension), event);
+        }
+
+        if (event.type === 'rejected') {
+            tally(rejectionReasons, event.reason || '(none given)');
+        } else if (event.type === 'error') {
+            tally(errorReasons, event.reason || '(none given)');
+        }
+    });
+
+    return {
+        uploads: uploads.length,
+        entries: events.length,
+        malformed: uploads.reduce((total, upload) => total + upload.malformed, 0),
+        totals: withRate(totals),
+        bySession: [...sessions.values()].sort((a, b) => a.startedAt.localeCompare(b.startedAt)).map(withRate),
+        byDay: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)).map(withRate),
+        byExtension: [...extensions.values()].sort((a, b) => b.completions - a.completions || a.extension.localeCompare(b.extension)).map(withRate),
+        rejectionReasons: sortedTally(rejectionReasons, 'reason'),
+        errorReasons: sortedTally(errorReasons, 'reason')
+    };
+}
+
+module.exports = {
+    parseCopilotLog,
+    ingestCopilotLogs,
+    getCopilotMetrics
+};
@@ -0,0 +1,238 @@
+/**
+ * Copilot Log Analytics tests
+ * Parses logs in the `[YYYY-MM-DD HH:MM:SS] LEVEL: message` format, the
+ * malformed lines among them included, then aggregates stored uploads.
+ */
+
+const { parseCopilotLog, ingestCopilotLogs, getCopilotMetrics } = require('./copilot-logs');
+
+const log = (...lines) => lines.join('\n');
+
+describe('parseCopilotLog', () => {
+    test('turns each message into an event', () => {
+        const { events, malformed } = parseCopilotLog(log(
+            '[2026-10-19 09:00:00] INFO: Copilot session started',
+            '[2026-10-19 09:00:05] DEBUG: Completion generated for file: src/App.TSX',
+            '[2026-10-19 09:00:06] INFO: Suggestion accepted',
+            '[2026-10-19 09:01:00] INFO: Completion generated for file: api/server.js',
+            '[2026-10-19 09:01:02] INFO: Suggestion rejected - not relevant',
+            '[2026-10-19 09:02:00] WARNING: Failed to generate completion - Request timed out',
+            '[2026-10-19 09:02:01] ERROR: Language server crashed',
+            '[2026-10-19 09:02:02] INFO: Indexing workspace',
+            '[2026-10-19 09:03:00] INFO: Copilot session ended'
+        ), 'monday.log');
+
+        expect(malformed).toEqual([]);
+        expect(events).toEqual([
+            { type: 'session_start', at: '2026-10-19T09:00:00.000Z', level: 'INFO', session: 'monday.log#1', line: 1 },
+            { type: 'completion', file: 'src/App.TSX', extension: '.tsx', at: '2026-10-19T09:00:05.000Z', level: 'DEBUG', session: 'monday.log#1', line: 2 },
+            { type: 'accepted', file: 'src/App.TSX', extension: '.tsx', at: '2026-10-19T09:00:06.000Z', level: 'INFO', session: 'monday.log#1', line: 3 },
+            { type: 'completion', file: 'api/server.js', extension: '.js', at: '2026-10-19T09:01:00.000Z', level: 'INFO', session: 'monday.log#1', line: 4 },
+            { type: 'rejected', reason: 'not relevant', file: 'api/server.js', extension: '.js', at: '2026-10-19T09:01:02.000Z', level: 'INFO', session: 'monday.log#1', line: 5 },
+            { type: 'error', reason: 'Request timed out', timeout: true, at: '2026-10-19T09:02:00.000Z', level: 'WARN', session: 'monday.log#1', line: 6 },
+            { type: 'error', reason: 'Language server crashed', timeout: false, at: '2026-10-19T09:02:01.000Z', level: 'ERROR', session: 'monday.log#1', line: 7 },
+            { type: 'other', at: '2026-10-19T09:02:02.000Z', level: 'INFO', session: 'monday.log#1', line: 8 },
+            { type: 'session_end', at: '2026-10-19T09:03:00.000Z', level: 'INFO', session: 'monday.log#1', line: 9 }
+        ]);
+    });
+
+    test('starts a session at each start message, and an implicit one before the first', () => {
+        const { events } = parseCopilotLog(log(
+            '[2026-10-19 08:59:00] INFO: Suggestion applied',
+            '[2026-10-19 09:00:00] INFO: Copilot extension loaded',
+            '[2026-10-19 09:10:00] INFO: Copilot session started',
+            '[2026-10-19 09:20:00] INFO: Copilot session ended',
+            '[2026-10-19 09:30:00] INFO: Suggestion accepted'
+        ), 'day.log');
+
+        expect(events.map(event => [event.type, event.session])).toEqual([
+            ['accepted', 'day.log#1'],
+            ['session_start', 'day.log#2'],
+            ['session_start', 'day.log#3'],
+            ['session_end', 'day.log#3'],
+            ['accepted', 'day.log#4']
+        ]);
+    });
+
+    test('ties an acceptance only to the completion right before it', () => {
+        const { events } = parseCopilotLog(log(
+            '[2026-10-19 09:00:00] INFO: Completion generated for file: Makefile',
+            '[2026-10-19 09:00:01] INFO: Suggestion accepted',
+            '[2026-10-19 09:00:02] INFO: Suggestion accepted',
+            '[2026-10-19 09:00:03] INFO: Completion generated for file: main.go',
+            '[2026-10-19 09:00:04] ERROR: Failed to generate completion',
+            '[2026-10-19 09:00:05] INFO: Suggestion rejected'
+        ));
+
+        expect(events.map(({ type, extension }) => [type, extension])).toEqual([
+            ['completion', '(none)'],
+            ['accepted', '(none)'],
+            ['accepted', undefined],
+            ['completion', '.go'],
+            ['error', undefined],
+            ['rejected', undefined]
+        ]);
+    });
+
+    test('counts a successful retry as a completion, without a file', () => {
+        const { events } = parseCopilotLog(log(
+            '[2026-10-19 09:00:00] ERROR: Failed to generate completion - Network timeout',
+            '[2026-10-19 09:00:01] INFO: Retry failed',
+            '[2026-10-19 09:00:02] INFO: Retry successful',
+            '[2026-10-19 09:00:03] INFO: Suggestion accepted'
+        ));
+
+        expect(events.slice(1)).toEqual([
+            expect.objectContaining({ type: 'retry', outcome: 'failed', line: 2 }),
+            expect.objectContaining({ type: 'retry', outcome: 'successful', line: 3 }),
+            expect.objectContaining({ type: 'completion', retried: true, line: 3 }),
+            expect.objectContaining({ type: 'accepted', line: 4 })
+        ]);
+        expect(events[3]).not.toHaveProperty('outcome');
+        expect(events[4].file).toBeUndefined();
+    });
+
+    test('reports every malformed line with its line number and reason', () => {
+        const { events, malformed } = parseCopilotLog(log(
+            '[2026-10-19 09:00:00] INFO: Copilot session started',
+            'Completion generated for file: orphan.py',
+            '',
+            '[2026-10-19 09:00:05] TRACE: Completion generated for file: a.py',
+            '[2026-10-19] INFO: Suggestion accepted',
+            '[2026-10-19 25:00:00] INFO: Suggestion accepted',
+            '[2026-10-19 09:01:00] INFO: Completion generated for file: b.py[2026-10-19 09:01:01] INFO: Suggestion accepted',
+            '   '
+        ), 'broken.log');
+
+        const shape = 'Does not match [YYYY-MM-DD HH:MM:SS] LEVEL: message';
+        expect(malformed).toEqual([
+            { source: 'broken.log', line: 2, text: 'Completion generated for file: orphan.py', reason: shape },
+            { source: 'broken.log', line: 4, text: '[2026-10-19 09:00:05] TRACE: Completion generated for file: a.py', reason: shape },
+            { source: 'broken.log', line: 5, text: '[2026-10-19] INFO: Suggestion accepted', reason: shape },
+            { source: 'broken.log', line: 6, text: '[2026-10-19 25:00:00] INFO: Suggestion accepted', reason: 'Invalid timestamp 2026-10-19 25:00:00' },
+            { source: 'broken.log', line: 7, text: '[2026-10-19 09:01:01] INFO: Suggestion accepted', reason: 'Entry is missing its preceding newline' }
+        ]);
+
+        // The first entry of the run-together line is still parsed
+        expect(events.map(({ type, file, line }) => [type, file, line])).toEqual([
+            ['session_start', undefined, 1],
+            ['completion', 'b.py', 7]
+        ]);
+    });
+
+    test('cuts a malformed line short in the report', () => {
+        const { malformed } = parseCopilotLog('x'.repeat(2000));
+
+        expect(malformed).toEqual([expect.objectContaining({ source: 'upload', line: 1, text: 'x'.repeat(500) })]);
+    });
+
+    test('reads Windows line endings', () => {
+        const { events, malformed } = parseCopilotLog('[2026-10-19 09:00:00] INFO: Suggestion accepted\r\n[2026-10-19 09:00:01] INFO: Suggestion accepted\r\n');
+
+        expect(malformed).toEqual([]);
+        expect(events).toHaveLength(2);
+    });
+});
+
+describe('ingestCopilotLogs', () => {
+    test('stores new files and reports a repeated one as a duplicate', () => {
+        const content = log(
+            '[2026-10-19 09:00:00] INFO: Completion generated for file: a.py',
+            'not a log line'
+        );
+
+        const [first] = ingestCopilotLogs('ingest-org', [{ name: 'a.log', content }], 'alice');
+        expect(first).toEqual({
+            name: 'a.log',
+            sha256: expect.stringMatching(/^[0-9a-f]{64}$/),
+            events: 1,
+            malformed: [expect.objectContaining({ line: 2 })],
+            duplicate: false
+        });
+
+        const [again, other] = ingestCopilotLogs('ingest-org', [{ name: 'copy.log', content }, { name: 'b.log', content: '' }], 'bob');
+        expect(again).toMatchObject({ name: 'copy.log', sha256: first.sha256, duplicate: true });
+        expect(other).toMatchObject({ name: 'b.log', events: 0, malformed: [], duplicate: false });
+
+        // The same file is new to another organization
+        expect(ingestCopilotLogs('other-org', [{ name: 'a.log', content }], 'alice')[0].duplicate).toBe(false);
+        expect(getCopilotMetrics('ingest-org')).toMatchObject({ uploads: 2, entries: 1, malformed: 1 });
+    });
+});
+
+describe('getCopilotMetrics', () => {
+    beforeAll(() => {
+        ingestCopilotLogs('metrics-org', [
+            {
+                name: 'monday.log',
+                content: log(
+                    '[2026-10-19 09:00:00] INFO: Copilot session started',
+                    '[2026-10-19 09:00:01] INFO: Completion generated for file: a.ts',
+                    '[2026-10-19 09:00:02] INFO: Suggestion accepted',
+                    '[2026-10-19 09:00:03] INFO: Completion generated for file: b.ts',
+                    '[2026-10-19 09:00:04] INFO: Suggestion rejected - too long',
+                    '[2026-10-19 09:00:05] INFO: Completion generated for file: c.py',
+                    '[2026-10-19 09:00:06] INFO: Suggestion accepted',
+                    '[2026-10-19 09:00:07] ERROR: Failed to generate completion - Request timed out',
+                    '[2026-10-19 09:00:08] INFO: Retry successful',
+                    '[2026-10-19 09:00:09] INFO: Copilot session ended'
+                )
+            },
+            {
+                name: 'tuesday.log',
+                content: log(
+                    '[2026-10-20 10:00:00] INFO: Completion generated for file: d.ts',
+                    '[2026-10-20 10:00:01] INFO: Suggestion rejected - too long',
+                    '[2026-10-20 10:00:02] INFO: Completion generated for file: e.ts',
+                    '[2026-10-20 10:00:03] INFO: Suggestion rejected - wrong style',
+                    '[2026-10-20 10:00:04] FATAL: Extension host terminated',
+                    'garbage'
+                )
+            }
+        ], 'alice');
+        ingestCopilotLogs('unrelated-org', [{ name: 'monday.log', content: '[2026-10-19 09:00:01] INFO: Completion generated for file: x.ts' }], 'bob');
+    });
+
+    test('aggregates the organization\'s uploads', () => {
+        const metrics = getCopilotMetrics('metrics-org');
+
+        expect(metrics).toMatchObject({ uploads: 2, entries: 16, malformed: 1 });
+        expect(metrics.totals).toEqual({ completions: 6, accepted: 2, rejected: 3, errors: 2, timeouts: 1, retries: 1, acceptanceRate: 0.333 });
+        expect(metrics.byDay).toEqual([
+            { day: '2026-10-19', completions: 4, accepted: 2, rejected: 1, errors: 1, timeouts: 1, retries: 1, acceptanceRate: 0.5 },
+            { day: '2026-10-20', completions: 2, accepted: 0, rejected: 2, errors: 1, timeouts: 0, retries: 0, acceptanceRate: 0 }
+        ]);
+        expect(metrics.bySession).toEqual([
+            expect.objectContaining({ session: 'monday.log#1', startedAt: '2026-10-19T09:00:00.000Z', endedAt: '2026-10-19T09:00:09.000Z', completions: 4, acceptanceRate: 0.5 }),
+            expect.objectContaining({ session: 'tuesday.log#1', completions: 2, acceptanceRate: 0 })
+        ]);
+        expect(metrics.byExtension).toEqual([
+            { extension: '.ts', completions: 4, accepted: 1, rejected: 3, errors: 0, timeouts: 0, retries: 0, acceptanceRate: 0.25 },
+            { extension: '.py', completions: 1, accepted: 1, rejected: 0, errors: 0, timeouts: 0, retries: 0, acceptanceRate: 1 }
+        ]);
+        expect(metrics.rejectionReasons).toEqual([{ reason: 'too long', count: 2 }, { reason: 'wrong style', count: 1 }]);
+        expect(metrics.errorReasons).toEqual([{ reason: 'Extension host terminated', count: 1 }, { reason: 'Request timed out', count: 1 }]);
+    });
+
+    test('limits the entries to a time range or one source', () => {
+        expect(getCopilotMetrics('metrics-org', { from: '2026-10-20T00:00:00.000Z' }).totals.completions).toBe(2);
+        expect(getCopilotMetrics('metrics-org', { to: '2026-10-19T09:00:03.000Z' }).totals).toMatchObject({ completions: 2, accepted: 1 });
+
+        const tuesday = getCopilotMetrics('metrics-org', { source: 'tuesday.log' });
+        expect(tuesday).toMatchObject({ uploads: 1, entries: 5, malformed: 1 });
+    });
+
+    test('has no acceptance rate without completions', () => {
+        expect(getCopilotMetrics('empty-org')).toEqual({
+            uploads: 0,
+            entries: 0,
+            malformed: 0,
+            totals: { completions: 0, accepted: 0, rejected: 0, errors: 0, timeouts: 0, retries: 0, acceptanceRate: null },
+            bySession: [],
+            byDay: [],
+            byExtension: [],
+            rejectionReasons: [],
+            errorReasons: []
+        });
+    });
+});
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Server-Sent Events
+ * Replayable event channels plus the plumbing to stream one to a client.
+ *
+ * Each channel buffers its events, so a client that reconnects with
+ * Last-Event-ID ("<channelId>:<seq>") picks up exactly where it left off.
+ */
+
+// Configuration
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) * 1000 || 15000;
+const CHANNEL_RETENTION_MS = 10 * 60 * 1000; // keep closed channels for reconnects
+const MAX_BUFFERED_EVENTS = 2000;
+
+const channels = new Map();
+
+/**
+ * Get or create a channel
+ */
+function getChannel(id) {
+    if (channels.has(id)) {
+        return channels.get(id);
+    }
+
+    const channel = {
+        id,
+        seq: 0,
+        events: [],
+        listeners: new Set(),
+        closed: false,
+
+        publish(event, data) {
+            if (channel.closed) {
+                return null;
+            }
+
+            const entry = { id: `${id}:${++channel.seq}`, seq: channel.seq, event, data };
+            channel.events.push(entry);
+            if (channel.events.length > MAX_BUFFERED_EVENTS) {
+                channel.events.shift();
+            }
+
+            channel.listeners.forEach(listener => listener(entry));
+            return entry;
+        },
+
+        close() {
+            if (channel.closed) {
+                return;
+            }
+            channel.closed = true;
+            channel.listeners.forEach(listener => listener(null));
+            channel.listeners.clear();
+            setTimeout(() => channels.delete(id), CHANNEL_RETENTION_MS).unref();
+        },
+
+        /**
+         * Replay events after `afterSeq`, then follow live ones.
+         * The listener receives null once the channel closes.
+         */
+        subscribe(listener, afterSeq = 0) {
+            channel.events.filter(entry => entry.seq > afterSeq).forEach(listener);
+
+            if (channel.closed) {
+                listener(null);
+                return () => {};
+            }
+
+            channel.listeners.add(listener);
+            return () => channel.listeners.delete(listener);
+        }
+    };
+
+    channels.set(id, channel);
+    return channel;
+}
+
+function findChannel(id) {
+    return channels.get(id) || null;
+}
+
+/**
+ * Parse Last-Event-ID into { channelId, seq }
+ */
+function parseLastEventId(req) {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (!lastEventId) {
+        return null;
+    }
+
+    const separator = lastEventId.lastIndexOf(':');
+    const seq = parseInt(lastEventId.slice(separator + 1), 10);
+    if (separator <= 0 || isNaN(seq)) {
+        return null;
+    }
+
+    return { channelId: lastEventId.slice(0, separator), seq };
+}
+
+/**
+ * Stream a channel to the client until it closes or the client disconnects
+ */
+function streamChannel(req, res, channel, afterSeq = 0) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    // Tell EventSource-compatible clients how long to wait before reconnecting
+    res.write('retry: 3000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    let unsubscribe = () => {};
+    const finish = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    unsubscribe = channel.subscribe(entry => {
+        if (entry === null) {
+            finish();
+            res.end();
+            return;
+        }
+        res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    }, afterSeq);
+
+    req.on('close', finish);
+}
+
+module.exports = {
+    getChannel,
+    findChannel,
+    parseLastEventId,
+    streamChannel
+};
@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+/**
+ * Sandbox GitHub
+ * Local stand-in for the parts of the GitHub REST API the server uses:
+ * users, org repositories, file contents, branches and branch protection,
+ * workflow runs and jobs, and repository dispatches, all served from the
+ * fixtures in SANDBOX_FIXTURES_DIR.
+ *
+ * Dispatches are recorded, never sent. Each one starts a simulated run of
+ * the rollout (or rollback) workflow that moves from queued to in_progress
+ * to completed, one repository job at a time. When a run completes, the
+ * repositories whose jobs succeeded get the managed workflow files written
+ * (or reverted), so later readiness, preview and adoption scans see the
+ * change. Runs and file changes are kept under DATA_DIR.
+ *
+ * GITHUB_SANDBOX=true starts it inside the API server. To run it on its own,
+ * point the server at it with GITHUB_API_URL:
+ *   node fake-github.js [--port 4010] [--fixtures <dir>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { MANAGED_FILES, renderTemplate } = require('./preview');
+
+// Configuration
+const SANDBOX_FIXTURES_DIR = process.env.SANDBOX_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'sandbox');
+const SANDBOX_RUN_STEP_MS = (parseInt(process.env.SANDBOX_RUN_STEP_SECONDS, 10) || 10) * 1000;
+// manual: runs stay queued until completed through POST /_sandbox/runs/:id/complete
+const SANDBOX_RUN_MODE = process.env.SANDBOX_RUN_MODE === 'manual' ? 'manual' : 'auto';
+
+const TOOLKIT_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const RATE_LIMIT = 5000;
+const FIRST_DISPATCH_RUN_ID = 100000;
+
+// Workflows started by each dispatch event type, as named in .github/workflows
+const DISPATCH_WORKFLOWS = {
+    'start-rollout': {
+        name: '🚀 Approved CI/CD Rollout',
+        path: '.github/workflows/approved-rollout.yml',
+        title: payload => `🚀 Rollout ${payload.wave_id || payload.rollout_id} (${payload.org})`
+    },
+    'revert-rollout': {
+        name: '↩️ Approved Rollback',
+        path: '.github/workflows/rollback-rollout.yml',
+        title: payload => `↩️ Rollback ${payload.rollout_id} (${payload.org})`
+    }
+};
+
+const REPO_JOB_PREFIX = '📦 ';
+const VALIDATE_JOB = '🔍 Validate Approval';
+
+const store = createJsonStore('sandbox-github', { nextRunId: FIRST_DISPATCH_RUN_ID, dispatches: [], runs: [], files: {}, blobs: {} });
+
+/**
+ * Error answered with `status` and GitHub's { message } body
+ */
+class FakeGitHubError extends Error {
+    constructor(message, status = 404) {
+        super(message);
+        this.name = 'FakeGitHubError';
+        this.code = 'FAKE_GITHUB_ERROR';
+        this.status = status;
+    }
+}
+
+// Git's blob SHA, so previousSha values round-trip like on GitHub
+function blobSha(text) {
+    return crypto.createHash('sha1').update(`blob ${Buffer.byteLength(text)}\0`).update(text).digest('hex');
+}
+
+function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw new Error(`Invalid sandbox fixture ${filePath}: ${error.message}`);
+    }
+}
+
+function readTree(dir, prefix = '') {
+    if (!fs.existsSync(dir)) {
+        return {};
+    }
+
+    return Object.assign({}, ...fs.readdirSync(dir, { withFileTypes: true }).map(entry => {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        return entry.isDirectory()
+            ? readTree(path.join(dir, entry.name), relative)
+            : { [relative]: fs.readFileSync(path.join(dir, entry.name), 'utf8') };
+    }));
+}
+
+/**
+ * Users and repositories from the fixtures directory:
+ *   users.json                          [{ login, id, name, email, token, orgs, teams: [{ org, slug }] }]
+ *   repos/<owner>/<repo>/repo.json      { default_branch, archived, fork, protected, visibility, language, topics,
+ *                                         pushedDaysAgo, teams: { <slug>: <permission> }, rollout, workflow_runs, templates }
+ *   repos/<owner>/<repo>/files/...      the default branch's files
+ * A repo.json with "templates": "checkout" serves this checkout's templates/ (the rollout target).
+ */
+function loadFixtures(fixturesDir) {
+    const users = readJsonFile(path.join(fixturesDir, 'users.json'), []);
+    const repos = new Map();
+    const reposDir = path.join(fixturesDir, 'repos');
+    let nextFixtureRunId = 1;
+
+    const owners = fs.existsSync(reposDir) ? fs.readdirSync(reposDir) : [];
+    for (const owner of owners) {
+        for (const name of fs.readdirSync(path.join(reposDir, owner))) {
+            const dir = path.join(reposDir, owner, name);
+            const meta = readJsonFile(path.join(dir, 'repo.json'), {});
+            const files = readTree(path.join(dir, 'files'));
+
+            if (meta.templates === 'checkout') {
+                Object.assign(files, readTree(TOOLKIT_TEMPLATES_DIR, 'templates'));
+            }
+
+            repos.set(`${owner}/${name}`, {
+                id: repos.size + 1,
+                owner,
+                name,
+                defaultBranch: meta.default_branch || 'main',
+                archived: Boolean(meta.archived),
+                fork: Boolean(meta.fork),
+                protected: Boolean(meta.protected),
+                visibility: meta.visibility || 'private',
+                language: meta.language || null,
+                topics: meta.topics || [],
+                pushedDaysAgo: meta.pushedDaysAgo || 0,
+                teams: meta.teams || {},
+                rollout: meta.rollout || 'success',
+                files,
+                workflowRuns: (meta.workflow_runs || []).map(run => ({ ...run, id: nextFixtureRunId++ }))
+            });
+        }
+    }
+
+    return { users, repos, loadedAt: Date.now() };
+}
+
+/**
+ * Start the fake; resolves with { server, url } once it is listening
+ */
+function startFakeGitHub({ port = 0, host = '127.0.0.1', fixturesDir = SANDBOX_FIXTURES_DIR } = {}) {
+    const fixtures = loadFixtures(fixturesDir);
+    let baseUrl = null;
+    let window = { resetAt: 0, used: 0 };
+
+    const findRepo = (owner, name) => {
+        const repo = fixtures.repos.get(`${owner}/${name}`);
+        if (!repo) {
+            throw new FakeGitHubError('Not Found');
+        }
+        return repo;
+    };
+
+    // Fixture files with the changes completed runs made on top
+    const repoFiles = (repo, state = store.read()) => {
+        const changes = state.files[`${repo.owner}/${repo.name}`] || {};
+        const files = { ...repo.files, ...changes };
+        return Object.fromEntries(Object.entries(files).filter(([, text]) => text !== null));
+    };
+
+    // Changes whenever the files do, so readiness caches keyed on it invalidate
+    const headSha = repo => crypto.createHash('sha1')
+        .update(JSON.stringify(Object.entries(repoFiles(repo)).sort().map(([file, text]) => [file, blobSha(text)])))
+        .digest('hex');
+
+    const repoJson = repo => ({
+        id: repo.id,
+        name: repo.name,
+        full_name: `${repo.owner}/${repo.name}`,
+        owner: { login: repo.owner, type: 'Organization' },
+        private: repo.visibility !== 'public',
+        visibility: repo.visibility,
+        archived: repo.archived,
+        fork: repo.fork,
+        language: repo.language,
+        topics: repo.topics,
+        default_branch: repo.defaultBranch,
+        pushed_at: new Date(fixtures.loadedAt - repo.pushedDaysAgo * 24 * 3600 * 1000).toISOString(),
+        html_url: `${baseUrl}/${repo.owner}/${repo.name}`
+    });
+
+    // GitHub's permissions object for a team's role on a repository
+    const teamPermissions = role => {
+        const levels = ['pull', 'triage', 'push', 'maintain', 'admin'];
+        return Object.fromEntries(levels.map(level => [level, levels.indexOf(level) <= levels.indexOf(role)]));
+    };
+
+    // A repository job finishes every 2 steps / n after a step queued
+    const jobTimes = (index, total) => ({
+        startsAt: SANDBOX_RUN_STEP_MS,
+        endsAt: SANDBOX_RUN_STEP_MS * (1 + 2 * (index + 1) / total)
+    });
+
+    /**
+     * Status of a dispatched run at `now`, derived from its age unless it was
+     * completed or cancelled through the control endpoints
+     */
+    const describeRun = (run, now = Date.now()) => {
+        const createdAt = new Date(run.created_at).getTime();
+        const stoppedAt = run.cancelledAt || run.completedAt;
+        const elapsed = SANDBOX_RUN_MODE === 'manual' && !stoppedAt
+            ? 0
+            : (stoppedAt ? Math.min(now, new Date(stoppedAt).getTime()) : now) - createdAt;
+        const at = offset => new Date(createdAt + offset).toISOString();
+
+        const repoJobs = run.repos.map((repo, index) => {
+            const { startsAt, endsAt } = jobTimes(index, run.repos.length);
+            const outcome = (run.jobConclusions && run.jobConclusions[repo]) || run.outcomes[repo];
+
+            if (elapsed >= endsAt || run.completedAt) {
+                return { name: `${REPO_JOB_PREFIX}${repo}`, status: 'completed', conclusion: outcome,
+                    started_at: at(Math.min(startsAt, elapsed)), completed_at: at(Math.min(endsAt, elapsed)) };
+            }
+            if (run.cancelledAt) {
+                return { name: `${REPO_JOB_PREFIX}${repo}`, status: 'completed', conclusion: 'cancelled',
+                    started_at: elapsed >= startsAt ? at(startsAt) : null, completed_at: run.cancelledAt };
+            }
+            return { name: `${REPO_JOB_PREFIX}${repo}`, status: elapsed >= startsAt ? 'in_progress' : 'queued', conclusion: null,
+                started_at: elapsed >= startsAt ? at(startsAt) : null, completed_at: null };
+        });
+
+        const validate = elapsed >= SANDBOX_RUN_STEP_MS || run.completedAt
+            ? { name: VALIDATE_JOB, status: 'completed', conclusion: 'success', started_at: at(0), completed_at: at(Math.min(SANDBOX_RUN_STEP_MS, elapsed)) }
+            : { name: VALIDATE_JOB, status: run.cancelledAt ? 'completed' : 'in_progress', conclusion: run.cancelledAt ? 'cancelled' : null,
+                started_at: at(0), completed_at: run.cancelledAt || null };
+
+        const jobs = [validate, ...repoJobs].map((job, index) => ({
+            id: run.id * 100 + index,
+            run_id: run.id,
+            html_url: `${baseUrl}/_sandbox/runs/${run.id}`,
+            ...job
+        }));
+
+        const done = jobs.every(job => job.status === 'completed');
+        let conclusion = null;
+        if (run.cancelledAt) {
+            conclusion = 'cancelled';
+        } else if (done) {
+            conclusion = jobs.every(job => job.conclusion === 'success') ? 'success' : 'failure';
+        }
+
+        return {
+            run: {
+                id: run.id,
+                name: run.workflow.name,
+                display_title: run.display_title,
+                path: run.workflow.path,
+                event: 'repository_dispatch',
+                head_branch: run.head_branch,
+                status: done ? 'completed' : (elapsed >= SANDBOX_RUN_STEP_MS ? 'in_progress' : 'queued'),
+                conclusion,
+                html_url: `${baseUrl}/_sandbox/runs/${run.id}`,
+                created_at: run.created_at,
+                run_started_at: run.created_at,
+                updated_at: done ? jobs.reduce((latest, job) => (job.completed_at > latest ? job.completed_at : latest), run.created_at) : new Date(now).toISOString()
+            },
+            jobs
+        };
+    };
+
+    /**
+     * Write (or, for rollbacks, revert) the managed files in every repository
+     * whose job succeeded, once per completed run
+     */
+    const applyCompletedRuns = () => {
+        const pending = store.read().runs.filter(run => !run.applied && describeRun(run).run.status === 'completed');
+        if (pending.length === 0) {
+            return;
+        }
+
+        store.update(state => {
+            for (const stored of state.runs.filter(run => pending.some(candidate => candidate.id === run.id))) {
+                const { jobs } = describeRun(stored);
+                const succeeded = stored.repos.filter(repo =>
+                    jobs.some(job => job.name === `${REPO_JOB_PREFIX}${repo}` && job.conclusion === 'success'));
+
+                for (const name of succeeded) {
+                    const repo = fixtures.repos.get(`${stored.org}/${name}`);
+                    if (!repo) {
+                        continue;
+                    }
+                    const key = `${repo.owner}/${repo.name}`;
+                    const changes = state.files[key] = state.files[key] || {};
+
+                    if (stored.event === 'revert-rollout') {
+                        for (const change of (stored.changes && stored.changes[name]) || []) {
+                            if (change.action === 'create') {
+                                changes[change.path] = null;
+                            } else if (change.previousSha) {
+                                const previous = state.blobs[change.previousSha] ||
+                                    Object.values(repo.files).find(text => blobSha(text) === change.previousSha);
+                                if (previous !== undefined) {
+                                    changes[change.path] = previous;
+                                }
+                            }
+                        }
+                    } else if (stored.rolloutType !== 'dry-run') {
+                        const toolkit = fixtures.repos.get(`${stored.owner}/${stored.repo}`);
+                        for (const file of MANAGED_FILES) {
+                            const current = repoFiles(repo, state)[file.path];
+                            if (current !== undefined) {
+                                state.blobs[blobSha(current)] = current;
+                            }
+                            const template = toolkit && repoFiles(toolkit, state)[file.template];
+                            if (template !== undefined) {
+                                changes[file.path] = renderTemplate(template, { org: repo.owner, repo: repo.name, default_branch: repo.defaultBranch });
+                            }
+                        }
+                    }
+
+                    // The push triggers the repository's own workflow
+                    state.repoRuns = state.repoRuns || {};
+                    (state.repoRuns[key] = state.repoRuns[key] || []).push({
+                        id: state.nextRunId++,
+                        name: 'Install Dependencies',
+                        path: '.github/workflows/deps-install.yml',
+                        conclusion: 'success',
+                        created_at: new Date().toISOString()
+                    });
+                }
+
+                stored.applied = true;
+            }
+        });
+    };
+
+    // Fixture runs, runs of applied changes and dispatched runs, newest first
+    const listRuns = (repo, state = store.read()) => {
+        const key = `${repo.owner}/${repo.name}`;
+        const fixtureRuns = repo.workflowRuns.map(run => ({
+            id: run.id,
+            name: run.name,
+            display_title: run.name,
+            path: run.path,
+            event: run.event || 'push',
+            head_branch: run.branch || repo.defaultBranch,
+            status: 'completed',
+            conclusion: run.conclusion,
+            created_at: new Date(fixtures.loadedAt - (run.hoursAgo || 0) * 3600 * 1000).toISOString()
+        }));
+        const pushRuns = ((state.repoRuns || {})[key] || []).map(run => ({
+            ...run,
+            display_title: run.name,
+            event: 'push',
+            head_branch: repo.defaultBranch,
+            status: 'completed'
+        }));
+        const dispatched = state.runs
+            .filter(run => run.owner === repo.owner && run.repo === repo.name)
+            .map(run => describeRun(run).run);
+
+        return [...fixtureRuns, ...pushRuns, ...dispatched]
+            .map(run => ({ updated_at: run.created_at, html_url: `${baseUrl}/_sandbox/runs/${run.id}`, ...run }))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    };
+
+    const findDispatchedRun = (repo, runId) => {
+        const run = store.read().runs.find(candidate =>
+            candidate.id === runId && candidate.owner === repo.owner && candidate.repo === repo.name);
+        if (!run) {
+            throw new FakeGitHubError('Not Found');
+        }
+        return run;
+    };
+
+    const paginate = (items, query) => {
+        const perPage = Math.min(parseInt(query.get('per_page'), 10) || 30, 100);
+        const page = parseInt(query.get('page'), 10) || 1;
+        return { items: items.slice((page - 1) * perPage, page * perPage), perPage, page, last: Math.max(1, Math.ceil(items.length / perPage)) };
+    };
+
+    const authenticatedUser = req => {
+        const token = (req.headers.authorization || '').replace(/^(token|bearer)\s+/i, '');
+        const user = fixtures.users.find(candidate => candidate.token === token);
+        if (!user) {
+            throw new FakeGitHubError('Bad credentials', 401);
+        }
+        return user;
+    };
+
+    // [method, pattern, handler(match, { req, query, body }) -> { status, data, headers }]
+    const routes = [
+        ['GET', /^\/user$/, (match, { req }) => {
+            const user = authenticatedUser(req);
+            return { data: { login: user.login, id: user.id, name: user.name, email: user.email, avatar_url: null, type: 'User' } };
+        }],
+        ['GET', /^\/user\/orgs$/, (match, { req }) => ({
+            data: authenticatedUser(req).orgs.map(login => ({ login }))
+        })],
+        ['GET', /^\/user\/teams$/, (match, { req }) => ({
+            data: (authenticatedUser(req).teams || []).map(team => ({ slug: team.slug, name: team.slug, organization: { login: team.org } }))
+        })],
+        ['GET', /^\/orgs\/([^/]+)\/repos$/, ([, org], { query }) => {
+            const repos = [...fixtures.repos.values()].filter(repo => repo.owner === org);
+            if (repos.length === 0) {
+                throw new FakeGitHubError('Not Found');
+            }
+            const page = paginate(repos, query);
+            const headers = page.page < page.last
+                ? { link: `<${baseUrl}/orgs/${org}/repos?per_page=${page.perPage}&page=${page.page + 1}>; rel="next", <${baseUrl}/orgs/${org}/repos?per_page=${page.perPage}&page=${page.last}>; rel="last"` }
+                : {};
+            return { data: page.items.map(repoJson), headers };
+        }],
+        ['GET', /^\/orgs\/([^/]+)\/teams\/([^/]+)\/repos$/, ([, org, slug], { query }) => {
+            const repos = [...fixtures.repos.values()].filter(repo => repo.owner === org && repo.teams[slug]);
+            const known = repos.length > 0 || fixtures.users.some(user => (user.teams || []).some(team => team.org === org && team.slug === slug));
+            if (!known) {
+                throw new FakeGitHubError('Not Found');
+            }
+            return { data: paginate(repos, query).items.map(repo => ({ ...repoJson(repo), role_name: repo.teams[slug], permissions: teamPermissions(repo.teams[slug]) })) };
+        }],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)$/, ([, owner, name]) => ({ data: repoJson(findRepo(owner, name)) })],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)\/contents(?:\/(.*))?$/, ([, owner, name, filePath = '']) => {
+            const repo = findRepo(owner, name);
+            const files = repoFiles(repo);
+            const wanted = filePath.replace(/\/+$/, '');
+
+            if (files[wanted] !== undefined) {
+                const text = files[wanted];
+                return {
+                    data: {
+                        type: 'file',
+                        name: path.posix.basename(wanted),
+                        path: wanted,
+                        sha: blobSha(text),
+                        size: Buffer.byteLength(text),
+                        encoding: 'base64',
+                        content: Buffer.from(text).toString('base64')
+                    }
+                };
+            }
+
+            const prefix = wanted ? `${wanted}/` : '';
+            const entries = new Map();
+            Object.keys(files).filter(file => file.startsWith(prefix)).forEach(file => {
+                const [entry, ...rest] = file.slice(prefix.length).split('/');
+                entries.set(entry, { name: entry, path: `${prefix}${entry}`, type: rest.length > 0 ? 'dir' : 'file' });
+            });
+            if (entries.size === 0) {
+                throw new FakeGitHubError('Not Found');
+            }
+            return { data: [...entries.values()] };
+        }],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)\/branches\/([^/]+)$/, ([, owner, name, branch]) => {
+            const repo = findRepo(owner, name);
+            if (branch !== repo.defaultBranch) {
+                throw new FakeGitHubError('Branch not found');
+            }
+            return { data: { name: branch, commit: { sha: headSha(repo) }, protected: repo.protected } };
+        }],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)\/branches\/([^/]+)\/protection$/, ([, owner, name, branch]) => {
+            const repo = findRepo(owner, name);
+            if (branch !== repo.defaultBranch || !repo.protected) {
+                throw new FakeGitHubError('Branch not protected');
+            }
+            return { data: { required_pull_request_reviews: { required_approving_review_count: 1 }, enforce_admins: { enabled: true } } };
+        }],
+        ['POST', /^\/repos\/([^/]+)\/([^/]+)\/dispatches$/, ([, owner, name], { body }) => {
+            const repo = findRepo(owner, name);
+            if (!body || typeof body.event_type !== 'string' || !body.event_type) {
+                throw new FakeGitHubError('Invalid request: event_type is required', 422);
+            }
+
+            const payload = body.client_payload || {};
+            const workflow = DISPATCH_WORKFLOWS[body.event_type];
+
+            store.update(state => {
+                const dispatch = { id: crypto.randomUUID(), at: new Date().toISOString(), owner, repo: name, event_type: body.event_type, client_payload: payload };
+                state.dispatches.push(dispatch);
+
+                if (!workflow) {
+                    return;
+                }
+
+                const repos = Array.isArray(payload.repos) ? payload.repos : [];
+                const id = state.nextRunId++;
+                dispatch.runId = id;
+                state.runs.push({
+                    id,
+                    owner,
+                    repo: name,
+                    org: payload.org,
+                    event: body.event_type,
+                    rolloutType: payload.rollout_type,
+                    workflow: { name: workflow.name, path: workflow.path },
+                    display_title: workflow.title(payload),
+                    head_branch: repo.defaultBranch,
+                    created_at: dispatch.at,
+                    repos,
+                    changes: payload.changes,
+                    // What each repository's job will conclude, from its fixture
+                    outcomes: Object.fromEntries(repos.map(repoName => {
+                        const target = fixtures.repos.get(`${payload.org}/${repoName}`);
+                        return [repoName, target ? target.rollout : 'failure'];
+                    })),
+                    applied: false
+                });
+            });
+
+            console.log(`🧪 Sandbox dispatch ${body.event_type} to ${owner}/${name}: ${JSON.stringify(payload.repos || [])}`);
+            return { status: 204 };
+        }],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)\/actions(?:\/workflows\/([^/]+))?\/runs$/, ([, owner, name, workflowId], { query }) => {
+            const repo = findRepo(owner, name);
+            const status = query.get('status');
+            const created = query.get('created');
+
+            const runs = listRuns(repo).filter(run =>
+                (!workflowId || path.posix.basename(run.path) === workflowId || String(run.id) === workflowId) &&
+                (!query.get('branch') || run.head_branch === query.get('branch')) &&
+                (!query.get('event') || run.event === query.get('event')) &&
+                (!status || run.status === status || run.conclusion === status) &&
+                (!created || !created.startsWith('>=') || run.created_at >= new Date(created.slice(2)).toISOString()));
+
+            const page = paginate(runs, query);
+            return { data: { total_count: runs.length, workflow_runs: page.items } };
+        }],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)\/actions\/runs\/(\d+)$/, ([, owner, name, runId]) => {
+            const repo = findRepo(owner, name);
+            const run = listRuns(repo).find(candidate => candidate.id === Number(runId));
+            if (!run) {
+                throw new FakeGitHubError('Not Found');
+            }
+            return { data: run };
+        }],
+        ['GET', /^\/repos\/([^/]+)\/([^/]+)\/actions\/runs\/(\d+)\/jobs$/, ([, owner, name, runId], { query }) => {
+            const { jobs } = describeRun(findDispatchedRun(findRepo(owner, name), Number(runId)));
+            const page = paginate(jobs, query);
+            return { data: { total_count: jobs.length, jobs: page.items } };
+        }],
+        ['POST', /^\/repos\/([^/]+)\/([^/]+)\/actions\/runs\/(\d+)\/cancel$/, ([, owner, name, runId]) => {
+            const run = findDispatchedRun(findRepo(owner, name), Number(runId));
+            if (describeRun(run).run.status === 'completed') {
+                throw new FakeGitHubError('Cannot cancel a workflow run that is completed.', 409);
+            }
+            store.update(state => {
+                state.runs.find(candidate => candidate.id === run.id).cancelledAt = new Date().toISOString();
+            });
+            return { status: 202, data: {} };
+        }]
+    ];
+
+    // Sandbox controls: inspect dispatches and runs, finish runs on demand
+    const controls = [
+        ['GET', /^\/_sandbox\/dispatches$/, () => ({ data: store.read().dispatches.slice().reverse() })],
+        ['GET', /^\/_sandbox\/runs$/, () => ({ data: store.read().runs.map(run => describeRun(run)).reverse() })],
+        ['GET', /^\/_sandbox\/runs\/(\d+)$/, ([, runId]) => {
+            const run = store.read().runs.find(candidate => candidate.id === Number(runId));
+            if (!run) {
+                throw new FakeGitHubError('Not Found');
+            }
+            return { data: describeRun(run) };
+        }],
+        // { "conclusion": "success" | "failure", "jobs": { "<repo>": "failure" } }; both optional
+        ['POST', /^\/_sandbox\/runs\/(\d+)\/complete$/, ([, runId], { body }) => {
+            const { conclusion, jobs = {} } = body || {};
+            const found = store.update(state => {
+                const run = state.runs.find(candidate => candidate.id === Number(runId));
+                if (!run || run.completedAt || run.cancelledAt) {
+                    return run || null;
+                }
+                run.completedAt = new Date().toISOString();
+                run.jobConclusions = Object.fromEntries(run.repos.map(repo => [repo, jobs[repo] || conclusion || run.outcomes[repo]]));
+                return run;
+            });
+            if (!found) {
+                throw new FakeGitHubError('Not Found');
+            }
+            return { data: describeRun(found) };
+        }],
+        ['POST', /^\/_sandbox\/reset$/, () => {
+            store.update(state => {
+                Object.assign(state, { nextRunId: FIRST_DISPATCH_RUN_ID, dispatches: [], runs: [], files: {}, blobs: {}, repoRuns: {} });
+            });
+            return { status: 204 };
+        }]
+    ];
+
+    const rateLimitHeaders = () => {
+        const now = Date.now();
+        if (now >= window.resetAt) {
+            window = { resetAt: now + 3600 * 1000, used: 0 };
+        }
+        window.used++;
+        return {
+            'x-ratelimit-limit': String(RATE_LIMIT),
+            'x-ratelimit-remaining': String(Math.max(0, RATE_LIMIT - window.used)),
+            'x-ratelimit-used': String(window.used),
+            'x-ratelimit-reset': String(Math.floor(window.resetAt / 1000)),
+            'x-ratelimit-resource': 'core'
+        };
+    };
+
+    const handle = (req, rawBody) => {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = decodeURIComponent(url.pathname);
+        const isControl = pathname.startsWith('/_sandbox/');
+
+        if (!isControl && !req.headers.authorization) {
+            throw new FakeGitHubError('Requires authentication', 401);
+        }
+
+        let body = null;
+        if (rawBody.length > 0) {
+            try {
+                body = JSON.parse(rawBody.toString('utf8'));
+            } catch (error) {
+                throw new FakeGitHubError('Problems parsing JSON', 400);
+            }
+        }
+
+        applyCompletedRuns();
+
+        for (const [method, pattern, handler] of isControl ? controls : routes) {
+            const match = pathname.match(pattern);
+            if (match && req.method === method) {
+                return handler(match, { req, query: url.searchParams, body });
+            }
+        }
+        throw new FakeGitHubError('Not Found');
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let result;
+            try {
+                result = handle(req, Buffer.concat(chunks));
+            } catch (error) {
+                if (!(error instanceof FakeGitHubError)) {
+                    console.error('Sandbox GitHub error:', error);
+                }
+                result = { status: error.status || 500, data: { message: error.message, documentation_url: 'https://docs.github.com/rest' } };
+            }
+
+            const status = result.status || 200;
+            res.writeHead(status, {
+                ...rateLimitHeaders(),
+                ...(result.headers || {}),
+                ...(result.data !== undefined ? { 'Content-Type': 'application/json; charset=utf-8' } : {})
+            });
+            res.end(result.data !== undefined && status !== 204 ? JSON.stringify(result.data) : undefined);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            baseUrl = `http://${host}:${server.address().port}`;
+            resolve({ server, url: baseUrl });
+        });
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+    startFakeGitHub({
+        port: parseInt(option('--port'), 10) || 4010,
+        fixturesDir: option('--fixtures') ? path.resolve(option('--fixtures')) : SANDBOX_FIXTURES_DIR
+    }).then(({ url }) => {
+        console.log(`🧪 Sandbox GitHub API: ${url}`);
+        console.log(`   Server: GITHUB_API_URL=${url} GITHUB_TOKEN=sandbox node approval-server.js`);
+        console.log(`   Dispatches: ${url}/_sandbox/dispatches, runs: ${url}/_sandbox/runs`);
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { startFakeGitHub };
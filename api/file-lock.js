@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * File Locks
+ * Exclusive lock files, so processes sharing DATA_DIR can read-modify-write
+ * the same file without losing each other's updates
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_STALE_MS = 5000;
+const LOCK_RETRY_MS = 5;
+
+async function acquireLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+        try {
+            const handle = await fs.promises.open(lockPath, 'wx');
+            await handle.close();
+            return;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                await fs.promises.mkdir(path.dirname(lockPath), { recursive: true });
+                continue;
+            }
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        // A process that died holding the lock leaves it behind
+        const stat = await fs.promises.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+            await fs.promises.unlink(lockPath).catch(() => {});
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for lock ${lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+}
+
+/**
+ * Run `fn` while holding <filePath>.lock and resolve to its result
+ */
+async function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+
+    await acquireLock(lockPath);
+    try {
+        return await fn();
+    } finally {
+        await fs.promises.unlink(lockPath).catch(() => {});
+    }
+}
+
+module.exports = {
+    withFileLock
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Change-Freeze Windows
+ * Per-org periods during which rollouts may not be approved or dispatched.
+ * A window is either a one-off range ({ start, end }) or a recurring
+ * five-field cron expression ({ cron }) matching every frozen minute.
+ * The active window reports when it ends, so held rollouts know when they
+ * may run.
+ */
+
+const { getOrgConfig } = require('./org-config');
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }   // 0 and 7 are both Sunday
+];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead to look for the end of a recurring freeze
+const FREEZE_END_HORIZON_DAYS = 31;
+
+// Intl.DateTimeFormat per time zone; building one is slow
+const formatters = new Map();
+
+/**
+ * Expand one cron field ("*", "1-5", "0,30", "*\/15", "9-17/2") to a value set
+ */
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(value => parseInt(value, 10));
+        if (to === undefined) {
+            to = stepText === undefined ? from : max;
+        }
+
+        if ([from, to, step].some(isNaN) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid cron ${name} field: ${field}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(name === 'day of week' && value === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields: ${expression}`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        restrictsDayOfMonth: fields[2] !== '*',
+        restrictsDayOfWeek: fields[4] !== '*'
+    };
+}
+
+/**
+ * Wall-clock fields of `date` in an IANA time zone
+ */
+function zonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    const parts = formatters.get(timeZone).formatToParts(date);
+    const value = type => parts.find(part => part.type === type).value;
+
+    return {
+        minute: parseInt(value('minute'), 10),
+        hour: parseInt(value('hour'), 10),
+        dayOfMonth: parseInt(value('day'), 10),
+        month: parseInt(value('month'), 10),
+        dayOfWeek: WEEKDAYS.indexOf(value('weekday'))
+    };
+}
+
+function cronMatches(cron, date, timeZone) {
+    const now = zonedParts(date, timeZone);
+
+    const dayOfMonth = cron.dayOfMonth.has(now.dayOfMonth);
+    const dayOfWeek = cron.dayOfWeek.has(now.dayOfWeek);
+    const day = cron.restrictsDayOfMonth && cron.restrictsDayOfWeek
+        ? dayOfMonth || dayOfWeek
+        : dayOfMonth && dayOfWeek;
+
+    return day && cron.minute.has(now.minute) && cron.hour.has(now.hour) && cron.month.has(now.month);
+}
+
+/**
+ * Does `date` fall in a minute matched by the cron expression?
+ * Follows cron's rule that day-of-month and day-of-week are OR-ed when both are set.
+ */
+function matchesCron(expression, date, timeZone = 'UTC') {
+    return cronMatches(parseCron(expression), date, timeZone);
+}
+
+/**
+ * Freeze windows for an organization
+ */
+function getFreezePolicy(org) {
+    const { freezes } = getOrgConfig(org);
+    const timezone = freezes.timezone || 'UTC';
+
+    const windows = (Array.isArray(freezes.windows) ? freezes.windows : []).map((window, index) => {
+        const normalized = {
+            id: window.id || `freeze-${index + 1}`,
+            name: window.name || window.id || `Freeze ${index + 1}`,
+            timezone: window.timezone || timezone
+        };
+
+        if (window.cron) {
+            parseCron(window.cron); // fail loudly on a bad expression
+            return { ...normalized, cron: window.cron };
+        }
+
+        const start = new Date(window.start);
+        const end = new Date(window.end);
+        if (isNaN(start) || isNaN(end) || start >= end) {
+            throw new Error(`Freeze window ${normalized.id} needs a valid start before its end`);
+        }
+        return { ...normalized, start: start.toISOString(), end: end.toISOString() };
+    });
+
+    return { timezone, windows };
+}
+
+function isWindowActive(window, at) {
+    if (window.cron) {
+        return matchesCron(window.cron, at, window.timezone);
+    }
+    return at >= new Date(window.start) && at < new Date(window.end);
+}
+
+/**
+ * When the window covering `at` ends: a one-off range's end, or the first
+ * minute after `at` that a cron window no longer matches. null when a cron
+ * window does not end within FREEZE_END_HORIZON_DAYS.
+ */
+function windowEndsAt(window, at) {
+    if (!window.cron) {
+        return new Date(window.end);
+    }
+
+    const cron = parseCron(window.cron);
+    const horizon = at.getTime() + FREEZE_END_HORIZON_DAYS * 24 * 60 * MINUTE_MS;
+
+    for (let minute = Math.floor(at.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS; minute <= horizon; minute += MINUTE_MS) {
+        if (!cronMatches(cron, new Date(minute), window.timezone)) {
+            return new Date(minute);
+        }
+    }
+    return null;
+}
+
+/**
+ * The first freeze window covering `at`, with the time it ends (endsAt), or null
+ */
+function findActiveFreeze(org, at = new Date()) {
+    const window = getFreezePolicy(org).windows.find(candidate => isWindowActive(candidate, at));
+    if (!window) {
+        return null;
+    }
+
+    const endsAt = windowEndsAt(window, at);
+    return { ...window, endsAt: endsAt ? endsAt.toISOString() : null };
+}
+
+module.exports = {
+    FREEZE_END_HORIZON_DAYS,
+    matchesCron,
+    getFreezePolicy,
+    findActiveFreeze
+};
@@ -0,0 +1,146 @@
+/**
+ * Change-Freeze Windows tests
+ * Table-driven checks of the five-field cron matcher, in UTC and other
+ * time zones, then the windows an organization configures and when the
+ * one in force ends.
+ */
+
+const { matchesCron, getFreezePolicy, findActiveFreeze } = require('./freezes');
+const { writeOrgConfig } = require('./test-utils');
+
+// 2026-10-19 is a Monday
+describe('matchesCron', () => {
+    test.each([
+        ['every minute', '* * * * *', '2026-10-19T03:17:00Z', true],
+
+        ['a range, at its start', '* 9-17 * * *', '2026-10-19T09:00:00Z', true],
+        ['a range, in its last minute', '* 9-17 * * *', '2026-10-19T17:59:00Z', true],
+        ['a range, just after it', '* 9-17 * * *', '2026-10-19T18:00:00Z', false],
+        ['a range, just before it', '* 9-17 * * *', '2026-10-19T08:59:00Z', false],
+
+        ['a step over the whole field', '*/15 * * * *', '2026-10-19T10:45:00Z', true],
+        ['a step over the whole field, off step', '*/15 * * * *', '2026-10-19T10:44:00Z', false],
+        ['a step over a range', '0 9-17/2 * * *', '2026-10-19T11:00:00Z', true],
+        ['a step over a range, off step', '0 9-17/2 * * *', '2026-10-19T10:00:00Z', false],
+        ['a step from a start value', '5/20 * * * *', '2026-10-19T10:45:00Z', true],
+        ['a step from a start value, before it', '5/20 * * * *', '2026-10-19T10:00:00Z', false],
+
+        ['a list', '0,30 * * * *', '2026-10-19T10:30:00Z', true],
+        ['a list, between its values', '0,30 * * * *', '2026-10-19T10:15:00Z', false],
+        ['a list of ranges', '* 0-5,22-23 * * *', '2026-10-19T22:10:00Z', true],
+        ['a list of ranges, between them', '* 0-5,22-23 * * *', '2026-10-19T12:00:00Z', false],
+
+        ['a month', '* * * 12 *', '2026-12-01T00:00:00Z', true],
+        ['a month, outside it', '* * * 12 *', '2026-11-30T23:59:00Z', false],
+        ['Sunday as 0', '* * * * 0', '2026-10-18T12:00:00Z', true],
+        ['Sunday as 7', '* * * * 7', '2026-10-18T12:00:00Z', true],
+        ['a weekday range', '* * * * 1-5', '2026-10-18T12:00:00Z', false],
+
+        // Day of month and day of week are OR-ed only when both are restricted
+        ['day of month or day of week, on the day of month', '* * 1 * 1', '2026-10-01T12:00:00Z', true],
+        ['day of month or day of week, on the weekday', '* * 1 * 1', '2026-10-19T12:00:00Z', true],
+        ['day of month or day of week, on neither', '* * 1 * 1', '2026-10-20T12:00:00Z', false],
+        ['day of month alone', '* * 1 * *', '2026-10-19T12:00:00Z', false],
+        ['day of week alone', '* * * * 1', '2026-10-01T12:00:00Z', false]
+    ])('matches %s', (_, expression, at, expected) => {
+        expect(matchesCron(expression, new Date(at))).toBe(expected);
+    });
+
+    test.each([
+        ['09:00 in New York is 13:00 UTC', '* 9-17 * * 1-5', 'America/New_York', '2026-10-19T13:00:00Z', true],
+        ['08:59 in New York is 12:59 UTC', '* 9-17 * * 1-5', 'America/New_York', '2026-10-19T12:59:00Z', false],
+        ['Monday starts on Sunday UTC in Tokyo', '* * * * 1', 'Asia/Tokyo', '2026-10-18T15:00:00Z', true],
+        ['Sunday ends on Sunday UTC in Tokyo', '* * * * 1', 'Asia/Tokyo', '2026-10-18T14:59:00Z', false],
+        ['the month turns early in Auckland', '* * 1 11 *', 'Pacific/Auckland', '2026-10-31T11:00:00Z', true],
+        ['01:30 BST, before clocks go back', '* 1 * * *', 'Europe/London', '2026-10-25T00:30:00Z', true],
+        ['01:30 GMT, after clocks go back', '* 1 * * *', 'Europe/London', '2026-10-25T01:30:00Z', true],
+        ['02:00 GMT', '* 1 * * *', 'Europe/London', '2026-10-25T02:00:00Z', false]
+    ])('reads the expression in the time zone: %s', (_, expression, timeZone, at, expected) => {
+        expect(matchesCron(expression, new Date(at), timeZone)).toBe(expected);
+    });
+
+    test.each([
+        ['* * * *', 'Cron expression must have 5 fields: * * * *'],
+        ['* * * * * *', 'Cron expression must have 5 fields: * * * * * *'],
+        ['60 * * * *', 'Invalid cron minute field: 60'],
+        ['* 24 * * *', 'Invalid cron hour field: 24'],
+        ['* * 0 * *', 'Invalid cron day of month field: 0'],
+        ['* * * 13 *', 'Invalid cron month field: 13'],
+        ['* * * * 8', 'Invalid cron day of week field: 8'],
+        ['*/0 * * * *', 'Invalid cron minute field: */0'],
+        ['* 17-9 * * *', 'Invalid cron hour field: 17-9'],
+        ['* mon * * *', 'Invalid cron hour field: mon']
+    ])('rejects "%s"', (expression, message) => {
+        expect(() => matchesCron(expression, new Date())).toThrow(message);
+    });
+});
+
+describe('getFreezePolicy', () => {
+    test('names the windows and gives each a time zone', () => {
+        writeOrgConfig('policy-org', {
+            freezes: {
+                timezone: 'Europe/London',
+                windows: [
+                    { start: '2026-12-15', end: '2027-01-05T00:00:00+01:00' },
+                    { id: 'nights', cron: '* 0-6 * * *', timezone: 'America/New_York' }
+                ]
+            }
+        });
+
+        expect(getFreezePolicy('policy-org')).toEqual({
+            timezone: 'Europe/London',
+            windows: [
+                { id: 'freeze-1', name: 'Freeze 1', timezone: 'Europe/London', start: '2026-12-15T00:00:00.000Z', end: '2027-01-04T23:00:00.000Z' },
+                { id: 'nights', name: 'nights', timezone: 'America/New_York', cron: '* 0-6 * * *' }
+            ]
+        });
+    });
+
+    test('has no windows by default', () => {
+        expect(getFreezePolicy('unconfigured-org')).toEqual({ timezone: 'UTC', windows: [] });
+    });
+
+    test.each([
+        ['an end before its start', { id: 'backwards', start: '2026-12-15T00:00:00Z', end: '2026-12-14T00:00:00Z' }, 'Freeze window backwards needs a valid start before its end'],
+        ['an unreadable date', { id: 'typo', start: '2026-12-15T00:00:00Z', end: 'soon' }, 'Freeze window typo needs a valid start before its end'],
+        ['a bad cron expression', { id: 'bad-cron', cron: '* * *' }, 'Cron expression must have 5 fields: * * *']
+    ])('rejects %s', (_, window, message) => {
+        writeOrgConfig('invalid-org', { freezes: { windows: [window] } });
+
+        expect(() => getFreezePolicy('invalid-org')).toThrow(message);
+    });
+});
+
+describe('findActiveFreeze', () => {
+    beforeAll(() => {
+        writeOrgConfig('frozen-org', {
+            freezes: {
+                windows: [
+                    { id: 'q4-release', name: 'Q4 release freeze', start: '2026-12-15T00:00:00Z', end: '2027-01-05T00:00:00Z' },
+                    { id: 'business-hours', name: 'Business hours', cron: '* 9-17 * * 1-5', timezone: 'America/New_York' },
+                    { id: 'weekend', name: 'Weekend', cron: '* * * * 6,0' }
+                ]
+            }
+        });
+        writeOrgConfig('always-frozen-org', { freezes: { windows: [{ id: 'always', cron: '* * * * *' }] } });
+    });
+
+    test.each([
+        ['before a one-off window', '2026-12-14T23:59:59Z', null, null],
+        ['at the start of a one-off window', '2026-12-15T00:00:00Z', 'q4-release', '2027-01-05T00:00:00.000Z'],
+        ['at the end of a one-off window', '2027-01-05T00:00:00Z', null, null],
+        ['inside a cron window', '2026-10-19T14:30:20Z', 'business-hours', '2026-10-19T22:00:00.000Z'],
+        ['in the last minute of a cron window', '2026-10-19T21:59:59Z', 'business-hours', '2026-10-19T22:00:00.000Z'],
+        ['outside the cron windows', '2026-10-19T22:00:00Z', null, null],
+        ['on a weekend', '2026-10-24T10:00:00Z', 'weekend', '2026-10-26T00:00:00.000Z']
+    ])('finds the window %s, and when it ends', (_, at, id, endsAt) => {
+        const freeze = findActiveFreeze('frozen-org', new Date(at));
+
+        expect(freeze && freeze.id).toBe(id);
+        expect(freeze && freeze.endsAt).toBe(endsAt);
+    });
+
+    test('has no end for a cron window that does not stop matching', () => {
+        expect(findActiveFreeze('always-frozen-org', new Date('2026-10-19T12:00:00Z'))).toMatchObject({ id: 'always', endsAt: null });
+    });
+});
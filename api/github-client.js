@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * GitHub API Clients
+ * With GITHUB_APP_ID and a private key set, the server authenticates as a
+ * GitHub App and uses a short-lived installation token per organization.
+ * Otherwise every org shares the GITHUB_TOKEN/GH_TOKEN personal access token.
+ * With GITHUB_SANDBOX=true every client talks to a local fake GitHub
+ * (fake-github.js) started on first use, and no real token is needed.
+ *
+ * Every client retries transient failures (rate limits, and 5xx on reads)
+ * with exponential backoff, honoring Retry-After and x-ratelimit-reset, and
+ * records its remaining request budget from the x-ratelimit-* headers.
+ */
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { Octokit } = require('@octokit/rest');
+
+// Configuration
+const GITHUB_APP_ID = process.env.GITHUB_APP_ID;
+const PERSONAL_TOKEN = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+const GITHUB_SANDBOX = process.env.GITHUB_SANDBOX === 'true';
+// Another API root, e.g. GitHub Enterprise Server or a separately started fake-github.js
+let githubApiUrl = process.env.GITHUB_API_URL || undefined;
+const GITHUB_SANDBOX_PORT = parseInt(process.env.GITHUB_SANDBOX_PORT, 10) || 0;
+
+// Mint a new installation token once the cached one has less than this left
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// App JWTs may live at most 10 minutes; reuse one for 8
+const APP_JWT_TTL_SECONDS = 9 * 60;
+const APP_JWT_REUSE_MS = 8 * 60 * 1000;
+
+const GITHUB_MAX_RETRIES = parseInt(process.env.GITHUB_MAX_RETRIES, 10) || 3;
+const GITHUB_RETRY_BASE_MS = parseInt(process.env.GITHUB_RETRY_BASE_MS, 10) || 1000;
+// A wait longer than this (e.g. a primary limit resetting in 40 minutes) fails fast instead
+const GITHUB_RETRY_MAX_WAIT_MS = (parseInt(process.env.GITHUB_RETRY_MAX_WAIT_SECONDS, 10) || 60) * 1000;
+// Requests kept back from scans for dispatches and rollout tracking
+const GITHUB_BUDGET_RESERVE = parseInt(process.env.GITHUB_BUDGET_RESERVE, 10) || 100;
+// GitHub asks for at least a minute's pause after a secondary limit without Retry-After
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class GitHubAuthError extends Error {
+    constructor(message, code, status = 502) {
+        super(message);
+        this.name = 'GitHubAuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * GitHub's rate limit was hit (or a scan would hit it); `details` carries
+ * retryAfter (seconds) and the client's rateLimit budget
+ */
+class GitHubRateLimitError extends Error {
+    constructor(message, code, retryAfter, rateLimit) {
+        super(message);
+        this.name = 'GitHubRateLimitError';
+        this.code = code;
+        this.status = 503;
+        this.details = { retryAfter, rateLimit };
+    }
+}
+
+/**
+ * PEM from GITHUB_APP_PRIVATE_KEY (literal "\n" allowed, for single-line
+ * env vars) or the file at GITHUB_APP_PRIVATE_KEY_PATH
+ */
+function loadPrivateKey() {
+    if (process.env.GITHUB_APP_PRIVATE_KEY) {
+        return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+        return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    }
+    return null;
+}
+
+const privateKey = GITHUB_APP_ID && !GITHUB_SANDBOX ? loadPrivateKey() : null;
+if (GITHUB_APP_ID && !privateKey) {
+    throw new Error('GITHUB_APP_ID is set but neither GITHUB_APP_PRIVATE_KEY nor GITHUB_APP_PRIVATE_KEY_PATH is');
+}
+
+// Fixture tokens sign anyone in, so the sandbox must never serve real users
+if (GITHUB_SANDBOX && process.env.NODE_ENV === 'production') {
+    throw new Error('GITHUB_SANDBOX=true cannot be used with NODE_ENV=production');
+}
+
+const AUTH_MODE = GITHUB_SANDBOX ? 'sandbox' : privateKey ? 'app' : PERSONAL_TOKEN ? 'token' : 'none';
+
+const budgets = new Map();           // budget key ('token', 'app' or owner) -> core rate limit
+const clientBudgetKeys = new WeakMap(); // octokit -> budget key
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Remember the core API budget reported by a response's headers
+ */
+function recordBudget(key, headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+        return;
+    }
+    if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') {
+        return;
+    }
+
+    budgets.set(key, {
+        limit: parseInt(headers['x-ratelimit-limit'], 10),
+        remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+        used: parseInt(headers['x-ratelimit-used'], 10),
+        reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+    });
+}
+
+function describeBudget(budget) {
+    if (!budget || budget.reset <= Date.now()) {
+        return null;
+    }
+    return {
+        limit: budget.limit,
+        remaining: budget.remaining,
+        used: budget.used,
+        resetAt: new Date(budget.reset).toISOString()
+    };
+}
+
+/**
+ * How long to wait before retrying a failed request, or null to give up now.
+ * Rate-limit rejections are always safe to retry; other failures only for
+ * reads, so a dispatch is never sent twice.
+ */
+function retryPlan(error, attempt, method) {
+    const headers = (error.response && error.response.headers) || {};
+    const backoff = GITHUB_RETRY_BASE_MS * 2 ** attempt + Math.random() * GITHUB_RETRY_BASE_MS;
+
+    const rateLimited = (error.status === 403 || error.status === 429) && (
+        headers['retry-after'] !== undefined ||
+        headers['x-ratelimit-remaining'] === '0' ||
+        /secondary rate limit/i.test(error.message));
+
+    if (rateLimited) {
+        if (headers['retry-after'] !== undefined) {
+            return { rateLimited, waitMs: parseInt(headers['retry-after'], 10) * 1000 };
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return { rateLimited, waitMs: Math.max(0, parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now()) + 1000 };
+        }
+        return { rateLimited, waitMs: SECONDARY_LIMIT_WAIT_MS * 2 ** attempt };
+    }
+
+    if (error.status >= 500 && ['GET', 'HEAD'].includes(method)) {
+        return { rateLimited: false, waitMs: backoff };
+    }
+    return null;
+}
+
+/**
+ * Octokit with retries and budget tracking under `budgetKey`
+ */
+function createClient(auth, budgetKey) {
+    const octokit = new Octokit({ auth, baseUrl: githubApiUrl });
+    clientBudgetKeys.set(octokit, budgetKey);
+
+    octokit.hook.wrap('request', async (request, options) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await request(options);
+                recordBudget(budgetKey, response.headers);
+                return response;
+            } catch (error) {
+                recordBudget(budgetKey, error.response && error.response.headers);
+
+                const plan = retryPlan(error, attempt, options.method);
+                if (!plan) {
+                    throw error;
+                }
+                if (attempt >= GITHUB_MAX_RETRIES || plan.waitMs > GITHUB_RETRY_MAX_WAIT_MS) {
+                    if (plan.rateLimited) {
+                        throw new GitHubRateLimitError(`GitHub rate limit exceeded: ${error.message}`, 'GITHUB_RATE_LIMITED',
+                            Math.ceil(plan.waitMs / 1000), describeBudget(budgets.get(budgetKey)));
+                    }
+                    throw error;
+                }
+
+                console.warn(`⚠️ GitHub ${options.method} ${options.url} failed (${error.status}), ` +
+                    `retrying in ${Math.ceil(plan.waitMs / 1000)}s`);
+                await sleep(plan.waitMs);
+            }
+        }
+    });
+
+    return octokit;
+}
+
+const tokenClient = AUTH_MODE === 'app' || AUTH_MODE === 'sandbox' ? null : createClient(PERSONAL_TOKEN, 'token');
+
+let sandbox = null;                   // Promise of the sandbox client
+
+/**
+ * Start the fake GitHub in this process and point every client at it
+ */
+async function startSandbox() {
+    const { startFakeGitHub } = require('./fake-github');
+    const { server, url } = await startFakeGitHub({ port: GITHUB_SANDBOX_PORT });
+
+    // Never keep the process alive on its own, idle keep-alive connections included
+    server.unref();
+    server.on('connection', socket => socket.unref());
+    githubApiUrl = url;
+    // stderr, so command-line tools keep stdout for their output
+    console.error(`🧪 Sandbox mode: GitHub API served by ${url} (dispatches at ${url}/_sandbox/dispatches)`);
+    return createClient('sandbox', 'sandbox');
+}
+
+function getSandboxClient() {
+    if (!sandbox) {
+        sandbox = startSandbox().catch(error => {
+            sandbox = null;
+            throw new GitHubAuthError(`Could not start the sandbox GitHub: ${error.message}`, 'GITHUB_SANDBOX_FAILED');
+        });
+    }
+    return sandbox;
+}
+
+let appJwt = null;
+const installationIds = new Map();   // owner -> installation id
+const installationTokens = new Map(); // owner -> { octokit, expiresAt }
+const minting = new Map();            // owner -> in-flight Promise
+
+/**
+ * Client authenticated as the app itself (only used to reach installations)
+ */
+function getAppClient() {
+    if (!appJwt || Date.now() >= appJwt.reuseUntil) {
+        const now = Math.floor(Date.now() / 1000);
+        const token = jwt.sign({ iat: now - 60, exp: now + APP_JWT_TTL_SECONDS, iss: GITHUB_APP_ID }, privateKey,
+            { algorithm: 'RS256' });
+        appJwt = { octokit: createClient(token, 'app'), reuseUntil: Date.now() + APP_JWT_REUSE_MS };
+    }
+    return appJwt.octokit;
+}
+
+/**
+ * The app's installation on an organization (or user) account
+ */
+async function findInstallationId(owner) {
+    if (installationIds.has(owner)) {
+        return installationIds.get(owner);
+    }
+
+    const appClient = getAppClient();
+    let installation;
+    try {
+        ({ data: installation } = await appClient.rest.apps.getOrgInstallation({ org: owner }));
+    } catch (error) {
+        if (error.status !== 404) {
+            throw new GitHubAuthError(`Could not look up the GitHub App installation for ${owner}: ${error.message}`,
+                'GITHUB_APP_AUTH_FAILED');
+        }
+        try {
+            ({ data: installation } = await appClient.rest.apps.getUserInstallation({ username: owner }));
+        } catch (userError) {
+            throw new GitHubAuthError(`The GitHub App is not installed on ${owner}`, 'GITHUB_APP_NOT_INSTALLED', 404);
+        }
+    }
+
+    installationIds.set(owner, installation.id);
+    return installation.id;
+}
+
+async function mintInstallationClient(owner) {
+    const installationId = await findInstallationId(owner);
+
+    let token;
+    try {
+        ({ data: token } = await getAppClient().rest.apps.createInstallationAccessToken({
+            installation_id: installationId
+        }));
+    } catch (error) {
+        // Uninstalled and reinstalled apps get a new installation id
+        installationIds.delete(owner);
+        throw new GitHubAuthError(`Could not create an installation token for ${owner}: ${error.message}`,
+            'GITHUB_APP_AUTH_FAILED');
+    }
+
+    const entry = { octokit: createClient(token.token, owner), expiresAt: new Date(token.expires_at).getTime() };
+    installationTokens.set(owner, entry);
+    return entry.octokit;
+}
+
+/**
+ * Octokit for calls against `owner`'s repositories
+ */
+async function getOctokit(owner) {
+    if (AUTH_MODE === 'sandbox') {
+        return getSandboxClient();
+    }
+    if (AUTH_MODE !== 'app') {
+        return tokenClient;
+    }
+
+    const cached = installationTokens.get(owner);
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+        return cached.octokit;
+    }
+
+    // Concurrent requests for the same org share one token request
+    if (!minting.has(owner)) {
+        minting.set(owner, mintInstallationClient(owner).finally(() => minting.delete(owner)));
+    }
+    return minting.get(owner);
+}
+
+/**
+ * Octokit acting as the user who owns `token` (sign-in only, no retries)
+ */
+async function getUserOctokit(token) {
+    if (AUTH_MODE === 'sandbox') {
+        await getSandboxClient();
+    }
+    return new Octokit({ auth: token, baseUrl: githubApiUrl });
+}
+
+/**
+ * Current core API budget of the token behind `octokit`, or null if unknown
+ */
+function getRateLimitBudget(octokit) {
+    return describeBudget(budgets.get(clientBudgetKeys.get(octokit)));
+}
+
+/**
+ * Refuse work that would need more requests than the token has left
+ * (beyond the reserve); unknown budgets are allowed
+ */
+function assertRateLimitBudget(octokit, needed, purpose) {
+    const budget = getRateLimitBudget(octokit);
+    if (!budget || budget.remaining - GITHUB_BUDGET_RESERVE >= needed) {
+        return;
+    }
+
+    throw new GitHubRateLimitError(
+        `${purpose} needs about ${needed} GitHub requests but only ${budget.remaining} remain ` +
+        `(${GITHUB_BUDGET_RESERVE} reserved) until ${budget.resetAt}`,
+        'GITHUB_BUDGET_INSUFFICIENT',
+        Math.ceil((new Date(budget.resetAt).getTime() - Date.now()) / 1000),
+        budget);
+}
+
+/**
+ * Active mode and the lowest remaining budget for /api/health
+ * (public, so no tokens or org names)
+ */
+function describeGitHubAuth() {
+    const tracked = [...budgets.entries()]
+        .filter(([key]) => key !== 'app')
+        .map(([, budget]) => describeBudget(budget))
+        .filter(Boolean)
+        .sort((a, b) => a.remaining - b.remaining);
+    const rateLimit = tracked[0] || null;
+
+    if (AUTH_MODE === 'sandbox') {
+        return { mode: 'sandbox', api_url: githubApiUrl || null, rate_limit: rateLimit };
+    }
+    if (AUTH_MODE !== 'app') {
+        return { mode: AUTH_MODE, rate_limit: rateLimit };
+    }
+
+    return { mode: 'app', app_id: GITHUB_APP_ID, cached_installations: installationTokens.size, rate_limit: rateLimit };
+}
+
+module.exports = {
+    GitHubAuthError,
+    GitHubRateLimitError,
+    getOctokit,
+    getUserOctokit,
+    getRateLimitBudget,
+    assertRateLimitBudget,
+    describeGitHubAuth
+};
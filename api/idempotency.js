@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Idempotent Requests
+ * A client that sends an Idempotency-Key header can retry a request - after
+ * a timeout, or from a double-click - and get the first response back
+ * instead of running it again. Keys belong to the user who sent them and
+ * are remembered for IDEMPOTENCY_TTL_HOURS.
+ *
+ * Responses for transient failures (409, 429, 5xx) are not stored, so
+ * retrying with the same key runs the request again.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+
+// Configuration
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+// A request still marked in progress after this long died with its process
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+const store = createJsonStore('idempotency-keys', { keys: {} });
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function isStored(status) {
+    return status < 500 && status !== 409 && status !== 429;
+}
+
+/**
+ * Drop expired keys and requests that will never finish
+ */
+function prune(data, now = Date.now()) {
+    for (const [id, entry] of Object.entries(data.keys)) {
+        const abandoned = entry.state === 'in_progress' && new Date(entry.startedAt).getTime() + IN_PROGRESS_TIMEOUT_MS <= now;
+        if (abandoned || new Date(entry.expiresAt).getTime() <= now) {
+            delete data.keys[id];
+        }
+    }
+}
+
+/**
+ * Claim `id` for a new request: { entry } when it is already taken, else {}
+ */
+function claim(id, fingerprint) {
+    return store.update(data => {
+        prune(data);
+
+        if (data.keys[id]) {
+            return { entry: data.keys[id] };
+        }
+
+        const now = new Date();
+        data.keys[id] = {
+            state: 'in_progress',
+            fingerprint,
+            startedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000).toISOString()
+        };
+        return {};
+    });
+}
+
+function settle(id, status, body) {
+    store.update(data => {
+        const entry = data.keys[id];
+        if (!entry || entry.state !== 'in_progress') {
+            return;
+        }
+
+        if (!isStored(status)) {
+            delete data.keys[id];
+            return;
+        }
+
+        entry.state = 'completed';
+        entry.status = status;
+        entry.body = body;
+        entry.completedAt = new Date().toISOString();
+    });
+}
+
+// A response that never went out through res.json() leaves nothing to replay
+function release(id) {
+    store.update(data => {
+        if (data.keys[id] && data.keys[id].state === 'in_progress') {
+            delete data.keys[id];
+        }
+    });
+}
+
+/**
+ * Middleware making the route idempotent for requests with an
+ * Idempotency-Key. Place it after authentication and validation, just
+ * before the handler. A replayed response carries Idempotent-Replayed: true.
+ */
+function idempotent(scope) {
+    return (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) {
+            return next();
+        }
+
+        const id = sha256(`${scope}\n${req.user.login}\n${key}`);
+        const fingerprint = sha256(JSON.stringify({ method: req.method, path: req.path, body: req.body }));
+        const { entry } = claim(id, fingerprint);
+
+        if (entry && entry.fingerprint !== fingerprint) {
+            return res.status(422).json({
+                success: false,
+                error: 'Idempotency-Key was already used for a different request',
+                code: 'IDEMPOTENCY_KEY_REUSED',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (entry && entry.state === 'in_progress') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+                success: false,
+                error: 'A request with this Idempotency-Key is still being processed',
+                code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (entry) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(entry.status).json(entry.body);
+        }
+
+        const json = res.json.bind(res);
+        res.json = body => {
+            settle(id, res.statusCode, body);
+            return json(body);
+        };
+        res.on('close', () => release(id));
+
+        next();
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_TTL_HOURS,
+    idempotent
+};
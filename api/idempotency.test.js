@@ -0,0 +1,228 @@
+/**
+ * Idempotent Requests tests
+ * Sends retries through idempotent() on a small route whose answer each
+ * test picks, then through a route that starts rollouts, where the rollout
+ * lock's ROLLOUT_IN_PROGRESS conflict must leave the key free for a retry.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { idempotent } = require('./idempotency');
+const { RolloutError, createRollout, saveRollout, requireNoLockConflict, breakRolloutLock } = require('./rollouts');
+const { writeOrgConfig, createTestRollout, waitFor } = require('./test-utils');
+
+// How the handler answers: (req, res) => ..., and how often it ran
+let respond;
+let calls = 0;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { login: req.get('X-User') || 'alice' };
+    next();
+});
+app.post('/api/things/:id', idempotent('things'), (req, res) => {
+    calls++;
+    respond(req, res);
+});
+
+// Starts a rollout like POST /api/approve/:org does once quorum is met
+app.post('/api/rollouts/:org', idempotent('rollouts'), (req, res) => {
+    try {
+        const rollout = createRollout({ org: req.params.org, repos: req.body.repos, rolloutType: 'full', approvalId: 'a-1', approvers: ['alice'], target: {} });
+        res.status(201).json({ success: true, data: { rolloutId: rollout.id } });
+    } catch (error) {
+        if (!(error instanceof RolloutError)) {
+            throw error;
+        }
+        res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+    }
+});
+
+function post(path, body = { name: 'widget' }, { key, user } = {}) {
+    const pending = request(app).post(path).send(body);
+    if (key) {
+        pending.set('Idempotency-Key', key);
+    }
+    if (user) {
+        pending.set('X-User', user);
+    }
+    return pending;
+}
+
+let keyCount = 0;
+const freshKey = () => `key-${++keyCount}`;
+
+beforeEach(() => {
+    calls = 0;
+    respond = (req, res) => res.status(201).json({ success: true, data: { call: calls, name: req.body.name } });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('idempotent', () => {
+    test('replays the stored response to a retry', async () => {
+        const key = freshKey();
+
+        const first = await post('/api/things/1', undefined, { key });
+        const retry = await post('/api/things/1', undefined, { key });
+
+        expect(calls).toBe(1);
+        expect(retry.status).toBe(201);
+        expect(retry.body).toEqual(first.body);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(first.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('runs every request sent without a key', async () => {
+        await post('/api/things/1');
+        await post('/api/things/1');
+
+        expect(calls).toBe(2);
+    });
+
+    test('keeps each user\'s keys apart', async () => {
+        const key = freshKey();
+
+        await post('/api/things/1', undefined, { key, user: 'alice' });
+        const other = await post('/api/things/1', undefined, { key, user: 'bob' });
+
+        expect(calls).toBe(2);
+        expect(other.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test.each([
+        ['body', '/api/things/1', { name: 'gadget' }],
+        ['path', '/api/things/2', { name: 'widget' }]
+    ])('refuses a key reused with a different %s', async (_, path, body) => {
+        const key = freshKey();
+        await post('/api/things/1', { name: 'widget' }, { key });
+
+        const reused = await post(path, body, { key });
+
+        expect(calls).toBe(1);
+        expect(reused.status).toBe(422);
+        expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test.each([400, 404, 422])('replays a %i response', async status => {
+        const key = freshKey();
+        respond = (req, res) => res.status(status).json({ success: false, call: calls });
+
+        await post('/api/things/1', undefined, { key });
+        const retry = await post('/api/things/1', undefined, { key });
+
+        expect(calls).toBe(1);
+        expect(retry.status).toBe(status);
+        expect(retry.body).toEqual({ success: false, call: 1 });
+    });
+
+    test.each([409, 429, 500, 503])('does not store a %i response, so a retry runs again', async status => {
+        const key = freshKey();
+        respond = (req, res) => (calls === 1 ? res.status(status).json({ success: false }) : res.status(201).json({ success: true }));
+
+        await post('/api/things/1', undefined, { key });
+        const retry = await post('/api/things/1', undefined, { key });
+
+        expect(calls).toBe(2);
+        expect(retry.status).toBe(201);
+        expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('does not store a response sent without res.json()', async () => {
+        const key = freshKey();
+        respond = (req, res) => res.status(201).send('created');
+
+        await post('/api/things/1', undefined, { key });
+        await post('/api/things/1', undefined, { key });
+
+        expect(calls).toBe(2);
+    });
+
+    test('answers 409 while the first request is still running, until it is abandoned', async () => {
+        const key = freshKey();
+        let finish;
+        respond = (req, res) => {
+            finish = () => res.status(201).json({ success: true });
+        };
+
+        const first = post('/api/things/1', undefined, { key }).then(response => response);
+        await waitFor(() => finish, { what: 'the first request to reach the handler' });
+
+        const busy = await post('/api/things/1', undefined, { key });
+        expect(busy.status).toBe(409);
+        expect(busy.body.code).toBe('IDEMPOTENCY_KEY_IN_PROGRESS');
+        expect(busy.headers['retry-after']).toBe('1');
+
+        // Still waited for just short of five minutes in
+        const startedAt = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(startedAt + 5 * 60 * 1000 - 1000);
+        expect((await post('/api/things/1', undefined, { key })).status).toBe(409);
+
+        // After five minutes the first request is taken to have died, and a retry runs
+        Date.now.mockReturnValue(startedAt + 5 * 60 * 1000 + 1000);
+        respond = (req, res) => res.status(201).json({ success: true, retried: true });
+        const retry = await post('/api/things/1', undefined, { key });
+
+        expect(calls).toBe(2);
+        expect(retry.body).toEqual({ success: true, retried: true });
+
+        finish();
+        await first;
+    });
+});
+
+describe('rollout lock', () => {
+    test('refuses a rollout while another holds the organization lock', () => {
+        const held = createTestRollout();
+
+        expect(() => requireNoLockConflict(held.org, ['web-app'])).toThrow(expect.objectContaining({
+            code: 'ROLLOUT_IN_PROGRESS',
+            status: 409,
+            details: { lock: expect.objectContaining({ scope: 'org', rolloutId: held.id, overlap: [] }) }
+        }));
+        expect(() => createTestRollout({ org: held.org, repos: ['web-app'] })).toThrow(RolloutError);
+    });
+
+    test('refuses only overlapping rollouts with repository locks', () => {
+        writeOrgConfig('repo-locked', { locks: { scope: 'repo' } });
+        const held = createTestRollout({ org: 'repo-locked', repos: ['payments-api', 'web-app'] });
+
+        expect(createTestRollout({ org: 'repo-locked', repos: ['worker'] }).status).toBe('dispatched');
+        expect(() => createTestRollout({ org: 'repo-locked', repos: ['web-app', 'docs-site'] })).toThrow(expect.objectContaining({
+            code: 'ROLLOUT_IN_PROGRESS',
+            message: `Rollout ${held.id} is still dispatched for web-app`,
+            details: { lock: expect.objectContaining({ scope: 'repo', overlap: ['web-app'] }) }
+        }));
+    });
+
+    test('frees the lock once the rollout finishes or the lock is broken', () => {
+        const finished = createTestRollout();
+        saveRollout({ ...finished, status: 'completed', conclusion: 'success' });
+        expect(() => requireNoLockConflict(finished.org, ['payments-api'])).not.toThrow();
+
+        const broken = createTestRollout();
+        breakRolloutLock(broken.org, broken.id, 'alice', 'stuck run');
+        expect(() => requireNoLockConflict(broken.org, ['payments-api'])).not.toThrow();
+    });
+
+    test('leaves the key free for a retry once the conflict clears', async () => {
+        const held = createTestRollout();
+        const key = freshKey();
+
+        const conflict = await post(`/api/rollouts/${held.org}`, { repos: ['payments-api'] }, { key });
+        expect(conflict.status).toBe(409);
+        expect(conflict.body).toMatchObject({ code: 'ROLLOUT_IN_PROGRESS', lock: { rolloutId: held.id } });
+
+        breakRolloutLock(held.org, held.id, 'alice', 'stuck run');
+
+        const started = await post(`/api/rollouts/${held.org}`, { repos: ['payments-api'] }, { key });
+        expect(started.status).toBe(201);
+
+        const replay = await post(`/api/rollouts/${held.org}`, { repos: ['payments-api'] }, { key });
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(replay.body.data.rolloutId).toBe(started.body.data.rolloutId);
+    });
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * JSON State Store
+ * Small file-backed key/value documents for server state under DATA_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '.data');
+
+/**
+ * Create a store persisted as <DATA_DIR>/<name>.json
+ * Reads and writes are synchronous so an update() cannot interleave with
+ * another update() in the same process.
+ */
+function createJsonStore(name, defaults = {}) {
+    const filePath = path.join(DATA_DIR, `${name}.json`);
+
+    function read() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return JSON.parse(JSON.stringify(defaults));
+            }
+            throw error;
+        }
+    }
+
+    function write(data) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+
+        // Write-then-rename so readers never see a half-written file
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function update(mutate) {
+        const data = read();
+        const result = mutate(data);
+        write(data);
+        return result;
+    }
+
+    return { name, filePath, read, write, update };
+}
+
+module.exports = {
+    DATA_DIR,
+    createJsonStore
+};
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * JWT Signing Keyset
+ * Tokens carry the `kid` of the key that signed them. The active key signs
+ * new tokens; retired keys keep verifying until tokens they signed expire.
+ *
+ * Keys come from JWT_KEYS (or a single JWT_SECRET). With neither set, a
+ * generated keyset is kept in the shared session store so restarts - and
+ * other instances - keep accepting its tokens.
+ */
+
+const crypto = require('crypto');
+const { createCachedDocument } = require('./session-store');
+
+const store = createCachedDocument('jwt-keys', { keys: [] });
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class KeysetError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'KeysetError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Keys from the environment: JWT_KEYS='[{"kid":"2026-10","secret":"..."}]'
+ * with JWT_ACTIVE_KID choosing the signer (default: the first key)
+ */
+function loadConfiguredKeyset() {
+    if (process.env.JWT_KEYS) {
+        const keys = JSON.parse(process.env.JWT_KEYS);
+        if (!Array.isArray(keys) || keys.length === 0 || keys.some(key => !key.kid || !key.secret)) {
+            throw new Error('JWT_KEYS must be a non-empty JSON array of { kid, secret }');
+        }
+
+        const activeKid = process.env.JWT_ACTIVE_KID || keys[0].kid;
+        if (!keys.some(key => key.kid === activeKid)) {
+            throw new Error(`JWT_ACTIVE_KID ${activeKid} is not in JWT_KEYS`);
+        }
+
+        return { source: 'env', activeKid, keys };
+    }
+
+    if (process.env.JWT_SECRET) {
+        return { source: 'env', activeKid: 'primary', keys: [{ kid: 'primary', secret: process.env.JWT_SECRET }] };
+    }
+
+    return null;
+}
+
+const configuredKeyset = loadConfiguredKeyset();
+
+function generateKey() {
+    return {
+        kid: `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`,
+        secret: crypto.randomBytes(64).toString('hex'),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Drop retired keys once nothing they signed can still be valid
+ */
+function pruneKeys(keys, now = Date.now()) {
+    return keys.filter(key => !key.verifyUntil || new Date(key.verifyUntil).getTime() > now);
+}
+
+/**
+ * Current keyset: { source, activeKid, keys }
+ */
+async function getKeyset({ fresh = false } = {}) {
+    if (configuredKeyset) {
+        return configuredKeyset;
+    }
+
+    let { keys } = await store.read({ fresh });
+    if (keys.length === 0) {
+        keys = await store.update(data => {
+            if (data.keys.length === 0) {
+                console.warn('⚠️ No JWT_KEYS or JWT_SECRET set - generated a signing key in the session store. ' +
+                    'Instances that do not share it will not accept each other\'s tokens.');
+                data.keys.push(generateKey());
+            }
+            return data.keys;
+        });
+    }
+
+    keys = pruneKeys(keys);
+    return { source: 'store', activeKid: keys.find(key => !key.retiredAt).kid, keys };
+}
+
+async function getSigningKey() {
+    const keyset = await getKeyset();
+    return keyset.keys.find(key => key.kid === keyset.activeKid);
+}
+
+/**
+ * Secret for a token's kid; tokens issued before kids existed use the primary key
+ */
+async function getVerificationKey(kid) {
+    const findKey = keyset => keyset.keys.find(candidate => candidate.kid === (kid || 'primary'));
+
+    // A kid missing from the cached keyset may come from a rotation on another instance
+    const key = findKey(await getKeyset()) || (configuredKeyset ? null : findKey(await getKeyset({ fresh: true })));
+    return key ? key.secret : null;
+}
+
+/**
+ * Make a new key active; the old one verifies for another `retainSeconds`
+ */
+async function rotateSigningKey(retainSeconds) {
+    if (configuredKeyset) {
+        throw new KeysetError('Signing keys come from JWT_KEYS/JWT_SECRET - rotate them there and redeploy',
+            'KEYSET_MANAGED_EXTERNALLY', 409);
+    }
+
+    await getKeyset(); // make sure a key exists to rotate away from
+
+    return store.update(data => {
+        const now = new Date();
+        const retired = data.keys.find(key => !key.retiredAt);
+
+        retired.retiredAt = now.toISOString();
+        retired.verifyUntil = new Date(now.getTime() + retainSeconds * 1000).toISOString();
+
+        const key = generateKey();
+        data.keys = [...pruneKeys(data.keys, now.getTime()), key];
+
+        return { activeKid: key.kid, retiredKid: retired.kid, retiredVerifyUntil: retired.verifyUntil };
+    });
+}
+
+/**
+ * Key IDs and lifecycle dates, never the secrets
+ */
+async function describeKeyset() {
+    const keyset = await getKeyset({ fresh: true });
+
+    return {
+        source: keyset.source,
+        activeKid: keyset.activeKid,
+        keys: keyset.keys.map(({ kid, createdAt, retiredAt, verifyUntil }) => ({ kid, createdAt, retiredAt, verifyUntil }))
+    };
+}
+
+module.exports = {
+    KeysetError,
+    getSigningKey,
+    getVerificationKey,
+    rotateSigningKey,
+    describeKeyset
+};
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Notification Channels
+ * Renders a lifecycle event for each channel type and delivers it:
+ *   webhook - the event as JSON, signed like GitHub's X-Hub-Signature-256
+ *   slack   - an incoming-webhook message with Block Kit sections
+ *   teams   - an incoming-webhook MessageCard
+ *   email   - a plain-text message over SMTP (SMTP_* settings)
+ */
+
+const crypto = require('crypto');
+const { sendMail } = require('./smtp-client');
+
+// Configuration
+const NOTIFICATION_TIMEOUT_MS = (parseInt(process.env.NOTIFICATION_TIMEOUT_SECONDS, 10) || 10) * 1000;
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || (SMTP_SECURE ? 465 : 587);
+const SMTP_FROM = process.env.SMTP_FROM || 'ci-toolkit@localhost';
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email'];
+const EMAIL_PATTERN = /^[^\s<>@,]+@[^\s<>@,]+$/;
+const MAX_LISTED_REPOS = 10;
+
+const TITLES = {
+    'approval.requested': kind => `${kind} approval requested`,
+    'approval.approved': kind => `${kind} approved`,
+    'rollout.dispatched': kind => `${kind} dispatched`,
+    'rollout.succeeded': kind => `${kind} succeeded`,
+    'rollout.failed': kind => `${kind} failed`,
+    'rollout.halted': kind => `${kind} halted`,
+    'notification.test': () => 'Test notification'
+};
+
+// Slack attachment / Teams theme colors
+const COLORS = {
+    'rollout.succeeded': '2EB67D',
+    'rollout.failed': 'E01E5A',
+    'rollout.halted': 'ECB22E'
+};
+
+/**
+ * Error for a delivery attempt; `transient` failures are retried
+ */
+class DeliveryError extends Error {
+    constructor(message, { status, transient = true } = {}) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.code = 'NOTIFICATION_DELIVERY_FAILED';
+        this.status = status;
+        this.transient = transient;
+    }
+}
+
+/**
+ * Reason a channel definition is unusable, or null when it is fine
+ */
+function validateChannel(channel) {
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+        return `type must be one of: ${CHANNEL_TYPES.join(', ')}`;
+    }
+
+    if (channel.type === 'email') {
+        const to = Array.isArray(channel.to) ? channel.to : [channel.to];
+        return to.length > 0 && to.every(address => typeof address === 'string' && EMAIL_PATTERN.test(address))
+            ? null
+            : 'to must be an email address or a list of them';
+    }
+
+    try {
+        const { protocol } = new URL(channel.url);
+        return protocol === 'https:' || protocol === 'http:' ? null : 'url must be http(s)';
+    } catch (error) {
+        return 'url must be an absolute URL';
+    }
+}
+
+function formatRepos(repos = []) {
+    const listed = repos.slice(0, MAX_LISTED_REPOS).join(', ');
+    return repos.length > MAX_LISTED_REPOS ? `${listed} and ${repos.length - MAX_LISTED_REPOS} more` : listed;
+}
+
+/**
+ * Channel-neutral rendering: a title, one-line summary, facts and a link
+ */
+function describeEvent({ event, org, data }) {
+    const kind = data.kind === 'rollback' ? 'Rollback' : 'Rollout';
+    const repos = data.repos || [];
+    const summaries = {
+        'approval.requested': () => `${data.requestedBy} requested a ${data.rolloutType || ''} ${kind.toLowerCase()} of ${repos.length} ${org} repositories - ${data.approvalsRemaining} more approval(s) needed`,
+        'approval.approved': () => `${kind} of ${repos.length} ${org} repositories approved${data.scheduledFor ? `, scheduled for ${data.scheduledFor}` : ''}`,
+        'rollout.dispatched': () => `${kind} of ${repos.length} ${org} repositories dispatched to ${data.target}`,
+        'rollout.succeeded': () => `${kind} finished in ${org}: ${(data.succeededRepos || repos).length} of ${repos.length} repositories succeeded`,
+        'rollout.failed': () => `${kind} in ${org} finished with conclusion ${data.conclusion}`,
+        'rollout.halted': () => `${kind} in ${org} stopped early: ${data.haltReason || data.conclusion}`,
+        'notification.test': () => `Test notification for ${org}, sent by ${data.requestedBy}`
+    };
+
+    const facts = [
+        ['Organization', org],
+        repos.length > 0 && ['Repositories', formatRepos(repos)],
+        data.requestedBy && event !== 'notification.test' && ['Requested by', data.requestedBy],
+        data.approvers && data.approvers.length > 0 && ['Approved by', data.approvers.join(', ')],
+        data.mode && ['Mode', data.mode],
+        data.conclusion && ['Conclusion', data.conclusion],
+        data.haltReason && ['Reason', data.haltReason],
+        data.failedRepos && data.failedRepos.length > 0 && ['Failed repositories', formatRepos(data.failedRepos)],
+        data.rollbackOf && ['Reverts rollout', data.rollbackOf],
+        data.rolloutId && ['Rollout ID', data.rolloutId],
+        data.approvalId && ['Approval ID', data.approvalId]
+    ].filter(Boolean);
+
+    return {
+        title: (TITLES[event] || (() => event))(kind),
+        summary: (summaries[event] || (() => event))().replace(/ {2,}/g, ' '),
+        facts,
+        color: COLORS[event] || '1D9BD1',
+        url: data.runUrl || null
+    };
+}
+
+function escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackPayload(message) {
+    const blocks = [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${escapeSlack(message.title)}*\n${escapeSlack(message.summary)}` } },
+        {
+            type: 'section',
+            // Slack allows at most 10 fields per section
+            fields: message.facts.slice(0, 10).map(([name, value]) => ({ type: 'mrkdwn', text: `*${escapeSlack(name)}*\n${escapeSlack(value)}` }))
+        }
+    ];
+
+    if (message.url) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${message.url}|View workflow run>` }] });
+    }
+
+    return { text: `${message.title}: ${message.summary}`, blocks };
+}
+
+function teamsPayload(message) {
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.title,
+        themeColor: message.color,
+        title: message.title,
+        text: message.summary,
+        sections: [{ facts: message.facts.map(([name, value]) => ({ name, value: String(value) })) }],
+        potentialAction: message.url
+            ? [{ '@type': 'OpenUri', name: 'View workflow run', targets: [{ os: 'default', uri: message.url }] }]
+            : []
+    };
+}
+
+function emailText(message) {
+    return [
+        message.summary,
+        '',
+        ...message.facts.map(([name, value]) => `${name}: ${value}`),
+        ...(message.url ? ['', `Workflow run: ${message.url}`] : [])
+    ].join('\n');
+}
+
+async function postJson(url, body, headers = {}) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body,
+            signal: AbortSignal.timeout(NOTIFICATION_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw new DeliveryError(`Request failed: ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        throw new DeliveryError(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`, {
+            status: response.status,
+            // Other 4xx responses mean the payload or URL is wrong; retrying will not help
+            transient: response.status >= 500 || [408, 429].includes(response.status)
+        });
+    }
+
+    return { status: response.status };
+}
+
+/**
+ * Deliver `delivery` ({ id, event, org, occurredAt, data }) through `channel`
+ */
+async function deliver(channel, delivery) {
+    const invalid = validateChannel(channel);
+    if (invalid) {
+        throw new DeliveryError(`Invalid channel: ${invalid}`, { transient: false });
+    }
+
+    const message = describeEvent(delivery);
+
+    switch (channel.type) {
+        case 'webhook': {
+            const secret = process.env[channel.secretEnv || 'NOTIFICATION_WEBHOOK_SECRET'];
+            if (!secret) {
+                throw new DeliveryError(`No signing secret - set ${channel.secretEnv || 'NOTIFICATION_WEBHOOK_SECRET'}`, { transient: false });
+            }
+
+            const body = JSON.stringify({
+                id: delivery.id,
+                event: delivery.event,
+                org: delivery.org,
+                occurredAt: delivery.occurredAt,
+                message: { title: message.title, summary: message.summary },
+                data: delivery.data
+            });
+
+            return postJson(channel.url, body, {
+                'X-Notification-Event': delivery.event,
+                'X-Notification-Delivery': delivery.id,
+                'X-Notification-Signature-256': `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+            });
+        }
+        case 'slack':
+            return postJson(channel.url, JSON.stringify(slackPayload(message)));
+        case 'teams':
+            return postJson(channel.url, JSON.stringify(teamsPayload(message)));
+        case 'email': {
+            if (!SMTP_HOST) {
+                throw new DeliveryError('SMTP_HOST is not configured', { transient: false });
+            }
+
+            try {
+                const { response } = await sendMail({
+                    host: SMTP_HOST,
+                    port: SMTP_PORT,
+                    secure: SMTP_SECURE,
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS,
+                    from: SMTP_FROM,
+                    to: Array.isArray(channel.to) ? channel.to : [channel.to],
+                    subject: `[${delivery.org}] ${message.title}`,
+                    text: emailText(message),
+                    timeoutMs: NOTIFICATION_TIMEOUT_MS
+                });
+                return { response };
+            } catch (error) {
+                throw new DeliveryError(error.message, { transient: error.transient !== false });
+            }
+        }
+        default:
+            throw new DeliveryError(`Unsupported channel type: ${channel.type}`, { transient: false });
+    }
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    DeliveryError,
+    validateChannel,
+    describeEvent,
+    deliver
+};
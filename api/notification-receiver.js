@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Notification Stub Receiver
+ * Local stand-in for every notification channel: an HTTP server that accepts
+ * webhook, Slack and Teams posts on any path, and an SMTP server that accepts
+ * any message. Prints what it receives and checks webhook signatures against
+ * NOTIFICATION_WEBHOOK_SECRET when it is set.
+ *
+ * Usage: node notification-receiver.js [--http-port 4001] [--smtp-port 2525] [--fail <n>]
+ *   --fail <n>  answer the first n HTTP posts with 503 to exercise retries
+ */
+
+const http = require('http');
+const net = require('net');
+const { verifySignature } = require('./webhooks');
+
+function parseArgs(argv) {
+    const args = { httpPort: 4001, smtpPort: 2525, fail: 0 };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--http-port') {
+            args.httpPort = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--smtp-port') {
+            args.smtpPort = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--fail') {
+            args.fail = parseInt(argv[++i], 10) || 0;
+        }
+    }
+
+    return args;
+}
+
+function createHttpReceiver({ fail, onReceive }) {
+    let remainingFailures = fail;
+
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+            const signature = req.headers['x-notification-signature-256'];
+
+            const received = {
+                channel: 'http',
+                method: req.method,
+                path: req.url,
+                event: req.headers['x-notification-event'],
+                delivery: req.headers['x-notification-delivery'],
+                signature: signature ? (secret ? verifySignature(body, signature, secret) : 'unchecked') : 'none',
+                body: body.toString('utf8')
+            };
+
+            if (remainingFailures > 0) {
+                remainingFailures--;
+                onReceive({ ...received, answered: 503 });
+                res.writeHead(503, { 'Content-Type': 'text/plain' });
+                return res.end('stub failure');
+            }
+
+            onReceive({ ...received, answered: 200 });
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('ok');
+        });
+    });
+}
+
+/**
+ * Just enough SMTP to accept a message: no TLS and no authentication
+ */
+function createSmtpReceiver({ onReceive }) {
+    return net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        let envelope = { from: null, to: [] };
+
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 notification-receiver ESMTP stub');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (message) {
+                    if (line === '.') {
+                        onReceive({ channel: 'smtp', ...envelope, body: message.join('\n') });
+                        message = null;
+                        envelope = { from: null, to: [] };
+                        reply('250 2.0.0 queued');
+                    } else {
+                        message.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const verb = line.slice(0, 4).toUpperCase();
+                if (verb === 'EHLO' || verb === 'HELO') {
+                    reply('250-notification-receiver');
+                    reply('250 8BITMIME');
+                } else if (verb === 'MAIL') {
+                    envelope.from = line.replace(/^MAIL FROM:\s*/i, '');
+                    reply('250 2.1.0 ok');
+                } else if (verb === 'RCPT') {
+                    envelope.to.push(line.replace(/^RCPT TO:\s*/i, ''));
+                    reply('250 2.1.5 ok');
+                } else if (verb === 'DATA') {
+                    message = [];
+                    reply('354 end data with <CR><LF>.<CR><LF>');
+                } else if (verb === 'QUIT') {
+                    reply('221 2.0.0 bye');
+                    socket.end();
+                } else if (verb === 'RSET' || verb === 'NOOP') {
+                    reply('250 2.0.0 ok');
+                } else {
+                    reply('502 5.5.2 command not implemented');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+}
+
+/**
+ * Start both receivers; resolves with the servers once they are listening
+ */
+function startReceiver({ httpPort = 4001, smtpPort = 2525, fail = 0, onReceive = console.log } = {}) {
+    const httpServer = createHttpReceiver({ fail, onReceive });
+    const smtpServer = createSmtpReceiver({ onReceive });
+
+    return Promise.all([
+        new Promise(resolve => httpServer.listen(httpPort, '127.0.0.1', resolve)),
+        new Promise(resolve => smtpServer.listen(smtpPort, '127.0.0.1', resolve))
+    ]).then(() => ({ httpServer, smtpServer }));
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+
+    startReceiver({
+        ...args,
+        onReceive: received => console.log(`📨 ${JSON.stringify(received, null, 2)}`)
+    }).then(() => {
+        console.log(`HTTP channels: http://127.0.0.1:${args.httpPort}/<any path>`);
+        console.log(`SMTP: SMTP_HOST=127.0.0.1 SMTP_PORT=${args.smtpPort}`);
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { startReceiver };
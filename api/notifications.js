@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * Notification Dispatcher
+ * Routes approval and rollout lifecycle events to the channels an org
+ * configures under `notifications` in its config file. Every channel an
+ * event is routed to gets a delivery record; failed attempts are retried
+ * with exponential backoff, and each attempt is kept in the delivery log.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { getOrgConfig } = require('./org-config');
+const { validateChannel, deliver } = require('./notification-channels');
+
+// Configuration
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const NOTIFICATION_RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS, 10) || 5000;
+const NOTIFICATION_LOG_RETENTION = parseInt(process.env.NOTIFICATION_LOG_RETENTION, 10) || 1000;
+
+const NOTIFICATION_EVENTS = [
+    'approval.requested',
+    'approval.approved',
+    'rollout.dispatched',
+    'rollout.succeeded',
+    'rollout.failed',
+    'rollout.halted'
+];
+
+const store = createJsonStore('notifications', { deliveries: [] });
+
+// Deliveries with an attempt in progress in this process
+const inFlight = new Set();
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class NotificationError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function getNotificationPolicy(org) {
+    const { notifications = {} } = getOrgConfig(org);
+
+    return {
+        channels: notifications.channels && typeof notifications.channels === 'object' ? notifications.channels : {},
+        routes: Array.isArray(notifications.routes) ? notifications.routes : []
+    };
+}
+
+// "*" matches every event, "rollout.*" every rollout event
+function matchesEvent(patterns, event) {
+    return (Array.isArray(patterns) ? patterns : [patterns]).some(pattern =>
+        pattern === '*' || pattern === event || (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Channel names `event` is routed to, each once
+ */
+function routeEvent(policy, event) {
+    const names = policy.routes
+        .filter(route => route && matchesEvent(route.events || [], event))
+        .flatMap(route => route.channels || []);
+
+    return [...new Set(names)];
+}
+
+function newDelivery(event, org, channelName, channel, data) {
+    const now = new Date().toISOString();
+    const invalid = channel ? validateChannel(channel) : `No channel named ${channelName}`;
+
+    return {
+        id: crypto.randomUUID(),
+        event,
+        org,
+        channel: channelName,
+        type: channel ? channel.type : null,
+        status: invalid ? 'failed' : 'pending',
+        error: invalid || undefined,
+        occurredAt: now,
+        createdAt: now,
+        nextAttemptAt: invalid ? null : now,
+        attempts: [],
+        data
+    };
+}
+
+function saveDeliveries(deliveries) {
+    store.update(data => {
+        data.deliveries = [...data.deliveries, ...deliveries].slice(-NOTIFICATION_LOG_RETENTION);
+    });
+}
+
+function scheduleAttempt(delivery) {
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+
+    setTimeout(() => {
+        attemptDelivery(delivery.id).catch(error => console.error(`Error delivering notification ${delivery.id}:`, error));
+    }, delay).unref();
+}
+
+/**
+ * Make one attempt at a pending delivery and record it. Transient failures
+ * are retried after NOTIFICATION_RETRY_BASE_MS, doubling each time, until
+ * NOTIFICATION_MAX_ATTEMPTS attempts have been made.
+ */
+async function attemptDelivery(id) {
+    const pending = store.read().deliveries.find(delivery => delivery.id === id);
+    if (!pending || pending.status !== 'pending' || inFlight.has(id)) {
+        return pending || null;
+    }
+
+    inFlight.add(id);
+    const startedAt = new Date();
+    let attempt;
+
+    try {
+        const channel = getNotificationPolicy(pending.org).channels[pending.channel];
+        if (!channel) {
+            throw Object.assign(new Error(`Channel ${pending.channel} is no longer configured`), { transient: false });
+        }
+
+        const result = await deliver(channel, pending);
+        attempt = { at: startedAt.toISOString(), ok: true, status: result.status, response: result.response };
+    } catch (error) {
+        attempt = {
+            at: startedAt.toISOString(),
+            ok: false,
+            status: error.status,
+            error: error.message,
+            transient: error.transient !== false
+        };
+    } finally {
+        inFlight.delete(id);
+    }
+
+    attempt.durationMs = Date.now() - startedAt.getTime();
+
+    const delivery = store.update(data => {
+        const record = data.deliveries.find(candidate => candidate.id === id);
+        if (!record) {
+            return null;
+        }
+
+        record.attempts.push(attempt);
+
+        if (attempt.ok) {
+            record.status = 'delivered';
+            record.deliveredAt = new Date().toISOString();
+            record.nextAttemptAt = null;
+            record.error = undefined;
+        } else if (!attempt.transient || record.attempts.length >= NOTIFICATION_MAX_ATTEMPTS) {
+            record.status = 'failed';
+            record.nextAttemptAt = null;
+            record.error = attempt.error;
+        } else {
+            const delay = NOTIFICATION_RETRY_BASE_MS * 2 ** (record.attempts.length - 1);
+            record.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            record.error = attempt.error;
+        }
+
+        return record;
+    });
+
+    if (delivery && delivery.status === 'pending') {
+        scheduleAttempt(delivery);
+    }
+
+    return delivery;
+}
+
+/**
+ * Queue `event` for every channel the org routes it to. Never throws, so a
+ * notification problem cannot fail the approval or rollout that caused it.
+ */
+function notify(event, org, data) {
+    try {
+        const policy = getNotificationPolicy(org);
+        const deliveries = routeEvent(policy, event)
+            .map(name => newDelivery(event, org, name, policy.channels[name], data));
+
+        if (deliveries.length === 0) {
+            return [];
+        }
+
+        saveDeliveries(deliveries);
+        deliveries.filter(delivery => delivery.status === 'pending').forEach(scheduleAttempt);
+        return deliveries;
+    } catch (error) {
+        console.error(`Error queueing ${event} notifications for ${org}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Send a test event to one channel, ignoring routes; resolves once the
+ * first attempt has been made
+ */
+async function sendTestNotification(org, channelName, requestedBy) {
+    const channel = getNotificationPolicy(org).channels[channelName];
+    if (!channel) {
+        throw new NotificationError(`No notification channel named ${channelName}`, 'NOTIFICATION_CHANNEL_NOT_FOUND', 404);
+    }
+
+    const delivery = newDelivery('notification.test', org, channelName, channel, { requestedBy });
+    saveDeliveries([delivery]);
+
+    return delivery.status === 'pending' ? attemptDelivery(delivery.id) : delivery;
+}
+
+/**
+ * Pick up deliveries left pending by a previous process
+ */
+function resumePendingDeliveries() {
+    const pending = store.read().deliveries.filter(delivery => delivery.status === 'pending');
+    pending.forEach(scheduleAttempt);
+    return pending.length;
+}
+
+/**
+ * Delivery log for an organization, newest first
+ */
+function listDeliveries(org, { event, status, channel, limit = 100 } = {}) {
+    return store.read().deliveries
+        .filter(delivery => delivery.org === org)
+        .filter(delivery => (!event || delivery.event === event) &&
+            (!status || delivery.status === status) &&
+            (!channel || delivery.channel === channel))
+        .reverse()
+        .slice(0, limit);
+}
+
+/**
+ * Event data for an approval request
+ */
+function approvalEventData(request) {
+    return {
+        approvalId: request.id,
+        kind: request.kind || 'rollout',
+        repos: request.repos,
+        rolloutType: request.rolloutType,
+        mode: request.rolloutMode,
+        requestedBy: request.requestedBy,
+        approvers: request.approvals.map(approval => approval.login),
+        required: request.required,
+        approvalsRemaining: Math.max(0, request.required - request.approvals.length),
+        scheduledFor: request.scheduledFor || undefined,
+        rollbackOf: request.rollbackOf,
+        reason: request.reason || undefined
+    };
+}
+
+/**
+ * Event data for a rollout, including per-repo outcomes once it has them
+ */
+function rolloutEventData(rollout) {
+    const finished = rollout.repoProgress.filter(progress => progress.conclusion);
+
+    return {
+        rolloutId: rollout.id,
+        approvalId: rollout.approvalId,
+        kind: rollout.kind || 'rollout',
+        repos: rollout.repos,
+        rolloutType: rollout.rolloutType,
+        mode: rollout.mode,
+        approvers: rollout.approvers,
+        target: `${rollout.target.owner}/${rollout.target.repo}`,
+        status: rollout.status,
+        conclusion: rollout.conclusion || undefined,
+        haltReason: rollout.haltReason,
+        rollbackOf: rollout.rollbackOf,
+        runUrl: rollout.run ? rollout.run.html_url : undefined,
+        succeededRepos: finished.filter(progress => progress.conclusion === 'success').map(progress => progress.repo),
+        failedRepos: finished.filter(progress => progress.conclusion !== 'success').map(progress => progress.repo)
+    };
+}
+
+/**
+ * Event for a finished rollout: halted when it was cancelled or stopped
+ * with a reason (a failed wave, an abort), failed for any other conclusion
+ * - including a dispatch that never reached GitHub
+ */
+function rolloutOutcomeEvent(rollout) {
+    if (rollout.conclusion === 'success') {
+        return 'rollout.succeeded';
+    }
+    if (rollout.conclusion === 'dispatch_failed') {
+        return 'rollout.failed';
+    }
+    return rollout.conclusion === 'cancelled' || rollout.haltReason ? 'rollout.halted' : 'rollout.failed';
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    NotificationError,
+    notify,
+    sendTestNotification,
+    resumePendingDeliveries,
+    listDeliveries,
+    approvalEventData,
+    rolloutEventData,
+    rolloutOutcomeEvent
+};
@@ -0,0 +1,197 @@
+/**
+ * Notification Dispatcher tests
+ * Sends events through notify() to the stub receiver
+ * (notification-receiver.js) over real HTTP and SMTP, and checks what
+ * arrives and what the delivery log records.
+ */
+
+process.env.NOTIFICATION_WEBHOOK_SECRET = 'test-notification-secret';
+process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+process.env.NOTIFICATION_RETRY_BASE_MS = '20';
+
+const { startReceiver } = require('./notification-receiver');
+const { writeOrgConfig, waitFor } = require('./test-utils');
+
+const ORG = 'acme';
+const EVENT_DATA = { kind: 'rollout', rolloutId: 'r-1', repos: ['payments-api', 'web-app'], conclusion: 'failure' };
+
+// What each receiver got, in order
+const received = { healthy: [], flaky: [], down: [] };
+const servers = [];
+let notifications;
+
+/**
+ * Start a stub receiver on free ports; `fail` answers the first n posts with 503
+ */
+async function startStub(name, fail = 0) {
+    const stub = await startReceiver({ httpPort: 0, smtpPort: 0, fail, onReceive: message => received[name].push(message) });
+    servers.push(stub.httpServer, stub.smtpServer);
+
+    return {
+        url: `http://127.0.0.1:${stub.httpServer.address().port}`,
+        smtpPort: stub.smtpServer.address().port
+    };
+}
+
+function waitForSettled(delivery) {
+    return waitFor(() => notifications.listDeliveries(ORG).find(record => record.id === delivery.id && record.status !== 'pending'), {
+        what: `delivery ${delivery.id} to settle`
+    });
+}
+
+beforeAll(async () => {
+    const healthy = await startStub('healthy');
+    const flaky = await startStub('flaky', 2);
+    const down = await startStub('down', 1000);
+
+    // The channel module reads SMTP settings when it loads, so the
+    // dispatcher is loaded afresh below, once the stub's port is known
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(healthy.smtpPort);
+
+    writeOrgConfig(ORG, {
+        notifications: {
+            channels: {
+                hook: { type: 'webhook', url: `${healthy.url}/hooks/acme` },
+                chat: { type: 'slack', url: `${healthy.url}/slack/T000/B000` },
+                mail: { type: 'email', to: ['ops@example.com', 'release@example.com'] },
+                flaky: { type: 'webhook', url: `${flaky.url}/hooks/flaky` },
+                down: { type: 'slack', url: `${down.url}/slack/down` },
+                unsigned: { type: 'webhook', url: `${healthy.url}/hooks/unsigned`, secretEnv: 'MISSING_NOTIFICATION_SECRET' }
+            },
+            routes: [
+                { events: ['rollout.failed'], channels: ['hook', 'chat', 'mail'] },
+                { events: ['rollout.halted'], channels: ['flaky'] },
+                { events: ['approval.*'], channels: ['down'] },
+                { events: ['rollout.dispatched'], channels: ['unsigned', 'missing'] }
+            ]
+        }
+    });
+
+    jest.isolateModules(() => {
+        notifications = require('./notifications');
+    });
+});
+
+afterAll(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+});
+
+describe('notify', () => {
+    let deliveries;
+
+    beforeAll(async () => {
+        deliveries = notifications.notify('rollout.failed', ORG, EVENT_DATA);
+        await Promise.all(deliveries.map(waitForSettled));
+    });
+
+    test('queues one delivery per routed channel', () => {
+        expect(deliveries.map(delivery => [delivery.channel, delivery.type])).toEqual([
+            ['hook', 'webhook'],
+            ['chat', 'slack'],
+            ['mail', 'email']
+        ]);
+    });
+
+    // The stub checks the signature against NOTIFICATION_WEBHOOK_SECRET
+    test('posts a signed webhook', () => {
+        const [hook] = deliveries;
+        const message = received.healthy.find(candidate => candidate.path === '/hooks/acme');
+
+        expect(message).toMatchObject({
+            method: 'POST',
+            event: 'rollout.failed',
+            delivery: hook.id,
+            signature: true,
+            answered: 200
+        });
+        expect(JSON.parse(message.body)).toMatchObject({
+            id: hook.id,
+            event: 'rollout.failed',
+            org: ORG,
+            message: { title: expect.any(String), summary: 'Rollout in acme finished with conclusion failure' },
+            data: EVENT_DATA
+        });
+    });
+
+    test('posts a Slack message', () => {
+        const message = received.healthy.find(candidate => candidate.path === '/slack/T000/B000');
+        const body = JSON.parse(message.body);
+
+        expect(message.answered).toBe(200);
+        expect(body.text).toContain('Rollout in acme finished with conclusion failure');
+        expect(body.blocks[1].fields).toContainEqual({ type: 'mrkdwn', text: '*Repositories*\npayments-api, web-app' });
+    });
+
+    test('sends an email to every recipient', () => {
+        const message = received.healthy.find(candidate => candidate.channel === 'smtp');
+
+        expect(message.to).toEqual(['<ops@example.com>', '<release@example.com>']);
+        expect(message.body).toMatch(/^Subject: \[acme\] /m);
+        expect(message.body).toContain('Rollout in acme finished with conclusion failure');
+    });
+
+    test('records each delivery with its attempt', () => {
+        const recorded = notifications.listDeliveries(ORG, { event: 'rollout.failed' });
+
+        expect(recorded).toHaveLength(3);
+        for (const delivery of recorded) {
+            expect(delivery).toMatchObject({ status: 'delivered', nextAttemptAt: null, deliveredAt: expect.any(String) });
+            expect(delivery.attempts).toEqual([expect.objectContaining({ ok: true })]);
+        }
+        expect(recorded.find(delivery => delivery.channel === 'mail').attempts[0].response).toBe('250 2.0.0 queued');
+        expect(recorded.find(delivery => delivery.channel === 'hook').attempts[0].status).toBe(200);
+    });
+});
+
+describe('retries', () => {
+    test('retries a failed post until it is delivered', async () => {
+        const [delivery] = notifications.notify('rollout.halted', ORG, { ...EVENT_DATA, haltReason: 'wave 1 failed' });
+        const settled = await waitForSettled(delivery);
+
+        expect(received.flaky.map(message => message.answered)).toEqual([503, 503, 200]);
+        expect(new Set(received.flaky.map(message => message.delivery))).toEqual(new Set([delivery.id]));
+        expect(settled.status).toBe('delivered');
+        expect(settled.attempts).toEqual([
+            expect.objectContaining({ ok: false, status: 503, error: 'HTTP 503: stub failure', transient: true }),
+            expect.objectContaining({ ok: false, status: 503, transient: true }),
+            expect.objectContaining({ ok: true, status: 200 })
+        ]);
+    });
+
+    test('gives up after NOTIFICATION_MAX_ATTEMPTS attempts', async () => {
+        const [delivery] = notifications.notify('approval.requested', ORG, { requestedBy: 'alice', repos: ['payments-api'], approvalsRemaining: 1 });
+        const settled = await waitForSettled(delivery);
+
+        expect(received.down).toHaveLength(3);
+        expect(settled).toMatchObject({ status: 'failed', error: 'HTTP 503: stub failure', nextAttemptAt: null });
+        expect(settled.attempts).toHaveLength(3);
+    });
+
+    test('does not retry a delivery that cannot succeed', async () => {
+        const queued = notifications.notify('rollout.dispatched', ORG, { ...EVENT_DATA, target: 'Butterdime/ci-toolkit' });
+
+        // A route to an undefined channel is recorded as failed without an attempt
+        expect(queued.find(delivery => delivery.channel === 'missing')).toMatchObject({ status: 'failed', error: 'No channel named missing' });
+
+        const settled = await waitForSettled(queued.find(delivery => delivery.channel === 'unsigned'));
+        expect(settled).toMatchObject({ status: 'failed', error: 'No signing secret - set MISSING_NOTIFICATION_SECRET' });
+        expect(settled.attempts).toEqual([expect.objectContaining({ ok: false, transient: false })]);
+        expect(received.healthy.some(message => message.path === '/hooks/unsigned')).toBe(false);
+    });
+});
+
+describe('sendTestNotification', () => {
+    test('resolves with the first attempt recorded', async () => {
+        const delivery = await notifications.sendTestNotification(ORG, 'chat', 'alice');
+
+        expect(delivery).toMatchObject({ event: 'notification.test', status: 'delivered', attempts: [expect.objectContaining({ ok: true })] });
+        expect(received.healthy.filter(message => message.path === '/slack/T000/B000').map(message => JSON.parse(message.body).text))
+            .toContainEqual(expect.stringContaining('Test notification for acme, sent by alice'));
+    });
+
+    test('refuses an unknown channel', async () => {
+        await expect(notifications.sendTestNotification(ORG, 'nope', 'alice'))
+            .rejects.toMatchObject({ code: 'NOTIFICATION_CHANNEL_NOT_FOUND', status: 404 });
+    });
+});
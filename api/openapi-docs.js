@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * API Reference Page
+ * Renders the OpenAPI document as a single self-contained HTML page: no
+ * scripts and no external assets, so it works behind a strict CSP and
+ * without internet access.
+ */
+
+const DOCS_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'";
+
+const METHOD_COLORS = {
+    get: '#1f6feb',
+    post: '#2da44e',
+    put: '#bf8700',
+    delete: '#cf222e'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function resolve(document, node) {
+    if (!node || !node.$ref) {
+        return node;
+    }
+    return node.$ref.slice(2).split('/').reduce((parent, key) => parent[key], document);
+}
+
+// "#/components/schemas/RolloutRequest" -> link to the schema section
+function schemaLink(ref) {
+    const name = ref.split('/').pop();
+    return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+}
+
+function renderSchema(schema) {
+    if (!schema) {
+        return '';
+    }
+    if (schema.$ref) {
+        return schemaLink(schema.$ref);
+    }
+    return `<pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>`;
+}
+
+function renderParameters(document, parameters = []) {
+    if (parameters.length === 0) {
+        return '';
+    }
+
+    const rows = parameters.map(parameter => resolve(document, parameter)).map(parameter => `
+        <tr>
+            <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="required">required</span>' : ''}</td>
+            <td>${escapeHtml(parameter.in)}</td>
+            <td>${parameter.schema.$ref ? schemaLink(parameter.schema.$ref) : `<code>${escapeHtml(JSON.stringify(parameter.schema))}</code>`}</td>
+            <td>${escapeHtml(parameter.description || '')}</td>
+        </tr>`).join('');
+
+    return `<h4>Parameters</h4>
+        <table><tr><th>Name</th><th>In</th><th>Schema</th><th>Description</th></tr>${rows}</table>`;
+}
+
+function renderRequestBody(requestBody) {
+    if (!requestBody) {
+        return '';
+    }
+
+    const media = Object.entries(requestBody.content).map(([type, { schema }]) =>
+        `<p><code>${escapeHtml(type)}</code>${requestBody.required ? '' : ' (optional)'}</p>${renderSchema(schema)}`).join('');
+
+    return `<h4>Request body</h4>${media}`;
+}
+
+function renderResponses(document, responses) {
+    const rows = Object.entries(responses).map(([status, response]) => {
+        const resolved = resolve(document, response);
+        const types = Object.keys(resolved.content || {}).map(type => `<code>${escapeHtml(type)}</code>`).join(' ');
+        return `<tr><td>${escapeHtml(status)}</td><td>${escapeHtml(resolved.description)}</td><td>${types}</td></tr>`;
+    }).join('');
+
+    return `<h4>Responses</h4>
+        <table><tr><th>Status</th><th>Description</th><th>Content</th></tr>${rows}</table>`;
+}
+
+function renderOperation(document, path, method, operation) {
+    const access = operation.security && operation.security.length === 0
+        ? 'Public'
+        : `Bearer token${operation['x-required-role'] ? `, role: ${operation['x-required-role']}` : ''}`;
+
+    return `
+    <details id="${escapeHtml(operation.operationId)}">
+        <summary>
+            <span class="method" style="background:${METHOD_COLORS[method] || '#57606a'}">${escapeHtml(method.toUpperCase())}</span>
+            <code>${escapeHtml(path)}</code> ${escapeHtml(operation.summary || '')}
+        </summary>
+        <p class="meta">${escapeHtml(operation.operationId)} &middot; ${escapeHtml(access)}</p>
+        ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+        ${renderParameters(document, operation.parameters)}
+        ${renderRequestBody(operation.requestBody)}
+        ${renderResponses(document, operation.responses)}
+    </details>`;
+}
+
+/**
+ * The API reference page for `document`
+ */
+function renderDocsPage(document) {
+    const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+        Object.entries(methods).map(([method, operation]) => ({ path, method, operation })));
+
+    const sections = document.tags.map(({ name }) => {
+        const tagged = operations.filter(({ operation }) => operation.tags.includes(name));
+        return `
+    <section>
+        <h2>${escapeHtml(name)}</h2>
+        ${tagged.map(({ path, method, operation }) => renderOperation(document, path, method, operation)).join('')}
+    </section>`;
+    }).join('');
+
+    const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+        <details id="schema-${escapeHtml(name)}">
+            <summary><code>${escapeHtml(name)}</code></summary>
+            <pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>
+        </details>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #24292f; }
+    h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 6px; margin-top: 32px; }
+    details { border: 1px solid #d0d7de; border-radius: 6px; margin: 8px 0; padding: 8px 12px; }
+    summary { cursor: pointer; }
+    .method { color: #fff; border-radius: 4px; padding: 2px 8px; font-weight: 600; font-size: 12px; display: inline-block; min-width: 52px; text-align: center; }
+    .meta { color: #57606a; font-size: 13px; }
+    .required { color: #cf222e; font-size: 12px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+    pre { background: #f6f8fa; padding: 12px; overflow-x: auto; font-size: 13px; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+    <p>${escapeHtml(document.info.description || '')}</p>
+    <p>Machine-readable document: <a href="/api/openapi.json">/api/openapi.json</a></p>
+    ${sections}
+    <section>
+        <h2>Schemas</h2>
+        ${schemas}
+    </section>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    DOCS_CONTENT_SECURITY_POLICY,
+    renderDocsPage
+};
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Approvals
+ * Approval requests and votes, change freezes and scheduled rollouts
+ */
+
+const {
+    schemaRef,
+    paramRef,
+    nullable,
+    success,
+    jsonBody,
+    query,
+    operation,
+    orgParam,
+    approvalIdParam
+} = require('./helpers');
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'scheduled', 'dispatched', 'dispatch_failed', 'rejected', 'cancelled', 'expired'];
+
+const schemas = {
+    FreezeOverride: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+            reason: { type: 'string', pattern: '\\S', 'x-pattern-message': 'must be a non-empty string' }
+        },
+        description: 'Admin-only: run despite an active change freeze'
+    },
+    RolloutStrategy: {
+        type: 'object',
+        properties: {
+            canary: { type: 'array', items: schemaRef('RepoName'), minItems: 1, description: 'Repositories for the canary wave (must be in repos)' },
+            canarySize: { type: 'integer', minimum: 1 },
+            batchSize: { type: 'integer', minimum: 1 },
+            batchPercent: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+            successThreshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+        },
+        not: {
+            required: ['batchSize', 'batchPercent'],
+            'x-not-message': 'must use either batchSize or batchPercent, not both'
+        }
+    },
+    RolloutRequest: {
+        type: 'object',
+        description: 'Give repos, or a saved selection and/or criteria that pick the repositories.',
+        properties: {
+            repos: schemaRef('RepoList'),
+            selection: schemaRef('SelectionName'),
+            criteria: schemaRef('SelectionCriteria'),
+            rolloutType: { enum: ['full', 'deps-only', 'actions-only', 'dry-run'], default: 'full' },
+            rolloutMode: { enum: ['all-at-once', 'staged'], default: 'all-at-once' },
+            strategy: schemaRef('RolloutStrategy'),
+            scheduledFor: { type: 'string', format: 'date-time', description: 'Run later instead of on approval' },
+            freezeOverride: schemaRef('FreezeOverride'),
+            previewHash: schemaRef('PreviewHash')
+        }
+    },
+    ApprovalVote: {
+        type: 'object',
+        properties: {
+            comment: { type: 'string', maxLength: 2000 },
+            previewHash: schemaRef('PreviewHash'),
+            freezeOverride: schemaRef('FreezeOverride')
+        }
+    },
+    ApprovalRequest: {
+        type: 'object',
+        required: ['id', 'org', 'repos', 'status', 'requestedBy', 'createdAt', 'required', 'approvals'],
+        properties: {
+            id: schemaRef('Uuid'),
+            kind: { enum: ['rollout', 'rollback'] },
+            org: { type: 'string' },
+            repos: { type: 'array', items: { type: 'string' } },
+            rolloutType: { type: 'string' },
+            rolloutMode: { type: 'string' },
+            strategy: schemaRef('RolloutStrategy'),
+            scheduledFor: { type: ['string', 'null'] },
+            freezeOverride: { type: ['object', 'null'] },
+            previewHash: { type: ['string', 'null'] },
+            selection: {
+                type: 'object',
+                description: 'Saved selection and criteria that picked the repositories',
+                properties: { name: { type: ['string', 'null'] }, criteria: schemaRef('SelectionCriteria') }
+            },
+            status: { enum: APPROVAL_STATUSES },
+            requestedBy: { type: 'string' },
+            createdAt: schemaRef('DateTime'),
+            expiresAt: schemaRef('DateTime'),
+            closedAt: schemaRef('DateTime'),
+            required: { type: 'integer' },
+            eligibleApprovers: { type: 'array', items: { type: 'string' } },
+            approvals: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['login', 'at'],
+                    properties: {
+                        login: { type: 'string' },
+                        at: schemaRef('DateTime'),
+                        comment: { type: 'string' },
+                        previewHash: { type: ['string', 'null'] }
+                    }
+                }
+            },
+            rejections: { type: 'array', items: { type: 'object' } },
+            approvalsReceived: { type: 'integer' },
+            approvalsRemaining: { type: 'integer' },
+            dispatch: { type: 'object' },
+            deferrals: {
+                type: 'array',
+                description: 'Each time a freeze held the scheduled request back, and until when',
+                items: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string' },
+                        to: schemaRef('DateTime'),
+                        freezeId: { type: 'string' },
+                        freezeName: { type: 'string' },
+                        at: schemaRef('DateTime')
+                    }
+                }
+            },
+            rollbackOf: schemaRef('Uuid'),
+            reason: { type: ['string', 'null'] }
+        }
+    },
+    ApprovalEnvelope: {
+        type: 'object',
+        required: ['approval'],
+        properties: { approval: schemaRef('ApprovalRequest'), selection: schemaRef('RepoSelection') }
+    },
+    DispatchResult: {
+        type: 'object',
+        required: ['org', 'repos', 'rolloutId', 'approvalId', 'approvers'],
+        properties: {
+            org: { type: 'string' },
+            repos: { type: 'array', items: { type: 'string' } },
+            rolloutType: { type: 'string' },
+            approvedBy: { type: ['string', 'null'] },
+            approvers: { type: 'array', items: { type: 'string' } },
+            rolloutId: schemaRef('Uuid'),
+            rollbackOf: schemaRef('Uuid'),
+            rolloutMode: { type: 'string' },
+            waves: { type: 'array', items: { type: 'object' } },
+            approvalId: schemaRef('Uuid'),
+            approval: schemaRef('ApprovalRequest'),
+            selection: schemaRef('RepoSelection'),
+            dispatchTarget: { type: 'string' },
+            timestamp: schemaRef('DateTime')
+        }
+    },
+    FreezePolicy: {
+        type: 'object',
+        required: ['org', 'timezone', 'windows', 'active'],
+        properties: {
+            org: { type: 'string' },
+            timezone: { type: 'string' },
+            windows: { type: 'array', items: schemaRef('FreezeWindow') },
+            active: nullable(schemaRef('FreezeWindow'))
+        }
+    },
+    FreezeWindow: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            start: schemaRef('DateTime'),
+            end: schemaRef('DateTime'),
+            cron: { type: 'string' },
+            timezone: { type: 'string' },
+            endsAt: {
+                ...nullable(schemaRef('DateTime')),
+                description: 'When the active window ends; null if a cron window does not end within 31 days'
+            }
+        }
+    }
+};
+
+const paths = {
+    '/api/approve/{org}': {
+        post: operation({
+            id: 'requestRollout',
+            tag: 'Approvals',
+            summary: 'Request a rollout; dispatches once the approval quorum is met',
+            description: 'Prerequisites are re-validated first (400 PREREQUISITES_NOT_MET with the validation). ' +
+                'A selection that picks no repositories, or more than a repository list allows, is refused ' +
+                '(400 SELECTION_EMPTY, SELECTION_TOO_LARGE). ' +
+                'A rollout that would run now is refused while an overlapping one holds its lock (409 ROLLOUT_IN_PROGRESS). ' +
+                'A previewHash that no longer matches a fresh preview of the repositories is refused (409 PREVIEW_STALE). ' +
+                'Answers 202 while more approvals are needed or when the rollout is scheduled. ' +
+                'With an Idempotency-Key, a retry gets the stored response back; a retry while the first ' +
+                'request is still running gets 409 IDEMPOTENCY_KEY_IN_PROGRESS.',
+            role: 'approver',
+            parameters: [orgParam, paramRef('idempotencyKey')],
+            requestBody: jsonBody(schemaRef('RolloutRequest')),
+            responses: {
+                200: success(schemaRef('DispatchResult'), 'Approved and dispatched'),
+                202: success(schemaRef('ApprovalEnvelope'), 'Waiting for approvals, or scheduled')
+            },
+            errors: [400, 409, 422, 423, 502]
+        })
+    },
+    '/api/approvals/{org}': {
+        get: operation({
+            id: 'listApprovals',
+            tag: 'Approvals',
+            summary: 'Rollout requests for the organization, newest first',
+            parameters: [orgParam, query('status', { enum: APPROVAL_STATUSES }, 'Only requests with this status')],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['org', 'policy', 'approvals'],
+                    properties: {
+                        org: { type: 'string' },
+                        policy: {
+                            type: 'object',
+                            properties: {
+                                required: { type: 'integer' },
+                                approvers: { type: 'array', items: { type: 'string' } },
+                                ttlHours: { type: 'number' }
+                            }
+                        },
+                        approvals: { type: 'array', items: schemaRef('ApprovalRequest') }
+                    }
+                })
+            },
+            errors: [400]
+        })
+    },
+    '/api/approvals/{org}/{id}': {
+        get: operation({
+            id: 'getApproval',
+            tag: 'Approvals',
+            summary: 'A single rollout request',
+            parameters: [orgParam, approvalIdParam],
+            responses: { 200: success(schemaRef('ApprovalRequest')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/approvals/{org}/{id}/approve': {
+        post: operation({
+            id: 'approveRequest',
+            tag: 'Approvals',
+            summary: 'Approve a pending request; dispatches when this approval meets quorum',
+            description: 'A previewHash that no longer matches a fresh preview of the request\'s repositories is refused (409 PREVIEW_STALE).',
+            role: 'approver',
+            parameters: [orgParam, approvalIdParam],
+            requestBody: jsonBody(schemaRef('ApprovalVote'), false),
+            responses: {
+                200: success({ anyOf: [schemaRef('DispatchResult'), schemaRef('ApprovalEnvelope')] }, 'Approval recorded, and dispatched if quorum was met'),
+                202: success(schemaRef('ApprovalEnvelope'), 'Quorum met; the rollout is scheduled')
+            },
+            errors: [400, 404, 409, 423, 502]
+        })
+    },
+    '/api/approvals/{org}/{id}/reject': {
+        post: operation({
+            id: 'rejectRequest',
+            tag: 'Approvals',
+            summary: 'Reject a pending request (any eligible approver can veto)',
+            role: 'approver',
+            parameters: [orgParam, approvalIdParam],
+            requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string', maxLength: 2000 } } }, false),
+            responses: { 200: success(schemaRef('ApprovalEnvelope')) },
+            errors: [400, 404, 409]
+        })
+    },
+    '/api/approvals/{org}/{id}/cancel': {
+        post: operation({
+            id: 'cancelRequest',
+            tag: 'Approvals',
+            summary: 'Cancel a pending or scheduled request (requester or admin)',
+            role: 'approver',
+            parameters: [orgParam, approvalIdParam],
+            responses: { 200: success(schemaRef('ApprovalEnvelope')) },
+            errors: [400, 404, 409]
+        })
+    },
+    '/api/freezes/{org}': {
+        get: operation({
+            id: 'getFreezes',
+            tag: 'Approvals',
+            summary: 'Change freeze windows, and the one in force now',
+            parameters: [orgParam],
+            responses: { 200: success(schemaRef('FreezePolicy')) }
+        })
+    },
+    '/api/schedules/run': {
+        post: operation({
+            id: 'runScheduledRollouts',
+            tag: 'Approvals',
+            summary: 'Dispatch scheduled rollouts whose time has come (for cron triggers)',
+            role: 'platform-admin',
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['processed', 'results'],
+                    properties: { processed: { type: 'integer' }, results: { type: 'array', items: { type: 'object' } } }
+                })
+            }
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
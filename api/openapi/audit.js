@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Audit
+ * The audit trail and its integrity check
+ */
+
+const { schemaRef, success, query, operation, orgParam } = require('./helpers');
+
+const schemas = {
+    AuditVerification: {
+        type: 'object',
+        required: ['intact', 'entries'],
+        properties: {
+            intact: { type: 'boolean' },
+            entries: { type: 'integer' },
+            brokenAt: { type: ['integer', 'null'] },
+            reason: { type: ['string', 'null'] },
+            headHash: { type: ['string', 'null'] }
+        }
+    }
+};
+
+const paths = {
+    '/api/audit/verify': {
+        get: operation({
+            id: 'verifyAuditChain',
+            tag: 'Audit',
+            summary: 'Verify the integrity of the whole audit chain',
+            role: 'platform-admin',
+            responses: { 200: success(schemaRef('AuditVerification')) }
+        })
+    },
+    '/api/audit/{org}': {
+        get: operation({
+            id: 'queryAudit',
+            tag: 'Audit',
+            summary: 'Audit trail for the organization, newest first',
+            role: 'admin',
+            parameters: [
+                orgParam,
+                query('from', schemaRef('Timestamp'), 'Only entries at or after this time'),
+                query('to', schemaRef('Timestamp'), 'Only entries at or before this time'),
+                query('actor', { type: 'string', maxLength: 100 }, 'Only entries by this GitHub login'),
+                query('action', { type: 'string', maxLength: 100 }, 'Only this action'),
+                query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Entries to return')
+            ],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['org', 'total', 'entries'],
+                    properties: {
+                        org: { type: 'string' },
+                        filters: { type: 'object' },
+                        total: { type: 'integer' },
+                        entries: { type: 'array', items: { type: 'object' } }
+                    }
+                })
+            },
+            errors: [400]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
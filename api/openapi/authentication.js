@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Authentication
+ * Sign-in, token refresh and revocation, signing keys
+ */
+
+const { schemaRef, json, success, jsonBody, operation } = require('./helpers');
+
+const schemas = {
+    User: {
+        type: 'object',
+        required: ['login'],
+        properties: {
+            id: { type: ['integer', 'string'] },
+            login: { type: 'string' },
+            name: { type: ['string', 'null'] },
+            email: { type: ['string', 'null'] },
+            avatar_url: { type: ['string', 'null'] },
+            organizations: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    Session: {
+        type: 'object',
+        required: ['token', 'expires_in', 'refresh_token', 'refresh_expires_at'],
+        properties: {
+            token: { type: 'string', description: 'JWT access token' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+            refresh_token: { type: 'string' },
+            refresh_expires_at: schemaRef('DateTime'),
+            user: schemaRef('User')
+        }
+    },
+    Keyset: {
+        type: 'object',
+        required: ['source', 'keys'],
+        properties: {
+            source: { type: 'string' },
+            activeKid: { type: 'string' },
+            keys: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['kid'],
+                    properties: {
+                        kid: { type: 'string' },
+                        createdAt: { type: ['string', 'null'] },
+                        retiredAt: { type: ['string', 'null'] },
+                        verifyUntil: { type: ['string', 'null'] }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const paths = {
+    '/api/auth/github': {
+        post: operation({
+            id: 'signIn',
+            tag: 'Authentication',
+            summary: 'Exchange a GitHub token for an access token and a refresh token',
+            auth: false,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['github_token'],
+                properties: { github_token: { type: 'string', minLength: 1 } }
+            }),
+            responses: { 200: success(schemaRef('Session')) },
+            errors: [400, 401]
+        })
+    },
+    '/api/auth/refresh': {
+        post: operation({
+            id: 'refreshToken',
+            tag: 'Authentication',
+            summary: 'Exchange a refresh token for a new access token and refresh token',
+            description: 'A refresh token that was already exchanged revokes its whole session (REFRESH_REUSED).',
+            auth: false,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['refresh_token'],
+                properties: { refresh_token: { type: 'string', minLength: 1 } }
+            }),
+            responses: { 200: success(schemaRef('Session')) },
+            errors: [400, 401]
+        })
+    },
+    '/api/auth/logout': {
+        post: operation({
+            id: 'signOut',
+            tag: 'Authentication',
+            summary: 'End the session and revoke the access token used for the call',
+            responses: {
+                200: json({
+                    type: 'object',
+                    required: ['success'],
+                    properties: { success: { const: true }, message: { type: 'string' }, timestamp: schemaRef('DateTime') }
+                }, 'Signed out')
+            }
+        })
+    },
+    '/api/auth/revoke': {
+        post: operation({
+            id: 'revokeUserTokens',
+            tag: 'Authentication',
+            summary: 'Revoke every session and token of a user',
+            role: 'platform-admin',
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['login'],
+                properties: { login: { type: 'string', minLength: 1, maxLength: 100 } }
+            }),
+            responses: {
+                200: success({
+                    type: 'object',
+                    properties: { login: { type: 'string' }, sessions: { type: 'integer' }, revokedBefore: schemaRef('DateTime') }
+                })
+            },
+            errors: [400]
+        })
+    },
+    '/api/auth/keys': {
+        get: operation({
+            id: 'getSigningKeys',
+            tag: 'Authentication',
+            summary: 'Signing key IDs and lifecycle dates (never the secrets)',
+            role: 'platform-admin',
+            responses: { 200: success(schemaRef('Keyset')) }
+        })
+    },
+    '/api/auth/keys/rotate': {
+        post: operation({
+            id: 'rotateSigningKey',
+            tag: 'Authentication',
+            summary: 'Rotate the signing key; the old key verifies until its tokens expire',
+            role: 'platform-admin',
+            responses: {
+                200: success({
+                    type: 'object',
+                    properties: { activeKid: { type: 'string' }, retiredKid: { type: 'string' }, retiredVerifyUntil: schemaRef('DateTime') }
+                })
+            },
+            errors: [409]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
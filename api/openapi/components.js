@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Shared Components
+ * Security schemes, parameters, error responses and the schemas every tag uses
+ */
+
+const { schemaRef, json, pathParam } = require('./helpers');
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from POST /api/auth/github or /api/auth/refresh'
+    },
+    githubSignature: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Hub-Signature-256',
+        description: 'HMAC-SHA256 of the raw body with GITHUB_WEBHOOK_SECRET'
+    }
+};
+
+const parameters = {
+    org: pathParam('org', schemaRef('OrgName'), 'GitHub organization'),
+    lastEventId: {
+        name: 'Last-Event-ID',
+        in: 'header',
+        required: false,
+        schema: { type: 'string' },
+        description: 'Resume a stream after this event (<channel>:<seq>); unknown IDs start a new stream'
+    },
+    lastEventIdQuery: {
+        name: 'lastEventId',
+        in: 'query',
+        required: false,
+        schema: { type: 'string' },
+        description: 'Last-Event-ID for clients that cannot set headers'
+    },
+    idempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        schema: { type: 'string', pattern: '^[\\x21-\\x7E]+$', maxLength: 255, 'x-pattern-message': 'must be printable ASCII without spaces' },
+        description: 'Retries with the same key (per user) get the first response back, with Idempotent-Replayed: true'
+    }
+};
+
+const responses = {
+    Error: json(schemaRef('Error'), 'Error'),
+    ValidationError: json(schemaRef('ValidationError'), 'Invalid request (VALIDATION_ERROR, or a route-specific code)'),
+    Unauthorized: json(schemaRef('Error'), 'Missing, invalid or revoked token (AUTH_REQUIRED, AUTH_INVALID, AUTH_REVOKED)'),
+    Forbidden: json(schemaRef('Error'), 'No access to the organization, or the role is too low (ORG_ACCESS_DENIED, ROLE_REQUIRED, ADMIN_REQUIRED)'),
+    NotFound: json(schemaRef('Error'), 'Not found'),
+    Conflict: json(schemaRef('Error'), 'Not allowed in the current state (e.g. ROLLOUT_IN_PROGRESS, with the blocking lock)'),
+    IdempotencyKeyReused: json(schemaRef('Error'), 'The Idempotency-Key was already used for a different request (IDEMPOTENCY_KEY_REUSED)'),
+    Frozen: json(schemaRef('Error'), 'A change freeze is active (FREEZE_ACTIVE)'),
+    RateLimited: json(schemaRef('Error'), 'Rate limit exceeded (RATE_LIMIT_EXCEEDED, RATE_LIMIT_GLOBAL, GITHUB_RATE_LIMITED)'),
+    UpstreamError: json(schemaRef('Error'), 'GitHub or the toolkit repository failed (e.g. PREVIEW_TEMPLATE_MISSING)')
+};
+
+const schemas = {
+    DateTime: { type: 'string', format: 'date-time' },
+    Timestamp: {
+        anyOf: [{ type: 'string', format: 'date-time' }, { type: 'string', format: 'date' }]
+    },
+    Uuid: { type: 'string', format: 'uuid' },
+    OrgName: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]*$',
+        maxLength: 100,
+        'x-pattern-message': 'must be a GitHub organization name'
+    },
+    RepoName: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9_.-]+$',
+        maxLength: 100,
+        'x-pattern-message': 'must be a repository name (letters, digits, . _ -)'
+    },
+    RepoList: {
+        type: 'array',
+        items: schemaRef('RepoName'),
+        minItems: 1,
+        maxItems: 50
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            code: { type: 'string' },
+            details: {},
+            timestamp: schemaRef('DateTime')
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            code: { type: 'string', examples: ['VALIDATION_ERROR'] },
+            details: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'One "<location>.<field> <problem>" entry per problem, e.g. "body.repos must contain at least 1 item"'
+            },
+            timestamp: schemaRef('DateTime')
+        }
+    }
+};
+
+module.exports = {
+    securitySchemes,
+    parameters,
+    responses,
+    schemas
+};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Copilot Analytics
+ * Copilot log uploads and usage metrics
+ */
+
+const { schemaRef, success, query, operation, orgParam } = require('./helpers');
+
+const schemas = {
+    CopilotLogUpload: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+            files: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 20,
+                items: {
+                    type: 'object',
+                    required: ['name', 'content'],
+                    properties: {
+                        name: schemaRef('CopilotLogName'),
+                        content: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    CopilotLogName: {
+        type: 'string',
+        pattern: '^[\\w.@-]{1,200}$',
+        'x-pattern-message': 'must be a file name (letters, digits, . _ - @)'
+    },
+    CopilotCounts: {
+        type: 'object',
+        properties: {
+            completions: { type: 'integer' },
+            accepted: { type: 'integer' },
+            rejected: { type: 'integer' },
+            errors: { type: 'integer' },
+            timeouts: { type: 'integer' },
+            retries: { type: 'integer' },
+            acceptanceRate: { type: ['number', 'null'] }
+        }
+    },
+    CopilotMetrics: {
+        type: 'object',
+        required: ['uploads', 'entries', 'totals'],
+        properties: {
+            uploads: { type: 'integer' },
+            entries: { type: 'integer' },
+            malformed: { type: 'integer' },
+            totals: schemaRef('CopilotCounts'),
+            bySession: { type: 'array', items: schemaRef('CopilotCounts') },
+            byDay: { type: 'array', items: schemaRef('CopilotCounts') },
+            byExtension: { type: 'array', items: schemaRef('CopilotCounts') },
+            rejectionReasons: { type: 'array', items: { type: 'object', properties: { reason: { type: 'string' }, count: { type: 'integer' } } } },
+            errorReasons: { type: 'array', items: { type: 'object', properties: { reason: { type: 'string' }, count: { type: 'integer' } } } }
+        }
+    }
+};
+
+const paths = {
+    '/api/copilot/{org}/logs': {
+        post: operation({
+            id: 'uploadCopilotLogs',
+            tag: 'Copilot Analytics',
+            summary: 'Upload Copilot logs for the organization; reports every malformed line',
+            description: 'Takes the organization in the path like every organization-scoped route; ' +
+                'there is no /api/copilot/logs.',
+            role: 'approver',
+            parameters: [orgParam, query('name', schemaRef('CopilotLogName'), 'File name for a text/plain upload')],
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': { schema: schemaRef('CopilotLogUpload') },
+                    'text/plain': { schema: { type: 'string' } }
+                }
+            },
+            responses: {
+                200: success({ type: 'object' }, 'Every file was a duplicate'),
+                201: success({
+                    type: 'object',
+                    required: ['files', 'stored', 'duplicates', 'malformed'],
+                    properties: {
+                        files: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['name', 'sha256', 'events', 'malformed', 'duplicate'],
+                                properties: {
+                                    name: { type: 'string' },
+                                    sha256: { type: 'string' },
+                                    events: { type: 'integer' },
+                                    duplicate: { type: 'boolean' },
+                                    malformed: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                source: { type: 'string' },
+                                                line: { type: 'integer' },
+                                                text: { type: 'string' },
+                                                reason: { type: 'string' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        stored: { type: 'integer' },
+                        duplicates: { type: 'integer' },
+                        malformed: { type: 'integer' }
+                    }
+                }, 'At least one new file stored')
+            },
+            errors: [400]
+        })
+    },
+    '/api/copilot/{org}/metrics': {
+        get: operation({
+            id: 'getCopilotMetrics',
+            tag: 'Copilot Analytics',
+            summary: 'Copilot usage aggregates over the logs uploaded for the organization',
+            description: 'Takes the organization in the path like every organization-scoped route; ' +
+                'there is no /api/copilot/metrics.',
+            parameters: [
+                orgParam,
+                query('from', schemaRef('Timestamp'), 'Only entries at or after this time'),
+                query('to', schemaRef('Timestamp'), 'Only entries at or before this time'),
+                query('source', { type: 'string', maxLength: 200 }, 'Only this uploaded file name')
+            ],
+            responses: { 200: success(schemaRef('CopilotMetrics')) },
+            errors: [400]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
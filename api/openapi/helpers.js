@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Builders
+ * Helpers the tag modules describe operations with, and the parameters
+ * several of them share
+ */
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = name => ({ $ref: `#/components/responses/${name}` });
+const paramRef = name => ({ $ref: `#/components/parameters/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+// The { success: true, data, timestamp } envelope most routes answer with
+const success = (data, description = 'Success') => json({
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+        success: { const: true },
+        message: { type: 'string' },
+        data,
+        timestamp: schemaRef('DateTime')
+    }
+}, description);
+
+const jsonBody = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, schema, description });
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+
+const ERROR_RESPONSES = {
+    400: 'ValidationError',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    422: 'IdempotencyKeyReused',
+    423: 'Frozen',
+    429: 'RateLimited',
+    502: 'UpstreamError'
+};
+
+/**
+ * Build an operation. `role` is the org role required (x-required-role),
+ * 'platform-admin' for ADMIN_GITHUB_USERS-only routes; `auth: false` marks
+ * public routes. Every operation can answer 429 and the Error default.
+ */
+function operation({ id, tag, summary, description, role, auth = true, parameters, requestBody, responses, errors = [] }) {
+    const errorStatuses = [...new Set([...(auth ? [401] : []), ...(role ? [403] : []), ...errors, 429])];
+
+    return {
+        operationId: id,
+        tags: [tag],
+        summary,
+        description,
+        ...(auth ? {} : { security: [] }),
+        ...(role ? { 'x-required-role': role } : {}),
+        ...(parameters ? { parameters } : {}),
+        ...(requestBody ? { requestBody } : {}),
+        responses: {
+            ...responses,
+            ...Object.fromEntries(errorStatuses.sort().map(status => [status, responseRef(ERROR_RESPONSES[status])])),
+            default: responseRef('Error')
+        }
+    };
+}
+
+const orgParam = paramRef('org');
+const selectionNameParam = pathParam('name', schemaRef('SelectionName'), 'Selection name');
+
+// Readiness scans take a saved selection and criteria that refine it; lists are comma-separated
+const commaList = { type: 'string', pattern: '\\S', 'x-pattern-message': 'must list at least one value' };
+const selectionParams = [
+    query('selection', schemaRef('SelectionName'), 'Saved selection to start from (default: the org\'s "default" selection, if any)'),
+    query('include', commaList, 'Only repositories whose name matches one of these globs (* and ?)'),
+    query('exclude', commaList, 'Skip repositories whose name matches one of these globs'),
+    query('topics', commaList, 'Only repositories with at least one of these topics'),
+    query('visibility', { type: 'string', pattern: '^(public|private|internal)(,(public|private|internal))*$', 'x-pattern-message': 'must list public, private or internal' }, 'Only these visibilities'),
+    query('languages', commaList, 'Only repositories whose primary language is one of these'),
+    query('teams', commaList, 'Only repositories one of these teams owns (admin or maintain access)'),
+    query('pushedWithinDays', { type: 'integer', minimum: 1, maximum: 3650 }, 'Only repositories pushed to within this many days'),
+    query('excludeArchived', { enum: ['true', 'false'] }, 'Skip archived repositories'),
+    query('excludeForks', { enum: ['true', 'false'] }, 'Skip forks'),
+    query('requirePackageJson', { enum: ['true', 'false'] }, 'Only repositories with a package.json (default true)')
+];
+const rolloutIdParam = pathParam('id', schemaRef('Uuid'), 'Rollout ID');
+const approvalIdParam = pathParam('id', schemaRef('Uuid'), 'Approval request ID');
+
+
+module.exports = {
+    schemaRef,
+    responseRef,
+    paramRef,
+    nullable,
+    json,
+    success,
+    jsonBody,
+    query,
+    pathParam,
+    operation,
+    orgParam,
+    selectionNameParam,
+    selectionParams,
+    rolloutIdParam,
+    approvalIdParam
+};
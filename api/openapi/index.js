@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI Document
+ * The API contract: every /api route, its parameters, request body and
+ * responses. Request validation (api-validation.js) and the docs page are
+ * driven by this document, so a route change starts here.
+ *
+ * Each tag has a module with its paths and the schemas they own; shared
+ * parameters, responses and schemas live in components.js.
+ */
+
+const components = require('./components');
+
+const API_VERSION = '3.0.0';
+
+// Tag order is the order of the docs page
+const TAGS = {
+    'Meta': require('./meta'),
+    'Authentication': require('./authentication'),
+    'Readiness': require('./readiness'),
+    'Rollout Planning': require('./rollout-planning'),
+    'Approvals': require('./approvals'),
+    'Rollouts': require('./rollouts'),
+    'Roles': require('./roles'),
+    'Notifications': require('./notifications'),
+    'Copilot Analytics': require('./copilot-analytics'),
+    'Audit': require('./audit'),
+    'Webhooks': require('./webhooks')
+};
+
+/**
+ * Merge the tag modules' `part` ('paths' or 'schemas') into `into`,
+ * refusing a name two modules define
+ */
+function mergeParts(part, into = {}) {
+    for (const [tag, module] of Object.entries(TAGS)) {
+        for (const [name, value] of Object.entries(module[part])) {
+            if (into[name]) {
+                throw new Error(`OpenAPI ${part} entry ${name} from ${tag} is already defined`);
+            }
+            into[name] = value;
+        }
+    }
+    return into;
+}
+
+const OPENAPI_DOCUMENT = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CI Toolkit Approval API',
+        version: API_VERSION,
+        description: 'Approval-gated rollouts of the standardized Node.js workflow across GitHub organizations. ' +
+            'Org-scoped routes need a bearer token with access to the organization and, where noted by ' +
+            'x-required-role, at least that role in it.'
+    },
+    servers: [{ url: '/', description: 'This server' }],
+    security: [{ bearerAuth: [] }],
+    tags: Object.keys(TAGS).map(name => ({ name })),
+    paths: mergeParts('paths'),
+    components: {
+        securitySchemes: components.securitySchemes,
+        parameters: components.parameters,
+        responses: components.responses,
+        schemas: mergeParts('schemas', { ...components.schemas })
+    }
+};
+
+/**
+ * Find an operation by its operationId: { method, path, operation }
+ */
+function findOperation(operationId) {
+    for (const [path, methods] of Object.entries(OPENAPI_DOCUMENT.paths)) {
+        for (const [method, candidate] of Object.entries(methods)) {
+            if (candidate.operationId === operationId) {
+                return { method, path, operation: candidate };
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    API_VERSION,
+    OPENAPI_DOCUMENT,
+    findOperation
+};
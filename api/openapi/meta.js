@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Meta
+ * Health check, this document and its docs page
+ */
+
+const { schemaRef, json, operation } = require('./helpers');
+
+const schemas = {
+    Health: {
+        type: 'object',
+        required: ['status', 'version'],
+        properties: {
+            status: { const: 'ok' },
+            timestamp: schemaRef('DateTime'),
+            version: { type: 'string' },
+            features: { type: 'object', additionalProperties: { type: 'boolean' } },
+            github_auth: { type: 'object' }
+        }
+    }
+};
+
+const paths = {
+    '/api/health': {
+        get: operation({
+            id: 'getHealth',
+            tag: 'Meta',
+            summary: 'Health check',
+            auth: false,
+            responses: { 200: json(schemaRef('Health'), 'Server is up') }
+        })
+    },
+    '/api/openapi.json': {
+        get: operation({
+            id: 'getOpenApiDocument',
+            tag: 'Meta',
+            summary: 'This OpenAPI document',
+            auth: false,
+            responses: { 200: json({ type: 'object' }, 'OpenAPI 3.1 document') }
+        })
+    },
+    '/api/docs': {
+        get: operation({
+            id: 'getApiDocs',
+            tag: 'Meta',
+            summary: 'Browsable API reference rendered from this document',
+            auth: false,
+            responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Notifications
+ * Notification deliveries and test notifications
+ */
+
+const { schemaRef, success, jsonBody, query, operation, orgParam } = require('./helpers');
+
+const NOTIFICATION_EVENTS = [
+    'approval.requested',
+    'approval.approved',
+    'rollout.dispatched',
+    'rollout.succeeded',
+    'rollout.failed',
+    'rollout.halted',
+    'notification.test'
+];
+
+const schemas = {
+    NotificationDelivery: {
+        type: 'object',
+        required: ['id', 'event', 'org', 'channel', 'status', 'attempts'],
+        properties: {
+            id: schemaRef('Uuid'),
+            event: { enum: NOTIFICATION_EVENTS },
+            org: { type: 'string' },
+            channel: { type: 'string' },
+            type: { type: ['string', 'null'] },
+            status: { enum: ['pending', 'delivered', 'failed'] },
+            error: { type: 'string' },
+            occurredAt: schemaRef('DateTime'),
+            createdAt: schemaRef('DateTime'),
+            deliveredAt: schemaRef('DateTime'),
+            nextAttemptAt: { type: ['string', 'null'] },
+            attempts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['at', 'ok'],
+                    properties: {
+                        at: schemaRef('DateTime'),
+                        ok: { type: 'boolean' },
+                        status: { type: 'integer', description: 'HTTP status, when there was a response' },
+                        response: { type: 'string', description: 'SMTP server reply' },
+                        error: { type: 'string' },
+                        transient: { type: 'boolean' },
+                        durationMs: { type: 'integer' }
+                    }
+                }
+            },
+            data: { type: 'object' }
+        }
+    }
+};
+
+const paths = {
+    '/api/notifications/{org}/deliveries': {
+        get: operation({
+            id: 'listNotificationDeliveries',
+            tag: 'Notifications',
+            summary: 'Notification delivery log, newest first, with every attempt',
+            role: 'admin',
+            parameters: [
+                orgParam,
+                query('event', { enum: NOTIFICATION_EVENTS }, 'Only this event'),
+                query('status', { enum: ['pending', 'delivered', 'failed'] }, 'Only deliveries with this status'),
+                query('channel', { type: 'string', maxLength: 100 }, 'Only this channel'),
+                query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Deliveries to return')
+            ],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['org', 'deliveries'],
+                    properties: {
+                        org: { type: 'string' },
+                        events: { type: 'array', items: { type: 'string' } },
+                        deliveries: { type: 'array', items: schemaRef('NotificationDelivery') }
+                    }
+                })
+            },
+            errors: [400]
+        })
+    },
+    '/api/notifications/{org}/test': {
+        post: operation({
+            id: 'sendTestNotification',
+            tag: 'Notifications',
+            summary: 'Send a test notification through one channel and report the first attempt',
+            role: 'admin',
+            parameters: [orgParam],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['channel'],
+                properties: { channel: { type: 'string', minLength: 1, maxLength: 100 } }
+            }),
+            responses: { 200: success(schemaRef('NotificationDelivery')) },
+            errors: [400, 404]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
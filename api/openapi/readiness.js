@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Readiness
+ * Readiness scans and the saved repository selections they start from
+ */
+
+const {
+    schemaRef,
+    paramRef,
+    success,
+    jsonBody,
+    query,
+    operation,
+    orgParam,
+    selectionNameParam,
+    selectionParams
+} = require('./helpers');
+
+const schemas = {
+    SelectionName: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9_.-]+$',
+        maxLength: 100,
+        'x-pattern-message': 'must be a selection name (letters, digits, . _ -)'
+    },
+    SelectionCriteria: {
+        type: 'object',
+        additionalProperties: false,
+        description: 'Every given criterion must hold. Globs match repository names case-insensitively.',
+        properties: {
+            include: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 }, maxItems: 50 },
+            exclude: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 }, maxItems: 50 },
+            topics: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 50 }, maxItems: 20 },
+            visibility: { type: 'array', items: { enum: ['public', 'private', 'internal'] }, uniqueItems: true },
+            languages: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 50 }, maxItems: 20 },
+            teams: { type: 'array', items: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$', maxLength: 100 }, maxItems: 20 },
+            pushedWithinDays: { type: 'integer', minimum: 1, maximum: 3650 },
+            excludeArchived: { type: 'boolean' },
+            excludeForks: { type: 'boolean' },
+            requirePackageJson: { type: 'boolean', default: true }
+        }
+    },
+    Selection: {
+        type: 'object',
+        required: ['name', 'criteria', 'source'],
+        properties: {
+            name: { type: 'string' },
+            criteria: schemaRef('SelectionCriteria'),
+            source: { enum: ['config', 'api'] },
+            updatedBy: { type: 'string' },
+            updatedAt: schemaRef('DateTime')
+        }
+    },
+    RepoSelection: {
+        type: 'object',
+        required: ['name', 'criteria', 'included', 'excluded', 'decisions'],
+        description: 'Which repositories a selection picked, and why each was included or excluded',
+        properties: {
+            name: { type: ['string', 'null'], description: 'Saved selection applied, if any' },
+            criteria: schemaRef('SelectionCriteria'),
+            included: { type: 'integer' },
+            excluded: { type: 'integer' },
+            decisions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['repo', 'included', 'reasons'],
+                    properties: {
+                        repo: { type: 'string' },
+                        included: { type: 'boolean' },
+                        reasons: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        }
+    },
+    ReadinessResult: {
+        type: 'object',
+        required: ['org', 'total', 'ready', 'readyRepos', 'allReady', 'repos'],
+        properties: {
+            org: { type: 'string' },
+            total: { type: 'integer' },
+            ready: { type: 'integer' },
+            readyRepos: { type: 'array', items: { type: 'string' } },
+            allReady: { type: 'boolean' },
+            scanned: { type: 'integer', description: 'Repositories looked at during discovery' },
+            selection: schemaRef('RepoSelection'),
+            rules: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, description: { type: 'string' }, severity: { type: 'string' } }
+                }
+            },
+            summary: {
+                type: 'object',
+                properties: { blocker: { type: 'integer' }, warning: { type: 'integer' }, info: { type: 'integer' } }
+            },
+            repos: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['repo', 'ready', 'results'],
+                    properties: {
+                        repo: { type: 'string' },
+                        ready: { type: 'boolean' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['rule', 'status'],
+                                properties: {
+                                    rule: { type: 'string' },
+                                    status: { enum: ['pass', 'fail', 'error', 'skipped'] },
+                                    severity: { type: 'string' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        },
+                        cache: { type: 'object' }
+                    }
+                }
+            },
+            cache: { type: 'object' },
+            rateLimit: { type: ['object', 'null'] }
+        }
+    }
+};
+
+const paths = {
+    '/api/readiness/{org}': {
+        get: operation({
+            id: 'getReadiness',
+            tag: 'Readiness',
+            summary: 'Readiness of the repositories a selection picks (by default every Node.js repository)',
+            description: 'Export the report instead with ?format= or an Accept header for the format\'s content type. ' +
+                'selection explains why each repository was included or excluded.',
+            parameters: [
+                orgParam,
+                query('refresh', { enum: ['true', 'false'] }, 'Ignore cached per-repository results'),
+                query('format', { enum: ['json', 'csv', 'md', 'sarif'] }, 'Download the report in this format'),
+                ...selectionParams
+            ],
+            responses: {
+                200: {
+                    description: 'Readiness result, or the exported report',
+                    content: {
+                        'application/json': success(schemaRef('ReadinessResult')).content['application/json'],
+                        'text/csv': { schema: { type: 'string' } },
+                        'text/markdown': { schema: { type: 'string' } },
+                        'application/sarif+json': { schema: { type: 'object' } }
+                    }
+                }
+            },
+            errors: [400, 404, 502]
+        })
+    },
+    '/api/readiness/{org}/stream': {
+        get: operation({
+            id: 'streamReadiness',
+            tag: 'Readiness',
+            summary: 'Stream a readiness scan repository by repository (Server-Sent Events)',
+            description: 'Events: started, discovery (with the selection), repo (one per repository), complete, error.',
+            parameters: [
+                orgParam,
+                query('refresh', { enum: ['true', 'false'] }, 'Ignore cached per-repository results'),
+                ...selectionParams,
+                paramRef('lastEventId'),
+                paramRef('lastEventIdQuery')
+            ],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+            errors: [400]
+        })
+    },
+    '/api/selections/{org}': {
+        get: operation({
+            id: 'listSelections',
+            tag: 'Readiness',
+            summary: 'Saved repository selections for the organization',
+            parameters: [orgParam],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['org', 'selections'],
+                    properties: { org: { type: 'string' }, selections: { type: 'array', items: schemaRef('Selection') } }
+                })
+            }
+        })
+    },
+    '/api/selections/{org}/{name}': {
+        get: operation({
+            id: 'getSelection',
+            tag: 'Readiness',
+            summary: 'A saved repository selection',
+            parameters: [orgParam, selectionNameParam],
+            responses: { 200: success(schemaRef('Selection')) },
+            errors: [400, 404]
+        }),
+        put: operation({
+            id: 'saveSelection',
+            tag: 'Readiness',
+            summary: 'Save a repository selection; "default" applies to scans that name none',
+            role: 'admin',
+            parameters: [orgParam, selectionNameParam],
+            requestBody: jsonBody(schemaRef('SelectionCriteria')),
+            responses: { 200: success(schemaRef('Selection')) },
+            errors: [400]
+        }),
+        delete: operation({
+            id: 'deleteSelection',
+            tag: 'Readiness',
+            summary: 'Delete a selection saved through the API (config-file selections are read-only)',
+            role: 'admin',
+            parameters: [orgParam, selectionNameParam],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['deleted'],
+                    properties: {
+                        deleted: { type: 'string' },
+                        selection: { anyOf: [schemaRef('Selection'), { type: 'null' }], description: 'The config-file selection now in effect, if any' }
+                    }
+                })
+            },
+            errors: [400, 404, 409]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Roles
+ * Role assignments per organization
+ */
+
+const { schemaRef, success, jsonBody, pathParam, operation, orgParam } = require('./helpers');
+
+const schemas = {
+    RoleAssignments: {
+        type: 'object',
+        required: ['org', 'roles', 'users', 'teams'],
+        properties: {
+            org: { type: 'string' },
+            roles: { type: 'array', items: { type: 'string' } },
+            default: { type: ['string', 'null'] },
+            users: { type: 'object', additionalProperties: { type: 'string' } },
+            teams: { type: 'object', additionalProperties: { type: 'string' } },
+            edited: { type: 'object' }
+        }
+    }
+};
+
+const paths = {
+    '/api/roles/{org}': {
+        get: operation({
+            id: 'getRoles',
+            tag: 'Roles',
+            summary: 'Role assignments for the organization',
+            role: 'admin',
+            parameters: [orgParam],
+            responses: { 200: success(schemaRef('RoleAssignments')) }
+        })
+    },
+    '/api/roles/{org}/{kind}/{name}': {
+        put: operation({
+            id: 'setRole',
+            tag: 'Roles',
+            summary: 'Assign a user or team role; takes effect at the holder\'s next token refresh',
+            description: 'none (users only) removes access that the org\'s default role would grant.',
+            role: 'admin',
+            parameters: [
+                orgParam,
+                pathParam('kind', { enum: ['users', 'teams'] }, 'Assignment kind'),
+                pathParam('name', { type: 'string', pattern: '^[A-Za-z0-9_.-]+$', maxLength: 100 }, 'GitHub login or team slug')
+            ],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['role'],
+                properties: { role: { enum: ['viewer', 'approver', 'admin', 'none'] } }
+            }),
+            responses: { 200: success(schemaRef('RoleAssignments')) },
+            errors: [400]
+        }),
+        delete: operation({
+            id: 'clearRole',
+            tag: 'Roles',
+            summary: 'Clear an API-assigned role, falling back to the config file',
+            role: 'admin',
+            parameters: [
+                orgParam,
+                pathParam('kind', { enum: ['users', 'teams'] }, 'Assignment kind'),
+                pathParam('name', { type: 'string', pattern: '^[A-Za-z0-9_.-]+$', maxLength: 100 }, 'GitHub login or team slug')
+            ],
+            responses: { 200: success(schemaRef('RoleAssignments')) },
+            errors: [400]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Rollout Planning
+ * Rollout previews and workflow adoption
+ */
+
+const { schemaRef, nullable, success, query, operation, orgParam } = require('./helpers');
+
+const schemas = {
+    PreviewHash: {
+        type: 'string',
+        pattern: '^[0-9a-f]{64}$',
+        'x-pattern-message': 'must be a 64-character hex SHA-256'
+    },
+    Preview: {
+        type: 'object',
+        required: ['org', 'target', 'summary', 'repos', 'previewHash'],
+        properties: {
+            org: { type: 'string' },
+            target: { type: 'string', description: 'owner/repo the templates were read from' },
+            templates: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { path: { type: 'string' }, template: { type: 'string' }, sha: { type: 'string' } }
+                }
+            },
+            summary: {
+                type: 'object',
+                properties: {
+                    create: { type: 'integer' },
+                    update: { type: 'integer' },
+                    noop: { type: 'integer' },
+                    error: { type: 'integer' }
+                }
+            },
+            repos: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['repo', 'action', 'files'],
+                    properties: {
+                        repo: { type: 'string' },
+                        defaultBranch: { type: 'string' },
+                        action: { enum: ['create', 'update', 'noop', 'error'] },
+                        error: { type: 'string' },
+                        files: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['path', 'action'],
+                                properties: {
+                                    path: { type: 'string' },
+                                    action: { enum: ['create', 'update', 'noop'] },
+                                    currentSha: { type: ['string', 'null'] },
+                                    renderedHash: { type: 'string' },
+                                    diff: { type: 'string', description: 'Unified diff; empty for noop' }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            previewHash: schemaRef('PreviewHash'),
+            generatedAt: schemaRef('DateTime')
+        }
+    },
+    AdoptionSummary: {
+        type: 'object',
+        required: ['total', 'adopted', 'adoptionRate'],
+        properties: {
+            total: { type: 'integer' },
+            adopted: { type: 'integer' },
+            present: { type: 'integer' },
+            outdated: { type: 'integer' },
+            failing: { type: 'integer' },
+            absent: { type: 'integer' },
+            adoptionRate: { type: 'number', minimum: 0, maximum: 1 }
+        }
+    },
+    AdoptionSnapshot: {
+        type: 'object',
+        required: ['id', 'org', 'takenAt', 'summary', 'repos'],
+        properties: {
+            id: schemaRef('Uuid'),
+            org: { type: 'string' },
+            takenAt: schemaRef('DateTime'),
+            template: { type: 'object' },
+            summary: schemaRef('AdoptionSummary'),
+            repos: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['repo', 'state'],
+                    properties: {
+                        repo: { type: 'string' },
+                        state: { enum: ['present', 'outdated', 'failing', 'absent'] },
+                        defaultBranch: { type: 'string' },
+                        sha: { type: ['string', 'null'] },
+                        run: { type: ['object', 'null'] }
+                    }
+                }
+            },
+            errors: {
+                type: 'array',
+                items: { type: 'object', properties: { repo: { type: 'string' }, error: { type: 'string' } } }
+            }
+        }
+    },
+    AdoptionTrend: {
+        type: 'object',
+        required: ['org', 'snapshots', 'points', 'regressions'],
+        properties: {
+            org: { type: 'string' },
+            snapshots: { type: 'integer' },
+            points: {
+                type: 'array',
+                items: { allOf: [schemaRef('AdoptionSummary'), { type: 'object', properties: { takenAt: schemaRef('DateTime') } }] }
+            },
+            latest: nullable(schemaRef('AdoptionSummary')),
+            previousTakenAt: { type: ['string', 'null'] },
+            regressions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { repo: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+const paths = {
+    '/api/preview/{org}': {
+        get: operation({
+            id: 'getRolloutPreview',
+            tag: 'Rollout Planning',
+            summary: 'Dry-run diff of the managed files a rollout would write',
+            parameters: [
+                orgParam,
+                query('repos', {
+                    type: 'string',
+                    pattern: '^\\s*[A-Za-z0-9_.-]+\\s*(,\\s*[A-Za-z0-9_.-]+\\s*){0,49}$',
+                    'x-pattern-message': 'must list 1 to 50 comma-separated repository names'
+                }, 'Comma-separated repositories', true)
+            ],
+            responses: { 200: success(schemaRef('Preview')) },
+            errors: [400, 502]
+        })
+    },
+    '/api/adoption/{org}': {
+        get: operation({
+            id: 'scanAdoption',
+            tag: 'Rollout Planning',
+            summary: 'Check workflow adoption across the organization and store a snapshot',
+            description: 'Covers the repositories the org\'s default selection picks.',
+            parameters: [orgParam],
+            responses: { 200: success(schemaRef('AdoptionSnapshot')) },
+            errors: [400, 502]
+        })
+    },
+    '/api/adoption/{org}/trend': {
+        get: operation({
+            id: 'getAdoptionTrend',
+            tag: 'Rollout Planning',
+            summary: 'Adoption over stored snapshots, and repositories that regressed',
+            parameters: [orgParam, query('limit', { type: 'integer', minimum: 1, maximum: 365, default: 30 }, 'Snapshots to return')],
+            responses: { 200: success(schemaRef('AdoptionTrend')) },
+            errors: [400]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
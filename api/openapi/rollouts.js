@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Rollouts
+ * Rollout tracking and control, rollbacks and rollout locks
+ */
+
+const { schemaRef, paramRef, success, jsonBody, query, operation, orgParam, rolloutIdParam } = require('./helpers');
+
+const schemas = {
+    RollbackRequest: {
+        type: 'object',
+        properties: {
+            repos: schemaRef('RepoList'),
+            reason: { type: 'string', maxLength: 2000 },
+            scheduledFor: { type: 'string', format: 'date-time' },
+            freezeOverride: schemaRef('FreezeOverride')
+        }
+    },
+    RepoProgress: {
+        type: 'object',
+        required: ['repo', 'status'],
+        properties: {
+            repo: { type: 'string' },
+            status: { type: 'string' },
+            conclusion: { type: ['string', 'null'] },
+            wave: { type: 'integer' },
+            html_url: { type: 'string' }
+        }
+    },
+    Rollout: {
+        type: 'object',
+        required: ['id', 'org', 'repos', 'status', 'mode', 'createdAt', 'repoProgress'],
+        properties: {
+            id: schemaRef('Uuid'),
+            kind: { enum: ['rollout', 'rollback'] },
+            org: { type: 'string' },
+            repos: { type: 'array', items: { type: 'string' } },
+            changes: {
+                type: ['object', 'null'],
+                description: 'Files each repository\'s dispatch writes: { repo: [{ path, action, previousSha }] }'
+            },
+            rolloutType: { type: 'string' },
+            approvalId: { type: ['string', 'null'] },
+            approvers: { type: 'array', items: { type: 'string' } },
+            target: { type: 'object', properties: { owner: { type: 'string' }, repo: { type: 'string' } } },
+            mode: { enum: ['all-at-once', 'staged'] },
+            status: { type: 'string', description: 'dispatched, queued, in_progress, paused or completed' },
+            conclusion: { type: ['string', 'null'], description: 'success, failure, cancelled or dispatch_failed once completed' },
+            haltReason: { type: 'string' },
+            paused: { type: 'boolean' },
+            run: { type: ['object', 'null'] },
+            jobs: { type: 'array', items: { type: 'object' } },
+            repoProgress: { type: 'array', items: schemaRef('RepoProgress') },
+            strategy: {
+                type: 'object',
+                description: 'The requested strategy merged over the defaults (staged rollouts only)',
+                properties: {
+                    canary: { type: 'array', items: { type: 'string' } },
+                    canarySize: { type: 'integer' },
+                    batchSize: { type: ['integer', 'null'] },
+                    batchPercent: { type: ['number', 'null'] },
+                    successThreshold: { type: 'number' }
+                }
+            },
+            currentWave: { type: 'integer' },
+            waves: { type: 'array', items: { type: 'object' } },
+            rollbackOf: schemaRef('Uuid'),
+            rollbacks: { type: 'array', items: { type: 'object' } },
+            lockBroken: {
+                type: 'object',
+                description: 'Set when an admin broke the rollout\'s lock',
+                properties: { by: { type: 'string' }, reason: { type: 'string' }, at: schemaRef('DateTime') }
+            },
+            createdAt: schemaRef('DateTime'),
+            updatedAt: schemaRef('DateTime'),
+            completedAt: schemaRef('DateTime')
+        }
+    },
+    RolloutStatus: {
+        type: 'object',
+        required: ['org', 'hasActiveRollout', 'latestRollout'],
+        properties: {
+            org: { type: 'string' },
+            hasActiveRollout: { type: 'boolean' },
+            latestRollout: {
+                type: ['object', 'null'],
+                properties: {
+                    id: schemaRef('Uuid'),
+                    status: { type: 'string' },
+                    conclusion: { type: ['string', 'null'] },
+                    mode: { type: 'string' },
+                    current_wave: { type: ['string', 'null'] },
+                    halt_reason: { type: ['string', 'null'] },
+                    created_at: schemaRef('DateTime'),
+                    updated_at: schemaRef('DateTime'),
+                    run_id: { type: ['integer', 'null'] },
+                    html_url: { type: ['string', 'null'] }
+                }
+            },
+            timestamp: schemaRef('DateTime')
+        }
+    },
+    RolloutLock: {
+        type: 'object',
+        required: ['scope', 'rolloutId', 'kind', 'status', 'repos', 'createdAt'],
+        properties: {
+            scope: { enum: ['org', 'repo'] },
+            rolloutId: schemaRef('Uuid'),
+            kind: { enum: ['rollout', 'rollback'] },
+            status: { type: 'string' },
+            repos: { type: 'array', items: { type: 'string' } },
+            overlap: { type: 'array', items: { type: 'string' }, description: 'Repositories the refused rollout shares with this one (conflicts only)' },
+            approvalId: { type: ['string', 'null'] },
+            approvers: { type: 'array', items: { type: 'string' } },
+            createdAt: schemaRef('DateTime'),
+            updatedAt: schemaRef('DateTime'),
+            run: {
+                type: ['object', 'null'],
+                properties: { id: { type: 'integer' }, status: { type: 'string' }, html_url: { type: 'string' } }
+            },
+            broken: {
+                type: 'object',
+                properties: { by: { type: 'string' }, reason: { type: 'string' }, at: schemaRef('DateTime') }
+            }
+        }
+    }
+};
+
+const paths = {
+    '/api/status/{org}': {
+        get: operation({
+            id: 'getRolloutStatus',
+            tag: 'Rollouts',
+            summary: 'Latest rollout for the organization, refreshed from its workflow run',
+            parameters: [orgParam],
+            responses: { 200: success(schemaRef('RolloutStatus')) },
+            errors: [502]
+        })
+    },
+    '/api/rollouts': {
+        get: operation({
+            id: 'listRollouts',
+            tag: 'Rollouts',
+            summary: 'Rollout history for an organization, newest first',
+            parameters: [
+                query('org', schemaRef('OrgName'), 'GitHub organization', true),
+                query('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 }, 'Rollouts to return')
+            ],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['org', 'rollouts'],
+                    properties: { org: { type: 'string' }, rollouts: { type: 'array', items: schemaRef('Rollout') } }
+                })
+            },
+            errors: [400]
+        })
+    },
+    '/api/rollouts/{id}': {
+        get: operation({
+            id: 'getRollout',
+            tag: 'Rollouts',
+            summary: 'A rollout with job-level and per-repository progress',
+            parameters: [rolloutIdParam],
+            responses: { 200: success(schemaRef('Rollout')) },
+            errors: [403, 404, 502]
+        })
+    },
+    '/api/rollouts/{id}/stream': {
+        get: operation({
+            id: 'streamRollout',
+            tag: 'Rollouts',
+            summary: 'Stream rollout state transitions (Server-Sent Events)',
+            description: 'Events: status, wave, repo, warning, complete.',
+            parameters: [rolloutIdParam, paramRef('lastEventId'), paramRef('lastEventIdQuery')],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+            errors: [403, 404]
+        })
+    },
+    '/api/rollouts/{id}/pause': {
+        post: operation({
+            id: 'pauseRollout',
+            tag: 'Rollouts',
+            summary: 'Stop dispatching further waves of a staged rollout',
+            role: 'approver',
+            parameters: [rolloutIdParam],
+            responses: { 200: success(schemaRef('Rollout')) },
+            errors: [404, 409]
+        })
+    },
+    '/api/rollouts/{id}/resume': {
+        post: operation({
+            id: 'resumeRollout',
+            tag: 'Rollouts',
+            summary: 'Resume a paused staged rollout',
+            role: 'approver',
+            parameters: [rolloutIdParam],
+            responses: { 200: success(schemaRef('Rollout')) },
+            errors: [404, 409, 502]
+        })
+    },
+    '/api/rollouts/{id}/abort': {
+        post: operation({
+            id: 'abortRollout',
+            tag: 'Rollouts',
+            summary: 'Abort an in-flight rollout and cancel its workflow run',
+            role: 'approver',
+            parameters: [rolloutIdParam],
+            responses: { 200: success(schemaRef('Rollout')) },
+            errors: [404, 409, 502]
+        })
+    },
+    '/api/rollouts/{id}/rollback': {
+        post: operation({
+            id: 'requestRollback',
+            tag: 'Rollouts',
+            summary: 'Request a rollback of a finished rollout\'s changes',
+            description: 'Goes through the approval quorum like any rollout request. repos defaults to every repository the rollout changed.',
+            role: 'approver',
+            parameters: [rolloutIdParam],
+            requestBody: jsonBody(schemaRef('RollbackRequest'), false),
+            responses: {
+                200: success(schemaRef('DispatchResult'), 'Approved and dispatched'),
+                202: success(schemaRef('ApprovalEnvelope'), 'Waiting for approvals, or scheduled')
+            },
+            errors: [400, 404, 409, 423, 502]
+        })
+    },
+    '/api/locks/{org}': {
+        get: operation({
+            id: 'listRolloutLocks',
+            tag: 'Rollouts',
+            summary: 'Rollout locks held in the organization, oldest first',
+            description: 'Every active rollout holds a lock on the organization (scope org) or on its repositories (scope repo).',
+            parameters: [orgParam],
+            responses: {
+                200: success({
+                    type: 'object',
+                    required: ['org', 'scope', 'locks'],
+                    properties: {
+                        org: { type: 'string' },
+                        scope: { enum: ['org', 'repo'] },
+                        locks: { type: 'array', items: schemaRef('RolloutLock') }
+                    }
+                })
+            }
+        })
+    },
+    '/api/locks/{org}/{id}/break': {
+        post: operation({
+            id: 'breakRolloutLock',
+            tag: 'Rollouts',
+            summary: 'Break a stale rollout lock so other rollouts can start',
+            description: 'The rollout is still tracked; it just no longer blocks others. Abort it instead if its run is still going.',
+            role: 'admin',
+            parameters: [orgParam, rolloutIdParam],
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['reason'],
+                properties: { reason: { type: 'string', pattern: '\\S', maxLength: 2000, 'x-pattern-message': 'must be a non-empty string' } }
+            }),
+            responses: { 200: success(schemaRef('RolloutLock')) },
+            errors: [400, 404]
+        })
+    }
+};
+
+module.exports = {
+    paths,
+    schemas
+};
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI: Webhooks
+ * The GitHub webhook receiver
+ */
+
+const { success, jsonBody, operation } = require('./helpers');
+
+const paths = {
+    '/api/webhooks/github': {
+        post: {
+            ...operation({
+                id: 'receiveGitHubWebhook',
+                tag: 'Webhooks',
+                summary: 'GitHub webhook receiver (workflow_run, workflow_job, repository_dispatch)',
+                description: 'Signed by GitHub rather than authenticated with a JWT. Deliveries seen before get 409 WEBHOOK_REPLAY; ' +
+                    'without GITHUB_WEBHOOK_SECRET the endpoint answers 503 WEBHOOK_NOT_CONFIGURED.',
+                auth: false,
+                parameters: [
+                    { name: 'X-GitHub-Event', in: 'header', required: true, schema: { type: 'string' } },
+                    { name: 'X-GitHub-Delivery', in: 'header', required: true, schema: { type: 'string' } }
+                ],
+                requestBody: jsonBody({ type: 'object', description: 'The event payload, exactly as GitHub sent it' }),
+                responses: {
+                    200: success({
+                        type: 'object',
+                        properties: {
+                            event: { type: 'string' },
+                            deliveryId: { type: 'string' },
+                            handled: { type: 'boolean' },
+                            rolloutId: { type: ['string', 'null'] }
+                        }
+                    })
+                },
+                errors: [400, 401, 409]
+            }),
+            security: [{ githubSignature: [] }]
+        }
+    }
+};
+
+module.exports = {
+    paths,
+    schemas: {}
+};
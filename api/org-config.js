@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Per-Organization Configuration
+ * Loads <CONFIG_DIR>/<org>.json layered over <CONFIG_DIR>/default.json
+ * and the built-in defaults below, one top-level section at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, 'config');
+const ORG_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+const BUILT_IN_DEFAULTS = {
+    approvals: {
+        required: 1,        // distinct approvals needed before dispatch
+        approvers: [],      // GitHub logins allowed to approve (empty = anyone with org access)
+        ttlHours: 24        // pending requests expire after this long
+    },
+    readiness: {
+        rules: {}           // per-rule { enabled, severity, options } overrides
+    },
+    freezes: {
+        timezone: 'UTC',    // default zone for cron windows
+        windows: []         // { id, name, start, end } or { id, name, cron, timezone }
+    },
+    roles: {
+        default: 'viewer',  // role for org members without an assignment (null = none)
+        users: {},          // GitHub login -> viewer | approver | admin | none
+        teams: {}           // team slug -> viewer | approver | admin
+    },
+    notifications: {
+        channels: {},       // name -> { type: webhook | slack | teams | email, url | to, secretEnv }
+        routes: []          // { events: ['rollout.failed', 'approval.*', '*'], channels: [name] }
+    },
+    selections: {},         // name -> repository selection criteria (see repo-selection.js); "default" applies when none is named
+    locks: {
+        scope: 'org'        // org: one active rollout per organization; repo: only rollouts sharing a repository conflict
+    }
+};
+
+function readConfigFile(name) {
+    const filePath = path.join(CONFIG_DIR, `${name}.json`);
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw new Error(`Invalid configuration file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Merge configs section by section (later layers win)
+ */
+function mergeSections(...layers) {
+    const merged = {};
+
+    for (const layer of layers) {
+        for (const [section, value] of Object.entries(layer)) {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            merged[section] = isObject ? { ...(merged[section] || {}), ...value } : value;
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Get effective configuration for an organization
+ */
+function getOrgConfig(org) {
+    const layers = [BUILT_IN_DEFAULTS, readConfigFile('default')];
+
+    // Never build file paths from anything that isn't a plain org name
+    if (org && ORG_NAME_PATTERN.test(org)) {
+        layers.push(readConfigFile(org));
+    }
+
+    return mergeSections(...layers);
+}
+
+module.exports = {
+    CONFIG_DIR,
+    getOrgConfig
+};
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Rollout Preview
+ * Renders the toolkit's templates for each repository and diffs them against
+ * the files currently in the repo, so approvers see exactly what a rollout
+ * would change. Templates are read from the toolkit repository (the same
+ * templates/ directory scripts/rollout-deps.sh renders from).
+ */
+
+const crypto = require('crypto');
+const { mapWithConcurrency } = require('./concurrency');
+const { GitHubRateLimitError, assertRateLimitBudget } = require('./github-client');
+const { createUnifiedDiff } = require('./unified-diff');
+
+// Configuration
+const PREVIEW_CONCURRENCY = parseInt(process.env.PREVIEW_CONCURRENCY, 10) || 8;
+
+// Files a rollout writes into each repository, and the template each comes from
+const MANAGED_FILES = [
+    { path: '.github/workflows/deps-install.yml', template: 'templates/deps-install.yml' }
+];
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class PreviewError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'PreviewError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * File text and blob SHA, or null when the file does not exist
+ */
+async function fetchFile(octokit, owner, repo, path, ref) {
+    try {
+        const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ...(ref ? { ref } : {}) });
+        if (Array.isArray(data) || data.content === undefined) {
+            return null;
+        }
+        return { text: Buffer.from(data.content, 'base64').toString('utf8'), sha: data.sha };
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fill in {{org}}, {{repo}} and {{default_branch}} the way rollout-deps.sh does
+ */
+function renderTemplate(text, vars) {
+    return text.replace(/\{\{ *(org|repo|default_branch) *\}\}/g, (placeholder, name) => vars[name]);
+}
+
+async function loadTemplates(octokit, target) {
+    return Promise.all(MANAGED_FILES.map(async file => {
+        const template = await fetchFile(octokit, target.owner, target.repo, file.template);
+        if (!template) {
+            throw new PreviewError(`Template ${file.template} not found in ${target.owner}/${target.repo}`,
+                'PREVIEW_TEMPLATE_MISSING', 502);
+        }
+        return { ...file, text: template.text, sha: template.sha };
+    }));
+}
+
+function repoAction(files) {
+    const actions = new Set(files.map(file => file.action));
+    if (actions.size === 1) {
+        return [...actions][0];
+    }
+    return actions.has('update') || actions.has('create') ? 'update' : 'noop';
+}
+
+async function previewRepo(octokit, org, repo, templates) {
+    let repoData;
+    try {
+        ({ data: repoData } = await octokit.rest.repos.get({ owner: org, repo }));
+    } catch (error) {
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        return {
+            repo,
+            action: 'error',
+            error: error.status === 404 ? 'Repository not found or no access' : `API error: ${error.message}`,
+            files: []
+        };
+    }
+
+    const vars = { org, repo, default_branch: repoData.default_branch };
+
+    const files = await Promise.all(templates.map(async template => {
+        const current = await fetchFile(octokit, org, repo, template.path, repoData.default_branch);
+        const rendered = renderTemplate(template.text, vars);
+        const action = !current ? 'create' : current.text === rendered ? 'noop' : 'update';
+
+        return {
+            path: template.path,
+            action,
+            currentSha: current ? current.sha : null,
+            renderedHash: sha256(rendered),
+            diff: action === 'noop' ? '' : createUnifiedDiff(template.path, current ? current.text : null, rendered)
+        };
+    }));
+
+    return { repo, defaultBranch: repoData.default_branch, action: repoAction(files), files };
+}
+
+/**
+ * Hash over everything the preview showed: template versions and, per
+ * repo and file, the action, current blob and rendered content
+ */
+function hashPreview(templates, repos) {
+    return sha256(JSON.stringify({
+        templates: templates.map(template => [template.template, template.sha]),
+        repos: repos.map(repo => [
+            repo.repo,
+            repo.action,
+            repo.files.map(file => [file.path, file.action, file.currentSha, file.renderedHash])
+        ])
+    }));
+}
+
+/**
+ * Preview a rollout of `repos` in `org`; `toolkitOctokit` reads the
+ * templates from `target` (the toolkit repository)
+ */
+async function buildPreview({ octokit, toolkitOctokit, org, repos, target }) {
+    const templates = await loadTemplates(toolkitOctokit, target);
+
+    const sortedRepos = [...new Set(repos)].sort();
+    assertRateLimitBudget(octokit, sortedRepos.length * (1 + templates.length), `Previewing ${sortedRepos.length} repositories`);
+
+    const results = await mapWithConcurrency(sortedRepos, PREVIEW_CONCURRENCY,
+        repo => previewRepo(octokit, org, repo, templates));
+
+    const summary = { create: 0, update: 0, noop: 0, error: 0 };
+    results.forEach(result => summary[result.action]++);
+
+    return {
+        org,
+        target: `${target.owner}/${target.repo}`,
+        templates: templates.map(({ path, template, sha }) => ({ path, template, sha })),
+        summary,
+        repos: results,
+        previewHash: hashPreview(templates, results),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    MANAGED_FILES,
+    PreviewError,
+    fetchFile,
+    renderTemplate,
+    loadTemplates,
+    buildPreview
+};
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Rate Limit Store
+ * Hit counters shared by every rate limiter, behind a pluggable backend
+ *
+ * A backend is any object exposing three async methods:
+ *   increment(key, windowMs) - atomically count a hit, starting a new window
+ *                              if the key's has expired; resolves to
+ *                              { count, resetTime } (resetTime in epoch ms)
+ *   decrement(key)           - take back one hit in the current window
+ *   resetKey(key)            - forget the key
+ *
+ * The file backend lets processes sharing DATA_DIR share their counts; a
+ * networked backend (Redis, a database) can be set with setRateLimitStore().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./json-store');
+const { withFileLock } = require('./file-lock');
+
+// Configuration
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'file';
+const RATE_LIMIT_FILE = process.env.RATE_LIMIT_FILE || path.join(DATA_DIR, 'rate-limits.json');
+
+function nextCount(entry, now, windowMs) {
+    if (!entry || entry.resetTime <= now) {
+        return { count: 1, resetTime: now + windowMs };
+    }
+    return { count: entry.count + 1, resetTime: entry.resetTime };
+}
+
+/**
+ * In-process backend (per instance; counts reset on restart)
+ */
+function createMemoryStore() {
+    const counters = new Map();
+    let nextSweep = 0;
+
+    function sweep(now) {
+        if (now < nextSweep) {
+            return;
+        }
+        for (const [key, entry] of counters) {
+            if (entry.resetTime <= now) {
+                counters.delete(key);
+            }
+        }
+        nextSweep = now + 60 * 1000;
+    }
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            sweep(now);
+
+            const entry = nextCount(counters.get(key), now, windowMs);
+            counters.set(key, entry);
+            return { ...entry };
+        },
+
+        async decrement(key) {
+            const entry = counters.get(key);
+            if (entry && entry.count > 0) {
+                entry.count--;
+            }
+        },
+
+        async resetKey(key) {
+            counters.delete(key);
+        }
+    };
+}
+
+/**
+ * Local file backend - every update holds an exclusive lock file, so
+ * processes on the same host count against the same windows
+ */
+function createFileStore(filePath = RATE_LIMIT_FILE) {
+    function update(mutate) {
+        return withFileLock(filePath, async () => {
+            let counters = {};
+            try {
+                counters = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(counters)) {
+                if (entry.resetTime <= now) {
+                    delete counters[key];
+                }
+            }
+
+            const result = mutate(counters, now);
+
+            // Write-then-rename so readers never see a half-written file
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(counters), 'utf8');
+            await fs.promises.rename(tmpPath, filePath);
+            return result;
+        });
+    }
+
+    return {
+        name: 'file',
+
+        increment(key, windowMs) {
+            return update((counters, now) => {
+                counters[key] = nextCount(counters[key], now, windowMs);
+                return { ...counters[key] };
+            });
+        },
+
+        decrement(key) {
+            return update(counters => {
+                if (counters[key] && counters[key].count > 0) {
+                    counters[key].count--;
+                }
+            });
+        },
+
+        resetKey(key) {
+            return update(counters => {
+                delete counters[key];
+            });
+        }
+    };
+}
+
+function createStoreFromEnv() {
+    switch (RATE_LIMIT_STORE) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore();
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE backend: ${RATE_LIMIT_STORE}`);
+    }
+}
+
+let store = createStoreFromEnv();
+
+/**
+ * Replace the active backend (e.g. with a Redis-backed implementation)
+ */
+function setRateLimitStore(newStore) {
+    store = newStore;
+}
+
+function getRateLimitStore() {
+    return store;
+}
+
+/**
+ * Adapter exposing the active backend as an express-rate-limit store
+ */
+function createExpressRateLimitStore(prefix) {
+    let windowMs;
+
+    return {
+        prefix,
+        localKeys: false,
+
+        init(options) {
+            windowMs = options.windowMs;
+        },
+
+        async increment(key) {
+            const { count, resetTime } = await store.increment(prefix + key, windowMs);
+            return { totalHits: count, resetTime: new Date(resetTime) };
+        },
+
+        decrement(key) {
+            return store.decrement(prefix + key);
+        },
+
+        resetKey(key) {
+            return store.resetKey(prefix + key);
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    setRateLimitStore,
+    getRateLimitStore,
+    createExpressRateLimitStore
+};
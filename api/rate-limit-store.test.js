@@ -0,0 +1,139 @@
+/**
+ * Rate Limit Store tests
+ * Runs the same increment-and-expire checks against the memory and file
+ * backends, then the express-rate-limit adapter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore, createFileStore, setRateLimitStore, createExpressRateLimitStore } = require('./rate-limit-store');
+
+const WINDOW_MS = 60 * 1000;
+
+let fileCount = 0;
+const newFilePath = () => path.join(process.env.DATA_DIR, `rate-limits-${++fileCount}.json`);
+
+beforeAll(() => {
+    fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe.each([
+    ['memory', () => createMemoryStore()],
+    ['file', () => createFileStore(newFilePath())]
+])('%s store', (name, createStore) => {
+    let store;
+    let now;
+
+    beforeEach(() => {
+        store = createStore();
+        now = Date.parse('2026-10-19T12:00:00Z');
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    test('is named for its backend', () => {
+        expect(store.name).toBe(name);
+    });
+
+    test('counts hits within a window', async () => {
+        expect(await store.increment('api:alice', WINDOW_MS)).toEqual({ count: 1, resetTime: now + WINDOW_MS });
+
+        const start = now;
+        now += 30 * 1000;
+        expect(await store.increment('api:alice', WINDOW_MS)).toEqual({ count: 2, resetTime: start + WINDOW_MS });
+        expect(await store.increment('api:alice', WINDOW_MS)).toEqual({ count: 3, resetTime: start + WINDOW_MS });
+    });
+
+    test('starts a new window once the last one has expired', async () => {
+        await store.increment('api:alice', WINDOW_MS);
+        await store.increment('api:alice', WINDOW_MS);
+
+        now += WINDOW_MS - 1;
+        expect((await store.increment('api:alice', WINDOW_MS)).count).toBe(3);
+
+        now += 1;
+        expect(await store.increment('api:alice', WINDOW_MS)).toEqual({ count: 1, resetTime: now + WINDOW_MS });
+    });
+
+    test('counts each key on its own', async () => {
+        await store.increment('api:alice', WINDOW_MS);
+        await store.increment('api:alice', WINDOW_MS);
+
+        expect((await store.increment('api:bob', WINDOW_MS)).count).toBe(1);
+        expect((await store.increment('approve:alice', WINDOW_MS)).count).toBe(1);
+    });
+
+    test('takes back a hit, but never below zero', async () => {
+        await store.increment('api:alice', WINDOW_MS);
+        await store.increment('api:alice', WINDOW_MS);
+
+        await store.decrement('api:alice');
+        expect((await store.increment('api:alice', WINDOW_MS)).count).toBe(2);
+
+        await store.decrement('api:alice');
+        await store.decrement('api:alice');
+        await store.decrement('api:alice');
+        expect((await store.increment('api:alice', WINDOW_MS)).count).toBe(1);
+
+        // Nothing to take back from an unknown key
+        await expect(store.decrement('api:nobody')).resolves.toBeUndefined();
+    });
+
+    test('forgets a reset key', async () => {
+        await store.increment('api:alice', WINDOW_MS);
+        await store.resetKey('api:alice');
+
+        expect((await store.increment('api:alice', WINDOW_MS)).count).toBe(1);
+    });
+
+    test('counts every one of many overlapping hits', async () => {
+        const hits = await Promise.all(Array.from({ length: 20 }, () => store.increment('api:alice', WINDOW_MS)));
+
+        expect(hits.map(hit => hit.count).sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+    });
+});
+
+describe('file store across instances', () => {
+    test('shares counts between stores on the same file', async () => {
+        const filePath = newFilePath();
+        const first = createFileStore(filePath);
+        const second = createFileStore(filePath);
+
+        await first.increment('api:alice', WINDOW_MS);
+        expect((await second.increment('api:alice', WINDOW_MS)).count).toBe(2);
+        expect((await first.increment('api:alice', WINDOW_MS)).count).toBe(3);
+    });
+
+    test('drops expired counters from the file', async () => {
+        const filePath = newFilePath();
+        const store = createFileStore(filePath);
+
+        await store.increment('api:alice', 50);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await store.increment('api:bob', WINDOW_MS);
+
+        expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')))).toEqual(['api:bob']);
+    });
+});
+
+describe('createExpressRateLimitStore', () => {
+    test('counts in the active store under its prefix', async () => {
+        const active = createMemoryStore();
+        setRateLimitStore(active);
+        const adapter = createExpressRateLimitStore('global:');
+        adapter.init({ windowMs: WINDOW_MS });
+
+        const hit = await adapter.increment('127.0.0.1');
+        expect(hit).toEqual({ totalHits: 1, resetTime: expect.any(Date) });
+
+        await adapter.increment('127.0.0.1');
+        await adapter.decrement('127.0.0.1');
+        expect((await active.increment('global:127.0.0.1', WINDOW_MS)).count).toBe(2);
+
+        await adapter.resetKey('127.0.0.1');
+        expect((await adapter.increment('127.0.0.1')).totalHits).toBe(1);
+    });
+});
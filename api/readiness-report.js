@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Readiness Report Export
+ * Renders a readiness result (from validatePrerequisites) as JSON, CSV,
+ * a Markdown table for PR/issue comments, or SARIF for GitHub code scanning.
+ */
+
+const crypto = require('crypto');
+
+const REPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    md: { contentType: 'text/markdown', extension: 'md' },
+    sarif: { contentType: 'application/sarif+json', extension: 'sarif' }
+};
+
+const SARIF_LEVELS = { blocker: 'error', warning: 'warning', info: 'note' };
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+function findings(repo) {
+    return repo.results.filter(result => result.status === 'fail' || result.status === 'error');
+}
+
+/**
+ * Report format matching a MIME type from an Accept header, or null
+ */
+function formatForContentType(contentType) {
+    const entry = Object.entries(REPORT_FORMATS).find(([, format]) => format.contentType === contentType);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Quote a CSV field; cells starting with a formula character are prefixed
+ * with ' so spreadsheets show them as text
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per repository and rule
+ */
+function toCsv(validation) {
+    const rows = [['org', 'repo', 'ready', 'rule', 'severity', 'status', 'message', 'sha']];
+
+    validation.repos.forEach(repo => {
+        repo.results.forEach(result => {
+            rows.push([validation.org, repo.repo, repo.ready, result.rule, result.severity, result.status,
+                result.message, repo.cache && repo.cache.sha]);
+        });
+    });
+
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function markdownCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// "Selection `services`: 3 of 40 repositories (topics: service; excludeArchived: true)"
+function selectionLine({ selection, scanned }) {
+    const criteria = Object.entries(selection.criteria)
+        .map(([key, value]) => `${key}: ${[].concat(value).join(', ')}`)
+        .join('; ');
+    return `Selection ${selection.name ? `\`${markdownCell(selection.name)}\`` : '(ad hoc)'}: ` +
+        `${selection.included} of ${scanned} repositories` +
+        (criteria ? ` (${markdownCell(criteria)})` : '');
+}
+
+/**
+ * Summary plus a per-repo table, sized for a PR or issue comment
+ */
+function toMarkdown(validation, generatedAt) {
+    const lines = [
+        `## Readiness: ${validation.org}`,
+        '',
+        `**${validation.ready}/${validation.total}** repositories ready · ` +
+        `${validation.summary.blocker} blocker(s), ${validation.summary.warning} warning(s), ` +
+        `${validation.summary.info} info · generated ${generatedAt}`,
+        ...(validation.selection ? ['', selectionLine(validation)] : []),
+        '',
+        '| Repository | Ready | Findings |',
+        '|------------|:-----:|----------|'
+    ];
+
+    // Repositories with findings first, so reviewers see them without scrolling
+    [...validation.repos]
+        .sort((a, b) => Number(a.ready) - Number(b.ready) || a.repo.localeCompare(b.repo))
+        .forEach(repo => {
+            const issues = findings(repo)
+                .map(result => `**${result.severity}** \`${result.rule}\`: ${markdownCell(result.message)}`)
+                .join('<br>');
+            lines.push(`| \`${markdownCell(repo.repo)}\` | ${repo.ready ? '✅' : '❌'} | ${issues || '—'} |`);
+        });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * SARIF 2.1.0 log: one result per failing or erroring rule per repository.
+ * Findings are about repositories rather than lines, so each points at the
+ * repo's package.json and names the repository as its logical location.
+ */
+function toSarif(validation) {
+    const results = [];
+
+    validation.repos.forEach(repo => {
+        findings(repo).forEach(result => {
+            results.push({
+                ruleId: result.rule,
+                level: SARIF_LEVELS[result.severity] || 'warning',
+                message: { text: `${repo.repo}: ${result.message}` },
+                locations: [{
+                    physicalLocation: { artifactLocation: { uri: 'package.json', uriBaseId: repo.repo } },
+                    logicalLocations: [{ name: repo.repo, fullyQualifiedName: `${validation.org}/${repo.repo}`, kind: 'module' }]
+                }],
+                partialFingerprints: {
+                    readinessFinding: crypto.createHash('sha256')
+                        .update(`${validation.org}/${repo.repo}/${result.rule}`)
+                        .digest('hex')
+                }
+            });
+        });
+    });
+
+    const originalUriBaseIds = {};
+    validation.repos.forEach(repo => {
+        originalUriBaseIds[repo.repo] = { uri: `https://github.com/${validation.org}/${repo.repo}/` };
+    });
+
+    return JSON.stringify({
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'approval-dashboard-readiness',
+                    rules: validation.rules.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: rule.description },
+                        defaultConfiguration: { level: SARIF_LEVELS[rule.severity] || 'warning' }
+                    }))
+                }
+            },
+            automationDetails: { id: `readiness/${validation.org}/` },
+            originalUriBaseIds,
+            results
+        }]
+    }, null, 2);
+}
+
+/**
+ * Render a readiness result as { contentType, filename, body }
+ */
+function renderReadinessReport(validation, format, generatedAt = new Date().toISOString()) {
+    const spec = REPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown report format: ${format}`);
+    }
+
+    const renderers = {
+        json: () => JSON.stringify({ generatedAt, ...validation }, null, 2),
+        csv: () => toCsv(validation),
+        md: () => toMarkdown(validation, generatedAt),
+        sarif: () => toSarif(validation)
+    };
+
+    return {
+        contentType: spec.contentType,
+        filename: `readiness-${validation.org}-${generatedAt.slice(0, 10)}.${spec.extension}`,
+        body: renderers[format]()
+    };
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    formatForContentType,
+    renderReadinessReport
+};
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * Readiness Rule Registry
+ * Each readiness check is a registered rule with an id, description and
+ * default severity. Organizations enable/disable rules and override
+ * severities or options through the `readiness.rules` config section.
+ *
+ * A rule's check(ctx, options) resolves to { passed, message }. A failing
+ * `gate` rule skips every rule after it. GitHub rate-limit errors are not
+ * recorded as rule errors; they fail the whole scan.
+ */
+
+const crypto = require('crypto');
+const { getOrgConfig } = require('./org-config');
+const { GitHubRateLimitError } = require('./github-client');
+
+const SEVERITIES = ['blocker', 'warning', 'info'];
+const rules = new Map();
+
+/**
+ * Register a readiness rule
+ */
+function registerRule({ id, description, severity, options = {}, gate = false, check }) {
+    if (!id || typeof check !== 'function') {
+        throw new Error('A readiness rule needs an id and a check function');
+    }
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Rule ${id} has invalid severity: ${severity}`);
+    }
+    if (rules.has(id)) {
+        throw new Error(`Readiness rule already registered: ${id}`);
+    }
+
+    rules.set(id, { id, description, severity, options, gate, check });
+}
+
+function getRules() {
+    return Array.from(rules.values()).map(({ id, description, severity, options, gate }) => ({ id, description, severity, options, gate }));
+}
+
+/**
+ * Resolve the enabled rules for an organization, in registration order
+ */
+function resolveRulePolicy(org) {
+    const overrides = (getOrgConfig(org).readiness || {}).rules || {};
+    const enabled = [];
+
+    for (const rule of rules.values()) {
+        const override = overrides[rule.id] || {};
+        if (override.enabled === false) {
+            continue;
+        }
+
+        enabled.push({
+            rule,
+            severity: SEVERITIES.includes(override.severity) ? override.severity : rule.severity,
+            options: { ...rule.options, ...(override.options || {}) }
+        });
+    }
+
+    const fingerprint = crypto.createHash('sha256')
+        .update(JSON.stringify(enabled.map(({ rule, severity, options }) => [rule.id, severity, options])))
+        .digest('hex');
+
+    return { rules: enabled, fingerprint };
+}
+
+/**
+ * Run every enabled rule against one repository
+ */
+async function evaluateRules(ctx, policy) {
+    const results = [];
+    let skipReason = null;
+
+    for (const { rule, severity, options } of policy.rules) {
+        let status;
+        let message;
+
+        if (skipReason) {
+            results.push({ rule: rule.id, severity, status: 'skip', message: skipReason });
+            continue;
+        }
+
+        try {
+            const outcome = await rule.check(ctx, options);
+            status = outcome.passed ? 'pass' : 'fail';
+            message = outcome.message;
+        } catch (error) {
+            if (error instanceof GitHubRateLimitError) {
+                throw error;
+            }
+            status = 'error';
+            message = `API error: ${error.message}`;
+        }
+
+        results.push({ rule: rule.id, severity, status, message });
+
+        if (rule.gate && status !== 'pass') {
+            skipReason = `Skipped - ${rule.id} did not pass`;
+        }
+    }
+
+    // Errors count against readiness the same way failures do
+    const ready = !results.some(result => result.severity === 'blocker' && result.status !== 'pass');
+    return { ready, results };
+}
+
+/**
+ * Memoized GitHub contents lookups shared by all rules for one repository
+ */
+function createRuleContext(octokit, org, repo, repoData, accessError = null) {
+    const contents = new Map();
+
+    const getContent = path => {
+        if (!contents.has(path)) {
+            contents.set(path, octokit.rest.repos.getContent({ owner: org, repo, path })
+                .then(({ data }) => data)
+                .catch(error => {
+                    if (error.status === 404) {
+                        return null;
+                    }
+                    throw error;
+                }));
+        }
+        return contents.get(path);
+    };
+
+    return {
+        octokit,
+        org,
+        repo,
+        repoData,
+        accessError,
+        getContent,
+
+        async getFileText(path) {
+            const data = await getContent(path);
+            if (!data || Array.isArray(data) || data.content === undefined) {
+                return null;
+            }
+            return Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+        },
+
+        async listRootFiles() {
+            const data = await getContent('');
+            return Array.isArray(data) ? data.map(entry => entry.name) : [];
+        }
+    };
+}
+
+/**
+ * Lowest Node major a semver range admits (heuristic: ignores upper bounds)
+ */
+function lowestNodeMajor(range) {
+    const majors = [];
+    const pattern = /(<=?|>=?|\^|~|=)?\s*v?(\d+)/g;
+    let match;
+
+    while ((match = pattern.exec(range)) !== null) {
+        if (!match[1] || !match[1].startsWith('<')) {
+            majors.push(parseInt(match[2], 10));
+        }
+    }
+
+    return majors.length > 0 ? Math.min(...majors) : null;
+}
+
+// Built-in rules
+
+registerRule({
+    id: 'repo-accessible',
+    description: 'Repository exists and is accessible to the toolkit',
+    severity: 'blocker',
+    gate: true,
+    check: async ctx => ({
+        passed: Boolean(ctx.repoData),
+        message: ctx.repoData ? 'Repository accessible' : ctx.accessError
+    })
+});
+
+registerRule({
+    id: 'not-archived',
+    description: 'Repository is not archived',
+    severity: 'blocker',
+    check: async ctx => ({
+        passed: !ctx.repoData.archived,
+        message: ctx.repoData.archived ? 'Repository is archived' : 'Repository is active'
+    })
+});
+
+registerRule({
+    id: 'package-json',
+    description: 'Has package.json (Node.js project)',
+    severity: 'blocker',
+    check: async ctx => {
+        const found = (await ctx.getContent('package.json')) !== null;
+        return {
+            passed: found,
+            message: found ? 'package.json found' : 'Missing package.json - not a Node.js project'
+        };
+    }
+});
+
+registerRule({
+    id: 'no-recent-failures',
+    description: 'No failed workflow runs in the lookback window',
+    severity: 'blocker',
+    options: { lookbackHours: 24 },
+    check: async (ctx, { lookbackHours }) => {
+        let runs;
+        try {
+            const { data } = await ctx.octokit.rest.actions.listWorkflowRunsForRepo({
+                owner: ctx.org,
+                repo: ctx.repo,
+                per_page: 5,
+                status: 'completed'
+            });
+            runs = data.workflow_runs;
+        } catch (error) {
+            if (error instanceof GitHubRateLimitError) {
+                throw error;
+            }
+            // Workflows might not exist yet, which is fine
+            return { passed: true, message: 'No workflow runs found' };
+        }
+
+        const recentFailures = runs.filter(
+            run => run.conclusion === 'failure' &&
+            Date.now() - new Date(run.created_at).getTime() < lookbackHours * 60 * 60 * 1000
+        );
+
+        return {
+            passed: recentFailures.length === 0,
+            message: `${recentFailures.length} workflow failure(s) in last ${lookbackHours}h`
+        };
+    }
+});
+
+registerRule({
+    id: 'node-engines',
+    description: 'package.json engines.node requires a supported Node version',
+    severity: 'warning',
+    options: { minimumMajor: 18 },
+    check: async (ctx, { minimumMajor }) => {
+        const text = await ctx.getFileText('package.json');
+        let range = null;
+        try {
+            range = text ? (JSON.parse(text).engines || {}).node : null;
+        } catch (error) {
+            return { passed: false, message: 'package.json is not valid JSON' };
+        }
+
+        if (!range) {
+            return { passed: false, message: 'engines.node is not declared' };
+        }
+
+        const lowest = lowestNodeMajor(range);
+        return {
+            passed: lowest !== null && lowest >= minimumMajor,
+            message: `engines.node "${range}" (requires Node ${minimumMajor}+)`
+        };
+    }
+});
+
+registerRule({
+    id: 'lockfile',
+    description: 'A package manager lockfile is committed',
+    severity: 'warning',
+    options: { lockfiles: ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'] },
+    check: async (ctx, { lockfiles }) => {
+        const rootFiles = await ctx.listRootFiles();
+        const found = lockfiles.find(name => rootFiles.includes(name));
+        return {
+            passed: Boolean(found),
+            message: found ? `Lockfile found: ${found}` : 'No lockfile committed'
+        };
+    }
+});
+
+registerRule({
+    id: 'no-conflicting-workflow',
+    description: 'Any existing deps-install.yml is the toolkit-managed workflow',
+    severity: 'blocker',
+    options: { path: '.github/workflows/deps-install.yml', marker: 'setup-node-deps' },
+    check: async (ctx, { path, marker }) => {
+        const text = await ctx.getFileText(path);
+        if (text === null) {
+            return { passed: true, message: `${path} not present` };
+        }
+        const managed = text.includes(marker);
+        return {
+            passed: managed,
+            message: managed
+                ? `${path} is toolkit-managed`
+                : `${path} exists and does not use ${marker} - rollout would overwrite it`
+        };
+    }
+});
+
+registerRule({
+    id: 'codeowners',
+    description: 'CODEOWNERS file is present',
+    severity: 'info',
+    check: async ctx => {
+        for (const path of ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']) {
+            if ((await ctx.getContent(path)) !== null) {
+                return { passed: true, message: `Found ${path}` };
+            }
+        }
+        return { passed: false, message: 'No CODEOWNERS file' };
+    }
+});
+
+registerRule({
+    id: 'branch-protection',
+    description: 'Default branch has protection rules',
+    severity: 'warning',
+    check: async ctx => {
+        try {
+            await ctx.octokit.rest.repos.getBranchProtection({
+                owner: ctx.org,
+                repo: ctx.repo,
+                branch: ctx.repoData.default_branch
+            });
+            return { passed: true, message: 'Branch protection enabled' };
+        } catch (error) {
+            if (error.status === 404) {
+                return { passed: false, message: 'No branch protection rules' };
+            }
+            throw error;
+        }
+    }
+});
+
+module.exports = {
+    SEVERITIES,
+    registerRule,
+    getRules,
+    resolveRulePolicy,
+    evaluateRules,
+    createRuleContext
+};
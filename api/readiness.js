@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Repository Readiness
+ * Validates rollout prerequisites for the repositories a selection picked
+ * (repo-selection.js) against the org's readiness rules, fanning GitHub calls out
+ * through a bounded pool and caching per-repo results against the default
+ * branch head.
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { createTtlCache } = require('./ttl-cache');
+const { resolveRulePolicy, evaluateRules, createRuleContext } = require('./readiness-rules');
+const { GitHubRateLimitError, getRateLimitBudget, assertRateLimitBudget } = require('./github-client');
+
+// Configuration
+const READINESS_CONCURRENCY = parseInt(process.env.READINESS_CONCURRENCY, 10) || 8;
+const READINESS_CACHE_TTL_SECONDS = parseInt(process.env.READINESS_CACHE_TTL_SECONDS, 10) || 600;
+// Budget estimate for checking a repo from scratch; a cached repo costs its two head lookups
+const READINESS_REQUESTS_PER_REPO = parseInt(process.env.READINESS_REQUESTS_PER_REPO, 10) || 10;
+
+// Keyed by org/repo; an entry only counts when its SHA matches the current head
+const readinessCache = createTtlCache({ ttlMs: READINESS_CACHE_TTL_SECONDS * 1000 });
+
+/**
+ * Validate prerequisites for a set of repositories
+ * onRepoChecked(result) fires as each repository completes, in completion order.
+ */
+const validatePrerequisites = async (octokit, org, repos, { refresh = false, onRepoChecked } = {}) => {
+    const policy = resolveRulePolicy(org);
+
+    const estimate = repos.reduce((total, repo) =>
+        total + (!refresh && readinessCache.get(`${org}/${repo}`) ? 2 : READINESS_REQUESTS_PER_REPO), 0);
+    assertRateLimitBudget(octokit, estimate, `Checking ${repos.length} repositories in ${org}`);
+
+    const results = {
+        org,
+        total: repos.length,
+        ready: 0,
+        readyRepos: [],
+        rules: policy.rules.map(({ rule, severity }) => ({ id: rule.id, description: rule.description, severity })),
+        summary: { blocker: 0, warning: 0, info: 0 },
+        repos: [],
+        cache: {
+            hits: 0,
+            misses: 0,
+            refreshed: refresh,
+            ttlSeconds: READINESS_CACHE_TTL_SECONDS
+        }
+    };
+
+    const statuses = await mapWithConcurrency(repos, READINESS_CONCURRENCY, async repo => {
+        const repoStatus = await checkRepoReadiness(octokit, org, repo, { refresh, policy });
+
+        // Lets streaming callers report each repo as soon as it finishes
+        if (onRepoChecked) {
+            onRepoChecked({ repo, ...repoStatus });
+        }
+
+        return repoStatus;
+    });
+
+    statuses.forEach((repoStatus, index) => {
+        const repo = repos[index];
+
+        if (repoStatus.cache.hit) {
+            results.cache.hits++;
+        } else {
+            results.cache.misses++;
+        }
+
+        // Count rule findings (anything that did not pass) by severity
+        repoStatus.results
+            .filter(result => result.status === 'fail' || result.status === 'error')
+            .forEach(result => results.summary[result.severity]++);
+
+        if (repoStatus.ready) {
+            results.ready++;
+            results.readyRepos.push(repo);
+        }
+
+        results.repos.push({ repo, ...repoStatus });
+    });
+
+    results.allReady = results.ready === results.total;
+    results.rateLimit = getRateLimitBudget(octokit);
+    return results;
+};
+
+/**
+ * Check a single repository, reusing a cached result for an unchanged head
+ * and unchanged rule policy
+ */
+const checkRepoReadiness = async (octokit, org, repo, { refresh = false, policy = resolveRulePolicy(org) } = {}) => {
+    let repoData = null;
+    let accessError = null;
+    let sha = null;
+
+    try {
+        ({ data: repoData } = await octokit.rest.repos.get({
+            owner: org,
+            repo: repo
+        }));
+
+        const { data: branch } = await octokit.rest.repos.getBranch({
+            owner: org,
+            repo: repo,
+            branch: repoData.default_branch
+        });
+        sha = branch.commit.sha;
+    } catch (error) {
+        // Half-checked repos would read as failures; fail the scan instead
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        accessError = error.status === 404
+            ? 'Repository not found or no access'
+            : `API error: ${error.message}`;
+    }
+
+    const cacheKey = `${org}/${repo}`;
+    const cached = sha ? readinessCache.get(cacheKey) : undefined;
+
+    if (!refresh && cached && cached.value.sha === sha && cached.value.policy === policy.fingerprint) {
+        return {
+            ...cached.value.result,
+            cache: { hit: true, sha, cachedAt: new Date(cached.cachedAt).toISOString() }
+        };
+    }
+
+    const ctx = createRuleContext(octokit, org, repo, repoData, accessError);
+    const result = await evaluateRules(ctx, policy);
+
+    // Never cache a repo we could not read - the next scan should retry it
+    if (!sha) {
+        return { ...result, cache: { hit: false, sha } };
+    }
+
+    const entry = readinessCache.set(cacheKey, { sha, policy: policy.fingerprint, result });
+
+    return {
+        ...result,
+        cache: { hit: false, sha, cachedAt: new Date(entry.cachedAt).toISOString() }
+    };
+};
+
+module.exports = {
+    validatePrerequisites,
+    checkRepoReadiness,
+    readinessCache
+};
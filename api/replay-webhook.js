@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Webhook Fixture Replay
+ * Signs a recorded delivery from fixtures/webhooks/ with GITHUB_WEBHOOK_SECRET
+ * and POSTs it to the webhook receiver under a fresh delivery ID.
+ *
+ * Usage: node replay-webhook.js <fixture.json> [--url <endpoint>] [--rollout-id <id>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { signPayload } = require('./webhooks');
+
+// Rollout ID recorded in the fixtures, swapped for --rollout-id
+const FIXTURE_ROLLOUT_ID = '00000000-0000-4000-8000-000000000000';
+
+function parseArgs(argv) {
+    const args = { url: 'http://localhost:3001/api/webhooks/github' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') {
+            args.url = argv[++i];
+        } else if (argv[i] === '--rollout-id') {
+            args.rolloutId = argv[++i];
+        } else {
+            args.fixture = argv[i];
+        }
+    }
+
+    return args;
+}
+
+async function replay({ fixture, url, rolloutId }) {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!fixture || !secret) {
+        throw new Error('Usage: GITHUB_WEBHOOK_SECRET=... node replay-webhook.js <fixture.json> [--url <endpoint>] [--rollout-id <id>]');
+    }
+
+    let recorded = fs.readFileSync(fixture, 'utf8');
+    if (rolloutId) {
+        recorded = recorded.split(FIXTURE_ROLLOUT_ID).join(rolloutId);
+    }
+
+    const { event, payload } = JSON.parse(recorded);
+    const body = JSON.stringify(payload);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-GitHub-Event': event,
+            'X-GitHub-Delivery': crypto.randomUUID(),
+            'X-Hub-Signature-256': signPayload(body, secret)
+        },
+        body
+    });
+
+    console.log(`${event} -> ${response.status}`, await response.text());
+}
+
+if (require.main === module) {
+    replay(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { replay };
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+/**
+ * Repository Selection
+ * Decides which of an organization's repositories are in scope for
+ * readiness scans, approvals, adoption scans and rollout-deps.sh, and
+ * explains the decision for each repository.
+ *
+ * Criteria (all optional; every given criterion must hold):
+ *   include / exclude      repository name globs (* and ?), case-insensitive
+ *   topics                 at least one of these topics
+ *   visibility             public | private | internal
+ *   languages              primary language, case-insensitive
+ *   pushedWithinDays       pushed to within this many days
+ *   teams                  one of these team slugs has admin or maintain access
+ *   excludeArchived        skip archived repositories
+ *   excludeForks           skip forks
+ *   requirePackageJson     has a package.json (default true)
+ *
+ * Named selections come from the org's `selections` config section,
+ * overridden by selections saved through the admin API (stored under
+ * DATA_DIR). A selection named `default` applies when none is named.
+ *
+ * Usage: node repo-selection.js <org> [--selection <name>] [--include <glob,...>] ...
+ * prints the selected repository names, one per line, and the reasons to stderr.
+ */
+
+const { createJsonStore } = require('./json-store');
+const { getOrgConfig } = require('./org-config');
+const { mapWithConcurrency } = require('./concurrency');
+const { getOctokit, assertRateLimitBudget } = require('./github-client');
+
+// Configuration
+const SELECTION_CONCURRENCY = parseInt(process.env.READINESS_CONCURRENCY, 10) || 8;
+
+const DEFAULT_SELECTION = 'default';
+const LIST_CRITERIA = ['include', 'exclude', 'topics', 'visibility', 'languages', 'teams'];
+const FLAG_CRITERIA = ['excludeArchived', 'excludeForks', 'requirePackageJson'];
+// Team permissions that count as owning a repository
+const OWNER_PERMISSIONS = ['admin', 'maintain'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createJsonStore('repo-selections', { orgs: {} });
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class SelectionError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'SelectionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function globToRegExp(glob) {
+    const pattern = glob.split('').map(char => {
+        if (char === '*') {
+            return '.*';
+        }
+        if (char === '?') {
+            return '.';
+        }
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+function matchingGlob(globs, name) {
+    return globs.find(glob => globToRegExp(glob).test(name));
+}
+
+/**
+ * Drop unknown keys and empty lists so saved and effective criteria compare cleanly
+ */
+function normalizeCriteria(criteria = {}) {
+    const normalized = {};
+
+    for (const key of LIST_CRITERIA) {
+        const values = [].concat(criteria[key] || []).map(value => String(value).trim()).filter(Boolean);
+        if (values.length > 0) {
+            normalized[key] = [...new Set(values)];
+        }
+    }
+    for (const key of FLAG_CRITERIA) {
+        if (typeof criteria[key] === 'boolean') {
+            normalized[key] = criteria[key];
+        }
+    }
+    if (Number.isInteger(criteria.pushedWithinDays)) {
+        normalized.pushedWithinDays = criteria.pushedWithinDays;
+    }
+
+    return normalized;
+}
+
+/**
+ * Saved selections for an org: config file first, API edits on top
+ */
+function listSelections(org) {
+    const configured = getOrgConfig(org).selections || {};
+    const saved = store.read().orgs[org] || {};
+
+    const selections = Object.entries(configured).map(([name, criteria]) =>
+        ({ name, criteria: normalizeCriteria(criteria), source: 'config' }));
+
+    for (const [name, entry] of Object.entries(saved)) {
+        const existing = selections.findIndex(selection => selection.name === name);
+        const selection = { name, criteria: entry.criteria, source: 'api', updatedBy: entry.updatedBy, updatedAt: entry.updatedAt };
+        if (existing >= 0) {
+            selections[existing] = selection;
+        } else {
+            selections.push(selection);
+        }
+    }
+
+    return selections.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getSelection(org, name) {
+    return listSelections(org).find(selection => selection.name === name) || null;
+}
+
+/**
+ * Save a named selection, replacing any saved earlier under that name
+ */
+function saveSelection(org, name, criteria, login) {
+    const entry = { criteria: normalizeCriteria(criteria), updatedBy: login, updatedAt: new Date().toISOString() };
+
+    store.update(data => {
+        (data.orgs[org] = data.orgs[org] || {})[name] = entry;
+    });
+
+    return getSelection(org, name);
+}
+
+/**
+ * Delete a selection saved through the API; one from the config file remains
+ */
+function deleteSelection(org, name) {
+    const removed = store.update(data => {
+        const saved = data.orgs[org] || {};
+        if (!saved[name]) {
+            return false;
+        }
+        delete saved[name];
+        return true;
+    });
+
+    if (!removed) {
+        const configured = getSelection(org, name);
+        throw configured
+            ? new SelectionError(`Selection ${name} is defined in the config file and cannot be deleted through the API`, 'SELECTION_READ_ONLY', 409)
+            : new SelectionError(`Selection not found: ${name}`, 'SELECTION_NOT_FOUND', 404);
+    }
+
+    return getSelection(org, name);
+}
+
+/**
+ * Effective selection: `criteria` layered over the named selection, or over
+ * the org's default selection when none is named
+ */
+function resolveSelection(org, { name, criteria } = {}) {
+    let base = null;
+
+    if (name) {
+        base = getSelection(org, name);
+        if (!base) {
+            throw new SelectionError(`Selection not found: ${name}`, 'SELECTION_NOT_FOUND', 404);
+        }
+    } else {
+        base = getSelection(org, DEFAULT_SELECTION);
+    }
+
+    return {
+        name: base ? base.name : null,
+        criteria: { ...(base ? base.criteria : {}), ...normalizeCriteria(criteria) }
+    };
+}
+
+/**
+ * Criteria given as query parameters (lists comma-separated), or undefined
+ */
+function criteriaFromQuery(query) {
+    const criteria = {};
+
+    for (const key of LIST_CRITERIA) {
+        if (query[key] !== undefined) {
+            criteria[key] = String(query[key]).split(',');
+        }
+    }
+    for (const key of FLAG_CRITERIA) {
+        if (query[key] !== undefined) {
+            criteria[key] = query[key] === 'true';
+        }
+    }
+    if (query.pushedWithinDays !== undefined) {
+        criteria.pushedWithinDays = parseInt(query.pushedWithinDays, 10);
+    }
+
+    return Object.keys(criteria).length > 0 ? criteria : undefined;
+}
+
+/**
+ * Reasons from the repository listing alone: { passed, reasons }
+ */
+function checkListing(repo, criteria, now) {
+    const included = [];
+    const excluded = [];
+
+    if (criteria.include) {
+        const glob = matchingGlob(criteria.include, repo.name);
+        if (glob) {
+            included.push(`name matches ${glob}`);
+        } else {
+            excluded.push(`name matches none of ${criteria.include.join(', ')}`);
+        }
+    }
+    if (criteria.exclude) {
+        const glob = matchingGlob(criteria.exclude, repo.name);
+        if (glob) {
+            excluded.push(`name matches excluded ${glob}`);
+        }
+    }
+    if (criteria.excludeArchived && repo.archived) {
+        excluded.push('archived');
+    }
+    if (criteria.excludeForks && repo.fork) {
+        excluded.push('fork');
+    }
+    if (criteria.visibility) {
+        const visibility = repo.visibility || (repo.private ? 'private' : 'public');
+        if (criteria.visibility.includes(visibility)) {
+            included.push(`visibility ${visibility}`);
+        } else {
+            excluded.push(`visibility ${visibility} is not ${criteria.visibility.join(' or ')}`);
+        }
+    }
+    if (criteria.languages) {
+        const language = repo.language || null;
+        const match = language && criteria.languages.find(wanted => wanted.toLowerCase() === language.toLowerCase());
+        if (match) {
+            included.push(`language ${language}`);
+        } else {
+            excluded.push(`language ${language || 'unknown'} is not ${criteria.languages.join(' or ')}`);
+        }
+    }
+    if (criteria.topics) {
+        const topics = (repo.topics || []).filter(topic => criteria.topics.includes(topic));
+        if (topics.length > 0) {
+            included.push(`topic ${topics.join(', ')}`);
+        } else {
+            excluded.push(`no topic ${criteria.topics.join(', ')}`);
+        }
+    }
+    if (criteria.pushedWithinDays !== undefined) {
+        const age = repo.pushed_at ? Math.floor((now - new Date(repo.pushed_at).getTime()) / DAY_MS) : null;
+        if (age !== null && age <= criteria.pushedWithinDays) {
+            included.push(`pushed ${age} day(s) ago`);
+        } else {
+            excluded.push(age === null
+                ? 'never pushed'
+                : `last pushed ${age} days ago (limit ${criteria.pushedWithinDays})`);
+        }
+    }
+
+    return { passed: excluded.length === 0, reasons: excluded.length > 0 ? excluded : included };
+}
+
+/**
+ * Repositories each team owns: team slug -> Set of repo names
+ */
+async function loadTeamRepos(octokit, org, teams) {
+    const owned = new Map();
+
+    for (const team of teams) {
+        let repos;
+        try {
+            repos = await octokit.paginate(octokit.rest.teams.listReposInOrg, { org, team_slug: team, per_page: 100 });
+        } catch (error) {
+            if (error.status === 404) {
+                throw new SelectionError(`Team not found in ${org}: ${team}`, 'SELECTION_TEAM_NOT_FOUND');
+            }
+            throw error;
+        }
+        owned.set(team, new Set(repos
+            .filter(repo => OWNER_PERMISSIONS.some(permission => repo.permissions && repo.permissions[permission]))
+            .map(repo => repo.name)));
+    }
+
+    return owned;
+}
+
+/**
+ * Only a 404 means there is no package.json; any other failure (no access,
+ * a GitHub outage, the rate limit) is thrown rather than silently leaving
+ * the repository out
+ */
+async function hasPackageJson(octokit, org, repo) {
+    try {
+        await octokit.rest.repos.getContent({ owner: org, repo, path: 'package.json' });
+        return true;
+    } catch (error) {
+        if (error.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Apply a resolved selection to the org's repositories.
+ * Returns { name, criteria, scanned, repos: [selected names], included,
+ * excluded, decisions: [{ repo, included, reasons }] }. Team and
+ * package.json checks only run for repositories that pass the others.
+ */
+async function selectRepos(octokit, org, selection) {
+    const criteria = selection.criteria;
+    const requirePackageJson = criteria.requirePackageJson !== false;
+
+    const listed = await octokit.paginate(octokit.rest.repos.listForOrg, {
+        org,
+        type: 'all',
+        per_page: 100,
+        sort: 'updated'
+    });
+
+    const now = Date.now();
+    const decisions = listed.map(repo => ({ repo: repo.name, ...checkListing(repo, criteria, now) }));
+
+    if (criteria.teams) {
+        const owned = await loadTeamRepos(octokit, org, criteria.teams);
+        decisions.filter(decision => decision.passed).forEach(decision => {
+            const owners = criteria.teams.filter(team => owned.get(team).has(decision.repo));
+            if (owners.length > 0) {
+                decision.reasons.push(`owned by team ${owners.join(', ')}`);
+            } else {
+                decision.passed = false;
+                decision.reasons = [`not owned by team ${criteria.teams.join(' or ')}`];
+            }
+        });
+    }
+
+    if (requirePackageJson) {
+        const candidates = decisions.filter(decision => decision.passed);
+        assertRateLimitBudget(octokit, candidates.length, `Selecting Node.js repositories in ${org}`);
+
+        const found = await mapWithConcurrency(candidates, SELECTION_CONCURRENCY,
+            decision => hasPackageJson(octokit, org, decision.repo));
+        candidates.forEach((decision, index) => {
+            if (found[index]) {
+                decision.reasons.push('has package.json');
+            } else {
+                decision.passed = false;
+                decision.reasons = ['no package.json'];
+            }
+        });
+    }
+
+    const repos = decisions.filter(decision => decision.passed).map(decision => decision.repo);
+
+    return {
+        name: selection.name,
+        criteria,
+        scanned: listed.length,
+        repos,
+        included: repos.length,
+        excluded: decisions.length - repos.length,
+        decisions: decisions.map(({ repo, passed, reasons }) => ({ repo, included: passed, reasons }))
+    };
+}
+
+function parseArgs(argv) {
+    const args = { query: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--selection') {
+            args.name = argv[++i];
+        } else if (argv[i].startsWith('--')) {
+            args.query[argv[i].slice(2)] = argv[++i];
+        } else {
+            args.org = argv[i];
+        }
+    }
+
+    return args;
+}
+
+async function main({ org, name, query }) {
+    if (!org) {
+        throw new Error('Usage: node repo-selection.js <org> [--selection <name>] [--include <glob,...>] [--languages JavaScript,...] ...');
+    }
+
+    const octokit = await getOctokit(org);
+    const result = await selectRepos(octokit, org, resolveSelection(org, { name, criteria: criteriaFromQuery(query) }));
+
+    result.decisions.forEach(decision => {
+        console.error(`${decision.included ? '✅' : '⏭️ '} ${decision.repo}: ${decision.reasons.join('; ') || 'no criteria'}`);
+    });
+    console.error(`${result.included} of ${result.scanned} repositories selected${result.name ? ` by ${result.name}` : ''}`);
+    // stdout carries only the repository names; decisions and logs go to stderr
+    result.repos.forEach(repo => process.stdout.write(`${repo}\n`));
+}
+
+if (require.main === module) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    SelectionError,
+    listSelections,
+    getSelection,
+    saveSelection,
+    deleteSelection,
+    resolveSelection,
+    criteriaFromQuery,
+    selectRepos
+};
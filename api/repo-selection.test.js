@@ -0,0 +1,113 @@
+/**
+ * Repository Selection tests
+ * Runs selectRepos() over a small in-memory organization: the listing
+ * criteria, team ownership, and the package.json check, where only a 404
+ * may leave a repository out.
+ */
+
+const { selectRepos, resolveSelection } = require('./repo-selection');
+const { GitHubRateLimitError } = require('./github-client');
+
+const ORG = 'acme';
+
+const REPOS = [
+    { name: 'payments-api', topics: ['service'], language: 'TypeScript', visibility: 'private', pushed_at: new Date().toISOString() },
+    { name: 'web-app', topics: ['frontend'], language: 'JavaScript', visibility: 'public', pushed_at: new Date().toISOString() },
+    { name: 'legacy-billing', topics: ['service'], language: 'JavaScript', visibility: 'private', archived: true },
+    { name: 'docs-site', topics: [], language: 'HTML', visibility: 'public' }
+];
+
+const gitHubError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * The API calls selectRepos makes; `packageJson` answers getContent per
+ * repo with true, or an error to throw (a 404 for none by default)
+ */
+function createOctokit({ packageJson = {}, teams = {} } = {}) {
+    return {
+        rest: {
+            repos: {
+                listForOrg: async () => ({ data: REPOS }),
+                getContent: jest.fn(async ({ repo }) => {
+                    const answer = packageJson[repo] || gitHubError(404, 'Not Found');
+                    if (answer !== true) {
+                        throw answer;
+                    }
+                    return { data: { content: '' } };
+                })
+            },
+            teams: {
+                listReposInOrg: async ({ team_slug: team }) => {
+                    if (!teams[team]) {
+                        throw gitHubError(404, 'Not Found');
+                    }
+                    return { data: teams[team] };
+                }
+            }
+        },
+        paginate: async (method, params) => (await method(params)).data
+    };
+}
+
+const everyRepo = { 'payments-api': true, 'web-app': true, 'legacy-billing': true, 'docs-site': true };
+
+describe('selectRepos', () => {
+    test('keeps repositories with a package.json and explains every decision', async () => {
+        const selection = await selectRepos(createOctokit({ packageJson: { 'payments-api': true, 'web-app': true } }), ORG,
+            { name: null, criteria: { excludeArchived: true } });
+
+        expect(selection).toMatchObject({ scanned: 4, repos: ['payments-api', 'web-app'], included: 2, excluded: 2 });
+        expect(selection.decisions).toEqual([
+            { repo: 'payments-api', included: true, reasons: ['has package.json'] },
+            { repo: 'web-app', included: true, reasons: ['has package.json'] },
+            { repo: 'legacy-billing', included: false, reasons: ['archived'] },
+            { repo: 'docs-site', included: false, reasons: ['no package.json'] }
+        ]);
+    });
+
+    test('applies the listing criteria before looking for package.json', async () => {
+        const octokit = createOctokit({ packageJson: everyRepo });
+
+        const selection = await selectRepos(octokit, ORG, resolveSelection(ORG, {
+            criteria: { topics: ['service'], languages: ['typescript', 'javascript'], exclude: ['legacy-*'] }
+        }));
+
+        expect(selection.repos).toEqual(['payments-api']);
+        expect(selection.decisions.find(decision => decision.repo === 'legacy-billing').reasons).toEqual(['name matches excluded legacy-*']);
+        expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps repositories a listed team owns', async () => {
+        const octokit = createOctokit({
+            packageJson: everyRepo,
+            teams: { platform: [{ name: 'web-app', permissions: { maintain: true } }, { name: 'docs-site', permissions: { push: true } }] }
+        });
+
+        const selection = await selectRepos(octokit, ORG, { name: null, criteria: { teams: ['platform'] } });
+
+        expect(selection.repos).toEqual(['web-app']);
+        expect(selection.decisions.find(decision => decision.repo === 'docs-site').reasons).toEqual(['not owned by team platform']);
+        await expect(selectRepos(octokit, ORG, { name: null, criteria: { teams: ['ghosts'] } }))
+            .rejects.toMatchObject({ code: 'SELECTION_TEAM_NOT_FOUND' });
+    });
+
+    test('skips the package.json check when it is not required', async () => {
+        const octokit = createOctokit();
+
+        const selection = await selectRepos(octokit, ORG, { name: null, criteria: { requirePackageJson: false } });
+
+        expect(selection.included).toBe(4);
+        expect(octokit.rest.repos.getContent).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['a 403', gitHubError(403, 'Resource not accessible by integration')],
+        ['a 500', gitHubError(500, 'Server Error')],
+        ['a network error', new Error('socket hang up')],
+        ['the rate limit', new GitHubRateLimitError('API rate limit exceeded', 'GITHUB_RATE_LIMITED', 60, null)]
+    ])('fails rather than leave a repository out on %s', async (_, error) => {
+        const octokit = createOctokit({ packageJson: { ...everyRepo, 'web-app': error } });
+
+        await expect(selectRepos(octokit, ORG, { name: null, criteria: {} })).rejects.toBe(error);
+    });
+});
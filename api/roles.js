@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Per-Organization Roles
+ * viewer < approver < admin, assigned per org to GitHub users or teams.
+ * Assignments come from the org's `roles` config section, overridden by
+ * edits made through the admin API (stored under DATA_DIR).
+ */
+
+const fs = require('fs');
+const { createJsonStore } = require('./json-store');
+const { CONFIG_DIR, getOrgConfig } = require('./org-config');
+
+// Ordered lowest to highest
+const ROLES = ['viewer', 'approver', 'admin'];
+// Explicitly denies a user who would otherwise get a role from a team or org membership
+const NO_ROLE = 'none';
+
+const store = createJsonStore('roles', { orgs: {} });
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class RoleError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'RoleError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function hasRole(role, required) {
+    return roleRank(role) >= roleRank(required) && roleRank(required) >= 0;
+}
+
+function highestRole(roles) {
+    return roles.filter(role => roleRank(role) >= 0).sort((a, b) => roleRank(b) - roleRank(a))[0] || null;
+}
+
+/**
+ * Effective assignments for an org: config file first, API edits on top
+ */
+function getRoleAssignments(org) {
+    const { roles } = getOrgConfig(org);
+    const edits = store.read().orgs[org] || { users: {}, teams: {} };
+
+    return {
+        default: roles.default === undefined ? 'viewer' : roles.default,
+        users: { ...(roles.users || {}), ...edits.users },
+        teams: { ...(roles.teams || {}), ...edits.teams },
+        edited: { users: Object.keys(edits.users), teams: Object.keys(edits.teams) }
+    };
+}
+
+/**
+ * Assign (or with role null, clear the API edit for) a user or team role
+ */
+function setRoleAssignment(org, kind, name, role) {
+    if (!['users', 'teams'].includes(kind)) {
+        throw new RoleError(`Unknown assignment kind: ${kind}`, 'VALIDATION_ERROR');
+    }
+    const allowed = kind === 'users' ? [...ROLES, NO_ROLE] : ROLES;
+    if (role !== null && !allowed.includes(role)) {
+        throw new RoleError(`role must be one of: ${allowed.join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    store.update(data => {
+        const edits = data.orgs[org] || (data.orgs[org] = { users: {}, teams: {} });
+        if (role === null) {
+            delete edits[kind][name];
+        } else {
+            edits[kind][name] = role;
+        }
+    });
+
+    return getRoleAssignments(org);
+}
+
+/**
+ * Orgs a user could hold a role in: their memberships, allowed orgs,
+ * and every org with a config file or role edits
+ */
+function candidateOrgs(user, allowedOrgs) {
+    let configured = [];
+    try {
+        configured = fs.readdirSync(CONFIG_DIR)
+            .filter(file => file.endsWith('.json') && file !== 'default.json')
+            .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    return [...new Set([
+        ...(user.organizations || []),
+        ...allowedOrgs,
+        ...configured,
+        ...Object.keys(store.read().orgs)
+    ])];
+}
+
+/**
+ * A user's role in one org, or null
+ * An explicit user assignment wins; otherwise the best of their team roles,
+ * approver for anyone listed in approvals.approvers and, for org members,
+ * the org's default role.
+ */
+function resolveOrgRole(user, org) {
+    const assignments = getRoleAssignments(org);
+    const explicit = assignments.users[user.login];
+
+    if (explicit !== undefined) {
+        return explicit === NO_ROLE ? null : explicit;
+    }
+
+    const teamRoles = (user.teams || [])
+        .filter(team => team.org === org && assignments.teams[team.slug])
+        .map(team => assignments.teams[team.slug]);
+    const { approvers } = getOrgConfig(org).approvals;
+    const listedApprover = Array.isArray(approvers) && approvers.includes(user.login) ? 'approver' : null;
+    const memberRole = (user.organizations || []).includes(org) ? assignments.default : null;
+
+    return highestRole([...teamRoles, listedApprover, memberRole]);
+}
+
+/**
+ * Role per org for the JWT `roles` claim
+ */
+function resolveUserRoles(user, allowedOrgs = []) {
+    const roles = {};
+
+    for (const org of candidateOrgs(user, allowedOrgs)) {
+        if (allowedOrgs.length > 0 && !allowedOrgs.includes(org)) {
+            continue;
+        }
+        const role = resolveOrgRole(user, org);
+        if (role) {
+            roles[org] = role;
+        }
+    }
+
+    return roles;
+}
+
+module.exports = {
+    ROLES,
+    RoleError,
+    hasRole,
+    getRoleAssignments,
+    setRoleAssignment,
+    resolveUserRoles
+};
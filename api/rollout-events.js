@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Rollout Event Channels
+ * Turns successive rollout snapshots into SSE state transitions: status
+ * changes, wave transitions, per-repository progress and a final
+ * 'complete' event.
+ */
+
+const { getChannel } = require('./event-stream');
+const { getRollout, isFinal, refreshRollout } = require('./rollouts');
+
+// Configuration
+const ROLLOUT_POLL_MS = parseInt(process.env.ROLLOUT_POLL_SECONDS, 10) * 1000 || 10000;
+
+/**
+ * Publish whatever changed since the last snapshot seen on this channel
+ */
+function publishRolloutState(rollout) {
+    const channel = getChannel(rollout.id);
+    if (channel.closed) {
+        return channel;
+    }
+
+    const previous = channel.state || { status: null, waves: {}, repos: {} };
+    const waves = {};
+    const repos = {};
+
+    if (rollout.status !== previous.status) {
+        channel.publish('status', {
+            rolloutId: rollout.id,
+            org: rollout.org,
+            status: rollout.status,
+            conclusion: rollout.conclusion,
+            run: rollout.run
+        });
+    }
+
+    (rollout.waves || []).forEach(wave => {
+        waves[wave.index] = `${wave.status}/${wave.conclusion}/${wave.passed}`;
+        if (waves[wave.index] !== previous.waves[wave.index]) {
+            channel.publish('wave', {
+                rolloutId: rollout.id,
+                index: wave.index,
+                name: wave.name,
+                repos: wave.repos,
+                status: wave.status,
+                conclusion: wave.conclusion,
+                successRate: wave.successRate,
+                passed: wave.passed,
+                run: wave.run
+            });
+        }
+    });
+
+    rollout.repoProgress.forEach(progress => {
+        repos[progress.repo] = `${progress.status}/${progress.conclusion}`;
+        if (repos[progress.repo] !== previous.repos[progress.repo]) {
+            channel.publish('repo', { rolloutId: rollout.id, ...progress });
+        }
+    });
+
+    channel.state = { status: rollout.status, waves, repos };
+
+    if (isFinal(rollout)) {
+        channel.publish('complete', {
+            rolloutId: rollout.id,
+            org: rollout.org,
+            status: rollout.status,
+            conclusion: rollout.conclusion,
+            haltReason: rollout.haltReason,
+            repoProgress: rollout.repoProgress
+        });
+        stopPolling(channel);
+        channel.close();
+    }
+
+    return channel;
+}
+
+function stopPolling(channel) {
+    if (channel.poller) {
+        clearInterval(channel.poller);
+        channel.poller = null;
+    }
+}
+
+/**
+ * Get the rollout's channel, polling GitHub while anyone is listening.
+ * `getOctokit` is asked for a client on every poll, so streams outlive
+ * the short-lived installation tokens they started with.
+ */
+function watchRollout(getOctokit, rollout) {
+    const channel = publishRolloutState(rollout);
+    if (channel.closed || channel.poller) {
+        return channel;
+    }
+
+    let polling = false;
+    channel.poller = setInterval(async () => {
+        if (channel.closed || channel.listeners.size === 0) {
+            stopPolling(channel);
+            return;
+        }
+        if (polling) {
+            return;
+        }
+
+        polling = true;
+        try {
+            publishRolloutState(await refreshRollout(await getOctokit(), getRollout(rollout.id)));
+        } catch (error) {
+            channel.publish('warning', { rolloutId: rollout.id, error: error.message });
+        } finally {
+            polling = false;
+        }
+    }, ROLLOUT_POLL_MS);
+    channel.poller.unref();
+
+    return channel;
+}
+
+module.exports = {
+    publishRolloutState,
+    watchRollout
+};
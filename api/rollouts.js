@@ -0,0 +1,940 @@
+#!/usr/bin/env node
+/**
+ * Rollout Tracking
+ * Every dispatch gets a rollout ID that travels in client_payload and in the
+ * workflow's run-name, so the exact run - and its per-repository jobs - can
+ * be found again without guessing.
+ *
+ * Staged rollouts split the repositories into waves (a canary, then
+ * batches). Each wave is its own dispatch; the next wave is only sent once
+ * the previous wave's run has concluded and met the success threshold.
+ *
+ * A rollback is a rollout of kind 'rollback' that reverts the file changes
+ * an earlier rollout applied; the two records link to each other.
+ *
+ * Until it completes, a rollout holds a lock on its organization (or, with
+ * `locks.scope: "repo"`, on its repositories) and overlapping rollouts are
+ * refused with ROLLOUT_IN_PROGRESS. An admin can break the lock of a rollout
+ * that will never complete, e.g. because its run was deleted.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { getOrgConfig } = require('./org-config');
+const { recordAudit } = require('./audit-store');
+const { notify, rolloutEventData, rolloutOutcomeEvent } = require('./notifications');
+
+const store = createJsonStore('rollouts', { rollouts: {} });
+
+// Per-repository jobs in approved-rollout.yml are named "<prefix><repo>"
+const REPO_JOB_PREFIX = '📦 ';
+const DISPATCH_EVENTS = { rollout: 'start-rollout', rollback: 'revert-rollout' };
+const FINAL_STATUSES = ['completed'];
+const ROLLOUT_MODES = ['all-at-once', 'staged'];
+const LOCK_SCOPES = ['org', 'repo'];
+const DEFAULT_STRATEGY = {
+    canarySize: 1,          // repos in the canary wave (ignored when `canary` lists repos)
+    batchPercent: 25,       // later waves as a share of the remaining repos...
+    batchSize: null,        // ...or as a fixed size
+    successThreshold: 1     // fraction of a wave's repos that must succeed
+};
+
+// One in-flight refresh per rollout, so concurrent readers never double-dispatch a wave
+const refreshing = new Map();
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class RolloutError extends Error {
+    constructor(message, code, status = 400, details) {
+        super(message);
+        this.name = 'RolloutError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Split repositories into a canary wave followed by batches
+ */
+function planWaves(repos, strategy) {
+    const canary = Array.isArray(strategy.canary) && strategy.canary.length > 0
+        ? repos.filter(repo => strategy.canary.includes(repo))
+        : repos.slice(0, Math.max(1, strategy.canarySize));
+    const remaining = repos.filter(repo => !canary.includes(repo));
+
+    const batchSize = strategy.batchSize
+        ? strategy.batchSize
+        : Math.max(1, Math.ceil(remaining.length * strategy.batchPercent / 100));
+
+    const waves = [{ name: 'canary', repos: canary }];
+    for (let i = 0; i < remaining.length; i += batchSize) {
+        waves.push({ name: `batch ${waves.length}`, repos: remaining.slice(i, i + batchSize) });
+    }
+
+    return waves.filter(wave => wave.repos.length > 0);
+}
+
+/**
+ * Create a rollout record just before its first dispatch event is sent.
+ * `changes` maps each repo to the files the dispatch writes
+ * ([{ path, action, previousSha }]), or is null when they are unknown.
+ * Throws ROLLOUT_IN_PROGRESS when an active rollout holds a lock it needs.
+ */
+function createRollout({ org, repos, rolloutType, approvalId, approvers, target, mode = 'all-at-once', strategy = {}, changes = null, rollbackOf }) {
+    // Checked and saved without yielding, so two dispatches cannot both pass
+    requireNoLockConflict(org, repos);
+
+    const id = crypto.randomUUID();
+    const rollout = {
+        id,
+        kind: rollbackOf ? 'rollback' : 'rollout',
+        org,
+        repos,
+        changes,
+        rolloutType,
+        approvalId,
+        approvers,
+        target,
+        mode,
+        status: 'dispatched',
+        conclusion: null,
+        paused: false,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        run: null,
+        jobs: [],
+        repoProgress: repos.map(repo => ({ repo, status: 'pending', conclusion: null }))
+    };
+
+    if (rollbackOf) {
+        rollout.rollbackOf = rollbackOf;
+    }
+
+    if (mode === 'staged') {
+        rollout.strategy = { ...DEFAULT_STRATEGY, ...strategy };
+        rollout.currentWave = 0;
+        rollout.waves = planWaves(repos, rollout.strategy).map((wave, index) => ({
+            index,
+            name: wave.name,
+            waveId: `${id}-w${index}`,
+            repos: wave.repos,
+            status: 'pending',
+            conclusion: null,
+            dispatchedAt: null,
+            run: null,
+            jobs: [],
+            repoProgress: wave.repos.map(repo => ({ repo, status: 'pending', conclusion: null }))
+        }));
+    }
+
+    return saveRollout(rollout);
+}
+
+/**
+ * Persist a rollout; the save that finishes it sends the outcome notification
+ */
+function saveRollout(rollout) {
+    rollout.updatedAt = new Date().toISOString();
+    const wasFinal = store.update(data => {
+        const previous = data.rollouts[rollout.id];
+        data.rollouts[rollout.id] = rollout;
+        return Boolean(previous && isFinal(previous));
+    });
+
+    if (!wasFinal && isFinal(rollout)) {
+        notify(rolloutOutcomeEvent(rollout), rollout.org, rolloutEventData(rollout));
+    }
+
+    return rollout;
+}
+
+/**
+ * Change a stored rollout in place. `change` gets the record as stored at
+ * that moment - not a copy read before an await - so a pause, abort or
+ * lock break saved meanwhile is kept. It may throw, or return false to
+ * leave the record untouched. Returns the rollout, or null when there is
+ * none; the update that finishes it sends the outcome notification.
+ */
+function updateRollout(id, change) {
+    const result = store.update(data => {
+        const rollout = data.rollouts[id];
+        if (!rollout) {
+            return null;
+        }
+
+        const wasFinal = isFinal(rollout);
+        if (change(rollout) !== false) {
+            rollout.updatedAt = new Date().toISOString();
+        }
+        return { rollout, wasFinal };
+    });
+
+    if (!result) {
+        return null;
+    }
+
+    const { rollout, wasFinal } = result;
+    if (!wasFinal && isFinal(rollout)) {
+        notify(rolloutOutcomeEvent(rollout), rollout.org, rolloutEventData(rollout));
+    }
+
+    return rollout;
+}
+
+function getRollout(id) {
+    return store.read().rollouts[id] || null;
+}
+
+/**
+ * Rollout history for an organization, newest first
+ */
+function listRollouts(org, { limit = 50 } = {}) {
+    return Object.values(store.read().rollouts)
+        .filter(rollout => !org || rollout.org === org)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+}
+
+function listActiveRollouts() {
+    return Object.values(store.read().rollouts).filter(rollout => !isFinal(rollout));
+}
+
+function isFinal(rollout) {
+    return FINAL_STATUSES.includes(rollout.status);
+}
+
+/**
+ * 'org' (one active rollout per organization, the default) or 'repo'
+ * (rollouts may overlap in time when they share no repository)
+ */
+function getLockScope(org) {
+    const { scope } = getOrgConfig(org).locks || {};
+    return LOCK_SCOPES.includes(scope) ? scope : 'org';
+}
+
+function toLock(rollout, scope) {
+    return {
+        scope,
+        rolloutId: rollout.id,
+        kind: rollout.kind,
+        status: rollout.status,
+        repos: rollout.repos,
+        approvalId: rollout.approvalId,
+        approvers: rollout.approvers,
+        createdAt: rollout.createdAt,
+        updatedAt: rollout.updatedAt,
+        run: rollout.run ? { id: rollout.run.id, status: rollout.run.status, html_url: rollout.run.html_url } : null
+    };
+}
+
+/**
+ * Locks held in an organization: one per active rollout whose lock has not
+ * been broken, oldest first
+ */
+function listRolloutLocks(org) {
+    const scope = getLockScope(org);
+
+    return listActiveRollouts()
+        .filter(rollout => rollout.org === org && !rollout.lockBroken)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(rollout => toLock(rollout, scope));
+}
+
+/**
+ * The lock that stops a rollout of `repos` in `org`, with the repositories
+ * the two share, or null
+ */
+function findLockConflict(org, repos) {
+    for (const lock of listRolloutLocks(org)) {
+        const overlap = repos.filter(repo => lock.repos.includes(repo));
+        if (lock.scope === 'org' || overlap.length > 0) {
+            return { ...lock, overlap };
+        }
+    }
+    return null;
+}
+
+function requireNoLockConflict(org, repos) {
+    const lock = findLockConflict(org, repos);
+    if (!lock) {
+        return;
+    }
+
+    const what = lock.scope === 'org' ? org : lock.overlap.join(', ');
+    throw new RolloutError(
+        `${lock.kind === 'rollback' ? 'Rollback' : 'Rollout'} ${lock.rolloutId} is still ${lock.status} for ${what}`,
+        'ROLLOUT_IN_PROGRESS',
+        409,
+        { lock }
+    );
+}
+
+/**
+ * Stop an active rollout from blocking others. Its tracking carries on;
+ * only the lock is released.
+ */
+function breakRolloutLock(org, id, login, reason) {
+    const scope = getLockScope(org);
+    let lock = null;
+
+    updateRollout(id, rollout => {
+        if (rollout.org !== org || isFinal(rollout) || rollout.lockBroken) {
+            return false;
+        }
+
+        rollout.lockBroken = { by: login, reason, at: new Date().toISOString() };
+        lock = { ...toLock(rollout, scope), broken: rollout.lockBroken };
+    });
+
+    if (!lock) {
+        throw new RolloutError(`No rollout lock held by ${id} in ${org}`, 'LOCK_NOT_FOUND', 404);
+    }
+    return lock;
+}
+
+function finish(rollout, conclusion, reason) {
+    rollout.status = 'completed';
+    rollout.conclusion = conclusion;
+    rollout.completedAt = new Date().toISOString();
+    if (reason) {
+        rollout.haltReason = reason;
+    }
+    (rollout.waves || [])
+        .filter(wave => wave.status === 'pending')
+        .forEach(wave => {
+            wave.status = 'skipped';
+        });
+}
+
+/**
+ * Send one start-rollout (or, for a rollback, revert-rollout) dispatch for
+ * a set of repositories
+ */
+async function sendDispatch(octokit, rollout, repos, wave) {
+    const clientPayload = {
+        rollout_id: rollout.id,
+        org: rollout.org,
+        repos,
+        rollout_type: rollout.rolloutType,
+        approved_by: rollout.approvers.join(','),
+        approvers: rollout.approvers,
+        approval_id: rollout.approvalId,
+        approved_at: rollout.createdAt,
+        prerequisites_validated: true
+    };
+
+    if (rollout.kind === 'rollback') {
+        clientPayload.rollback_of = rollout.rollbackOf;
+        clientPayload.prerequisites_validated = false;
+        clientPayload.changes = Object.fromEntries(repos.map(repo => [repo, rollout.changes[repo]]));
+    }
+
+    if (wave) {
+        clientPayload.wave_id = wave.waveId;
+        clientPayload.wave = { index: wave.index, name: wave.name, total: rollout.waves.length };
+    }
+
+    await octokit.rest.repos.createDispatchEvent({
+        owner: rollout.target.owner,
+        repo: rollout.target.repo,
+        event_type: DISPATCH_EVENTS[rollout.kind || 'rollout'],
+        client_payload: clientPayload
+    });
+}
+
+/**
+ * Make wave `index` the current one. Saved before its dispatch is sent, so
+ * no other refresh sends it too.
+ */
+function beginWave(rollout, index) {
+    const wave = rollout.waves[index];
+
+    rollout.currentWave = index;
+    wave.status = 'dispatched';
+    wave.dispatchedAt = new Date().toISOString();
+    rollout.status = index === 0 ? 'dispatched' : (rollout.paused ? 'paused' : 'in_progress');
+}
+
+/**
+ * Dispatch a wave of a staged rollout that beginWave() made current
+ */
+async function dispatchWave(octokit, rollout, index) {
+    const wave = rollout.waves[index];
+
+    try {
+        await sendDispatch(octokit, rollout, wave.repos, wave);
+    } catch (error) {
+        updateRollout(rollout.id, current => {
+            if (isFinal(current)) {
+                return false;
+            }
+            current.waves[index].status = 'completed';
+            current.waves[index].conclusion = 'dispatch_failed';
+            finish(current, 'dispatch_failed', `Dispatch of ${wave.name} failed: ${error.message}`);
+        });
+        throw error;
+    }
+
+    if (index > 0) {
+        await recordAudit({
+            action: 'dispatch',
+            user: null,
+            organization: rollout.org,
+            details: {
+                eventType: 'start-rollout',
+                target: `${rollout.target.owner}/${rollout.target.repo}`,
+                rolloutId: rollout.id,
+                wave: wave.name,
+                repos: wave.repos
+            }
+        });
+    }
+}
+
+/**
+ * Send the rollout's first dispatch (all repos, or the first wave)
+ */
+async function startRollout(octokit, rollout) {
+    if (rollout.mode === 'staged') {
+        await dispatchWave(octokit, updateRollout(rollout.id, current => beginWave(current, 0)), 0);
+    } else {
+        try {
+            await sendDispatch(octokit, rollout, rollout.repos);
+        } catch (error) {
+            updateRollout(rollout.id, current => finish(current, 'dispatch_failed', `Dispatch failed: ${error.message}`));
+            throw error;
+        }
+    }
+
+    notify('rollout.dispatched', rollout.org, rolloutEventData(rollout));
+}
+
+function toRunSummary(run) {
+    return {
+        id: run.id,
+        status: run.status,
+        conclusion: run.conclusion,
+        html_url: run.html_url,
+        created_at: run.created_at,
+        updated_at: run.updated_at
+    };
+}
+
+function toJobSummary(job) {
+    return {
+        id: job.id,
+        name: job.name,
+        status: job.status,
+        conclusion: job.conclusion,
+        started_at: job.started_at,
+        completed_at: job.completed_at,
+        html_url: job.html_url
+    };
+}
+
+/**
+ * Find the run whose run-name carries `correlationId`, with its jobs
+ */
+async function fetchRunSnapshot(octokit, target, correlationId, since, knownRunId) {
+    let runId = knownRunId;
+
+    if (!runId) {
+        // Allow for clock skew between this server and GitHub
+        const after = new Date(new Date(since).getTime() - 5 * 60 * 1000).toISOString();
+
+        const { data } = await octokit.rest.actions.listWorkflowRunsForRepo({
+            owner: target.owner,
+            repo: target.repo,
+            event: 'repository_dispatch',
+            created: `>=${after}`,
+            per_page: 100
+        });
+
+        const match = data.workflow_runs.find(run => (run.display_title || '').includes(correlationId));
+        if (!match) {
+            return null;
+        }
+        runId = match.id;
+    }
+
+    const { data: run } = await octokit.rest.actions.getWorkflowRun({
+        owner: target.owner,
+        repo: target.repo,
+        run_id: runId
+    });
+
+    const jobs = await octokit.paginate(octokit.rest.actions.listJobsForWorkflowRun, {
+        owner: target.owner,
+        repo: target.repo,
+        run_id: runId,
+        per_page: 100
+    });
+
+    return { run: toRunSummary(run), jobs: jobs.map(toJobSummary) };
+}
+
+/**
+ * Derive per-repository progress from the run's matrix jobs
+ */
+function summarizeRepoProgress(repos, jobs) {
+    return repos.map(repo => {
+        const job = jobs.find(candidate => candidate.name === `${REPO_JOB_PREFIX}${repo}`);
+
+        if (!job) {
+            return { repo, status: 'pending', conclusion: null };
+        }
+
+        return {
+            repo,
+            status: job.status,
+            conclusion: job.conclusion,
+            started_at: job.started_at,
+            completed_at: job.completed_at,
+            html_url: job.html_url
+        };
+    });
+}
+
+/**
+ * Apply a run snapshot to a rollout or wave
+ */
+function applySnapshot(target, snapshot) {
+    target.run = snapshot.run;
+    target.status = snapshot.run.status;
+    target.conclusion = snapshot.run.conclusion;
+    target.jobs = snapshot.jobs;
+    target.repoProgress = summarizeRepoProgress(target.repos, snapshot.jobs);
+}
+
+/**
+ * Share of a finished wave's repos whose job succeeded
+ */
+function waveSuccessRate(wave) {
+    const tracked = wave.repoProgress.filter(progress => progress.status !== 'pending');
+
+    // Without per-repo jobs, fall back to the run's own conclusion
+    if (tracked.length === 0) {
+        return wave.conclusion === 'success' ? 1 : 0;
+    }
+
+    const succeeded = wave.repoProgress.filter(progress => progress.conclusion === 'success').length;
+    return succeeded / wave.repos.length;
+}
+
+async function refreshSingleRollout(octokit, rollout) {
+    const snapshot = await fetchRunSnapshot(octokit, rollout.target, rollout.id, rollout.createdAt,
+        rollout.run && rollout.run.id);
+
+    if (!snapshot) {
+        return rollout;
+    }
+
+    return updateRollout(rollout.id, current => {
+        // Aborted while the run was being fetched
+        if (isFinal(current)) {
+            return false;
+        }
+        applySnapshot(current, snapshot);
+    });
+}
+
+/**
+ * Roll the current wave's run, jobs and progress up to the rollout
+ */
+function syncWaves(rollout) {
+    const wave = rollout.waves[rollout.currentWave];
+
+    rollout.run = wave.run;
+    rollout.jobs = rollout.waves.flatMap(w => w.jobs.map(job => ({ ...job, wave: w.index })));
+    rollout.repoProgress = rollout.waves.flatMap(w => w.repoProgress.map(progress => ({ ...progress, wave: w.index })));
+
+    if (wave.status !== 'completed') {
+        rollout.status = rollout.paused ? 'paused' : (wave.status === 'queued' && wave.index === 0 ? 'queued' : 'in_progress');
+    }
+}
+
+/**
+ * Conclude the current wave once its run has finished: fail or complete the
+ * rollout, or begin the next wave. Returns the index of a wave to dispatch.
+ */
+function advanceWaves(rollout) {
+    const wave = rollout.waves[rollout.currentWave];
+
+    // Evaluate each finished wave exactly once
+    if (wave.passed === undefined) {
+        wave.successRate = waveSuccessRate(wave);
+        wave.passed = wave.conclusion !== 'cancelled' && wave.successRate >= rollout.strategy.successThreshold;
+    }
+
+    if (!wave.passed) {
+        finish(rollout, 'failure',
+            `${wave.name} success rate ${Math.round(wave.successRate * 100)}% is below the ` +
+            `${Math.round(rollout.strategy.successThreshold * 100)}% threshold`);
+        return null;
+    }
+
+    if (wave.index === rollout.waves.length - 1) {
+        finish(rollout, 'success');
+        return null;
+    }
+
+    if (rollout.paused) {
+        rollout.status = 'paused';
+        return null;
+    }
+
+    beginWave(rollout, wave.index + 1);
+    return wave.index + 1;
+}
+
+async function refreshStagedRollout(octokit, rollout) {
+    const wave = rollout.waves[rollout.currentWave];
+    let snapshot = null;
+
+    if (wave.status !== 'completed') {
+        snapshot = await fetchRunSnapshot(octokit, rollout.target, wave.waveId, wave.dispatchedAt,
+            wave.run && wave.run.id);
+    }
+
+    // Decide on the stored copy: a pause or abort may have landed during the fetch
+    let nextWave = null;
+    const current = updateRollout(rollout.id, stored => {
+        if (isFinal(stored) || stored.currentWave !== wave.index) {
+            return false;
+        }
+
+        const storedWave = stored.waves[stored.currentWave];
+        if (snapshot && storedWave.status !== 'completed') {
+            applySnapshot(storedWave, snapshot);
+        }
+        syncWaves(stored);
+
+        if (storedWave.status === 'completed') {
+            nextWave = advanceWaves(stored);
+        }
+    });
+
+    if (nextWave === null) {
+        return current;
+    }
+
+    try {
+        await dispatchWave(octokit, current, nextWave);
+    } catch (error) {
+        // dispatchWave already halted the rollout
+        console.error(`Failed to dispatch next wave of rollout ${rollout.id}:`, error);
+    }
+
+    return getRollout(rollout.id);
+}
+
+/**
+ * Refresh a rollout from GitHub, advancing staged rollouts between waves.
+ * Finished rollouts are returned as stored.
+ */
+function refreshRollout(octokit, rollout) {
+    if (refreshing.has(rollout.id)) {
+        return refreshing.get(rollout.id);
+    }
+
+    // Always work from the stored copy - pause/abort may have changed it
+    const current = getRollout(rollout.id) || rollout;
+    if (isFinal(current)) {
+        return Promise.resolve(current);
+    }
+
+    const refresh = (current.mode === 'staged'
+        ? refreshStagedRollout(octokit, current)
+        : refreshSingleRollout(octokit, current)
+    ).finally(() => refreshing.delete(rollout.id));
+
+    refreshing.set(rollout.id, refresh);
+    return refresh;
+}
+
+// Rollout (and optional wave) IDs as they appear in a run-name
+const RUN_TITLE_PATTERN = /([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:-w(\d+))?/;
+
+/**
+ * Find the rollout - and the wave, for staged rollouts - a run belongs to.
+ * `target` is whichever of the two owns the run.
+ */
+function findRolloutForRun({ id, display_title: displayTitle }) {
+    const match = RUN_TITLE_PATTERN.exec(displayTitle || '');
+
+    if (match) {
+        const rollout = getRollout(match[1]);
+        if (!rollout) {
+            return null;
+        }
+        const wave = rollout.waves && match[2] !== undefined ? rollout.waves[parseInt(match[2], 10)] : null;
+        return { rollout, target: wave || rollout };
+    }
+
+    // Job events only carry the run ID, so fall back to runs already linked
+    for (const rollout of listActiveRollouts()) {
+        const target = (rollout.waves || [rollout]).find(candidate => candidate.run && candidate.run.id === id);
+        if (target) {
+            return { rollout, target };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Apply `change` to the stored copy of the rollout or wave that owns a run,
+ * unless either has finished meanwhile
+ */
+function updateTarget({ rollout, target }, change) {
+    let changed = false;
+
+    const updated = updateRollout(rollout.id, current => {
+        const currentTarget = current.waves && target !== rollout ? current.waves[target.index] : current;
+        if (isFinal(current) || currentTarget.status === 'completed') {
+            return false;
+        }
+
+        change(currentTarget);
+        if (current.mode === 'staged') {
+            syncWaves(current);
+        } else if (currentTarget.status !== 'completed') {
+            current.status = currentTarget.status;
+        }
+        changed = true;
+    });
+
+    return changed ? updated : null;
+}
+
+/**
+ * Apply a workflow_run webhook. Completion is left to refreshRollout, which
+ * fetches the final job list before concluding (or advancing) the rollout.
+ */
+function applyWorkflowRunEvent(run) {
+    const found = findRolloutForRun(run);
+    if (!found || isFinal(found.rollout) || found.target.status === 'completed') {
+        return null;
+    }
+
+    return updateTarget(found, target => {
+        target.run = toRunSummary(run);
+        if (run.status !== 'completed') {
+            target.status = run.status;
+        }
+    });
+}
+
+/**
+ * Apply a workflow_job webhook to the rollout whose run it belongs to
+ */
+function applyWorkflowJobEvent(job) {
+    const found = findRolloutForRun({ id: job.run_id });
+    if (!found || isFinal(found.rollout) || found.target.status === 'completed') {
+        return null;
+    }
+
+    return updateTarget(found, target => {
+        target.jobs = [...target.jobs.filter(existing => existing.id !== job.id), toJobSummary(job)];
+        target.repoProgress = summarizeRepoProgress(target.repos, target.jobs);
+    });
+}
+
+/**
+ * Apply a repository_dispatch webhook - GitHub's receipt for our dispatch
+ */
+function applyDispatchEvent(clientPayload = {}) {
+    if (!clientPayload.rollout_id) {
+        return null;
+    }
+
+    let changed = false;
+    const rollout = updateRollout(clientPayload.rollout_id, current => {
+        if (isFinal(current)) {
+            return false;
+        }
+
+        const wave = current.waves ? current.waves.find(candidate => candidate.waveId === clientPayload.wave_id) : null;
+        (wave || current).dispatchConfirmedAt = new Date().toISOString();
+        changed = true;
+    });
+
+    return changed ? rollout : null;
+}
+
+function requireActive(rollout) {
+    if (isFinal(rollout)) {
+        throw new RolloutError(`Rollout already ${rollout.conclusion || rollout.status}`, 'ROLLOUT_FINISHED', 409);
+    }
+}
+
+function requireStaged(rollout) {
+    if (rollout.mode !== 'staged') {
+        throw new RolloutError('Only staged rollouts can be paused or resumed', 'ROLLOUT_NOT_STAGED', 409);
+    }
+}
+
+/**
+ * Stop dispatching further waves; the current wave runs to completion
+ */
+function pauseRollout(id, login) {
+    return updateRollout(id, rollout => {
+        requireActive(rollout);
+        requireStaged(rollout);
+
+        rollout.paused = true;
+        rollout.pausedBy = login;
+        rollout.pausedAt = new Date().toISOString();
+        rollout.status = 'paused';
+    });
+}
+
+/**
+ * Resume a paused staged rollout, dispatching the next wave if it is due
+ */
+async function resumeRollout(octokit, id, login) {
+    const rollout = updateRollout(id, current => {
+        requireActive(current);
+        requireStaged(current);
+
+        if (!current.paused) {
+            throw new RolloutError('Rollout is not paused', 'ROLLOUT_NOT_PAUSED', 409);
+        }
+
+        current.paused = false;
+        current.resumedBy = login;
+        current.resumedAt = new Date().toISOString();
+    });
+
+    return refreshRollout(octokit, rollout);
+}
+
+/**
+ * Abort an in-flight rollout, cancelling its current workflow run
+ */
+async function abortRollout(octokit, id, login) {
+    let activeRun = null;
+
+    // Finish the rollout before cancelling, so no refresh dispatches another wave meanwhile
+    const rollout = updateRollout(id, current => {
+        requireActive(current);
+
+        activeRun = current.mode === 'staged' ? current.waves[current.currentWave].run : current.run;
+
+        if (current.mode === 'staged') {
+            const wave = current.waves[current.currentWave];
+            if (wave.status !== 'completed') {
+                wave.status = 'completed';
+                wave.conclusion = 'cancelled';
+            }
+        }
+
+        current.abortedBy = login;
+        finish(current, 'cancelled', `Aborted by ${login}`);
+    });
+
+    if (activeRun && activeRun.status !== 'completed') {
+        try {
+            await octokit.rest.actions.cancelWorkflowRun({
+                owner: rollout.target.owner,
+                repo: rollout.target.repo,
+                run_id: activeRun.id
+            });
+        } catch (error) {
+            // The run may have just finished; the abort still stands
+            console.error(`Failed to cancel run ${activeRun.id} for rollout ${id}:`, error);
+        }
+    }
+
+    return rollout;
+}
+
+/**
+ * Repositories whose changes a finished rollout actually applied: their job
+ * succeeded (or, without per-repo jobs, the whole run did) and they had
+ * something to change
+ */
+function appliedRepos(rollout) {
+    if (rollout.rolloutType === 'dry-run') {
+        return [];
+    }
+
+    const tracked = rollout.repoProgress.filter(progress => progress.status !== 'pending');
+    const succeeded = tracked.length > 0
+        ? rollout.repoProgress.filter(progress => progress.conclusion === 'success').map(progress => progress.repo)
+        : (rollout.conclusion === 'success' ? rollout.repos : []);
+
+    return succeeded.filter(repo => !rollout.changes || (rollout.changes[repo] || []).length > 0);
+}
+
+/**
+ * Work out what rolling back `rollout` (optionally only `repos`) reverts:
+ * { repos, changes }. Files are unknown for rollouts dispatched without a
+ * recorded preview; the revert workflow then only closes open rollout PRs.
+ */
+function planRollback(rollout, repos) {
+    if (rollout.kind === 'rollback') {
+        throw new RolloutError('A rollback cannot itself be rolled back', 'ROLLBACK_NOT_SUPPORTED', 409);
+    }
+    if (!isFinal(rollout)) {
+        throw new RolloutError('Rollout is still in progress - abort it before rolling back', 'ROLLOUT_ACTIVE', 409);
+    }
+
+    const applied = appliedRepos(rollout);
+    if (applied.length === 0) {
+        throw new RolloutError('Rollout did not apply changes to any repository', 'ROLLBACK_NOTHING_APPLIED', 409);
+    }
+
+    const selected = repos && repos.length > 0 ? [...new Set(repos)] : applied;
+    const notApplied = selected.filter(repo => !applied.includes(repo));
+    if (notApplied.length > 0) {
+        throw new RolloutError(`Rollout did not apply changes to: ${notApplied.join(', ')}`, 'ROLLBACK_REPOS_INVALID', 400);
+    }
+
+    return {
+        repos: selected,
+        changes: Object.fromEntries(selected.map(repo => [repo, rollout.changes ? rollout.changes[repo] : null]))
+    };
+}
+
+/**
+ * Link a dispatched rollback to the rollout it reverts
+ */
+function linkRollback(rollback) {
+    return updateRollout(rollback.rollbackOf, original => {
+        original.rollbacks = [
+            ...(original.rollbacks || []),
+            { rolloutId: rollback.id, repos: rollback.repos, approvalId: rollback.approvalId, at: rollback.createdAt }
+        ];
+    });
+}
+
+module.exports = {
+    REPO_JOB_PREFIX,
+    DISPATCH_EVENTS,
+    ROLLOUT_MODES,
+    RolloutError,
+    planWaves,
+    createRollout,
+    startRollout,
+    saveRollout,
+    getRollout,
+    listRollouts,
+    listActiveRollouts,
+    isFinal,
+    getLockScope,
+    listRolloutLocks,
+    requireNoLockConflict,
+    breakRolloutLock,
+    refreshRollout,
+    applyWorkflowRunEvent,
+    applyWorkflowJobEvent,
+    applyDispatchEvent,
+    pauseRollout,
+    resumeRollout,
+    abortRollout,
+    planRollback,
+    linkRollback
+};
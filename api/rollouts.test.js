@@ -0,0 +1,321 @@
+/**
+ * Rollout Tracking tests
+ * Plans staged waves, then drives staged rollouts against a small in-memory
+ * GitHub whose runs each test finishes by hand: advancing between waves,
+ * halting below the success threshold, pause/resume/abort, and a refresh
+ * that is still fetching its run when a pause lands.
+ */
+
+const { planWaves, startRollout, refreshRollout, getRollout, pauseRollout, resumeRollout, abortRollout } = require('./rollouts');
+const { createTestRollout } = require('./test-utils');
+
+const REPOS = ['payments-api', 'billing-api', 'web-app', 'worker', 'docs-site'];
+
+/**
+ * The parts of the GitHub API rollouts.js calls. Each dispatch starts a
+ * queued run titled with its rollout or wave ID, with one job per repo.
+ * `holdRuns()` keeps getWorkflowRun from answering until it is released.
+ */
+function createFakeGitHub() {
+    const runs = [];
+    let failDispatch = null;
+    let held = null;
+
+    const findRun = id => runs.find(run => run.id === id);
+
+    const octokit = {
+        rest: {
+            repos: {
+                createDispatchEvent: async ({ event_type: eventType, client_payload: payload }) => {
+                    if (failDispatch) {
+                        throw failDispatch;
+                    }
+                    runs.push({
+                        id: 1000 + runs.length,
+                        eventType,
+                        payload,
+                        display_title: `🚀 Rollout ${payload.wave_id || payload.rollout_id} (${payload.org})`,
+                        status: 'queued',
+                        conclusion: null,
+                        jobs: payload.repos.map((repo, index) => ({ id: index, name: `📦 ${repo}`, status: 'queued', conclusion: null }))
+                    });
+                }
+            },
+            actions: {
+                listWorkflowRunsForRepo: async () => ({ data: { workflow_runs: runs.slice().reverse() } }),
+                getWorkflowRun: async ({ run_id: runId }) => {
+                    await held;
+                    return { data: findRun(runId) };
+                },
+                listJobsForWorkflowRun: async ({ run_id: runId }) => ({ data: findRun(runId).jobs }),
+                cancelWorkflowRun: jest.fn(async ({ run_id: runId }) => {
+                    Object.assign(findRun(runId), { status: 'completed', conclusion: 'cancelled' });
+                })
+            }
+        },
+        paginate: async (method, params) => (await method(params)).data
+    };
+
+    return {
+        octokit,
+        runs,
+        /** Finish the newest run; `failed` lists repos whose job fails */
+        finishRun(failed = []) {
+            const run = runs[runs.length - 1];
+            run.jobs.forEach(job => {
+                Object.assign(job, { status: 'completed', conclusion: failed.some(repo => job.name.endsWith(repo)) ? 'failure' : 'success' });
+            });
+            Object.assign(run, { status: 'completed', conclusion: failed.length ? 'failure' : 'success' });
+        },
+        startRun() {
+            Object.assign(runs[runs.length - 1], { status: 'in_progress' });
+        },
+        failDispatches(error) {
+            failDispatch = error;
+        },
+        holdRuns() {
+            let release;
+            held = new Promise(resolve => {
+                release = resolve;
+            });
+            return () => {
+                held = null;
+                release();
+            };
+        }
+    };
+}
+
+let github;
+
+async function startStaged(strategy = { batchPercent: 50 }) {
+    const rollout = createTestRollout({ mode: 'staged', repos: REPOS, strategy });
+    await startRollout(github.octokit, rollout);
+    return getRollout(rollout.id);
+}
+
+const refresh = rollout => refreshRollout(github.octokit, rollout);
+
+beforeEach(() => {
+    github = createFakeGitHub();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('planWaves', () => {
+    const defaults = { canarySize: 1, batchPercent: 25, batchSize: null };
+
+    test.each([
+        ['one canary, then a quarter of the rest per batch', {}, [['payments-api'], ['billing-api'], ['web-app'], ['worker'], ['docs-site']]],
+        ['a larger canary', { canarySize: 2, batchPercent: 50 }, [['payments-api', 'billing-api'], ['web-app', 'worker'], ['docs-site']]],
+        ['named canary repos, kept in repo order', { canary: ['worker', 'billing-api'], batchSize: 3 }, [['billing-api', 'worker'], ['payments-api', 'web-app', 'docs-site']]],
+        ['a fixed batch size', { batchSize: 2 }, [['payments-api'], ['billing-api', 'web-app'], ['worker', 'docs-site']]],
+        ['batches rounded up', { batchPercent: 30 }, [['payments-api'], ['billing-api', 'web-app'], ['worker', 'docs-site']]],
+        ['at least one canary repo', { canarySize: 0, batchPercent: 100 }, [['payments-api'], ['billing-api', 'web-app', 'worker', 'docs-site']]],
+        ['an empty canary list treated as none given', { canary: [], batchPercent: 100 }, [['payments-api'], ['billing-api', 'web-app', 'worker', 'docs-site']]]
+    ])('plans %s', (_, strategy, expected) => {
+        const waves = planWaves(REPOS, { ...defaults, ...strategy });
+
+        expect(waves.map(wave => wave.repos)).toEqual(expected);
+        expect(waves.map(wave => wave.name)).toEqual(expected.map((__, index) => (index === 0 ? 'canary' : `batch ${index}`)));
+    });
+
+    test('leaves out a batch wave when the canary takes every repo', () => {
+        expect(planWaves(['payments-api'], defaults)).toEqual([{ name: 'canary', repos: ['payments-api'] }]);
+        expect(planWaves(REPOS, { ...defaults, canary: REPOS })).toEqual([{ name: 'canary', repos: REPOS }]);
+    });
+});
+
+describe('staged rollouts', () => {
+    test('dispatch each wave once the one before it has passed', async () => {
+        let rollout = await startStaged();
+
+        expect(github.runs.map(run => run.payload.repos)).toEqual([['payments-api']]);
+        expect(github.runs[0].payload).toMatchObject({ wave_id: `${rollout.id}-w0`, wave: { index: 0, name: 'canary', total: 3 } });
+        expect(rollout.waves.map(wave => wave.status)).toEqual(['dispatched', 'pending', 'pending']);
+
+        // Running: nothing more is sent
+        github.startRun();
+        rollout = await refresh(rollout);
+        expect(rollout).toMatchObject({ status: 'in_progress', currentWave: 0 });
+        expect(github.runs).toHaveLength(1);
+
+        github.finishRun();
+        rollout = await refresh(rollout);
+        expect(rollout.waves[0]).toMatchObject({ status: 'completed', conclusion: 'success', successRate: 1, passed: true });
+        expect(rollout.currentWave).toBe(1);
+        expect(github.runs.map(run => run.payload.wave_id)).toEqual([`${rollout.id}-w0`, `${rollout.id}-w1`]);
+
+        github.finishRun();
+        rollout = await refresh(rollout);
+        github.finishRun();
+        rollout = await refresh(rollout);
+
+        expect(rollout).toMatchObject({ status: 'completed', conclusion: 'success', currentWave: 2 });
+        expect(rollout.repoProgress.map(progress => [progress.repo, progress.conclusion, progress.wave])).toEqual([
+            ['payments-api', 'success', 0],
+            ['billing-api', 'success', 1],
+            ['web-app', 'success', 1],
+            ['worker', 'success', 2],
+            ['docs-site', 'success', 2]
+        ]);
+        expect(github.runs).toHaveLength(3);
+
+        // Finished rollouts are returned as stored
+        expect(await refresh(rollout)).toEqual(getRollout(rollout.id));
+        expect(github.runs).toHaveLength(3);
+    });
+
+    test('halt when a wave falls below the success threshold', async () => {
+        let rollout = await startStaged();
+        github.finishRun();
+        rollout = await refresh(rollout);
+
+        github.finishRun(['web-app']);
+        rollout = await refresh(rollout);
+
+        expect(rollout).toMatchObject({
+            status: 'completed',
+            conclusion: 'failure',
+            haltReason: 'batch 1 success rate 50% is below the 100% threshold'
+        });
+        expect(rollout.waves.map(wave => [wave.status, wave.passed])).toEqual([['completed', true], ['completed', false], ['skipped', undefined]]);
+        expect(github.runs).toHaveLength(2);
+    });
+
+    test('carry on past failures the threshold allows', async () => {
+        let rollout = await startStaged({ batchPercent: 50, successThreshold: 0.5 });
+        github.finishRun();
+        rollout = await refresh(rollout);
+
+        github.finishRun(['web-app']);
+        rollout = await refresh(rollout);
+
+        expect(rollout.waves[1]).toMatchObject({ conclusion: 'failure', successRate: 0.5, passed: true });
+        expect(rollout.currentWave).toBe(2);
+        expect(github.runs).toHaveLength(3);
+    });
+
+    test('halt when the next wave cannot be dispatched', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        let rollout = await startStaged();
+
+        github.failDispatches(new Error('Bad credentials'));
+        github.finishRun();
+        rollout = await refresh(rollout);
+
+        expect(rollout).toMatchObject({ status: 'completed', conclusion: 'dispatch_failed', haltReason: 'Dispatch of batch 1 failed: Bad credentials' });
+        expect(rollout.waves.map(wave => [wave.status, wave.conclusion])).toEqual([
+            ['completed', 'success'],
+            ['completed', 'dispatch_failed'],
+            ['skipped', null]
+        ]);
+    });
+});
+
+describe('pause, resume and abort', () => {
+    test('a paused rollout finishes its wave but sends no more until resumed', async () => {
+        let rollout = await startStaged();
+
+        rollout = pauseRollout(rollout.id, 'alice');
+        expect(rollout).toMatchObject({ paused: true, pausedBy: 'alice', status: 'paused' });
+
+        github.finishRun();
+        rollout = await refresh(rollout);
+        expect(rollout).toMatchObject({ status: 'paused', currentWave: 0 });
+        expect(rollout.waves[0]).toMatchObject({ status: 'completed', passed: true });
+        expect(github.runs).toHaveLength(1);
+
+        rollout = await resumeRollout(github.octokit, rollout.id, 'bob');
+        expect(rollout).toMatchObject({ paused: false, resumedBy: 'bob', status: 'in_progress', currentWave: 1 });
+        expect(github.runs).toHaveLength(2);
+    });
+
+    test('refuse to pause an all-at-once rollout or resume one that is not paused', async () => {
+        const single = createTestRollout();
+        expect(() => pauseRollout(single.id, 'alice')).toThrow(expect.objectContaining({ code: 'ROLLOUT_NOT_STAGED', status: 409 }));
+
+        const staged = await startStaged();
+        await expect(resumeRollout(github.octokit, staged.id, 'alice')).rejects.toMatchObject({ code: 'ROLLOUT_NOT_PAUSED', status: 409 });
+    });
+
+    test('an abort cancels the running wave and skips the rest', async () => {
+        let rollout = await startStaged();
+        github.startRun();
+        rollout = await refresh(rollout);
+
+        rollout = await abortRollout(github.octokit, rollout.id, 'alice');
+
+        expect(github.octokit.rest.actions.cancelWorkflowRun).toHaveBeenCalledWith(expect.objectContaining({ run_id: github.runs[0].id }));
+        expect(rollout).toMatchObject({ status: 'completed', conclusion: 'cancelled', abortedBy: 'alice', haltReason: 'Aborted by alice' });
+        expect(rollout.waves.map(wave => [wave.status, wave.conclusion])).toEqual([['completed', 'cancelled'], ['skipped', null], ['skipped', null]]);
+
+        // Nothing is sent for it afterwards, and it cannot be paused or aborted again
+        github.finishRun();
+        await refresh(rollout);
+        expect(github.runs).toHaveLength(1);
+        expect(() => pauseRollout(rollout.id, 'alice')).toThrow(expect.objectContaining({ code: 'ROLLOUT_FINISHED' }));
+        await expect(abortRollout(github.octokit, rollout.id, 'alice')).rejects.toMatchObject({ code: 'ROLLOUT_FINISHED', status: 409 });
+    });
+
+    test('an abort stands when the run has just finished', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        let rollout = await startStaged();
+        github.startRun();
+        rollout = await refresh(rollout);
+        github.octokit.rest.actions.cancelWorkflowRun.mockRejectedValueOnce(new Error('Cannot cancel a workflow run that is completed.'));
+
+        rollout = await abortRollout(github.octokit, rollout.id, 'alice');
+
+        expect(rollout).toMatchObject({ status: 'completed', conclusion: 'cancelled' });
+    });
+});
+
+describe('a refresh racing a pause or abort', () => {
+    test('a pause that lands while the run is fetched holds back the next wave', async () => {
+        let rollout = await startStaged();
+        github.finishRun();
+
+        const release = github.holdRuns();
+        const refreshing = refresh(rollout);
+        pauseRollout(rollout.id, 'alice');
+        release();
+        rollout = await refreshing;
+
+        expect(rollout).toMatchObject({ status: 'paused', paused: true, currentWave: 0 });
+        expect(rollout.waves[0]).toMatchObject({ status: 'completed', passed: true });
+        expect(rollout.waves[1].status).toBe('pending');
+        expect(github.runs).toHaveLength(1);
+    });
+
+    test('an abort that lands while the run is fetched is kept', async () => {
+        let rollout = await startStaged();
+        github.finishRun();
+
+        const release = github.holdRuns();
+        const refreshing = refresh(rollout);
+        await abortRollout(github.octokit, rollout.id, 'alice');
+        release();
+        rollout = await refreshing;
+
+        expect(rollout).toMatchObject({ status: 'completed', conclusion: 'cancelled' });
+        expect(getRollout(rollout.id).waves[0].conclusion).toBe('cancelled');
+        expect(github.runs).toHaveLength(1);
+    });
+
+    test('concurrent refreshes share one fetch and send the next wave once', async () => {
+        const rollout = await startStaged();
+        github.finishRun();
+
+        const release = github.holdRuns();
+        const refreshes = [refresh(rollout), refresh(rollout), refresh(rollout)];
+        expect(refreshes[1]).toBe(refreshes[0]);
+        release();
+        await Promise.all(refreshes);
+
+        expect(getRollout(rollout.id).currentWave).toBe(1);
+        expect(github.runs).toHaveLength(2);
+    });
+});
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * JSON Schema Validator
+ * Validates values with Ajv (JSON Schema 2020-12, as used by OpenAPI 3.1)
+ * and turns its errors into { path, message } pairs, e.g.
+ * { path: 'body.repos[0]', message: 'must be a string' }.
+ *
+ * Schemas that are part of a larger document (the OpenAPI document) are
+ * compiled in place, so their "#/components/..." $refs resolve against it.
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+const FORMAT_NAMES = {
+    'date-time': 'an ISO 8601 date-time',
+    date: 'a date (YYYY-MM-DD)',
+    email: 'an email address',
+    uuid: 'a UUID',
+    uri: 'an absolute URI'
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+const ajv = new Ajv2020({ allErrors: true, verbose: true, strictTypes: false });
+addFormats(ajv);
+
+// Message overrides for pattern and not, read when reporting their errors
+ajv.addVocabulary(['x-pattern-message', 'x-not-message']);
+
+// An OpenAPI document's own fields, so the whole document can be registered
+ajv.addVocabulary(['openapi', 'info', 'jsonSchemaDialect', 'servers', 'paths', 'webhooks', 'components', 'security', 'tags', 'externalDocs']);
+
+// Documents registered with Ajv: root -> { key, pointers }
+const documents = new WeakMap();
+let documentCount = 0;
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref: ${ref}`);
+    }
+
+    const resolved = ref.slice(2).split('/').reduce((node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), root);
+    if (!resolved) {
+        throw new Error(`Unresolved $ref: ${ref}`);
+    }
+    return resolved;
+}
+
+/**
+ * Register `root` with Ajv and index the JSON pointer of every object in it
+ */
+function registerDocument(root) {
+    const key = `document-${++documentCount}`;
+    const pointers = new Map();
+
+    (function index(node, pointer) {
+        if (!node || typeof node !== 'object' || pointers.has(node)) {
+            return;
+        }
+        pointers.set(node, pointer);
+        for (const [name, child] of Object.entries(node)) {
+            index(child, `${pointer}/${encodeURIComponent(name.replace(/~/g, '~0').replace(/\//g, '~1'))}`);
+        }
+    })(root, '');
+
+    ajv.addSchema(root, key);
+    const registered = { key, pointers };
+    documents.set(root, registered);
+    return registered;
+}
+
+/**
+ * Compiled validation function for `schema`, a part of `root`
+ */
+function compile(schema, root) {
+    if (schema === root) {
+        return ajv.compile(schema);
+    }
+
+    const { key, pointers } = documents.get(root) || registerDocument(root);
+    const pointer = pointers.get(schema);
+    if (pointer === undefined) {
+        throw new Error('Schema is not part of the given document');
+    }
+    return ajv.getSchema(`${key}#${pointer}`);
+}
+
+// Short description of a schema for anyOf/oneOf messages
+function describe(schema, root) {
+    const target = schema.$ref ? resolveRef(root, schema.$ref) : schema;
+
+    if (target.title) {
+        return target.title;
+    }
+    if (target.format && FORMAT_NAMES[target.format]) {
+        return FORMAT_NAMES[target.format];
+    }
+    if (target.enum) {
+        return `one of ${target.enum.join(', ')}`;
+    }
+    return [].concat(target.type || 'a value').map(type => TYPE_NAMES[type] || type).join(' or ');
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+// "/repos/0/name" under "body" is "body.repos[0].name"
+function instancePathOf(path, instancePath) {
+    return instancePath.split('/').slice(1)
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((at, part) => childPath(at, /^\d+$/.test(part) ? Number(part) : part), path);
+}
+
+/**
+ * Every schema object the anyOf/oneOf options can reach, following $refs
+ */
+function reachableSchemas(options, root) {
+    const seen = new Set();
+
+    (function walk(node) {
+        if (!node || typeof node !== 'object' || seen.has(node)) {
+            return;
+        }
+        seen.add(node);
+        if (typeof node.$ref === 'string') {
+            walk(resolveRef(root, node.$ref));
+        }
+        Object.values(node).forEach(walk);
+    })(options);
+
+    return seen;
+}
+
+/**
+ * The { path, message } for one Ajv error
+ */
+function toError(error, path, root) {
+    const at = instancePathOf(path, error.instancePath);
+    const { params, parentSchema } = error;
+
+    switch (error.keyword) {
+        case 'type':
+            return { path: at, message: `must be ${[].concat(parentSchema.type).map(type => TYPE_NAMES[type] || type).join(' or ')}` };
+        case 'const':
+            return { path: at, message: `must be ${JSON.stringify(params.allowedValue)}` };
+        case 'enum':
+            return { path: at, message: `must be one of: ${params.allowedValues.map(option => (option === null ? 'null' : option)).join(', ')}` };
+        case 'minLength':
+            return { path: at, message: params.limit === 1 ? 'must not be empty' : `must be at least ${plural(params.limit, 'character')}` };
+        case 'maxLength':
+            return { path: at, message: `must be at most ${plural(params.limit, 'character')}` };
+        case 'pattern':
+            return { path: at, message: parentSchema['x-pattern-message'] || `must match ${params.pattern}` };
+        case 'format':
+            return { path: at, message: `must be ${FORMAT_NAMES[params.format] || `a valid ${params.format}`}` };
+        case 'minimum':
+            return { path: at, message: `must be at least ${params.limit}` };
+        case 'exclusiveMinimum':
+            return { path: at, message: `must be greater than ${params.limit}` };
+        case 'maximum':
+            return { path: at, message: `must be at most ${params.limit}` };
+        case 'exclusiveMaximum':
+            return { path: at, message: `must be less than ${params.limit}` };
+        case 'minItems':
+            return { path: at, message: `must contain at least ${plural(params.limit, 'item')}` };
+        case 'maxItems':
+            return { path: at, message: `must contain at most ${plural(params.limit, 'item')}` };
+        case 'uniqueItems':
+            return { path: at, message: 'must not contain duplicates' };
+        case 'required':
+            return { path: childPath(at, params.missingProperty), message: 'is required' };
+        case 'additionalProperties':
+            return { path: childPath(at, params.additionalProperty), message: 'is not allowed' };
+        case 'anyOf':
+            return { path: at, message: `must be ${parentSchema.anyOf.map(option => describe(option, root)).join(' or ')}` };
+        case 'oneOf':
+            return params.passingSchemas
+                ? { path: at, message: `must match exactly one of: ${parentSchema.oneOf.map(option => describe(option, root)).join(', ')}` }
+                : { path: at, message: `must be ${parentSchema.oneOf.map(option => describe(option, root)).join(' or ')}` };
+        case 'not':
+            return { path: at, message: parentSchema.not['x-not-message'] || 'is not allowed here' };
+        default:
+            return { path: at, message: error.message };
+    }
+}
+
+/**
+ * Validate `value` against `schema`; `root` is the document the schema is
+ * part of, and resolves its $refs
+ */
+function validateValue(schema, value, { path = '', root = schema } = {}) {
+    if (!schema || schema === true) {
+        return [];
+    }
+
+    const validate = compile(schema, root);
+    if (validate(value)) {
+        return [];
+    }
+
+    const errors = validate.errors;
+
+    // An anyOf/oneOf failure is reported once, not with each option's errors
+    const options = errors
+        .filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf')
+        .map(error => ({ instancePath: error.instancePath, schemas: reachableSchemas(error.schema, root) }));
+    const withinOption = error => options.some(option => option.schemas.has(error.parentSchema) &&
+        (error.instancePath === option.instancePath || error.instancePath.startsWith(`${option.instancePath}/`)));
+
+    // A value of the wrong type gets only the type error
+    const mistyped = errors.filter(error => error.keyword === 'type');
+    const ofMistyped = error => error.keyword !== 'type' &&
+        mistyped.some(type => type.instancePath === error.instancePath && type.parentSchema === error.parentSchema);
+
+    return errors
+        .filter(error => !withinOption(error) && !ofMistyped(error))
+        .map(error => toError(error, path, root));
+}
+
+/**
+ * Convert a query, path or header string to the type its schema declares.
+ * Values that cannot be converted are returned unchanged so validation
+ * reports them.
+ */
+function coerceParameter(schema, value, root) {
+    const target = schema && schema.$ref ? resolveRef(root, schema.$ref) : schema;
+    const types = [].concat((target && target.type) || []);
+
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Render errors as "<path> <message>" strings
+ */
+function formatErrors(errors) {
+    return errors.map(({ path, message }) => `${path} ${message}`);
+}
+
+module.exports = {
+    validateValue,
+    coerceParameter,
+    formatErrors
+};
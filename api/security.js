@@ -6,26 +6,72 @@
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { Octokit } = require('@octokit/rest');
+const { getUserOctokit } = require('./github-client');
+const { recordAudit } = require('./audit-store');
+const { getSigningKey, getVerificationKey } = require('./keyset');
+const { isTokenRevoked } = require('./sessions');
+const { hasRole, resolveUserRoles } = require('./roles');
+const { getRateLimitStore } = require('./rate-limit-store');
 
 // Configuration
-const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN_SECONDS = parseDuration(process.env.JWT_EXPIRES_IN || '15m');
+const JWT_REFRESH_EXPIRES_IN_SECONDS = parseDuration(process.env.JWT_REFRESH_EXPIRES_IN || '7d');
 const ALLOWED_GITHUB_ORGS = (process.env.ALLOWED_GITHUB_ORGS || '').split(',').filter(Boolean);
 const ADMIN_GITHUB_USERS = (process.env.ADMIN_GITHUB_USERS || '').split(',').filter(Boolean);
 
+// Requests per window. `global` is per IP across every route; each route
+// rule is per user (per IP when signed out) and may set a limit per role
+// (anonymous, viewer, approver, admin) with `default` for the rest. The
+// first rule matching the method and path prefix applies.
+const DEFAULT_RATE_LIMITS = {
+    windowSeconds: 15 * 60,
+    global: 200,
+    routes: [
+        { name: 'health', paths: ['/api/health'], limits: { default: 300 } },
+        { name: 'auth', paths: ['/api/auth'], limits: { default: 30 } },
+        {
+            name: 'approve',
+            methods: ['POST'],
+            paths: ['/api/approve', '/api/approvals'],
+            limits: { default: 10, approver: 20, admin: 40 }
+        },
+        { name: 'api', paths: ['/api'], limits: { default: 50, approver: 100, admin: 200 } }
+    ]
+};
+const RATE_LIMITS = { ...DEFAULT_RATE_LIMITS, ...JSON.parse(process.env.RATE_LIMITS || '{}') };
+
+/**
+ * Parse a duration such as "900", "15m", "24h" or "7d" into seconds
+ */
+function parseDuration(value) {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return parseInt(match[1], 10) * { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+}
+
 /**
  * Verify GitHub token and get user information
  */
 async function verifyGitHubToken(token) {
     try {
-        const octokit = new Octokit({ auth: token });
+        const octokit = await getUserOctokit(token);
         const { data: user } = await octokit.rest.users.getAuthenticated();
         
         // Get user's organization memberships
         const { data: orgs } = await octokit.rest.orgs.listForAuthenticatedUser();
         const userOrgs = orgs.map(org => org.login);
         
+        // Team memberships feed team-based roles (needs read:org)
+        let teams = [];
+        try {
+            const userTeams = await octokit.paginate(octokit.rest.teams.listForAuthenticatedUser, { per_page: 100 });
+            teams = userTeams.map(team => ({ org: team.organization.login, slug: team.slug }));
+        } catch (error) {
+            console.warn(`Could not list teams for ${user.login}: ${error.message}`);
+        }
+        
         return {
             id: user.id,
             login: user.login,
@@ -33,6 +79,7 @@ async function verifyGitHubToken(token) {
             email: user.email,
             avatar_url: user.avatar_url,
             organizations: userOrgs,
+            teams,
             token: token
         };
     } catch (error) {
@@ -41,88 +88,145 @@ async function verifyGitHubToken(token) {
 }
 
 /**
- * Generate JWT token for authenticated user
+ * Generate a short-lived access token for an authenticated user
+ * Pass the session ID so logging out of the session revokes the token.
+ * `roles` maps each org to the user's role there; `isAdmin` marks
+ * platform admins (ADMIN_GITHUB_USERS), who are admin in every org.
  */
-function generateJWT(user) {
+async function generateJWT(user, sessionId) {
+    const key = await getSigningKey();
     const payload = {
         id: user.id,
         login: user.login,
         name: user.name,
         email: user.email,
         organizations: user.organizations,
+        roles: resolveUserRoles(user, ALLOWED_GITHUB_ORGS),
         isAdmin: ADMIN_GITHUB_USERS.includes(user.login),
+        sid: sessionId,
         iat: Math.floor(Date.now() / 1000)
     };
     
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return jwt.sign(payload, key.secret, {
+        algorithm: 'HS256',
+        expiresIn: JWT_EXPIRES_IN_SECONDS,
+        keyid: key.kid,
+        jwtid: crypto.randomUUID()
+    });
 }
 
 /**
- * Verify and decode JWT token
+ * Verify and decode JWT token against the key named by its kid
  */
-function verifyJWT(token) {
+async function verifyJWT(token) {
     try {
-        return jwt.verify(token, JWT_SECRET);
+        const decoded = jwt.decode(token, { complete: true });
+        const secret = decoded && await getVerificationKey(decoded.header.kid);
+        if (!secret) {
+            throw new Error('unknown signing key');
+        }
+        return jwt.verify(token, secret, { algorithms: ['HS256'] });
     } catch (error) {
         throw new Error(`Invalid JWT token: ${error.message}`);
     }
 }
 
 /**
- * Check if user has permission to access organization
+ * User's role in an organization (from the JWT `roles` claim), or null
  */
-function hasOrgPermission(user, org) {
-    // Admins can access all organizations
+function getOrgRole(user, org) {
+    // Platform admins are admin everywhere
     if (user.isAdmin) {
-        return true;
-    }
-    
-    // Check if user is member of the organization
-    if (user.organizations && user.organizations.includes(org)) {
-        return true;
+        return 'admin';
     }
     
-    // Check against allowed organizations list
-    if (ALLOWED_GITHUB_ORGS.length > 0 && !ALLOWED_GITHUB_ORGS.includes(org)) {
-        return false;
+    return (user.roles && user.roles[org]) || null;
+}
+
+/**
+ * The organization a request names: the :org route parameter, else ?org=
+ * or the body's org
+ */
+function requestOrg(req, params = req.params) {
+    return (params && params.org) || req.query.org || (req.body && req.body.org) || null;
+}
+
+/**
+ * Check if user has permission to access organization (any role)
+ */
+function hasOrgPermission(user, org) {
+    return getOrgRole(user, org) !== null;
+}
+
+/**
+ * Refuse a request with a 401 or 403. Behind auditLog() the refusal is
+ * audited under the route's action; anywhere else - typically before it -
+ * it is audited as access_denied before the response goes out.
+ */
+function deny(req, res, status, body) {
+    res.status(status);
+    if (res.locals.auditAction) {
+        return res.json(body);
     }
-    
-    return true;
+
+    const entry = buildAuditEntry(req, res, 'access_denied');
+    entry.organization = entry.organization || req.params.org;
+    entry.request = `${req.method} ${req.baseUrl}${req.path}`;
+    entry.code = body.code;
+
+    return writeAuditEntry(entry).then(() => res.json(body));
 }
 
 /**
  * Authentication middleware
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
     if (!token) {
-        return res.status(401).json({
+        return deny(req, res, 401, {
             success: false,
             error: 'Access token required',
             code: 'AUTH_REQUIRED'
         });
     }
     
+    let user;
     try {
-        const user = verifyJWT(token);
-        req.user = user;
-        next();
+        user = await verifyJWT(token);
     } catch (error) {
-        return res.status(403).json({
+        return deny(req, res, 401, {
             success: false,
             error: 'Invalid or expired token',
             code: 'AUTH_INVALID'
         });
     }
+    
+    let revoked;
+    try {
+        revoked = await isTokenRevoked(user);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (revoked) {
+        return deny(req, res, 401, {
+            success: false,
+            error: 'Token has been revoked',
+            code: 'AUTH_REVOKED'
+        });
+    }
+    
+    req.user = user;
+    next();
 }
 
 /**
  * Organization access middleware
  */
 function requireOrgAccess(req, res, next) {
-    const org = req.params.org || req.body.org;
+    const org = requestOrg(req);
     
     if (!org) {
         return res.status(400).json({
@@ -133,7 +237,7 @@ function requireOrgAccess(req, res, next) {
     }
     
     if (!hasOrgPermission(req.user, org)) {
-        return res.status(403).json({
+        return deny(req, res, 403, {
             success: false,
             error: `Access denied to organization: ${org}`,
             code: 'ORG_ACCESS_DENIED'
@@ -145,11 +249,35 @@ function requireOrgAccess(req, res, next) {
 }
 
 /**
- * Admin access middleware
+ * Role middleware - at least `role` in the request's organization
+ * Runs after requireOrgAccess (or anything else that sets req.organization).
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        const org = req.organization || req.params.org;
+        const current = getOrgRole(req.user, org);
+        
+        if (!hasRole(current, role)) {
+            return deny(req, res, 403, {
+                success: false,
+                error: `${role} role required in ${org}`,
+                code: 'ROLE_REQUIRED',
+                requiredRole: role,
+                currentRole: current
+            });
+        }
+        
+        req.orgRole = current;
+        next();
+    };
+}
+
+/**
+ * Platform admin middleware (server-wide operations)
  */
 function requireAdmin(req, res, next) {
     if (!req.user.isAdmin) {
-        return res.status(403).json({
+        return deny(req, res, 403, {
             success: false,
             error: 'Admin access required',
             code: 'ADMIN_REQUIRED'
@@ -160,126 +288,237 @@ function requireAdmin(req, res, next) {
 }
 
 /**
- * Input validation middleware
+ * Scheduling checks shared by rollout and rollback requests
+ */
+function validateScheduling({ scheduledFor }, errors) {
+    if (scheduledFor !== undefined && new Date(scheduledFor) <= new Date()) {
+        errors.push('body.scheduledFor must be in the future');
+    }
+}
+
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors,
+        code: 'VALIDATION_ERROR',
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Rollout request checks that span fields. Field types, formats and limits
+ * are validated against the API document first (validateRequest).
  */
 function validateApprovalRequest(req, res, next) {
-    const { repos, rolloutType, approvedBy } = req.body;
+    const { repos, selection, criteria, rolloutMode, strategy } = req.body;
     const errors = [];
     
-    // Validate repositories
-    if (!repos || !Array.isArray(repos) || repos.length === 0) {
-        errors.push('repos must be a non-empty array');
-    } else if (repos.some(repo => typeof repo !== 'string' || repo.trim() === '')) {
-        errors.push('all repository names must be non-empty strings');
+    // Repositories are listed, or picked by a saved selection and/or criteria
+    if (repos === undefined && selection === undefined && criteria === undefined) {
+        errors.push('body.repos is required unless selection or criteria is given');
+    } else if (repos !== undefined && (selection !== undefined || criteria !== undefined)) {
+        errors.push('body.repos cannot be combined with selection or criteria');
     }
     
-    // Validate rollout type
-    const validRolloutTypes = ['full', 'deps-only', 'actions-only', 'dry-run'];
-    if (rolloutType && !validRolloutTypes.includes(rolloutType)) {
-        errors.push(`rolloutType must be one of: ${validRolloutTypes.join(', ')}`);
+    if (strategy !== undefined) {
+        if (rolloutMode !== 'staged') {
+            errors.push('body.strategy is only allowed when rolloutMode is staged');
+        } else if (repos && strategy.canary && strategy.canary.some(repo => !repos.includes(repo))) {
+            errors.push('body.strategy.canary must only list repositories from repos');
+        }
     }
     
-    // Validate approver
-    if (!approvedBy || typeof approvedBy !== 'string' || approvedBy.trim() === '') {
-        errors.push('approvedBy is required and must be a non-empty string');
-    }
+    validateScheduling(req.body, errors);
     
-    // Additional validation
-    if (repos && repos.length > 50) {
-        errors.push('maximum 50 repositories allowed per rollout');
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
     }
     
+    next();
+}
+
+/**
+ * Rollback request checks that span fields; see validateApprovalRequest
+ */
+function validateRollbackRequest(req, res, next) {
+    const errors = [];
+    
+    validateScheduling(req.body, errors);
+    
     if (errors.length > 0) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            details: errors,
-            code: 'VALIDATION_ERROR'
-        });
+        return sendValidationErrors(res, errors);
     }
     
     next();
 }
 
 /**
- * Rate limiting by user
+ * Caller identity for rate limiting, with the caller's role in the
+ * organization the request targets (null without one). Runs before
+ * authenticateToken, so it reads the token itself; callers without a valid
+ * token are limited by IP.
  */
-function createUserRateLimit() {
-    const userRequests = new Map();
-    const WINDOW_SIZE = 15 * 60 * 1000; // 15 minutes
-    const MAX_REQUESTS = 50; // per user per window
-    
-    return (req, res, next) => {
-        const userId = req.user ? req.user.id : req.ip;
-        const now = Date.now();
-        
-        // Clean old entries
-        for (const [user, data] of userRequests.entries()) {
-            if (now - data.windowStart > WINDOW_SIZE) {
-                userRequests.delete(user);
-            }
+async function rateLimitIdentity(req, params) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token) {
+        try {
+            const claims = await verifyJWT(token);
+            const org = requestOrg(req, params);
+            return { key: `user:${claims.login}`, role: org ? getOrgRole(claims, org) : null };
+        } catch (error) {
+            // Invalid tokens are rejected later; count them as anonymous
         }
-        
-        // Get or create user entry
-        let userEntry = userRequests.get(userId);
-        if (!userEntry || now - userEntry.windowStart > WINDOW_SIZE) {
-            userEntry = { count: 0, windowStart: now };
-            userRequests.set(userId, userEntry);
+    }
+
+    return { key: `ip:${req.ip}`, role: 'anonymous' };
+}
+
+/**
+ * Set RateLimit-* headers unless an earlier limiter is closer to its limit
+ */
+function setRateLimitHeaders(res, limit, remaining, resetTime, windowSeconds) {
+    const current = res.get('RateLimit-Remaining');
+    if (current !== undefined && parseInt(current, 10) < remaining) {
+        return;
+    }
+
+    res.set({
+        'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(Math.max(0, Math.ceil((resetTime - Date.now()) / 1000)))
+    });
+}
+
+/**
+ * Rate limiting by user, per route and role (see RATE_LIMITS).
+ * Mounted before routing, it cannot see route parameters; `routeParams`
+ * returns those of the route the request will reach.
+ */
+function createUserRateLimit(policy = RATE_LIMITS, { routeParams = req => req.params } = {}) {
+    const windowMs = policy.windowSeconds * 1000;
+
+    return async (req, res, next) => {
+        const urlPath = req.originalUrl.split('?')[0];
+        const rule = policy.routes.find(candidate =>
+            (!candidate.methods || candidate.methods.includes(req.method)) &&
+            candidate.paths.some(prefix => urlPath === prefix || urlPath.startsWith(`${prefix}/`)));
+        if (!rule) {
+            return next();
         }
-        
-        // Check rate limit
-        if (userEntry.count >= MAX_REQUESTS) {
+
+        const { key, role } = await rateLimitIdentity(req, routeParams(req));
+        const max = role in rule.limits ? rule.limits[role] : rule.limits.default;
+        if (max === undefined || max === null) {
+            return next();
+        }
+
+        let hit;
+        try {
+            hit = await getRateLimitStore().increment(`${rule.name}:${key}`, windowMs);
+        } catch (error) {
+            // Fail open: a broken counter store must not take the API down
+            console.error('Rate limit store unavailable:', error);
+            return next();
+        }
+
+        setRateLimitHeaders(res, max, Math.max(0, max - hit.count), hit.resetTime, policy.windowSeconds);
+
+        if (hit.count > max) {
+            res.set('Retry-After', String(Math.max(0, Math.ceil((hit.resetTime - Date.now()) / 1000))));
             return res.status(429).json({
                 success: false,
                 error: 'Rate limit exceeded',
-                resetTime: new Date(userEntry.windowStart + WINDOW_SIZE).toISOString(),
-                code: 'RATE_LIMIT_EXCEEDED'
+                resetTime: new Date(hit.resetTime).toISOString(),
+                code: 'RATE_LIMIT_EXCEEDED',
+                limit: rule.name
             });
         }
-        
-        userEntry.count++;
+
         next();
     };
 }
 
+/**
+ * Build an audit entry describing the current request
+ */
+function buildAuditEntry(req, res, action) {
+    return {
+        timestamp: new Date().toISOString(),
+        action,
+        user: req.user ? {
+            id: req.user.id,
+            login: req.user.login,
+            name: req.user.name
+        } : null,
+        organization: req.organization,
+        params: Object.keys(req.params || {}).length > 0 ? req.params : undefined,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        statusCode: res.statusCode,
+        requestBody: action === 'approval' ? {
+            repos: req.body.repos,
+            rolloutType: req.body.rolloutType,
+            approvedBy: req.user ? req.user.login : null
+        } : undefined,
+        role: action === 'role_assignment' ? (req.method === 'DELETE' ? null : req.body.role) : undefined,
+        reason: action === 'lock_break' && req.body ? req.body.reason : undefined,
+        replayed: res.get('Idempotent-Replayed') === 'true' || undefined
+    };
+}
+
+/**
+ * Persist an audit entry. Resolves once it is stored - or failed to be, which
+ * is logged rather than turned into an error response.
+ */
+function writeAuditEntry(logEntry) {
+    console.log('AUDIT:', JSON.stringify(logEntry));
+    return recordAudit(logEntry).then(() => {}, error => {
+        console.error('Failed to persist audit entry:', error);
+    });
+}
+
 /**
  * Audit logging middleware
+ * Persists one hash-chained entry per response to the audit store. The
+ * response is held back until the entry is stored, so a serverless instance
+ * frozen after responding cannot lose it.
  */
 function auditLog(action) {
     return (req, res, next) => {
         const originalSend = res.send;
-        
+        let logged = false;
+
+        res.locals.auditAction = action;
         res.send = function(data) {
-            // Log the action
-            const logEntry = {
-                timestamp: new Date().toISOString(),
-                action,
-                user: req.user ? {
-                    id: req.user.id,
-                    login: req.user.login,
-                    name: req.user.name
-                } : null,
-                organization: req.organization,
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                statusCode: res.statusCode,
-                requestBody: action === 'approval' ? {
-                    repos: req.body.repos,
-                    rolloutType: req.body.rolloutType,
-                    approvedBy: req.body.approvedBy
-                } : undefined
-            };
-            
-            console.log('AUDIT:', JSON.stringify(logEntry));
-            
-            // Call original send
-            originalSend.call(this, data);
+            if (logged) {
+                return originalSend.call(this, data);
+            }
+            logged = true;
+
+            writeAuditEntry(buildAuditEntry(req, res, action))
+                .then(() => originalSend.call(this, data))
+                .catch(next);
+            return this;
         };
         
         next();
     };
 }
 
+/**
+ * Audit a streaming (SSE) request before the stream opens
+ * Streams never call res.send, so auditLog() would not see them.
+ */
+function auditStream(action) {
+    return (req, res, next) => {
+        writeAuditEntry(buildAuditEntry(req, res, action)).then(() => next());
+    };
+}
+
 /**
  * Security headers middleware
  */
@@ -302,6 +541,11 @@ function securityHeaders(req, res, next) {
  */
 function errorHandler(error, req, res, next) {
     console.error('Unhandled error:', error);
+
+    // Too late for a JSON error; let Express close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
     
     // Don't leak error details in production
     const isDevelopment = process.env.NODE_ENV !== 'production';
@@ -317,16 +561,24 @@ function errorHandler(error, req, res, next) {
 }
 
 module.exports = {
+    JWT_EXPIRES_IN_SECONDS,
+    JWT_REFRESH_EXPIRES_IN_SECONDS,
+    RATE_LIMITS,
     verifyGitHubToken,
     generateJWT,
     verifyJWT,
+    getOrgRole,
     hasOrgPermission,
     authenticateToken,
     requireOrgAccess,
+    requireRole,
     requireAdmin,
+    deny,
     validateApprovalRequest,
+    validateRollbackRequest,
     createUserRateLimit,
     auditLog,
+    auditStream,
     securityHeaders,
     errorHandler
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * Security and Authentication Module tests
+ * Per-user rate limits: the role each request is limited by, the 429, and
+ * the RateLimit-* headers, first on small routes of their own, then as
+ * approval-server.js mounts the limiter ahead of routing.
+ */
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ADMIN_GITHUB_USERS = 'root';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMITS = JSON.stringify({
+    windowSeconds: 60,
+    global: 1000,
+    routes: [
+        { name: 'approve', methods: ['POST'], paths: ['/api/approve'], limits: { default: 2, approver: 3, admin: 4 } },
+        { name: 'api', paths: ['/api'], limits: { default: 5, anonymous: 1, viewer: 6, admin: 8 } }
+    ]
+});
+
+const express = require('express');
+const request = require('supertest');
+const { RATE_LIMITS, generateJWT, createUserRateLimit } = require('./security');
+const { createMemoryStore, setRateLimitStore } = require('./rate-limit-store');
+const { writeOrgConfig } = require('./test-utils');
+
+// alice is an admin in acme and a viewer in globex, bob an approver in
+// acme, and root a platform admin
+const tokens = {};
+
+async function tokenFor(login) {
+    return `Bearer ${await generateJWT({ id: 1, login, name: login, organizations: ['acme', 'globex'], teams: [] })}`;
+}
+
+beforeAll(async () => {
+    writeOrgConfig('acme', { roles: { default: 'viewer', users: { alice: 'admin', bob: 'approver' } } });
+    writeOrgConfig('globex', { roles: { default: 'viewer' } });
+
+    tokens.alice = await tokenFor('alice');
+    tokens.bob = await tokenFor('bob');
+    tokens.root = await tokenFor('root');
+});
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('createUserRateLimit', () => {
+    const limiter = createUserRateLimit(RATE_LIMITS);
+    const ok = (req, res) => res.json({ success: true });
+
+    const app = express();
+    app.use(express.json());
+    app.post('/api/approve/:org', limiter, ok);
+    app.get('/api/things', limiter, ok);
+    app.post('/api/things', limiter, ok);
+    app.get('/health', limiter, ok);
+
+    function get(path, token) {
+        const pending = request(app).get(path);
+        return token ? pending.set('Authorization', token) : pending;
+    }
+
+    test.each([
+        ['the :org route parameter', () => request(app).post('/api/approve/acme').set('Authorization', tokens.alice), 4],
+        ['the :org route parameter, in another org', () => request(app).post('/api/approve/globex').set('Authorization', tokens.alice), 2],
+        ['the org query parameter', () => get('/api/things?org=acme', tokens.alice), 8],
+        ['the org query parameter, in another org', () => get('/api/things?org=globex', tokens.alice), 6],
+        ['the body\'s org', () => request(app).post('/api/things').set('Authorization', tokens.alice).send({ org: 'globex' }), 6],
+        ['no org', () => get('/api/things', tokens.alice), 5],
+        ['an org the caller has no role in', () => get('/api/things?org=initech', tokens.alice), 5],
+        ['a platform admin, in any org', () => get('/api/things?org=initech', tokens.root), 8]
+    ])('limits by the role in the targeted org: %s', async (_, send, limit) => {
+        const response = await send();
+
+        expect(response.status).toBe(200);
+        expect(response.headers['ratelimit-limit']).toBe(String(limit));
+    });
+
+    test('sets the RateLimit-* headers and counts down', async () => {
+        const first = await get('/api/things?org=acme', tokens.alice);
+        const second = await get('/api/things?org=acme', tokens.alice);
+
+        expect(first.headers).toMatchObject({
+            'ratelimit-policy': '8;w=60',
+            'ratelimit-limit': '8',
+            'ratelimit-remaining': '7',
+            'ratelimit-reset': '60'
+        });
+        expect(second.headers['ratelimit-remaining']).toBe('6');
+    });
+
+    test('answers 429 with Retry-After once the limit is spent', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await request(app).post('/api/approve/acme').set('Authorization', tokens.bob)).status).toBe(200);
+        }
+
+        const refused = await request(app).post('/api/approve/acme').set('Authorization', tokens.bob);
+        expect(refused.status).toBe(429);
+        expect(refused.body).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', limit: 'approve' });
+        expect(refused.headers['retry-after']).toBe('60');
+        expect(refused.headers['ratelimit-remaining']).toBe('0');
+
+        // Counted per user: alice still has her own allowance
+        expect((await request(app).post('/api/approve/acme').set('Authorization', tokens.alice)).status).toBe(200);
+    });
+
+    test('counts callers without a valid token by IP, as anonymous', async () => {
+        expect((await get('/api/things')).headers['ratelimit-limit']).toBe('1');
+
+        const refused = await get('/api/things', 'Bearer not-a-jwt');
+        expect(refused.status).toBe(429);
+        expect(refused.headers['ratelimit-limit']).toBe('1');
+    });
+
+    test('leaves paths outside every route group alone', async () => {
+        const response = await get('/health', tokens.alice);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['ratelimit-limit']).toBeUndefined();
+    });
+
+    test('lets requests through when the store fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        setRateLimitStore({ increment: async () => { throw new Error('store down'); } });
+
+        const response = await get('/api/things', tokens.alice);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['ratelimit-limit']).toBeUndefined();
+    });
+
+    test('keeps the headers of an earlier limiter that is closer to its limit', async () => {
+        const stacked = express();
+        stacked.use((req, res, next) => {
+            res.set({ 'RateLimit-Limit': '100', 'RateLimit-Remaining': '2' });
+            next();
+        });
+        stacked.get('/api/things', limiter, ok);
+
+        const response = await request(stacked).get('/api/things?org=acme').set('Authorization', tokens.alice);
+        expect(response.headers).toMatchObject({ 'ratelimit-limit': '100', 'ratelimit-remaining': '2' });
+    });
+});
+
+describe('the server\'s per-user limiter', () => {
+    const app = require('./approval-server');
+
+    // Mounted ahead of routing, it still finds the :org of the route
+    test.each([
+        ['GET', '/api/freezes/acme', 8],
+        ['GET', '/api/freezes/globex', 6],
+        ['POST', '/api/approve/acme', 4],
+        ['POST', '/api/approve/globex', 2],
+        ['PUT', '/api/roles/acme/users/bob', 8],
+        ['GET', '/api/rollouts', 5]
+    ])('limits %s %s by the role there', async (method, path, limit) => {
+        const response = await request(app)[method.toLowerCase()](path).set('Authorization', tokens.alice);
+
+        expect(response.headers['ratelimit-limit']).toBe(String(limit));
+    });
+});
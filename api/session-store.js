@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Session Store
+ * Sessions, token revocations and generated signing keys, behind a
+ * pluggable backend so every instance sees the same ones
+ *
+ * A backend stores named JSON documents and exposes two async methods:
+ *   read(name)           - resolve to the document, or {} when there is none
+ *   update(name, mutate) - atomically load the document ({} when there is
+ *                          none), let mutate(document) change it in place and
+ *                          store it; resolves to mutate's result. Nothing is
+ *                          stored when mutate throws.
+ *
+ * The file backend lets processes sharing DATA_DIR share state; a networked
+ * backend (Redis, a database) can be set with setSessionStore().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./json-store');
+const { withFileLock } = require('./file-lock');
+
+// Configuration
+const SESSION_STORE = process.env.SESSION_STORE || 'file';
+const SESSION_CACHE_SECONDS = isNaN(parseInt(process.env.SESSION_CACHE_SECONDS, 10))
+    ? 5
+    : parseInt(process.env.SESSION_CACHE_SECONDS, 10);
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * In-process backend (per instance; state is lost on restart)
+ */
+function createMemoryStore() {
+    const documents = new Map();
+
+    return {
+        name: 'memory',
+
+        async read(name) {
+            return clone(documents.get(name) || {});
+        },
+
+        async update(name, mutate) {
+            const document = clone(documents.get(name) || {});
+            const result = mutate(document);
+            documents.set(name, document);
+            return result;
+        }
+    };
+}
+
+/**
+ * Local file backend - <dir>/<name>.json, updated under an exclusive lock
+ * file so processes sharing the directory never lose each other's changes
+ */
+function createFileStore(dir = DATA_DIR) {
+    async function load(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    return {
+        name: 'file',
+
+        read(name) {
+            return load(path.join(dir, `${name}.json`));
+        },
+
+        update(name, mutate) {
+            const filePath = path.join(dir, `${name}.json`);
+
+            return withFileLock(filePath, async () => {
+                const document = await load(filePath);
+                const result = mutate(document);
+
+                // Write-then-rename so readers never see a half-written file
+                const tmpPath = `${filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmpPath, JSON.stringify(document, null, 2), 'utf8');
+                await fs.promises.rename(tmpPath, filePath);
+                return result;
+            });
+        }
+    };
+}
+
+function createStoreFromEnv() {
+    switch (SESSION_STORE) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore();
+        default:
+            throw new Error(`Unknown SESSION_STORE backend: ${SESSION_STORE}`);
+    }
+}
+
+let store = createStoreFromEnv();
+const documents = [];
+
+/**
+ * Replace the active backend (e.g. with a Redis-backed implementation)
+ */
+function setSessionStore(newStore) {
+    store = newStore;
+    documents.forEach(document => document.invalidate());
+}
+
+function getSessionStore() {
+    return store;
+}
+
+/**
+ * One named document in the active backend, filled in from `defaults`.
+ * read() serves a read-only copy cached for SESSION_CACHE_SECONDS (pass
+ * { fresh: true } to skip the cache); update() always works on the stored
+ * copy and refreshes the cache, so this instance sees its own changes at once.
+ */
+function createCachedDocument(name, defaults) {
+    let cached = null;
+    let cachedAt = 0;
+
+    function withDefaults(document) {
+        for (const [key, value] of Object.entries(defaults)) {
+            if (document[key] === undefined) {
+                document[key] = clone(value);
+            }
+        }
+        return document;
+    }
+
+    function remember(document) {
+        cached = clone(document);
+        cachedAt = Date.now();
+    }
+
+    const document = {
+        async read({ fresh = false } = {}) {
+            if (fresh || !cached || Date.now() - cachedAt >= SESSION_CACHE_SECONDS * 1000) {
+                remember(withDefaults(await store.read(name)));
+            }
+            return cached;
+        },
+
+        async update(mutate) {
+            let stored;
+            const result = await store.update(name, current => {
+                stored = withDefaults(current);
+                return mutate(stored);
+            });
+
+            remember(stored);
+            return result;
+        },
+
+        invalidate() {
+            cached = null;
+        }
+    };
+
+    documents.push(document);
+    return document;
+}
+
+module.exports = {
+    SESSION_CACHE_SECONDS,
+    createMemoryStore,
+    createFileStore,
+    setSessionStore,
+    getSessionStore,
+    createCachedDocument
+};
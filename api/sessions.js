@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * Sessions and Token Revocation
+ * A sign-in opens a session holding a rotating refresh token. Each refresh
+ * replaces the token; presenting a replaced one again is treated as theft
+ * and revokes the session. Revoked access tokens, sessions and "revoke
+ * everything before" marks per user are what authenticateToken checks.
+ *
+ * State lives in the shared session store; revocation checks read a copy
+ * cached for SESSION_CACHE_SECONDS, so another instance's revocation takes
+ * effect here within that time.
+ */
+
+const crypto = require('crypto');
+const { createCachedDocument } = require('./session-store');
+
+const store = createCachedDocument('sessions', { sessions: {}, revokedTokens: {}, revokedUsers: {} });
+
+// Replaced refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+/**
+ * Error carrying the HTTP status and structured code for the route layer
+ */
+class SessionError extends Error {
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+/**
+ * Drop expired sessions and revocations that no longer matter
+ */
+function prune(data, now = Date.now()) {
+    for (const [id, session] of Object.entries(data.sessions)) {
+        if (new Date(session.expiresAt).getTime() <= now) {
+            delete data.sessions[id];
+        }
+    }
+    for (const [jti, expiresAt] of Object.entries(data.revokedTokens)) {
+        if (new Date(expiresAt).getTime() <= now) {
+            delete data.revokedTokens[jti];
+        }
+    }
+}
+
+/**
+ * Open a session for a signed-in user
+ */
+async function createSession(user, ttlSeconds) {
+    const id = crypto.randomUUID();
+    const refresh = newRefreshToken(id);
+    const now = new Date();
+
+    const session = {
+        id,
+        user: {
+            id: user.id,
+            login: user.login,
+            name: user.name,
+            email: user.email,
+            organizations: user.organizations,
+            teams: user.teams || []
+        },
+        refreshHash: refresh.hash,
+        previousHashes: [],
+        createdAt: now.toISOString(),
+        refreshedAt: null,
+        expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+        revokedAt: null
+    };
+
+    await store.update(data => {
+        prune(data);
+        data.sessions[id] = session;
+    });
+
+    return { session, refreshToken: refresh.token };
+}
+
+/**
+ * Exchange a refresh token for its replacement
+ */
+async function rotateRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+        throw new SessionError('Malformed refresh token', 'REFRESH_INVALID');
+    }
+
+    return store.update(data => {
+        const session = data.sessions[sessionId];
+        const hash = hashToken(secret);
+
+        if (!session) {
+            throw new SessionError('Invalid refresh token', 'REFRESH_INVALID');
+        }
+        if (new Date(session.expiresAt) <= new Date()) {
+            throw new SessionError('Session expired - sign in again', 'REFRESH_EXPIRED');
+        }
+        if (session.revokedAt) {
+            throw new SessionError('Session has been revoked', 'SESSION_REVOKED');
+        }
+        if (session.previousHashes.includes(hash)) {
+            session.revokedAt = new Date().toISOString();
+            session.revokedReason = 'refresh token reuse';
+            return { reused: true, session };
+        }
+        if (session.refreshHash !== hash) {
+            throw new SessionError('Invalid refresh token', 'REFRESH_INVALID');
+        }
+
+        const refresh = newRefreshToken(sessionId);
+        session.previousHashes = [...session.previousHashes, session.refreshHash].slice(-MAX_PREVIOUS_TOKENS);
+        session.refreshHash = refresh.hash;
+        session.refreshedAt = new Date().toISOString();
+
+        return { reused: false, session, refreshToken: refresh.token };
+    });
+}
+
+/**
+ * Revoke a session (its refresh token and every access token it issued)
+ */
+async function revokeSession(sessionId, reason) {
+    return store.update(data => {
+        const session = data.sessions[sessionId];
+        if (session && !session.revokedAt) {
+            session.revokedAt = new Date().toISOString();
+            session.revokedReason = reason;
+        }
+        return Boolean(session);
+    });
+}
+
+/**
+ * Revoke a single access token until it would have expired anyway
+ */
+async function revokeToken(jti, expiresAtSeconds) {
+    await store.update(data => {
+        prune(data);
+        data.revokedTokens[jti] = new Date(expiresAtSeconds * 1000).toISOString();
+    });
+}
+
+/**
+ * Revoke every session and token issued to a user so far
+ */
+async function revokeUser(login, reason) {
+    return store.update(data => {
+        const now = new Date().toISOString();
+        let sessions = 0;
+
+        for (const session of Object.values(data.sessions)) {
+            if (session.user.login === login && !session.revokedAt) {
+                session.revokedAt = now;
+                session.revokedReason = reason;
+                sessions++;
+            }
+        }
+
+        data.revokedUsers[login] = now;
+        return { login, sessions, revokedBefore: now };
+    });
+}
+
+/**
+ * Has this decoded access token been revoked?
+ */
+async function isTokenRevoked(claims) {
+    const data = await store.read();
+
+    if (claims.jti && data.revokedTokens[claims.jti]) {
+        return true;
+    }
+    if (claims.sid && (!data.sessions[claims.sid] || data.sessions[claims.sid].revokedAt)) {
+        return true;
+    }
+
+    const revokedBefore = data.revokedUsers[claims.login];
+    return Boolean(revokedBefore && claims.iat * 1000 <= new Date(revokedBefore).getTime());
+}
+
+module.exports = {
+    SessionError,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeToken,
+    revokeUser,
+    isTokenRevoked
+};
@@ -0,0 +1,233 @@
+/**
+ * Sessions, Token Revocation and Signing Keys tests
+ * Signs in as the sandbox users through the auth routes of
+ * approval-server.js, with a generated keyset (no JWT_SECRET) so keys can
+ * be rotated, and checks that every token is verified by its kid, that a
+ * reused refresh token revokes its whole session, and that logout and
+ * revocation are honored by isTokenRevoked.
+ */
+
+delete process.env.JWT_SECRET;
+delete process.env.JWT_KEYS;
+process.env.ADMIN_GITHUB_USERS = 'sandbox-admin';
+process.env.GITHUB_SANDBOX = 'true';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.OPENAPI_STRICT_RESPONSES = 'true';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('./approval-server');
+const { verifyJWT } = require('./security');
+const { rotateSigningKey, describeKeyset } = require('./keyset');
+const { getSessionStore } = require('./session-store');
+const { isTokenRevoked, revokeToken, revokeSession } = require('./sessions');
+const { writeOrgConfig } = require('./test-utils');
+const SANDBOX_CONFIG = require('./fixtures/sandbox/config/sandbox-org.json');
+
+const ORG = 'sandbox-org';
+
+async function signIn(who) {
+    const response = await request(app).post('/api/auth/github').send({ github_token: `sandbox-${who}-token` });
+    expect(response.status).toBe(200);
+    return response.body.data;
+}
+
+function refresh(refreshToken) {
+    return request(app).post('/api/auth/refresh').send({ refresh_token: refreshToken });
+}
+
+// An authenticated call any signed-in member of the org may make
+function listRollouts(token) {
+    return request(app).get(`/api/rollouts?org=${ORG}`).set('Authorization', `Bearer ${token}`);
+}
+
+const kidOf = token => jwt.decode(token, { complete: true }).header.kid;
+
+beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    writeOrgConfig(ORG, SANDBOX_CONFIG);
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('signing keys', () => {
+    test('verifies each token by its kid, across a rotation', async () => {
+        const before = await signIn('admin');
+        const { activeKid: oldKid } = await describeKeyset();
+        expect(kidOf(before.token)).toBe(oldKid);
+
+        const rotated = await request(app).post('/api/auth/keys/rotate').set('Authorization', `Bearer ${before.token}`);
+        expect(rotated.status).toBe(200);
+        expect(rotated.body.data).toMatchObject({ retiredKid: oldKid, activeKid: expect.any(String) });
+        const newKid = rotated.body.data.activeKid;
+        expect(newKid).not.toBe(oldKid);
+
+        // New tokens carry the new kid; the retired key still verifies old ones
+        const after = await signIn('admin');
+        expect(kidOf(after.token)).toBe(newKid);
+        expect((await listRollouts(before.token)).status).toBe(200);
+        expect((await listRollouts(after.token)).status).toBe(200);
+
+        const keys = await request(app).get('/api/auth/keys').set('Authorization', `Bearer ${after.token}`);
+        expect(keys.body.data.keys).toEqual([
+            expect.objectContaining({ kid: oldKid, retiredAt: expect.any(String), verifyUntil: expect.any(String) }),
+            { kid: newKid, createdAt: expect.any(String) }
+        ]);
+        expect(JSON.stringify(keys.body)).not.toMatch(/secret/);
+    });
+
+    test('stops verifying tokens of a key once it is no longer retained', async () => {
+        const { token } = await signIn('viewer');
+
+        await rotateSigningKey(0);
+
+        await expect(verifyJWT(token)).rejects.toThrow('Invalid JWT token: unknown signing key');
+        const response = await listRollouts(token);
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('AUTH_INVALID');
+    });
+
+    test('refuses a token naming the active kid but signed with another secret', async () => {
+        const { activeKid } = await describeKeyset();
+        const forged = jwt.sign({ login: 'sandbox-admin', isAdmin: true }, 'guessed-secret', { keyid: activeKid, expiresIn: 60 });
+
+        await expect(verifyJWT(forged)).rejects.toThrow('Invalid JWT token: invalid signature');
+    });
+
+    test('picks up a key rotated in by another instance', async () => {
+        // Warm this instance's cached keyset first
+        await verifyJWT((await signIn('viewer')).token);
+
+        const key = { kid: 'other-instance', secret: 'shared-store-secret', createdAt: new Date().toISOString() };
+        await getSessionStore().update('jwt-keys', data => {
+            data.keys.forEach(existing => {
+                existing.retiredAt = existing.retiredAt || key.createdAt;
+            });
+            data.keys.push(key);
+        });
+
+        const token = jwt.sign({ login: 'sandbox-viewer' }, key.secret, { keyid: key.kid, expiresIn: 60 });
+        await expect(verifyJWT(token)).resolves.toMatchObject({ login: 'sandbox-viewer' });
+    });
+});
+
+describe('refresh tokens', () => {
+    test('rotate on every refresh', async () => {
+        const signedIn = await signIn('approver');
+
+        const first = await refresh(signedIn.refresh_token);
+        expect(first.status).toBe(200);
+        expect(first.body.data.refresh_token).not.toBe(signedIn.refresh_token);
+        expect(jwt.decode(first.body.data.token).sid).toBe(jwt.decode(signedIn.token).sid);
+
+        const second = await refresh(first.body.data.refresh_token);
+        expect(second.status).toBe(200);
+        expect((await listRollouts(second.body.data.token)).status).toBe(200);
+    });
+
+    test('revoke the whole session when a replaced one is used again', async () => {
+        const signedIn = await signIn('approver');
+        const refreshed = (await refresh(signedIn.refresh_token)).body.data;
+
+        const reused = await refresh(signedIn.refresh_token);
+        expect(reused.status).toBe(401);
+        expect(reused.body.code).toBe('REFRESH_REUSED');
+
+        // The current refresh token and every access token of the session go with it
+        const current = await refresh(refreshed.refresh_token);
+        expect(current.status).toBe(401);
+        expect(current.body.code).toBe('SESSION_REVOKED');
+
+        for (const token of [signedIn.token, refreshed.token]) {
+            const response = await listRollouts(token);
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('AUTH_REVOKED');
+            expect(await isTokenRevoked(jwt.decode(token))).toBe(true);
+        }
+
+        // Other sessions of the same user are left alone
+        expect((await listRollouts((await signIn('approver')).token)).status).toBe(200);
+    });
+
+    test.each([
+        ['malformed', 'not-a-refresh-token', 'REFRESH_INVALID'],
+        ['for an unknown session', '00000000-0000-4000-8000-000000000000.secret', 'REFRESH_INVALID']
+    ])('refuse one that is %s', async (_, refreshToken, code) => {
+        const response = await refresh(refreshToken);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe(code);
+    });
+
+    test('refuse a made-up secret for a real session', async () => {
+        const { refresh_token: refreshToken } = await signIn('viewer');
+        const [sessionId] = refreshToken.split('.');
+
+        const response = await refresh(`${sessionId}.made-up`);
+
+        expect(response.body.code).toBe('REFRESH_INVALID');
+        expect((await refresh(refreshToken)).status).toBe(200);
+    });
+});
+
+describe('revocation', () => {
+    test('logout revokes the access token and the session', async () => {
+        const signedIn = await signIn('viewer');
+        const claims = jwt.decode(signedIn.token);
+        expect(await isTokenRevoked(claims)).toBe(false);
+
+        const loggedOut = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${signedIn.token}`);
+        expect(loggedOut.status).toBe(200);
+
+        expect(await isTokenRevoked(claims)).toBe(true);
+        expect((await listRollouts(signedIn.token)).body.code).toBe('AUTH_REVOKED');
+        expect((await refresh(signedIn.refresh_token)).body.code).toBe('SESSION_REVOKED');
+    });
+
+    test('revoking a user revokes every session and token issued to them so far', async () => {
+        const admin = await signIn('admin');
+        const sessions = [await signIn('approver'), await signIn('approver')];
+
+        const revoked = await request(app)
+            .post('/api/auth/revoke')
+            .set('Authorization', `Bearer ${admin.token}`)
+            .send({ login: 'sandbox-approver' });
+        expect(revoked.status).toBe(200);
+        expect(revoked.body.data).toMatchObject({ login: 'sandbox-approver', sessions: expect.any(Number), revokedBefore: expect.any(String) });
+        expect(revoked.body.data.sessions).toBeGreaterThanOrEqual(2);
+
+        for (const { token, refresh_token: refreshToken } of sessions) {
+            expect(await isTokenRevoked(jwt.decode(token))).toBe(true);
+            expect((await listRollouts(token)).body.code).toBe('AUTH_REVOKED');
+            expect((await refresh(refreshToken)).body.code).toBe('SESSION_REVOKED');
+        }
+
+        // Tokens issued after the revocation are accepted; other users are untouched
+        const later = Math.floor(new Date(revoked.body.data.revokedBefore).getTime() / 1000) + 1;
+        expect(await isTokenRevoked({ login: 'sandbox-approver', iat: later })).toBe(false);
+        expect(await isTokenRevoked(jwt.decode(admin.token))).toBe(false);
+    });
+
+    test('only admins may revoke a user', async () => {
+        const { token } = await signIn('viewer');
+
+        const response = await request(app).post('/api/auth/revoke').set('Authorization', `Bearer ${token}`).send({ login: 'sandbox-admin' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('revokes a single access token or session', async () => {
+        const { token } = await signIn('viewer');
+        const claims = jwt.decode(token);
+
+        await revokeToken(claims.jti, claims.exp);
+        expect(await isTokenRevoked(claims)).toBe(true);
+        expect(await isTokenRevoked({ ...claims, jti: 'another-token' })).toBe(false);
+
+        expect(await revokeSession(claims.sid, 'test')).toBe(true);
+        expect(await isTokenRevoked({ ...claims, jti: 'another-token' })).toBe(true);
+        expect(await revokeSession('no-such-session', 'test')).toBe(false);
+    });
+});
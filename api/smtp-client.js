@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Minimal SMTP Client
+ * Sends one plain-text message per connection: EHLO, STARTTLS when the
+ * server offers it, AUTH PLAIN when credentials are set, then MAIL/RCPT/DATA.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * Failed SMTP exchange; `transient` is false for 5xx replies, which a
+ * retry would only repeat
+ */
+class SmtpError extends Error {
+    constructor(message, replyCode, transient = !replyCode || replyCode < 500) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = 'SMTP_ERROR';
+        this.replyCode = replyCode;
+        this.transient = transient;
+    }
+}
+
+/**
+ * Collects server replies, joining multi-line ones ("250-...", "250 ...")
+ */
+function createReplyReader() {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    return {
+        feed(chunk) {
+            buffer += chunk.toString('utf8');
+
+            let end;
+            while ((end = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, end).replace(/\r$/, '');
+                buffer = buffer.slice(end + 1);
+                lines.push(line.slice(4));
+
+                if (line[3] !== '-') {
+                    const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+                    lines = [];
+                    if (waiting.length > 0) {
+                        waiting.shift().resolve(reply);
+                    } else {
+                        replies.push(reply);
+                    }
+                }
+            }
+        },
+        fail(error) {
+            failure = failure || error;
+            waiting.splice(0).forEach(waiter => waiter.reject(failure));
+        },
+        next() {
+            if (replies.length > 0) {
+                return Promise.resolve(replies.shift());
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        }
+    };
+}
+
+/**
+ * Open a connection, or upgrade the plain `socket` to TLS. Errors on either
+ * socket, or running past `timeoutMs` in total, destroy both and reject.
+ */
+function connect({ host, port, secure, socket, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const connection = secure || socket
+            ? tls.connect({ host, port, socket, servername: host })
+            : net.connect({ host, port });
+        const sockets = socket ? [connection, socket] : [connection];
+
+        // Left attached after a failure, so late errors from a dying socket are not uncaught
+        const fail = error => {
+            clearTimeout(timer);
+            sockets.forEach(candidate => candidate.destroy());
+            reject(error);
+        };
+        const timer = setTimeout(
+            () => fail(new SmtpError(`SMTP ${socket ? 'TLS upgrade' : 'connection'} to ${host}:${port} timed out`)),
+            timeoutMs
+        );
+
+        connection.setTimeout(timeoutMs, () => connection.destroy(new SmtpError(`SMTP connection to ${host}:${port} timed out`)));
+        sockets.forEach(candidate => candidate.on('error', fail));
+        connection.once(secure || socket ? 'secureConnect' : 'connect', () => {
+            clearTimeout(timer);
+            sockets.forEach(candidate => candidate.off('error', fail));
+            resolve(connection);
+        });
+    });
+}
+
+// Header values are ASCII; anything else is sent as an RFC 2047 encoded word
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function formatMessage({ from, to, subject, text, messageId }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+
+    // Lines starting with "." are doubled so they cannot end the DATA section
+    const body = text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line));
+
+    return [...headers, '', ...body].join('\r\n');
+}
+
+/**
+ * Send `text` to every address in `to`; resolves with the message ID and
+ * the server's final reply
+ */
+async function sendMail({ host, port = 587, secure = false, user, pass, from, to, subject, text, timeoutMs = 15000 }) {
+    const reader = createReplyReader();
+    let socket = await connect({ host, port, secure, timeoutMs });
+
+    // After STARTTLS the plain socket still carries the TLS stream; its errors must stay handled
+    const plain = socket;
+
+    const onClose = () => reader.fail(new SmtpError(`SMTP connection to ${host}:${port} closed`));
+    const attach = () => {
+        socket.on('data', reader.feed);
+        socket.on('error', reader.fail);
+        socket.on('close', onClose);
+    };
+    const detach = () => {
+        socket.off('data', reader.feed);
+        socket.off('error', reader.fail);
+        socket.off('close', onClose);
+    };
+
+    const command = async (line, expected, label = line && line.split(' ')[0]) => {
+        if (line) {
+            socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${label || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    };
+
+    attach();
+    try {
+        await command(null, [220]);
+        let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+        if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await command('STARTTLS', [220]);
+            detach();
+            socket = await connect({ host, port, socket, timeoutMs });
+            plain.on('error', reader.fail);
+            attach();
+            secure = true;
+            hello = await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (user) {
+            if (!secure) {
+                throw new SmtpError(`${host} offers no TLS - refusing to send SMTP credentials in the clear`, null, false);
+            }
+            await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235], 'AUTH');
+        }
+
+        const messageId = `<${crypto.randomUUID()}@${from.split('@').pop()}>`;
+
+        await command(`MAIL FROM:<${from}>`, [250]);
+        for (const recipient of to) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        const accepted = await command(`${formatMessage({ from, to, subject, text, messageId })}\r\n.`, [250], 'DATA');
+        await command('QUIT', [221]).catch(() => {});
+
+        return { messageId, response: `${accepted.code} ${accepted.lines.join(' ')}` };
+    } finally {
+        detach();
+        socket.destroy();
+        plain.destroy();
+    }
+}
+
+module.exports = {
+    SmtpError,
+    sendMail
+};
@@ -0,0 +1,20 @@
+/**
+ * Jest Setup
+ * Runs before each spec file: points DATA_DIR and CONFIG_DIR at a scratch
+ * directory of the file's own, so specs never touch the server's state or
+ * configuration, and removes it once the file has run.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-toolkit-test-'));
+
+process.env.DATA_DIR = path.join(scratchDir, 'data');
+process.env.CONFIG_DIR = path.join(scratchDir, 'config');
+fs.mkdirSync(process.env.CONFIG_DIR, { recursive: true });
+
+afterAll(() => {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+});
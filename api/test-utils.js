@@ -0,0 +1,60 @@
+/**
+ * Test Utilities
+ * Helpers shared by the *.test.js specs. test-setup.js has already pointed
+ * DATA_DIR and CONFIG_DIR at the spec file's scratch directory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createRollout } = require('./rollouts');
+
+/**
+ * Write <CONFIG_DIR>/<org>.json
+ */
+function writeOrgConfig(org, config) {
+    fs.writeFileSync(path.join(process.env.CONFIG_DIR, `${org}.json`), JSON.stringify(config, null, 2));
+}
+
+// Each test rollout gets its own organization, so org-wide locks never trip
+let orgCount = 0;
+
+/**
+ * Create a one-repo rollout in a fresh organization; `options` override
+ * any createRollout() field
+ */
+function createTestRollout(options = {}) {
+    return createRollout({
+        org: `acme-${++orgCount}`,
+        repos: ['payments-api'],
+        rolloutType: 'full',
+        approvalId: crypto.randomUUID(),
+        approvers: ['alice'],
+        target: { owner: 'Butterdime', repo: 'ci-toolkit' },
+        ...options
+    });
+}
+
+/**
+ * Resolve to the first truthy result of `check`, polling every 10 ms
+ */
+async function waitFor(check, { timeoutMs = 3000, what = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    writeOrgConfig,
+    createTestRollout,
+    waitFor
+};
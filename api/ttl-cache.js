@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * TTL Cache
+ * Bounded in-process cache whose entries expire after a fixed lifetime
+ */
+
+/**
+ * Create a cache; the oldest entries are evicted once maxEntries is reached
+ */
+function createTtlCache({ ttlMs, maxEntries = 5000 }) {
+    const entries = new Map();
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (Date.now() >= entry.expiresAt) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    function set(key, value, entryTtlMs = ttlMs) {
+        entries.delete(key);
+        if (entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+
+        const now = Date.now();
+        const entry = { value, cachedAt: now, expiresAt: now + entryTtlMs };
+        entries.set(key, entry);
+        return entry;
+    }
+
+    return {
+        ttlMs,
+        get,
+        set,
+        delete: key => entries.delete(key),
+        clear: () => entries.clear(),
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+module.exports = {
+    createTtlCache
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Unified Diff
+ * Line-based diffs in the `diff -u` / git format, small enough for the
+ * workflow files a rollout manages
+ */
+
+const CONTEXT_LINES = 3;
+// Above this many LCS cells, show the change as a full replacement
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+const NO_NEWLINE = '\n\\ No newline at end of file';
+
+/**
+ * Split into lines; a last line without a newline carries git's marker,
+ * so it differs from the same line with one
+ */
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += NO_NEWLINE;
+    }
+    return lines;
+}
+
+/**
+ * Edit script from `a` to `b` as [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = a.slice(prefix, a.length - suffix);
+    const newMiddle = b.slice(prefix, b.length - suffix);
+    const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+    const n = oldMiddle.length;
+    const m = newMiddle.length;
+
+    if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+        oldMiddle.forEach(line => ops.push({ type: '-', line }));
+        newMiddle.forEach(line => ops.push({ type: '+', line }));
+    } else {
+        // lcs[i * (m + 1) + j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+                    ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+                ops.push({ type: ' ', line: oldMiddle[i++] });
+                j++;
+            } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+                ops.push({ type: '-', line: oldMiddle[i++] });
+            } else {
+                ops.push({ type: '+', line: newMiddle[j++] });
+            }
+        }
+    }
+
+    a.slice(a.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+    return ops;
+}
+
+function hunkRange(start, count) {
+    // An empty side is addressed by the line before it
+    return count === 0 ? `${start - 1},0` : count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Unified diff of `path` from `oldText` to `newText` (either null when the
+ * file does not exist on that side); empty string when they are identical
+ */
+function createUnifiedDiff(path, oldText, newText) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changes.length === 0) {
+        return '';
+    }
+
+    // Group changes whose context would overlap into one hunk
+    const groups = [];
+    changes.forEach(index => {
+        const last = groups[groups.length - 1];
+        if (last && index - last.end <= CONTEXT_LINES * 2) {
+            last.end = index;
+        } else {
+            groups.push({ start: index, end: index });
+        }
+    });
+
+    const lines = [
+        oldText === null ? '--- /dev/null' : `--- a/${path}`,
+        newText === null ? '+++ /dev/null' : `+++ b/${path}`
+    ];
+
+    groups.forEach(group => {
+        const from = Math.max(0, group.start - CONTEXT_LINES);
+        const to = Math.min(ops.length, group.end + CONTEXT_LINES + 1);
+
+        const before = ops.slice(0, from);
+        const oldStart = before.filter(op => op.type !== '+').length + 1;
+        const newStart = before.filter(op => op.type !== '-').length + 1;
+        const hunk = ops.slice(from, to);
+
+        lines.push(`@@ -${hunkRange(oldStart, hunk.filter(op => op.type !== '+').length)} ` +
+            `+${hunkRange(newStart, hunk.filter(op => op.type !== '-').length)} @@`);
+        hunk.forEach(op => lines.push(op.type + op.line));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    createUnifiedDiff
+};
@@ -0,0 +1,106 @@
+/**
+ * Unified Diff tests
+ * Diffs of added, removed, unchanged and edited files, checked against the
+ * output `git diff` gives for the same change.
+ */
+
+const { createUnifiedDiff } = require('./unified-diff');
+
+const lines = (...values) => values.map(value => `${value}\n`).join('');
+const numbered = count => lines(...Array.from({ length: count }, (_, i) => i + 1));
+
+describe('createUnifiedDiff', () => {
+    test('diffs an added file against /dev/null', () => {
+        expect(createUnifiedDiff('.github/workflows/deps-install.yml', null, lines('name: deps', 'on: push'))).toBe(
+            '--- /dev/null\n' +
+            '+++ b/.github/workflows/deps-install.yml\n' +
+            '@@ -0,0 +1,2 @@\n' +
+            '+name: deps\n' +
+            '+on: push\n'
+        );
+    });
+
+    test('diffs a removed file against /dev/null', () => {
+        expect(createUnifiedDiff('.github/workflows/deps-install.yml', lines('name: deps', 'on: push'), null)).toBe(
+            '--- a/.github/workflows/deps-install.yml\n' +
+            '+++ /dev/null\n' +
+            '@@ -1,2 +0,0 @@\n' +
+            '-name: deps\n' +
+            '-on: push\n'
+        );
+    });
+
+    test.each([
+        ['the same content', lines('name: deps', 'on: push')],
+        ['empty content', ''],
+        ['content without a final newline', 'name: deps\non: push']
+    ])('is empty for an unchanged file with %s', (_, text) => {
+        expect(createUnifiedDiff('deps-install.yml', text, text)).toBe('');
+    });
+
+    test('addresses a one-line hunk without a count', () => {
+        expect(createUnifiedDiff('a.yml', lines('old'), lines('new'))).toBe(
+            '--- a/a.yml\n' +
+            '+++ b/a.yml\n' +
+            '@@ -1 +1 @@\n' +
+            '-old\n' +
+            '+new\n'
+        );
+    });
+
+    test('keeps three lines of context and splits distant changes into hunks', () => {
+        const before = numbered(20);
+        const after = before.replace('3\n', 'three\n').replace('17\n', 'seventeen\n');
+
+        expect(createUnifiedDiff('a.yml', before, after)).toBe(
+            '--- a/a.yml\n' +
+            '+++ b/a.yml\n' +
+            '@@ -1,6 +1,6 @@\n' +
+            ' 1\n 2\n-3\n+three\n 4\n 5\n 6\n' +
+            '@@ -14,7 +14,7 @@\n' +
+            ' 14\n 15\n 16\n-17\n+seventeen\n 18\n 19\n 20\n'
+        );
+    });
+
+    test('joins changes whose context would overlap into one hunk', () => {
+        const before = numbered(12);
+        const after = before.replace('3\n', 'X\n').replace('9\n', 'Y\n');
+
+        expect(createUnifiedDiff('a.yml', before, after).match(/^@@.*@@$/gm)).toEqual(['@@ -1,12 +1,12 @@']);
+    });
+
+    test('counts inserted and deleted lines in the hunk ranges', () => {
+        const before = lines('a', 'b', 'c', 'd');
+        const after = lines('a', 'b', 'new 1', 'new 2', 'd');
+
+        expect(createUnifiedDiff('a.yml', before, after)).toBe(
+            '--- a/a.yml\n' +
+            '+++ b/a.yml\n' +
+            '@@ -1,4 +1,5 @@\n' +
+            ' a\n b\n-c\n+new 1\n+new 2\n d\n'
+        );
+    });
+
+    test('marks a last line without a newline the way git does', () => {
+        expect(createUnifiedDiff('a.yml', 'a\nb', lines('a', 'b'))).toBe(
+            '--- a/a.yml\n' +
+            '+++ b/a.yml\n' +
+            '@@ -1,2 +1,2 @@\n' +
+            ' a\n' +
+            '-b\n' +
+            '\\ No newline at end of file\n' +
+            '+b\n'
+        );
+    });
+
+    test('shows a change too large to align as a full replacement', () => {
+        const before = lines(...Array.from({ length: 2100 }, (_, i) => `old ${i}`));
+        const after = lines(...Array.from({ length: 2100 }, (_, i) => `new ${i}`));
+
+        const diff = createUnifiedDiff('big.yml', before, after).split('\n');
+
+        expect(diff[2]).toBe('@@ -1,2100 +1,2100 @@');
+        expect(diff.slice(3, 2103).every(line => line.startsWith('-old '))).toBe(true);
+        expect(diff.slice(2103, 4203).every(line => line.startsWith('+new '))).toBe(true);
+    });
+});
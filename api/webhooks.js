@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * GitHub Webhook Receiver
+ * Verifies X-Hub-Signature-256, rejects replayed deliveries and turns
+ * workflow_run, workflow_job and repository_dispatch events into rollout
+ * state updates. Anything else is acknowledged and ignored.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const {
+    applyWorkflowRunEvent,
+    applyWorkflowJobEvent,
+    applyDispatchEvent,
+    DISPATCH_EVENTS
+} = require('./rollouts');
+
+// Configuration
+const DELIVERY_RETENTION_MS = (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_HOURS, 10) || 72) * 60 * 60 * 1000;
+
+const deliveries = createJsonStore('webhook-deliveries', { deliveries: {} });
+
+// The repository_dispatch actions our own dispatches arrive with
+const DISPATCH_ACTIONS = Object.values(DISPATCH_EVENTS);
+
+/**
+ * Compute the X-Hub-Signature-256 value for a raw body
+ */
+function signPayload(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Constant-time check of a signature header against the raw body
+ */
+function verifySignature(body, signature, secret) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(body, secret));
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Record a delivery ID; false when it has been seen before
+ */
+function claimDelivery(deliveryId, event) {
+    return deliveries.update(data => {
+        const now = Date.now();
+
+        for (const [id, delivery] of Object.entries(data.deliveries)) {
+            if (now - new Date(delivery.receivedAt).getTime() > DELIVERY_RETENTION_MS) {
+                delete data.deliveries[id];
+            }
+        }
+
+        if (data.deliveries[deliveryId]) {
+            return false;
+        }
+
+        data.deliveries[deliveryId] = { event, receivedAt: new Date(now).toISOString() };
+        return true;
+    });
+}
+
+/**
+ * Forget a claimed delivery whose handling failed, so GitHub's redelivery
+ * is processed instead of rejected as a replay
+ */
+function releaseDelivery(deliveryId) {
+    deliveries.update(data => {
+        delete data.deliveries[deliveryId];
+    });
+}
+
+/**
+ * Middleware: authenticate a delivery and expose it as req.webhook.
+ * Expects the body as a raw Buffer (express.raw).
+ */
+function verifyGitHubWebhook(req, res, next) {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    const reject = (status, error, code) => res.status(status).json({
+        success: false,
+        error,
+        code,
+        timestamp: new Date().toISOString()
+    });
+
+    if (!secret) {
+        return reject(503, 'Webhook secret not configured', 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!verifySignature(body, req.get('X-Hub-Signature-256'), secret)) {
+        return reject(401, 'Invalid webhook signature', 'WEBHOOK_SIGNATURE_INVALID');
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+    if (!event || !deliveryId) {
+        return reject(400, 'X-GitHub-Event and X-GitHub-Delivery headers are required', 'VALIDATION_ERROR');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        return reject(400, 'Webhook body must be JSON', 'VALIDATION_ERROR');
+    }
+
+    // Only signed deliveries get this far, so forged requests can't burn IDs
+    if (!claimDelivery(deliveryId, event)) {
+        return reject(409, `Delivery already processed: ${deliveryId}`, 'WEBHOOK_REPLAY');
+    }
+
+    req.webhook = { event, deliveryId, payload };
+    next();
+}
+
+/**
+ * Apply an event to rollout state
+ * Returns the affected rollout, or null when the event was ignored.
+ */
+function handleWebhookEvent(event, payload) {
+    switch (event) {
+        case 'workflow_run':
+            return payload.workflow_run ? applyWorkflowRunEvent(payload.workflow_run) : null;
+        case 'workflow_job':
+            return payload.workflow_job ? applyWorkflowJobEvent(payload.workflow_job) : null;
+        case 'repository_dispatch':
+            return DISPATCH_ACTIONS.includes(payload.action) ? applyDispatchEvent(payload.client_payload) : null;
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    signPayload,
+    verifySignature,
+    verifyGitHubWebhook,
+    releaseDelivery,
+    handleWebhookEvent
+};
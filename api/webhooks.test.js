@@ -0,0 +1,227 @@
+/**
+ * GitHub Webhook Receiver tests
+ * Replays the recorded deliveries in fixtures/webhooks/, signed with a test
+ * secret, through verifyGitHubWebhook and handleWebhookEvent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.GITHUB_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const express = require('express');
+const request = require('supertest');
+const { signPayload, verifySignature, verifyGitHubWebhook, releaseDelivery, handleWebhookEvent } = require('./webhooks');
+const { saveRollout, getRollout } = require('./rollouts');
+const { createTestRollout } = require('./test-utils');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'webhooks');
+
+// Rollout ID recorded in the fixtures (see replay-webhook.js)
+const FIXTURE_ROLLOUT_ID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * A recorded delivery, with the fixture rollout ID swapped for `rolloutId`
+ */
+function loadFixture(name, rolloutId = FIXTURE_ROLLOUT_ID) {
+    const recorded = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+    return JSON.parse(recorded.split(FIXTURE_ROLLOUT_ID).join(rolloutId));
+}
+
+// The receiver as approval-server.js mounts it, minus the run refresh
+const app = express();
+app.post('/api/webhooks/github', express.raw({ type: '*/*' }), verifyGitHubWebhook, (req, res) => {
+    const { event, deliveryId, payload } = req.webhook;
+    const rollout = handleWebhookEvent(event, payload);
+
+    res.json({
+        success: true,
+        data: { event, deliveryId, handled: Boolean(rollout), rolloutId: rollout ? rollout.id : null }
+    });
+});
+
+/**
+ * POST a delivery the way GitHub does; `signature` overrides the real one
+ */
+function deliver({ event, payload }, { deliveryId = crypto.randomUUID(), signature } = {}) {
+    const body = JSON.stringify(payload);
+
+    return request(app)
+        .post('/api/webhooks/github')
+        .set('Content-Type', 'application/json')
+        .set('X-GitHub-Event', event)
+        .set('X-GitHub-Delivery', deliveryId)
+        .set('X-Hub-Signature-256', signature === undefined ? signPayload(body, process.env.GITHUB_WEBHOOK_SECRET) : signature)
+        .send(body);
+}
+
+describe('verifySignature', () => {
+    const body = Buffer.from(JSON.stringify(loadFixture('ping').payload));
+
+    test('accepts the signature of the body', () => {
+        expect(verifySignature(body, signPayload(body, 'secret'), 'secret')).toBe(true);
+    });
+
+    test('rejects a signature made with another secret', () => {
+        expect(verifySignature(body, signPayload(body, 'other'), 'secret')).toBe(false);
+    });
+
+    test('rejects a missing or malformed signature', () => {
+        expect(verifySignature(body, undefined, 'secret')).toBe(false);
+        expect(verifySignature(body, 'sha1=abc', 'secret')).toBe(false);
+        expect(verifySignature(body, 'sha256=abc', 'secret')).toBe(false);
+    });
+});
+
+describe('verifyGitHubWebhook', () => {
+    test('accepts a signed delivery', async () => {
+        const response = await deliver(loadFixture('ping'), { deliveryId: 'ping-1' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual({ event: 'ping', deliveryId: 'ping-1', handled: false, rolloutId: null });
+    });
+
+    test('rejects a delivery signed with another secret', async () => {
+        const fixture = loadFixture('ping');
+        const response = await deliver(fixture, { signature: signPayload(JSON.stringify(fixture.payload), 'wrong-secret') });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    test('rejects a body changed after signing', async () => {
+        const fixture = loadFixture('ping');
+        const signature = signPayload(JSON.stringify(fixture.payload), process.env.GITHUB_WEBHOOK_SECRET);
+        fixture.payload.zen = 'Tampered.';
+
+        const response = await deliver(fixture, { signature });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    test('rejects an unsigned delivery', async () => {
+        const response = await deliver(loadFixture('ping'), { signature: '' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    test('rejects a replayed delivery ID', async () => {
+        const fixture = loadFixture('ping');
+
+        expect((await deliver(fixture, { deliveryId: 'replayed-1' })).status).toBe(200);
+
+        const replay = await deliver(fixture, { deliveryId: 'replayed-1' });
+        expect(replay.status).toBe(409);
+        expect(replay.body.code).toBe('WEBHOOK_REPLAY');
+    });
+
+    test('does not claim the delivery ID of a forged request', async () => {
+        const fixture = loadFixture('ping');
+
+        expect((await deliver(fixture, { deliveryId: 'forged-1', signature: 'sha256=00' })).status).toBe(401);
+        expect((await deliver(fixture, { deliveryId: 'forged-1' })).status).toBe(200);
+    });
+
+    test('accepts a released delivery again', async () => {
+        const fixture = loadFixture('ping');
+
+        expect((await deliver(fixture, { deliveryId: 'released-1' })).status).toBe(200);
+        releaseDelivery('released-1');
+        expect((await deliver(fixture, { deliveryId: 'released-1' })).status).toBe(200);
+    });
+
+    test('answers 503 while no secret is configured', async () => {
+        const secret = process.env.GITHUB_WEBHOOK_SECRET;
+        delete process.env.GITHUB_WEBHOOK_SECRET;
+
+        try {
+            const response = await deliver(loadFixture('ping'), { signature: signPayload('{}', secret) });
+            expect(response.status).toBe(503);
+            expect(response.body.code).toBe('WEBHOOK_NOT_CONFIGURED');
+        } finally {
+            process.env.GITHUB_WEBHOOK_SECRET = secret;
+        }
+    });
+});
+
+describe('handleWebhookEvent', () => {
+    test('tracks a rollout through its run and job events', async () => {
+        const rollout = createTestRollout();
+
+        let response = await deliver(loadFixture('repository_dispatch.start-rollout', rollout.id));
+        expect(response.body.data).toMatchObject({ handled: true, rolloutId: rollout.id });
+        expect(getRollout(rollout.id).dispatchConfirmedAt).toEqual(expect.any(String));
+
+        response = await deliver(loadFixture('workflow_run.in_progress', rollout.id));
+        expect(response.body.data.handled).toBe(true);
+        expect(getRollout(rollout.id)).toMatchObject({
+            status: 'in_progress',
+            run: { id: 7345120981, status: 'in_progress', conclusion: null }
+        });
+
+        // Job events carry only the run ID; the run linked above finds the rollout
+        response = await deliver(loadFixture('workflow_job.completed', rollout.id));
+        expect(response.body.data.handled).toBe(true);
+        expect(getRollout(rollout.id).repoProgress).toEqual([
+            expect.objectContaining({ repo: 'payments-api', status: 'completed', conclusion: 'success' })
+        ]);
+
+        // Completion is left to refreshRollout, which fetches the final jobs
+        response = await deliver(loadFixture('workflow_run.completed', rollout.id));
+        expect(response.body.data.handled).toBe(true);
+        expect(getRollout(rollout.id)).toMatchObject({
+            status: 'in_progress',
+            conclusion: null,
+            run: { id: 7345120981, status: 'completed', conclusion: 'success' }
+        });
+    });
+
+    test('confirms the dispatch of a rollback', async () => {
+        const rollout = createTestRollout({
+            rollbackOf: crypto.randomUUID(),
+            changes: { 'payments-api': [{ path: '.github/workflows/deps-install.yml', action: 'create', previousSha: null }] }
+        });
+
+        const response = await deliver(loadFixture('repository_dispatch.revert-rollout', rollout.id));
+
+        expect(response.body.data).toMatchObject({ handled: true, rolloutId: rollout.id });
+        expect(getRollout(rollout.id)).toMatchObject({ kind: 'rollback', dispatchConfirmedAt: expect.any(String) });
+    });
+
+    test('updates the wave a staged rollout run belongs to', () => {
+        const rollout = createTestRollout({ mode: 'staged', repos: ['payments-api', 'billing-api', 'web-app'] });
+        const { payload } = loadFixture('workflow_run.in_progress', `${rollout.id}-w0`);
+
+        expect(handleWebhookEvent('workflow_run', payload)).not.toBeNull();
+
+        const stored = getRollout(rollout.id);
+        expect(stored.status).toBe('in_progress');
+        expect(stored.waves[0]).toMatchObject({ status: 'in_progress', run: { id: 7345120981 } });
+        expect(stored.waves[1]).toMatchObject({ status: 'pending', run: null });
+        expect(stored.run).toEqual(stored.waves[0].run);
+    });
+
+    test('ignores events for a finished rollout', () => {
+        const rollout = createTestRollout();
+        saveRollout({ ...rollout, status: 'completed', conclusion: 'cancelled' });
+
+        expect(handleWebhookEvent('workflow_run', loadFixture('workflow_run.in_progress', rollout.id).payload)).toBeNull();
+        expect(handleWebhookEvent('repository_dispatch', loadFixture('repository_dispatch.start-rollout', rollout.id).payload)).toBeNull();
+        expect(getRollout(rollout.id)).toMatchObject({ status: 'completed', conclusion: 'cancelled', run: null });
+    });
+
+    test('ignores runs that belong to no rollout', () => {
+        const { payload } = loadFixture('workflow_run.in_progress', crypto.randomUUID());
+
+        expect(handleWebhookEvent('workflow_run', payload)).toBeNull();
+        expect(handleWebhookEvent('workflow_job', { workflow_job: { id: 1, run_id: 1 } })).toBeNull();
+    });
+
+    test('ignores other events', () => {
+        expect(handleWebhookEvent('ping', loadFixture('ping').payload)).toBeNull();
+        expect(handleWebhookEvent('repository_dispatch', { action: 'deploy', client_payload: { rollout_id: createTestRollout().id } })).toBeNull();
+    });
+});
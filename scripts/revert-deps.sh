@@ -0,0 +1,84 @@
+#!/usr/bin/env bash
+# revert-deps.sh
+# Revert the workflow files a rollout (rollout-deps.sh) applied to one repository.
+# Usage: CHANGES_JSON='[{"path":...,"action":"create|update","previousSha":...}]' \
+#          ./revert-deps.sh <ORG_NAME> <REPO> <ROLLBACK_ID>
+#
+# An unmerged rollout PR is simply closed. Once merged, each file is restored
+# to the blob it replaced (or deleted if the rollout created it) in a revert PR.
+
+set -euo pipefail
+
+ORG=$1
+REPO=$2
+ROLLBACK_ID=$3
+CHANGES_JSON="${CHANGES_JSON:-null}"
+ROLLOUT_BRANCH="add-deps-setup"
+BRANCH="revert-deps-setup-${ROLLBACK_ID:0:8}"
+
+# Helpers
+error() { echo "Error: $1" >&2; exit 1; }
+info() { echo -e "\e[1;34m[INFO]\e[0m $1"; }
+success() { echo -e "\e[1;32m[SUCCESS]\e[0m $1"; }
+warning() { echo -e "\e[1;33m[WARN]\e[0m $1"; }
+
+# Ensure GH CLI auth
+gh auth status &>/dev/null || error "GitHub CLI not authenticated."
+
+# Nothing merged yet: closing the rollout PR is the whole revert
+OPEN_PR=$(gh pr list --repo "$ORG/$REPO" --head "$ROLLOUT_BRANCH" --state open --json number --jq '.[0].number // empty')
+if [ -n "$OPEN_PR" ]; then
+  gh pr close "$OPEN_PR" --repo "$ORG/$REPO" --delete-branch \
+    --comment "Closed by rollback $ROLLBACK_ID."
+  success "Closed unmerged rollout PR #$OPEN_PR in $REPO"
+  exit 0
+fi
+
+if [ "$CHANGES_JSON" = "null" ]; then
+  error "No recorded file changes for $REPO and no open rollout PR - revert it manually."
+fi
+
+TMP_DIR=$(mktemp -d)
+trap 'rm -rf "$TMP_DIR"' EXIT
+gh repo clone "$ORG/$REPO" "$TMP_DIR" &>/dev/null || error "Clone failed for $REPO."
+cd "$TMP_DIR"
+
+DEFAULT_BRANCH=$(git symbolic-ref --short refs/remotes/origin/HEAD | sed 's|^origin/||')
+git checkout -b "$BRANCH"
+
+echo "$CHANGES_JSON" | jq -c '.[]' | while read -r change; do
+  FILE=$(echo "$change" | jq -r '.path')
+  ACTION=$(echo "$change" | jq -r '.action')
+  PREVIOUS_SHA=$(echo "$change" | jq -r '.previousSha // empty')
+
+  case "$ACTION" in
+    create)
+      info "Removing $FILE (added by the rollout)"
+      git rm -q --ignore-unmatch "$FILE"
+      ;;
+    update)
+      [ -n "$PREVIOUS_SHA" ] || error "No previous version recorded for $FILE."
+      info "Restoring $FILE to blob $PREVIOUS_SHA"
+      mkdir -p "$(dirname "$FILE")"
+      gh api "repos/$ORG/$REPO/git/blobs/$PREVIOUS_SHA" --jq '.content' | base64 -d > "$FILE"
+      git add "$FILE"
+      ;;
+    *)
+      warning "Unknown change action '$ACTION' for $FILE, skipping."
+      ;;
+  esac
+done
+
+if git diff --cached --quiet; then
+  success "$REPO already matches its pre-rollout state, nothing to revert."
+  exit 0
+fi
+
+git commit -m "ci: revert standardized dependency installation workflow"
+git push --set-upstream origin "$BRANCH"
+gh pr create \
+  --repo "$ORG/$REPO" \
+  --title "ci: revert standardized dependency installation workflow" \
+  --body "Reverts the workflow changes from an earlier rollout (rollback $ROLLBACK_ID)." \
+  --base "$DEFAULT_BRANCH"
+success "Revert PR created for $REPO"
@@ -1,14 +1,21 @@
 #!/usr/bin/env bash
 # rollout-deps.sh
 # Automate rollout of standardized Node dependency workflows across repositories.
-# Usage: ./rollout-deps.sh <DRY_RUN(true|false)> <ORG_NAME>
+# Usage: ./rollout-deps.sh <DRY_RUN(true|false)> <ORG_NAME> [SELECTION]
+# Repositories come from repos.txt, or else from the named repository selection
+# (the org's "default" selection when none is given) - the same one the
+# approval API uses for readiness scans. Needs `npm install` in api/.
 
 set -euo pipefail
 
 DRY_RUN=$1
 ORG=$2
+SELECTION=${3:-}
 REPOS_FILE="repos.txt"
 LOG_FILE="rollout-log.txt"
+# Managed files are rendered from templates/ - the approval API previews the same templates
+TEMPLATE_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)/templates"
+API_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)/api"
 
 # Helpers
 error() { echo "Error: $1" >&2; exit 1; }
@@ -16,14 +23,24 @@ info() { echo -e "\e[1;34m[INFO]\e[0m $1"; }
 success() { echo -e "\e[1;32m[SUCCESS]\e[0m $1"; }
 warning() { echo -e "\e[1;33m[WARN]\e[0m $1"; }
 
+# Fill in {{org}}, {{repo}} and {{default_branch}} placeholders
+render_template() {
+  sed -e "s|{{ *org *}}|$ORG|g" \
+      -e "s|{{ *repo *}}|$2|g" \
+      -e "s|{{ *default_branch *}}|$3|g" "$1"
+}
+
 # Ensure GH CLI auth
 gh auth status &>/dev/null || error "GitHub CLI not authenticated."
 
-# Fetch JS repos if no repos.txt
+# Select repos if no repos.txt; the reason for each decision goes to stderr
 if [ ! -f "$REPOS_FILE" ]; then
-  info "Discovering JavaScript repos in $ORG..."
-  gh repo list "$ORG" --language JavaScript --json name \
-    --jq '.[].name' > "$REPOS_FILE"
+  [ -d "$API_DIR/node_modules" ] \
+    || error "Repository selection needs the API's dependencies: run 'npm install' in $API_DIR, or list repositories in $REPOS_FILE."
+  info "Selecting repos in $ORG${SELECTION:+ with selection $SELECTION}..."
+  GITHUB_TOKEN="${GITHUB_TOKEN:-$(gh auth token)}" \
+    node "$API_DIR/repo-selection.js" "$ORG" ${SELECTION:+--selection "$SELECTION"} > "$REPOS_FILE" \
+    || { rm -f "$REPOS_FILE"; error "Repository selection failed."; }
 fi
 
 TOTAL=$(wc -l < "$REPOS_FILE")
@@ -60,27 +77,22 @@ while read -r repo; do
   WORKFLOW_FILE=".github/workflows/deps-install.yml"
 
   # Generate workflow
-  cat > "$WORKFLOW_FILE" << 'EOF'
-name: Install Dependencies
-
-on:
-  push:
-    branches: [ main, develop ]
-  pull_request:
-    branches: [ main, develop ]
-
-jobs:
-  setup-node-deps:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: actions/checkout@v3
-      - uses: ./.github/actions/setup-node-deps
-EOF
+  DEFAULT_BRANCH=$(git symbolic-ref --short refs/remotes/origin/HEAD | sed 's|^origin/||')
+  render_template "$TEMPLATE_DIR/deps-install.yml" "$repo" "$DEFAULT_BRANCH" > "$WORKFLOW_FILE"
 
   # Create branch and commit
   BRANCH="add-deps-setup"
   git checkout -b "$BRANCH"
   git add "$WORKFLOW_FILE"
+
+  if git diff --cached --quiet; then
+    info "$repo already has the current workflow, skipping."
+    echo "$repo: no-op" >> "../$LOG_FILE"
+    popd &>/dev/null
+    rm -rf "$TMP_DIR"
+    continue
+  fi
+
   git commit -m "ci: add standardized dependency installation workflow"
 
   if [ "$DRY_RUN" = "true" ]; then